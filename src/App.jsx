@@ -1,37 +1,65 @@
 /**
  * 🚀 COMPONENTE PRINCIPAL DE LA APLICACIÓN
- * 
+ *
  * Este es el punto de entrada principal de la aplicación Todo App.
- * Actualmente renderiza directamente la página TodoPage, pero puede
- * expandirse para incluir routing, providers globales, o layout principal.
- * 
+ * Configura el routing con React Router y delega cada ruta en su página.
+ *
  * Funcionalidades:
- * - Renderiza la página principal de todos
+ * - Routing por lista: cada lista (proyecto) tiene su propia URL
+ * - Routing por lista inteligente (Hoy, Próximos 7 días, Vencidos...)
+ * - Página de estadísticas sobre todos los todos
+ * - Redirección de la raíz a la Bandeja de entrada
  * - Punto central para agregar configuraciones globales
- * - Base para futuras expansiones de routing
  * - Configuración de providers y contextos globales
- * 
+ *
+ * Rutas:
+ * - /                → redirige a /lists/inbox
+ * - /lists/:listId   → TodoPage con los todos de la lista
+ * - /smart/:smartListId → TodoPage con los todos de la lista inteligente
+ * - /stats           → StatsPage con las estadísticas
+ * - cualquier otra   → redirige a /
+ *
  * Arquitectura:
- * - Componente simple que delega a TodoPage
+ * - Componente simple que delega a las páginas
  * - Preparado para escalabilidad futura
  * - Separación clara entre App y páginas específicas
  */
 
 import React from 'react';
-import { TodoPage } from './pages';
+import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { TodoPage, StatsPage } from './pages';
+import { DEFAULT_LIST_ID } from './services';
 
 /**
  * Componente raíz de la aplicación
- * 
- * Actualmente renderiza solo TodoPage, pero puede expandirse para incluir:
- * - React Router para navegación
+ *
+ * Puede expandirse para incluir:
  * - Context Providers para estado global
  * - Layout components compartidos
  * - Configuración de temas
  * - Manejo de errores global
  */
 const App = () => {
-  return <TodoPage />;
+  return (
+    <BrowserRouter>
+      <Routes>
+        {/* 🏠 RAÍZ: abrir la Bandeja de entrada */}
+        <Route path="/" element={<Navigate to={`/lists/${DEFAULT_LIST_ID}`} replace />} />
+
+        {/* 📚 TODOS DE UNA LISTA */}
+        <Route path="/lists/:listId" element={<TodoPage />} />
+
+        {/* ✨ TODOS DE UNA LISTA INTELIGENTE */}
+        <Route path="/smart/:smartListId" element={<TodoPage />} />
+
+        {/* 📈 ESTADÍSTICAS */}
+        <Route path="/stats" element={<StatsPage />} />
+
+        {/* ❓ RUTA DESCONOCIDA */}
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
+    </BrowserRouter>
+  );
 };
 
 export default App;
@@ -0,0 +1,107 @@
+/**
+ * 🕓 LÍNEA DE TIEMPO DE ACTIVIDAD
+ *
+ * Muestra el historial de un todo: quién hizo cada cambio, cuándo y qué
+ * cambió exactamente (valor anterior → valor nuevo).
+ *
+ * Props:
+ * @param {Array} entries - Entradas del historial (más reciente primero)
+ * @param {boolean} loading - Si se está cargando el historial
+ */
+
+import React from 'react';
+import { Plus, Pencil, CheckCircle2, Trash2, ArchiveRestore, MessageSquare, ArrowRight } from 'lucide-react';
+import { LoadingSpinner } from '../ui';
+import {
+  ACTIVITY_FIELD_LABELS,
+  describeActivity,
+  formatActivityValue,
+  formatRelativeDateFromAPI
+} from '../../utils';
+
+/** Ícono y color de cada tipo de entrada */
+const ENTRY_STYLES = {
+  created: { Icon: Plus, color: 'bg-blue-100 text-blue-600' },
+  updated: { Icon: Pencil, color: 'bg-gray-100 text-gray-600' },
+  toggled: { Icon: CheckCircle2, color: 'bg-green-100 text-green-600' },
+  trashed: { Icon: Trash2, color: 'bg-orange-100 text-orange-600' },
+  restored: { Icon: ArchiveRestore, color: 'bg-blue-100 text-blue-600' },
+  deleted: { Icon: Trash2, color: 'bg-red-100 text-red-600' },
+  comment: { Icon: MessageSquare, color: 'bg-amber-100 text-amber-600' },
+};
+
+/**
+ * 🔍 DIFERENCIA DE UN CAMPO
+ *
+ * @param {Object} change - Cambio {field, from, to}
+ */
+const ChangeRow = ({ change }) => (
+  <li className="text-xs text-gray-600">
+    <span className="font-medium">{ACTIVITY_FIELD_LABELS[change.field] || change.field}:</span>{' '}
+    <span className="line-through text-red-600 break-words">{formatActivityValue(change.field, change.from)}</span>
+    <ArrowRight className="inline h-3 w-3 mx-1" />
+    <span className="text-green-700 break-words">{formatActivityValue(change.field, change.to)}</span>
+  </li>
+);
+
+/**
+ * Componente de línea de tiempo
+ */
+const ActivityTimeline = ({ entries, loading = false }) => {
+  // ⏳ CARGA INICIAL
+  if (loading && entries.length === 0) {
+    return (
+      <div className="flex justify-center py-4">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  // 📭 SIN ACTIVIDAD
+  if (entries.length === 0) {
+    return <p className="text-sm text-gray-500 py-2">Todavía no hay actividad registrada.</p>;
+  }
+
+  return (
+    <ol className="space-y-3">
+      {entries.map(entry => {
+        const { Icon, color } = ENTRY_STYLES[entry.type] || ENTRY_STYLES.updated;
+        // Un cambio de estado ya queda descrito en el resumen
+        const showChanges = entry.type === 'updated' && entry.changes?.length > 0;
+
+        return (
+          <li key={entry.id} className="flex items-start space-x-3">
+            <span className={`flex-shrink-0 flex items-center justify-center h-6 w-6 rounded-full ${color}`}>
+              <Icon className="h-3.5 w-3.5" />
+            </span>
+            <div className="flex-1 min-w-0">
+              <p className="text-sm text-gray-700">
+                <span className="font-medium text-gray-900">{entry.author}</span>{' '}
+                {describeActivity(entry)}
+                <span className="text-xs text-gray-400"> · {formatRelativeDateFromAPI(entry.createdAt)}</span>
+              </p>
+
+              {/* 🔍 DIFERENCIAS CAMPO A CAMPO */}
+              {showChanges && (
+                <ul className="mt-1 space-y-0.5">
+                  {entry.changes.map(change => (
+                    <ChangeRow key={change.field} change={change} />
+                  ))}
+                </ul>
+              )}
+
+              {/* 💬 TEXTO DEL COMENTARIO */}
+              {entry.type === 'comment' && (
+                <p className="mt-1 text-sm text-gray-700 bg-gray-50 border border-gray-200 rounded-md px-3 py-2 whitespace-pre-wrap break-words">
+                  {entry.text}
+                </p>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default ActivityTimeline;
@@ -0,0 +1,108 @@
+/**
+ * 💬 FORMULARIO DE COMENTARIO
+ *
+ * Campo para agregar comentarios libres al historial de un todo.
+ *
+ * Características:
+ * - Enviar con el botón o con Ctrl/Cmd + Enter
+ * - Muestra con qué nombre se firma el comentario y permite cambiarlo
+ * - Se vacía tras enviar correctamente
+ *
+ * Props:
+ * @param {Function} onSubmit - Callback (text) => Promise
+ * @param {string} author - Nombre con el que se firma
+ * @param {Function} onAuthorChange - Callback (name) para cambiar el nombre
+ */
+
+import React, { useState } from 'react';
+import { Send } from 'lucide-react';
+import { Button, Textarea } from '../ui';
+import { MAX_COMMENT_LENGTH } from '../../utils';
+
+/**
+ * Componente de formulario de comentario
+ */
+const CommentForm = ({ onSubmit, author, onAuthorChange }) => {
+  /** @type {string} Texto del comentario */
+  const [text, setText] = useState('');
+
+  /** @type {boolean} Si se está enviando */
+  const [isSending, setIsSending] = useState(false);
+
+  /** @type {boolean} Si se está editando el nombre del autor */
+  const [isEditingAuthor, setIsEditingAuthor] = useState(false);
+
+  /**
+   * 📨 ENVIAR COMENTARIO
+   *
+   * @param {Event} e - Evento del formulario
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    setIsSending(true);
+    try {
+      await onSubmit(text);
+      setText('');
+    } catch {
+      // ⚠️ Error notificado con toast por useActivity; se conserva el texto
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <Textarea
+        placeholder="Escribe un comentario..."
+        rows={2}
+        maxLength={MAX_COMMENT_LENGTH}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) handleSubmit(e);
+        }}
+        aria-label="Nuevo comentario"
+      />
+      <div className="flex items-center justify-between gap-2">
+        {/* 👤 AUTOR */}
+        {isEditingAuthor ? (
+          <input
+            defaultValue={author}
+            placeholder="Tu nombre"
+            autoFocus
+            maxLength={50}
+            onBlur={(e) => {
+              onAuthorChange(e.target.value);
+              setIsEditingAuthor(false);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                e.target.blur();
+              }
+            }}
+            className="text-xs px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+            aria-label="Tu nombre"
+          />
+        ) : (
+          <button
+            type="button"
+            onClick={() => setIsEditingAuthor(true)}
+            className="text-xs text-gray-500 hover:text-gray-700"
+            title="Cambiar nombre"
+          >
+            Comentando como <span className="font-medium">{author}</span>
+          </button>
+        )}
+
+        <Button type="submit" size="sm" loading={isSending} disabled={!text.trim()}>
+          <Send className="h-4 w-4 mr-2" />
+          Comentar
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default CommentForm;
@@ -0,0 +1,2 @@
+export { default as ActivityTimeline } from './ActivityTimeline';
+export { default as CommentForm } from './CommentForm';
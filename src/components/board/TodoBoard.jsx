@@ -0,0 +1,281 @@
+/**
+ * 🗂️ TABLERO KANBAN DE TODOS
+ *
+ * Vista alternativa a la lista: los todos que cumplen los filtros se
+ * reparten en columnas por estado, prioridad o etiqueta. Mover una tarjeta
+ * a otra columna cambia ese campo del todo.
+ *
+ * Funcionalidades:
+ * - Agrupación por estado, prioridad o etiqueta
+ * - Tarjetas con título, prioridad, fecha límite, etiquetas, subtareas y bloqueo
+ * - Arrastrar tarjetas entre columnas (ratón)
+ * - Teclado: con una tarjeta enfocada, ← y → la mueven de columna y Enter abre el detalle
+ * - Límite WIP por columna: se marca al alcanzarlo y no se admiten más tarjetas
+ *
+ * Props:
+ * @param {Array<Object>} todos - Todos a mostrar (filtrados, sin paginar)
+ * @param {string} groupBy - Criterio de agrupación ('status', 'priority' o 'tag')
+ * @param {Function} onGroupByChange - Callback (groupBy)
+ * @param {Object} wipLimits - Límites WIP por clave de columna (ver getWipLimitKey)
+ * @param {Function} onWipLimitChange - Callback (key, limit|null)
+ * @param {Function} onMove - Callback (todo, changes) => Promise para aplicar el movimiento
+ * @param {Function} onOpenDetail - Callback (todo) para abrir el detalle
+ */
+
+import React, { useState } from 'react';
+import { CalendarDays, Lock } from 'lucide-react';
+import { Select } from '../ui';
+import { TagChip } from '../todo';
+import { SubtaskProgress } from '../todo/SubtaskList';
+import {
+  BOARD_GROUPINGS,
+  getBoardColumns,
+  getBoardMoveChanges,
+  getWipLimitKey,
+  canAcceptInColumn,
+  getPriorityColor,
+  getPriorityIcon,
+  getPriorityLabel,
+  formatDueDate,
+  getDueDateClass,
+  isOverdue,
+} from '../../utils';
+
+/**
+ * Tarjeta de un todo en el tablero
+ */
+const BoardCard = ({ todo, columnId, isMoving, onDragStart, onDragEnd, onKeyMove, onOpenDetail }) => {
+  const pendingBlockers = todo.pendingBlockers || [];
+
+  return (
+    <article
+      draggable={!isMoving}
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(todo.id));
+        onDragStart(todo, columnId);
+      }}
+      onDragEnd={onDragEnd}
+      onKeyDown={(e) => {
+        if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+          e.preventDefault();
+          onKeyMove(todo, columnId, e.key === 'ArrowLeft' ? -1 : 1);
+        } else if (e.key === 'Enter') {
+          onOpenDetail(todo);
+        }
+      }}
+      onDoubleClick={() => onOpenDetail(todo)}
+      tabIndex={0}
+      aria-label={`${todo.title}. Flechas izquierda y derecha para cambiar de columna, Enter para abrir`}
+      className={`
+        bg-white border border-gray-200 rounded-md p-3 shadow-sm cursor-grab space-y-2
+        focus:outline-none focus:ring-2 focus:ring-blue-500
+        ${isMoving ? 'opacity-50' : 'hover:shadow-md'}
+      `}
+    >
+      <p className={`text-sm font-medium leading-tight ${todo.completed ? 'line-through text-gray-500' : 'text-gray-900'}`}>
+        {todo.title}
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <span
+          className={`inline-flex items-center px-2 py-0.5 rounded-full font-medium border ${getPriorityColor(todo.priority)}`}
+          title={`Prioridad ${getPriorityLabel(todo.priority).toLowerCase()}`}
+        >
+          {getPriorityIcon(todo.priority)}
+        </span>
+        {todo.dueDate && (
+          <span className={`inline-flex items-center ${getDueDateClass(todo.dueDate, todo.completed) || 'text-gray-500'}`}>
+            <CalendarDays className="h-3 w-3 mr-1" />
+            {formatDueDate(todo.dueDate, todo.hasDueTime)}
+            {!todo.completed && isOverdue(todo.dueDate) && ' · Vencido'}
+          </span>
+        )}
+        {!todo.completed && pendingBlockers.length > 0 && (
+          <span
+            className="inline-flex items-center text-orange-700"
+            title={`Bloqueado por: ${pendingBlockers.map(blocker => blocker.title).join(', ')}`}
+          >
+            <Lock className="h-3 w-3 mr-1" />
+            Bloqueado
+          </span>
+        )}
+      </div>
+
+      {todo.tags.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {todo.tags.map(tag => <TagChip key={tag} tag={tag} />)}
+        </div>
+      )}
+
+      <SubtaskProgress subtasks={todo.subtasks || []} />
+    </article>
+  );
+};
+
+/**
+ * Componente principal del tablero
+ */
+const TodoBoard = ({ todos, groupBy, onGroupByChange, wipLimits = {}, onWipLimitChange, onMove, onOpenDetail }) => {
+  /** @type {Object|null} Tarjeta que se está arrastrando {todo, columnId} */
+  const [dragging, setDragging] = useState(null);
+
+  /** @type {string|null} Columna sobre la que está la tarjeta arrastrada */
+  const [overColumnId, setOverColumnId] = useState(null);
+
+  /** @type {number|string|null} Todo que se está guardando tras moverlo */
+  const [movingId, setMovingId] = useState(null);
+
+  /** @type {string} Aviso del último movimiento (también para lectores de pantalla) */
+  const [notice, setNotice] = useState('');
+
+  const columns = getBoardColumns(todos, groupBy);
+
+  /**
+   * 🔀 MOVER UN TODO A OTRA COLUMNA
+   * Respeta el límite WIP de la columna de destino
+   *
+   * @param {Object} todo - Todo movido
+   * @param {string} fromColumnId - Columna de origen
+   * @param {Object} toColumn - Columna de destino
+   */
+  const moveTodo = async (todo, fromColumnId, toColumn) => {
+    const limit = wipLimits[getWipLimitKey(groupBy, toColumn.id)];
+    const changes = getBoardMoveChanges(todo, fromColumnId, toColumn.id, groupBy);
+    if (!changes) return;
+    if (!canAcceptInColumn(toColumn, limit)) {
+      setNotice(`"${toColumn.title}" ya tiene el máximo de ${limit} todos`);
+      return;
+    }
+
+    setMovingId(todo.id);
+    setNotice(`"${todo.title}" movido a ${toColumn.title}`);
+    try {
+      await onMove(todo, changes);
+    } catch {
+      setNotice('');
+      // ⚠️ Los errores se notifican con toast desde useTodos
+    } finally {
+      setMovingId(null);
+    }
+  };
+
+  /**
+   * ⌨️ MOVER CON EL TECLADO A LA COLUMNA VECINA
+   */
+  const handleKeyMove = (todo, columnId, step) => {
+    const index = columns.findIndex(column => column.id === columnId);
+    const target = columns[index + step];
+    if (target) moveTodo(todo, columnId, target);
+  };
+
+  /**
+   * 📥 SOLTAR UNA TARJETA EN UNA COLUMNA
+   */
+  const handleDrop = (e, column) => {
+    e.preventDefault();
+    setOverColumnId(null);
+    if (dragging) moveTodo(dragging.todo, dragging.columnId, column);
+    setDragging(null);
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* 🔀 AGRUPACIÓN Y AVISOS */}
+      <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+        <div className="sm:w-56">
+          <Select
+            value={groupBy}
+            onChange={(e) => onGroupByChange(e.target.value)}
+            options={BOARD_GROUPINGS.map(option => ({ ...option, label: `Columnas: ${option.label}` }))}
+            aria-label="Agrupar columnas por"
+          />
+        </div>
+        <p className="text-sm text-gray-600" aria-live="polite">{notice}</p>
+      </div>
+
+      {/* 🗂️ COLUMNAS */}
+      <div className="flex gap-4 overflow-x-auto pb-2">
+        {columns.map(column => {
+          const key = getWipLimitKey(groupBy, column.id);
+          const limit = wipLimits[key];
+          const isFull = !canAcceptInColumn(column, limit);
+          const isOver = limit > 0 && column.todos.length > limit;
+          const isDropTarget = overColumnId === column.id && dragging && dragging.columnId !== column.id;
+
+          return (
+            <section
+              key={column.id}
+              aria-label={column.title}
+              onDragOver={(e) => {
+                if (!dragging) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = isFull ? 'none' : 'move';
+                setOverColumnId(column.id);
+              }}
+              onDragLeave={() => setOverColumnId(current => (current === column.id ? null : current))}
+              onDrop={(e) => handleDrop(e, column)}
+              className={`
+                flex-shrink-0 w-72 rounded-lg p-3 space-y-3 border-2
+                ${isDropTarget
+                  ? (isFull ? 'border-red-300 bg-red-50' : 'border-blue-300 bg-blue-50')
+                  : 'border-transparent bg-gray-50'}
+              `}
+            >
+              {/* 📋 CABECERA: título, número de todos y límite WIP */}
+              <header className="flex items-center justify-between gap-2">
+                <h3 className="text-sm font-semibold text-gray-800 truncate">{column.title}</h3>
+                <div className="flex items-center gap-1 text-xs">
+                  <span
+                    className={`font-medium ${isOver ? 'text-red-600' : isFull ? 'text-amber-600' : 'text-gray-500'}`}
+                    title={limit > 0 ? `Límite WIP: ${limit}` : 'Sin límite WIP'}
+                  >
+                    {column.todos.length}{limit > 0 && ` / ${limit}`}
+                  </span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={limit || ''}
+                    onChange={(e) => onWipLimitChange(key, e.target.value ? Number(e.target.value) : null)}
+                    placeholder="WIP"
+                    aria-label={`Límite WIP de ${column.title}`}
+                    className="w-14 px-1 py-0.5 border border-gray-300 rounded text-xs"
+                  />
+                </div>
+              </header>
+
+              {isFull && (
+                <p className={`text-xs ${isOver ? 'text-red-600' : 'text-amber-600'}`}>
+                  {isOver ? 'Límite WIP superado' : 'Límite WIP alcanzado'}
+                </p>
+              )}
+
+              {/* 🃏 TARJETAS */}
+              {column.todos.length === 0 ? (
+                <p className="text-xs text-gray-400 py-4 text-center">Sin todos</p>
+              ) : (
+                column.todos.map(todo => (
+                  <BoardCard
+                    key={todo.id}
+                    todo={todo}
+                    columnId={column.id}
+                    isMoving={movingId === todo.id}
+                    onDragStart={(draggedTodo, columnId) => setDragging({ todo: draggedTodo, columnId })}
+                    onDragEnd={() => {
+                      setDragging(null);
+                      setOverColumnId(null);
+                    }}
+                    onKeyMove={handleKeyMove}
+                    onOpenDetail={onOpenDetail}
+                  />
+                ))
+              )}
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TodoBoard;
@@ -0,0 +1 @@
+export { default as TodoBoard } from './TodoBoard';
\ No newline at end of file
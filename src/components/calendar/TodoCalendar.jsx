@@ -0,0 +1,276 @@
+/**
+ * 📆 CALENDARIO DE TODOS
+ *
+ * Vista alternativa a la lista: los todos que cumplen los filtros aparecen
+ * en el día de su fecha límite, en una vista de mes o de semana. Mover un
+ * todo a otro día cambia su fecha límite (conservando la hora si la tenía).
+ *
+ * Funcionalidades:
+ * - Vista de mes (semanas completas) o de semana, con navegación y "Hoy"
+ * - Todos vencidos marcados en rojo (getDueDateClass) y completados tachados
+ * - Arrastrar un todo a otro día para reprogramarlo (ratón)
+ * - Teclado: con un todo enfocado, ← y → lo mueven un día, ↑ y ↓ una semana,
+ *   y Enter abre el detalle
+ * - Click en el número de un día para crear un todo que vence ese día
+ * - En la vista de mes, "+N más" abre la semana de ese día
+ *
+ * Props:
+ * @param {Array<Object>} todos - Todos a mostrar (filtrados, sin paginar)
+ * @param {string} mode - 'month' o 'week'
+ * @param {Function} onModeChange - Callback (mode)
+ * @param {Function} onReschedule - Callback (todo, dayKey) => Promise para cambiar la fecha límite
+ * @param {Function} onCreateForDate - Callback (dayKey) para crear un todo ese día
+ * @param {Function} onOpenDetail - Callback (todo) para abrir el detalle
+ */
+
+import React, { useState } from 'react';
+import { isToday, isSameMonth, format, parseISO } from 'date-fns';
+import { es } from 'date-fns/locale';
+import { ChevronLeft, ChevronRight, Plus } from 'lucide-react';
+import { Button, Select } from '../ui';
+import {
+  CALENDAR_MODES,
+  WEEKDAY_LABELS,
+  getCalendarDays,
+  shiftCalendarDate,
+  getCalendarTitle,
+  groupTodosByDay,
+  shiftDayKey,
+  toDayKey,
+  getDueDateClass,
+  formatTimeFromAPI,
+  isOverdue,
+} from '../../utils';
+
+/** Todos visibles por día en la vista de mes antes de "+N más" */
+const MAX_TODOS_PER_DAY = 3;
+
+/**
+ * Todo dentro de un día del calendario
+ */
+const CalendarTodo = ({ todo, dayKey, isMoving, onDragStart, onDragEnd, onKeyMove, onOpenDetail }) => {
+  const overdue = !todo.completed && isOverdue(todo.dueDate);
+
+  return (
+    <button
+      type="button"
+      draggable={!isMoving}
+      onDragStart={(e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(todo.id));
+        onDragStart(todo, dayKey);
+      }}
+      onDragEnd={onDragEnd}
+      onKeyDown={(e) => {
+        const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+        if (steps[e.key]) {
+          e.preventDefault();
+          onKeyMove(todo, dayKey, steps[e.key]);
+        }
+      }}
+      onClick={() => onOpenDetail(todo)}
+      aria-label={`${todo.title}${overdue ? ' (vencido)' : ''}. Flechas para cambiar de día, Enter para abrir`}
+      title={todo.title}
+      className={`
+        w-full text-left text-xs px-1.5 py-0.5 rounded border truncate cursor-grab
+        focus:outline-none focus:ring-2 focus:ring-blue-500
+        ${overdue ? 'bg-red-50 border-red-200' : 'bg-white border-gray-200'}
+        ${todo.completed ? 'line-through text-gray-400' : getDueDateClass(todo.dueDate, todo.completed)}
+        ${isMoving ? 'opacity-50' : 'hover:shadow-sm'}
+      `}
+    >
+      {todo.hasDueTime && <span className="font-medium mr-1">{formatTimeFromAPI(todo.dueDate)}</span>}
+      {todo.title}
+    </button>
+  );
+};
+
+/**
+ * Componente principal del calendario
+ */
+const TodoCalendar = ({ todos, mode, onModeChange, onReschedule, onCreateForDate, onOpenDetail }) => {
+  /** @type {Date} Día de referencia del periodo mostrado */
+  const [anchor, setAnchor] = useState(() => new Date());
+
+  /** @type {Object|null} Todo que se está arrastrando {todo, dayKey} */
+  const [dragging, setDragging] = useState(null);
+
+  /** @type {string|null} Día sobre el que está el todo arrastrado */
+  const [overDayKey, setOverDayKey] = useState(null);
+
+  /** @type {number|string|null} Todo que se está guardando tras moverlo */
+  const [movingId, setMovingId] = useState(null);
+
+  /** @type {string} Aviso del último movimiento (también para lectores de pantalla) */
+  const [notice, setNotice] = useState('');
+
+  const days = getCalendarDays(anchor, mode);
+  const todosByDay = groupTodosByDay(todos);
+  const undatedCount = todos.filter(todo => !todo.dueDate).length;
+
+  /**
+   * 🔀 MOVER UN TODO A OTRO DÍA
+   *
+   * @param {Object} todo - Todo movido
+   * @param {string} fromDayKey - Día de origen
+   * @param {string} targetDayKey - Día de destino
+   */
+  const moveTodo = async (todo, fromDayKey, targetDayKey) => {
+    if (fromDayKey === targetDayKey) return;
+
+    setMovingId(todo.id);
+    setNotice(`"${todo.title}" movido al ${format(parseISO(targetDayKey), "d 'de' MMMM", { locale: es })}`);
+    try {
+      await onReschedule(todo, targetDayKey);
+    } catch {
+      setNotice('');
+      // ⚠️ Los errores se notifican con toast desde useTodos
+    } finally {
+      setMovingId(null);
+    }
+  };
+
+  /**
+   * ⌨️ MOVER CON EL TECLADO
+   * Si el nuevo día queda fuera del periodo, el calendario lo sigue
+   */
+  const handleKeyMove = (todo, dayKey, step) => {
+    const target = shiftDayKey(dayKey, step);
+    if (!days.some(day => toDayKey(day) === target)) {
+      setAnchor(parseISO(target));
+    }
+    moveTodo(todo, dayKey, target);
+  };
+
+  /**
+   * 📥 SOLTAR UN TODO EN UN DÍA
+   */
+  const handleDrop = (e, dayKey) => {
+    e.preventDefault();
+    setOverDayKey(null);
+    if (dragging) moveTodo(dragging.todo, dragging.dayKey, dayKey);
+    setDragging(null);
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* 🧭 NAVEGACIÓN Y VISTA */}
+      <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+        <div className="flex items-center gap-1">
+          <Button variant="ghost" size="sm" onClick={() => setAnchor(shiftCalendarDate(anchor, mode, -1))} title="Anterior">
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <Button variant="secondary" size="sm" onClick={() => setAnchor(new Date())}>
+            Hoy
+          </Button>
+          <Button variant="ghost" size="sm" onClick={() => setAnchor(shiftCalendarDate(anchor, mode, 1))} title="Siguiente">
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+          <h3 className="ml-2 text-base font-semibold text-gray-900">{getCalendarTitle(anchor, mode)}</h3>
+        </div>
+        <div className="sm:ml-auto sm:w-36">
+          <Select
+            value={mode}
+            onChange={(e) => onModeChange(e.target.value)}
+            options={CALENDAR_MODES}
+            aria-label="Vista del calendario"
+          />
+        </div>
+      </div>
+
+      <p className="text-sm text-gray-600" aria-live="polite">
+        {notice || (undatedCount > 0 && `${undatedCount} todos sin fecha límite no aparecen en el calendario`)}
+      </p>
+
+      {/* 🗓️ CUADRÍCULA */}
+      <div className="overflow-x-auto">
+        <div className="grid grid-cols-7 min-w-[42rem] border-t border-l border-gray-200">
+          {WEEKDAY_LABELS.map(label => (
+            <div key={label} className="px-2 py-1 text-xs font-medium text-gray-500 bg-gray-50 border-r border-b border-gray-200">
+              {label}
+            </div>
+          ))}
+
+          {days.map(day => {
+            const dayKey = toDayKey(day);
+            const dayTodos = todosByDay[dayKey] || [];
+            const visibleTodos = mode === 'month' ? dayTodos.slice(0, MAX_TODOS_PER_DAY) : dayTodos;
+            const hiddenCount = dayTodos.length - visibleTodos.length;
+            const isDropTarget = overDayKey === dayKey && dragging && dragging.dayKey !== dayKey;
+            const outsideMonth = mode === 'month' && !isSameMonth(day, anchor);
+
+            return (
+              <section
+                key={dayKey}
+                aria-label={format(day, "EEEE d 'de' MMMM", { locale: es })}
+                onDragOver={(e) => {
+                  if (!dragging) return;
+                  e.preventDefault();
+                  e.dataTransfer.dropEffect = 'move';
+                  setOverDayKey(dayKey);
+                }}
+                onDragLeave={() => setOverDayKey(current => (current === dayKey ? null : current))}
+                onDrop={(e) => handleDrop(e, dayKey)}
+                className={`
+                  p-1 space-y-1 border-r border-b border-gray-200
+                  ${mode === 'week' ? 'min-h-[16rem]' : 'min-h-[6.5rem]'}
+                  ${isDropTarget ? 'bg-blue-50' : outsideMonth ? 'bg-gray-50' : 'bg-white'}
+                `}
+              >
+                {/* ➕ NÚMERO DEL DÍA: CREAR UN TODO QUE VENCE ESE DÍA */}
+                <button
+                  type="button"
+                  onClick={() => onCreateForDate(dayKey)}
+                  title="Nuevo todo este día"
+                  aria-label={`Nuevo todo el ${format(day, "d 'de' MMMM", { locale: es })}`}
+                  className="group w-full flex items-center justify-between text-xs rounded px-1 hover:bg-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <span
+                    className={`
+                      inline-flex items-center justify-center h-6 min-w-[1.5rem] rounded-full
+                      ${isToday(day) ? 'bg-blue-600 text-white font-semibold' : outsideMonth ? 'text-gray-400' : 'text-gray-700'}
+                    `}
+                  >
+                    {format(day, 'd')}
+                  </span>
+                  <Plus className="h-3 w-3 text-gray-400 opacity-0 group-hover:opacity-100 group-focus:opacity-100" />
+                </button>
+
+                {visibleTodos.map(todo => (
+                  <CalendarTodo
+                    key={todo.id}
+                    todo={todo}
+                    dayKey={dayKey}
+                    isMoving={movingId === todo.id}
+                    onDragStart={(draggedTodo, fromDayKey) => setDragging({ todo: draggedTodo, dayKey: fromDayKey })}
+                    onDragEnd={() => {
+                      setDragging(null);
+                      setOverDayKey(null);
+                    }}
+                    onKeyMove={handleKeyMove}
+                    onOpenDetail={onOpenDetail}
+                  />
+                ))}
+
+                {hiddenCount > 0 && (
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setAnchor(day);
+                      onModeChange('week');
+                    }}
+                    className="text-xs text-blue-700 hover:underline px-1"
+                  >
+                    +{hiddenCount} más
+                  </button>
+                )}
+              </section>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TodoCalendar;
@@ -0,0 +1 @@
+export { default as TodoCalendar } from './TodoCalendar';
\ No newline at end of file
@@ -1,2 +1,14 @@
 export * from './ui';
-export * from './todo';
\ No newline at end of file
+export * from './todo';
+export * from './layout';
+export * from './list';
+export * from './reminder';
+export * from './activity';
+export * from './time';
+export * from './template';
+export * from './trash';
+export * from './board';
+export * from './calendar';
+export * from './stats';
+export * from './streak';
+export * from './view';
\ No newline at end of file
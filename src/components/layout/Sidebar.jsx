@@ -0,0 +1,70 @@
+/**
+ * 🧭 COMPONENTE SIDEBAR
+ *
+ * Barra lateral de navegación de la aplicación. Es solo un contenedor:
+ * cada bloque de navegación (listas, etc.) se pasa como SidebarSection.
+ *
+ * Características:
+ * - Columna fija en desktop, bloque plegable en móvil
+ * - Secciones con título y acción opcional
+ *
+ * Props:
+ * @param {ReactNode} children - Secciones de la barra lateral
+ * @param {string} className - Classes CSS adicionales
+ */
+
+import React, { useState } from 'react';
+import { Menu, X } from 'lucide-react';
+
+/**
+ * 📂 SECCIÓN DE LA BARRA LATERAL
+ *
+ * @param {string} title - Título de la sección
+ * @param {ReactNode} action - Elemento opcional a la derecha del título (p. ej. botón "+")
+ * @param {ReactNode} children - Contenido de la sección
+ */
+export const SidebarSection = ({ title, action, children }) => (
+  <section className="py-3 first:pt-0">
+    <div className="flex items-center justify-between px-2 mb-1">
+      <h2 className="text-xs font-semibold uppercase tracking-wide text-gray-500">{title}</h2>
+      {action}
+    </div>
+    {children}
+  </section>
+);
+
+/**
+ * Componente contenedor de la barra lateral
+ */
+const Sidebar = ({ children, className = '' }) => {
+  /** @type {boolean} Si la barra está desplegada en móvil */
+  const [isOpen, setIsOpen] = useState(false);
+
+  return (
+    <aside className={`lg:w-64 flex-shrink-0 ${className}`}>
+      {/* 📱 BOTÓN PARA DESPLEGAR EN MÓVIL */}
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="lg:hidden flex items-center space-x-2 mb-3 text-sm font-medium text-gray-700"
+        aria-expanded={isOpen}
+      >
+        {isOpen ? <X className="h-4 w-4" /> : <Menu className="h-4 w-4" />}
+        <span>Navegación</span>
+      </button>
+
+      {/* 📂 SECCIONES */}
+      <nav
+        className={`
+          ${isOpen ? 'block' : 'hidden'} lg:block
+          bg-white border border-gray-200 rounded-lg p-3 shadow-sm divide-y divide-gray-100
+          mb-4 lg:mb-0
+        `}
+      >
+        {children}
+      </nav>
+    </aside>
+  );
+};
+
+export default Sidebar;
@@ -0,0 +1 @@
+export { default as Sidebar, SidebarSection } from './Sidebar';
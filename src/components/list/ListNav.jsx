@@ -0,0 +1,208 @@
+/**
+ * 📚 NAVEGACIÓN DE LISTAS
+ *
+ * Sección de la barra lateral con las listas (proyectos) del usuario.
+ * Cada lista enlaza a su propia URL (/lists/:listId).
+ *
+ * Funcionalidades:
+ * - Enlace a cada lista con la activa resaltada
+ * - Crear listas nuevas
+ * - Renombrar en línea
+ * - Reordenar con botones subir/bajar (accesibles por teclado)
+ * - Eliminar con confirmación (la Bandeja de entrada no se puede eliminar)
+ *
+ * Props:
+ * @param {Array} lists - Listas {id, name} en orden
+ * @param {Object} counts - Mapa {listId: número de todos pendientes}
+ * @param {Function} onCreate - Callback (name) => lista creada
+ * @param {Function} onRename - Callback (id, name)
+ * @param {Function} onDelete - Callback (id)
+ * @param {Function} onMove - Callback (id, direction)
+ */
+
+import React, { useState } from 'react';
+import { NavLink } from 'react-router-dom';
+import { Inbox, List, Plus, Pencil, Trash2, ChevronUp, ChevronDown, Check } from 'lucide-react';
+import { SidebarSection } from '../layout';
+import { DEFAULT_LIST_ID } from '../../services';
+
+/**
+ * Fila de una lista con sus acciones
+ */
+const ListRow = ({ list, count, isFirst, isLast, onRename, onDelete, onMove }) => {
+  /** @type {boolean} Si se está renombrando */
+  const [isEditing, setIsEditing] = useState(false);
+
+  /** @type {string} Nombre en edición */
+  const [name, setName] = useState(list.name);
+
+  const isDefault = list.id === DEFAULT_LIST_ID;
+  const Icon = isDefault ? Inbox : List;
+
+  /**
+   * 💾 CONFIRMAR RENOMBRADO
+   */
+  const commitRename = () => {
+    try {
+      if (name.trim() !== list.name) onRename(list.id, name);
+      setIsEditing(false);
+    } catch {
+      // ⚠️ Error notificado con toast por useLists; se mantiene la edición
+    }
+  };
+
+  /**
+   * 🗑️ ELIMINAR CON CONFIRMACIÓN
+   */
+  const handleDelete = () => {
+    if (window.confirm(`¿Eliminar la lista "${list.name}"? Sus todos pasarán a la Bandeja de entrada.`)) {
+      onDelete(list.id);
+    }
+  };
+
+  // ✏️ MODO EDICIÓN
+  if (isEditing) {
+    return (
+      <li className="flex items-center space-x-1 px-2 py-1">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') commitRename();
+            if (e.key === 'Escape') {
+              setName(list.name);
+              setIsEditing(false);
+            }
+          }}
+          autoFocus
+          maxLength={50}
+          className="flex-grow min-w-0 text-sm px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+          aria-label={`Nuevo nombre para ${list.name}`}
+        />
+        <button type="button" onClick={commitRename} className="p-1 text-blue-600" title="Guardar">
+          <Check className="h-4 w-4" />
+        </button>
+      </li>
+    );
+  }
+
+  return (
+    <li className="group flex items-center">
+      {/* 🔗 ENLACE A LA LISTA */}
+      <NavLink
+        to={`/lists/${list.id}`}
+        className={({ isActive }) => `
+          flex-grow flex items-center min-w-0 px-2 py-1.5 rounded-md text-sm transition-colors
+          ${isActive ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-700 hover:bg-gray-50'}
+        `}
+      >
+        <Icon className="h-4 w-4 mr-2 flex-shrink-0" />
+        <span className="truncate">{list.name}</span>
+        {count > 0 && <span className="ml-auto pl-2 text-xs text-gray-400">{count}</span>}
+      </NavLink>
+
+      {/* 🛠️ ACCIONES (visibles al pasar el ratón o con foco) */}
+      {!isDefault && (
+        <div className="flex items-center opacity-0 group-hover:opacity-100 group-focus-within:opacity-100">
+          <button type="button" onClick={() => onMove(list.id, -1)} disabled={isFirst}
+            className="p-0.5 text-gray-400 hover:text-gray-700 disabled:opacity-30" title="Subir">
+            <ChevronUp className="h-3.5 w-3.5" />
+          </button>
+          <button type="button" onClick={() => onMove(list.id, 1)} disabled={isLast}
+            className="p-0.5 text-gray-400 hover:text-gray-700 disabled:opacity-30" title="Bajar">
+            <ChevronDown className="h-3.5 w-3.5" />
+          </button>
+          <button type="button" onClick={() => setIsEditing(true)}
+            className="p-0.5 text-gray-400 hover:text-gray-700" title="Renombrar">
+            <Pencil className="h-3.5 w-3.5" />
+          </button>
+          <button type="button" onClick={handleDelete}
+            className="p-0.5 text-gray-400 hover:text-red-600" title="Eliminar">
+            <Trash2 className="h-3.5 w-3.5" />
+          </button>
+        </div>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Componente principal de navegación de listas
+ */
+const ListNav = ({ lists, counts = {}, onCreate, onRename, onDelete, onMove }) => {
+  /** @type {boolean} Si se muestra el campo de nueva lista */
+  const [isCreating, setIsCreating] = useState(false);
+
+  /** @type {string} Nombre de la nueva lista */
+  const [newName, setNewName] = useState('');
+
+  /**
+   * ➕ CREAR LISTA
+   */
+  const handleCreate = () => {
+    try {
+      onCreate(newName);
+      setNewName('');
+      setIsCreating(false);
+    } catch {
+      // ⚠️ Error notificado con toast por useLists; se mantiene el campo abierto
+    }
+  };
+
+  // Solo las listas personalizadas se reordenan (la Bandeja de entrada es fija)
+  const customLists = lists.filter(list => list.id !== DEFAULT_LIST_ID);
+
+  return (
+    <SidebarSection
+      title="Listas"
+      action={
+        <button
+          type="button"
+          onClick={() => setIsCreating(!isCreating)}
+          className="p-1 rounded text-gray-500 hover:bg-gray-100"
+          title="Nueva lista"
+        >
+          <Plus className="h-4 w-4" />
+        </button>
+      }
+    >
+      <ul className="space-y-0.5">
+        {lists.map(list => (
+          <ListRow
+            key={list.id}
+            list={list}
+            count={counts[list.id] || 0}
+            isFirst={customLists[0]?.id === list.id}
+            isLast={customLists[customLists.length - 1]?.id === list.id}
+            onRename={onRename}
+            onDelete={onDelete}
+            onMove={onMove}
+          />
+        ))}
+      </ul>
+
+      {/* ➕ CAMPO DE NUEVA LISTA */}
+      {isCreating && (
+        <div className="flex items-center space-x-1 px-2 pt-2">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleCreate();
+              if (e.key === 'Escape') setIsCreating(false);
+            }}
+            autoFocus
+            maxLength={50}
+            placeholder="Nombre de la lista..."
+            className="flex-grow min-w-0 text-sm px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+          />
+          <button type="button" onClick={handleCreate} className="p-1 text-blue-600" title="Crear lista">
+            <Check className="h-4 w-4" />
+          </button>
+        </div>
+      )}
+    </SidebarSection>
+  );
+};
+
+export default ListNav;
@@ -0,0 +1,56 @@
+/**
+ * ✨ NAVEGACIÓN DE LISTAS INTELIGENTES
+ *
+ * Sección de la barra lateral con las listas calculadas a partir de la
+ * fecha límite y el estado de los todos de todas las listas. Cada una
+ * enlaza a su propia URL (/smart/:smartListId).
+ *
+ * Props:
+ * @param {Object} counts - Mapa {smartListId: número de todos} (ver getSmartListCounts)
+ */
+
+import React from 'react';
+import { NavLink } from 'react-router-dom';
+import { Sun, CalendarRange, AlertCircle, CalendarOff, CheckCircle2 } from 'lucide-react';
+import { SidebarSection } from '../layout';
+import { SMART_LISTS } from '../../utils';
+
+/** Icono de cada lista inteligente */
+const SMART_LIST_ICONS = {
+  today: Sun,
+  upcoming: CalendarRange,
+  overdue: AlertCircle,
+  'no-date': CalendarOff,
+  'completed-week': CheckCircle2,
+};
+
+/**
+ * Componente de navegación de listas inteligentes
+ */
+const SmartListNav = ({ counts = {} }) => (
+  <SidebarSection title="Listas inteligentes">
+    <ul className="space-y-0.5">
+      {SMART_LISTS.map(smartList => {
+        const Icon = SMART_LIST_ICONS[smartList.id];
+        const count = counts[smartList.id] || 0;
+        return (
+          <li key={smartList.id}>
+            <NavLink
+              to={`/smart/${smartList.id}`}
+              className={({ isActive }) => `
+                flex items-center min-w-0 px-2 py-1.5 rounded-md text-sm transition-colors
+                ${isActive ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-700 hover:bg-gray-50'}
+              `}
+            >
+              <Icon className={`h-4 w-4 mr-2 flex-shrink-0 ${smartList.id === 'overdue' && count > 0 ? 'text-red-600' : ''}`} />
+              <span className="truncate">{smartList.name}</span>
+              {count > 0 && <span className="ml-auto pl-2 text-xs text-gray-400">{count}</span>}
+            </NavLink>
+          </li>
+        );
+      })}
+    </ul>
+  </SidebarSection>
+);
+
+export default SmartListNav;
@@ -0,0 +1,3 @@
+export { default as ListNav } from './ListNav';
+
+export { default as SmartListNav } from './SmartListNav';
\ No newline at end of file
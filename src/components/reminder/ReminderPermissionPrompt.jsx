@@ -0,0 +1,40 @@
+/**
+ * 🔐 PETICIÓN DE PERMISO DE NOTIFICACIONES
+ *
+ * Banner que invita a activar las notificaciones del sistema. Se muestra
+ * cuando hay todos con recordatorios y el navegador aún no tiene permiso.
+ * El navegador solo permite pedir el permiso tras una acción del usuario,
+ * por eso no se solicita automáticamente.
+ *
+ * Props:
+ * @param {Function} onAllow - Callback para pedir el permiso
+ * @param {Function} onDismiss - Callback para no volver a mostrar el banner
+ */
+
+import React from 'react';
+import { BellRing } from 'lucide-react';
+import { Button } from '../ui';
+
+/**
+ * Componente de banner de permiso
+ */
+const ReminderPermissionPrompt = ({ onAllow, onDismiss }) => {
+  return (
+    <div className="flex flex-col sm:flex-row sm:items-center gap-3 bg-amber-50 border border-amber-200 rounded-lg p-3 sm:p-4">
+      <BellRing className="hidden sm:block h-5 w-5 text-amber-500 flex-shrink-0" />
+      <p className="flex-1 text-sm text-amber-900">
+        Activa las notificaciones para recibir tus recordatorios aunque estés en otra pestaña.
+      </p>
+      <div className="flex space-x-2">
+        <Button size="sm" variant="ghost" onClick={onDismiss}>
+          Ahora no
+        </Button>
+        <Button size="sm" onClick={onAllow}>
+          Activar
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ReminderPermissionPrompt;
@@ -0,0 +1,78 @@
+/**
+ * ⚙️ AJUSTES DE RECORDATORIOS
+ *
+ * Panel para configurar los recordatorios del navegador.
+ *
+ * Funcionalidades:
+ * - Activar o desactivar todos los recordatorios
+ * - Estado del permiso de notificaciones y botón para concederlo
+ * - Aviso de que los recordatorios solo funcionan con la aplicación abierta
+ *
+ * Props:
+ * @param {Object} settings - Ajustes {enabled}
+ * @param {string} permission - 'granted', 'denied', 'default' o 'unsupported'
+ * @param {Function} onToggle - Callback (enabled)
+ * @param {Function} onRequestPermission - Callback para pedir permiso
+ * @param {Function} onClose - Callback para cerrar el panel
+ */
+
+import React from 'react';
+import { X, Bell } from 'lucide-react';
+import { Button } from '../ui';
+
+/** Descripción de cada estado del permiso */
+const PERMISSION_TEXT = {
+  granted: 'Notificaciones del sistema activadas.',
+  default: 'Sin permiso todavía: los avisos se muestran dentro de la aplicación.',
+  denied: 'Notificaciones bloqueadas en el navegador: los avisos se muestran dentro de la aplicación.',
+  unsupported: 'Este navegador no admite notificaciones: los avisos se muestran dentro de la aplicación.',
+};
+
+/**
+ * Componente de panel de ajustes de recordatorios
+ */
+const ReminderSettings = ({ settings, permission, onToggle, onRequestPermission, onClose }) => {
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 sm:p-6 shadow-sm">
+      {/* 📋 HEADER DEL PANEL */}
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <Bell className="h-5 w-5 text-gray-500" />
+          <h3 className="text-base sm:text-lg font-semibold text-gray-900">Recordatorios</h3>
+        </div>
+        <Button variant="ghost" size="sm" onClick={onClose} className="p-1 sm:p-2">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+
+      <div className="space-y-4">
+        {/* 🔛 ACTIVAR/DESACTIVAR */}
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            checked={settings.enabled}
+            onChange={(e) => onToggle(e.target.checked)}
+          />
+          <span>Activar recordatorios</span>
+        </label>
+
+        {/* 🔐 PERMISO DE NOTIFICACIONES */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+          <p className="text-sm text-gray-600">{PERMISSION_TEXT[permission]}</p>
+          {permission === 'default' && (
+            <Button size="sm" variant="secondary" onClick={onRequestPermission} className="w-fit">
+              Permitir notificaciones
+            </Button>
+          )}
+        </div>
+
+        <p className="text-xs text-gray-500">
+          Los recordatorios solo se envían mientras la aplicación está abierta en alguna pestaña.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ReminderSettings;
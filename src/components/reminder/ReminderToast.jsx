@@ -0,0 +1,96 @@
+/**
+ * 🔔 AVISO DE RECORDATORIO EN LA APLICACIÓN
+ *
+ * Toast persistente que se muestra cuando vence un recordatorio y no se
+ * puede usar la notificación del sistema (o al hacer click en ella).
+ *
+ * Características:
+ * - Título y vencimiento del todo
+ * - Botones para posponer (5 min, 15 min, 1 hora)
+ * - Permanece visible hasta que el usuario lo descarta
+ *
+ * Props:
+ * @param {Object} reminder - Aviso {key, todo, offset, fireAt}
+ * @param {boolean} visible - Si el toast está visible (para la animación)
+ * @param {Function} onSnooze - Callback (minutes) para posponer
+ * @param {Function} onDismiss - Callback para cerrar el aviso
+ */
+
+import React from 'react';
+import toast from 'react-hot-toast';
+import { BellRing, X } from 'lucide-react';
+import { SNOOZE_OPTIONS, describeReminder, formatDueDate } from '../../utils';
+
+/**
+ * Componente de contenido del aviso
+ */
+const ReminderToast = ({ reminder, visible = true, onSnooze, onDismiss }) => {
+  const { todo } = reminder;
+
+  return (
+    <div
+      role="alert"
+      className={`
+        w-full max-w-sm bg-white border border-amber-200 rounded-lg shadow-lg p-4
+        transition-opacity ${visible ? 'opacity-100' : 'opacity-0'}
+      `}
+    >
+      <div className="flex items-start">
+        <BellRing className="h-5 w-5 text-amber-500 mr-3 flex-shrink-0" />
+        <div className="flex-1 min-w-0">
+          <p className="text-sm font-medium text-gray-900 truncate">{todo.title}</p>
+          <p className="text-xs text-gray-600 mt-0.5">
+            Vence {formatDueDate(todo.dueDate, todo.hasDueTime)} · {describeReminder(reminder.offset)}
+          </p>
+
+          {/* 😴 POSPONER */}
+          <div className="flex items-center flex-wrap gap-1 mt-2">
+            <span className="text-xs text-gray-500 mr-1">Posponer:</span>
+            {SNOOZE_OPTIONS.map(option => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => onSnooze(option.value)}
+                className="px-2 py-0.5 text-xs rounded border border-gray-300 text-gray-700 hover:bg-gray-50"
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={onDismiss}
+          className="ml-2 p-1 text-gray-400 hover:text-gray-600"
+          aria-label="Cerrar recordatorio"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * 📣 MOSTRAR AVISO DE RECORDATORIO
+ *
+ * Abre el toast del recordatorio (uno por aviso: si ya está abierto se reemplaza).
+ *
+ * @param {Object} reminder - Aviso {key, todo, offset, fireAt}
+ * @param {Function} onSnooze - Callback (key, minutes) para posponer
+ */
+export const showReminderToast = (reminder, onSnooze) => {
+  toast.custom((t) => (
+    <ReminderToast
+      reminder={reminder}
+      visible={t.visible}
+      onSnooze={(minutes) => {
+        onSnooze(reminder.key, minutes);
+        toast.dismiss(t.id);
+      }}
+      onDismiss={() => toast.dismiss(t.id)}
+    />
+  ), { id: reminder.key, duration: Infinity });
+};
+
+export default ReminderToast;
@@ -0,0 +1,3 @@
+export { default as ReminderToast, showReminderToast } from './ReminderToast';
+export { default as ReminderSettings } from './ReminderSettings';
+export { default as ReminderPermissionPrompt } from './ReminderPermissionPrompt';
@@ -0,0 +1,51 @@
+/**
+ * 📶 GRÁFICO DE DESGLOSE
+ *
+ * Una barra horizontal por categoría (prioridad, etiqueta...): la longitud
+ * es el total de todos y la parte oscura los completados.
+ *
+ * Props:
+ * @param {Array<Object>} items - Categorías [{key, label, total, completed}]
+ * @param {string} emptyMessage - Texto si no hay categorías con todos
+ */
+
+import React from 'react';
+
+/**
+ * Componente de gráfico de desglose
+ */
+const BreakdownChart = ({ items, emptyMessage = 'Sin datos' }) => {
+  const max = Math.max(0, ...items.map(item => item.total));
+
+  if (max === 0) {
+    return <p className="text-sm text-gray-500">{emptyMessage}</p>;
+  }
+
+  return (
+    <ul className="space-y-3">
+      {items.map(item => (
+        <li key={item.key}>
+          <div className="flex justify-between text-sm mb-1">
+            <span className="text-gray-700 truncate">{item.label}</span>
+            <span className="text-gray-500 flex-shrink-0 pl-2">
+              {item.completed} / {item.total} completados
+            </span>
+          </div>
+          <svg
+            viewBox="0 0 100 8"
+            preserveAspectRatio="none"
+            className="w-full h-2"
+            role="img"
+            aria-label={`${item.label}: ${item.total} todos, ${item.completed} completados`}
+          >
+            <rect x="0" y="0" width="100" height="8" rx="2" fill="#f3f4f6" />
+            <rect x="0" y="0" width={(item.total / max) * 100} height="8" rx="2" fill="#bfdbfe" />
+            <rect x="0" y="0" width={(item.completed / max) * 100} height="8" rx="2" fill="#2563eb" />
+          </svg>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default BreakdownChart;
@@ -0,0 +1,55 @@
+/**
+ * 🍩 ANILLO DE PORCENTAJE COMPLETADO
+ *
+ * Gráfico SVG circular con el porcentaje en el centro.
+ *
+ * Props:
+ * @param {number} value - Porcentaje de 0 a 100
+ * @param {string} label - Texto bajo el porcentaje
+ * @param {number} size - Tamaño en píxeles (default: 120)
+ */
+
+import React from 'react';
+
+/** Radio y grosor del anillo en unidades del viewBox (100 x 100) */
+const RADIUS = 42;
+const STROKE = 10;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+/**
+ * Componente de anillo de porcentaje
+ */
+const CompletionRing = ({ value, label, size = 120 }) => {
+  const clamped = Math.min(100, Math.max(0, value));
+
+  return (
+    <svg
+      width={size}
+      height={size}
+      viewBox="0 0 100 100"
+      role="img"
+      aria-label={`${clamped}% ${label}`}
+    >
+      <circle cx="50" cy="50" r={RADIUS} fill="none" stroke="#e5e7eb" strokeWidth={STROKE} />
+      <circle
+        cx="50"
+        cy="50"
+        r={RADIUS}
+        fill="none"
+        stroke="#16a34a"
+        strokeWidth={STROKE}
+        strokeLinecap="round"
+        strokeDasharray={`${(clamped / 100) * CIRCUMFERENCE} ${CIRCUMFERENCE}`}
+        transform="rotate(-90 50 50)"
+      />
+      <text x="50" y="50" textAnchor="middle" className="fill-gray-900 font-bold" fontSize="20">
+        {clamped}%
+      </text>
+      <text x="50" y="66" textAnchor="middle" className="fill-gray-500" fontSize="9">
+        {label}
+      </text>
+    </svg>
+  );
+};
+
+export default CompletionRing;
@@ -0,0 +1,88 @@
+/**
+ * 📊 GRÁFICO DE CREADOS Y COMPLETADOS POR SEMANA
+ *
+ * Barras SVG agrupadas: creados (azul) y completados (verde) de cada
+ * semana, con la cifra al pasar el ratón.
+ *
+ * Props:
+ * @param {Array<Object>} weeks - Semanas [{label, created, completed}] (ver getWeeklyActivity)
+ */
+
+import React from 'react';
+
+/** Dimensiones del viewBox */
+const WIDTH = 480;
+const HEIGHT = 200;
+const AXIS_HEIGHT = 20; // Espacio inferior para las fechas
+const TOP_PADDING = 16; // Espacio superior para las cifras
+
+/** Series del gráfico */
+const SERIES = [
+  { key: 'created', label: 'Creados', color: '#3b82f6' },
+  { key: 'completed', label: 'Completados', color: '#16a34a' },
+];
+
+/**
+ * Componente de gráfico semanal
+ */
+const WeeklyActivityChart = ({ weeks }) => {
+  const max = Math.max(1, ...weeks.flatMap(week => SERIES.map(series => week[series.key])));
+  const chartHeight = HEIGHT - AXIS_HEIGHT - TOP_PADDING;
+  const groupWidth = WIDTH / weeks.length;
+  const barWidth = Math.min(18, (groupWidth - 8) / SERIES.length);
+
+  return (
+    <div className="space-y-2">
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto"
+        role="img"
+        aria-label="Todos creados y completados por semana"
+      >
+        {/* Línea base */}
+        <line x1="0" x2={WIDTH} y1={HEIGHT - AXIS_HEIGHT} y2={HEIGHT - AXIS_HEIGHT} stroke="#e5e7eb" />
+
+        {weeks.map((week, index) => {
+          const groupX = index * groupWidth + (groupWidth - barWidth * SERIES.length) / 2;
+          return (
+            <g key={week.label}>
+              {SERIES.map((series, seriesIndex) => {
+                const value = week[series.key];
+                const barHeight = (value / max) * chartHeight;
+                const x = groupX + seriesIndex * barWidth;
+                const y = HEIGHT - AXIS_HEIGHT - barHeight;
+                return (
+                  <g key={series.key}>
+                    <rect x={x} y={y} width={barWidth - 2} height={barHeight} rx="2" fill={series.color}>
+                      <title>{`${series.label} la semana del ${week.label}: ${value}`}</title>
+                    </rect>
+                    {value > 0 && (
+                      <text x={x + (barWidth - 2) / 2} y={y - 3} textAnchor="middle" fontSize="9" className="fill-gray-500">
+                        {value}
+                      </text>
+                    )}
+                  </g>
+                );
+              })}
+              <text x={index * groupWidth + groupWidth / 2} y={HEIGHT - 6} textAnchor="middle" fontSize="10" className="fill-gray-500">
+                {week.label}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+
+      {/* Leyenda */}
+      <div className="flex items-center gap-4 text-xs text-gray-600">
+        {SERIES.map(series => (
+          <span key={series.key} className="inline-flex items-center">
+            <span className="inline-block h-2.5 w-2.5 rounded-sm mr-1" style={{ backgroundColor: series.color }} />
+            {series.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default WeeklyActivityChart;
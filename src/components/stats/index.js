@@ -0,0 +1,3 @@
+export { default as CompletionRing } from './CompletionRing';
+export { default as WeeklyActivityChart } from './WeeklyActivityChart';
+export { default as BreakdownChart } from './BreakdownChart';
\ No newline at end of file
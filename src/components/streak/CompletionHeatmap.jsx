@@ -0,0 +1,98 @@
+/**
+ * 🟩 MAPA DE ACTIVIDAD ANUAL
+ *
+ * Cuadrícula SVG al estilo de GitHub: una columna por semana (de lunes a
+ * domingo) y un cuadro por día, más oscuro cuantos más todos se
+ * completaron ese día.
+ *
+ * Props:
+ * @param {Object} countsByDay - Completados por día {"2026-10-19": 3} (ver getCompletionsByDay)
+ */
+
+import React from 'react';
+import { format } from 'date-fns';
+import { es } from 'date-fns/locale';
+import { getHeatmapWeeks, getHeatmapLevel } from '../../utils';
+
+/** Colores de los niveles 0 (ninguno) a 4 */
+const LEVEL_COLORS = ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39'];
+
+/** Tamaño de cada día y separación, en unidades del viewBox */
+const CELL = 11;
+const GAP = 3;
+const LEFT = 28; // Espacio para los días de la semana
+const TOP = 16;  // Espacio para los meses
+
+/** Días de la semana con etiqueta (índice desde el lunes) */
+const WEEKDAY_LABELS = { 0: 'Lun', 2: 'Mié', 4: 'Vie' };
+
+/**
+ * Componente del mapa de actividad
+ */
+const CompletionHeatmap = ({ countsByDay }) => {
+  const weeks = getHeatmapWeeks(countsByDay);
+  const max = Math.max(0, ...weeks.flat().filter(day => !day.future).map(day => day.count));
+  const width = LEFT + weeks.length * (CELL + GAP);
+  const height = TOP + 7 * (CELL + GAP);
+
+  return (
+    <div className="space-y-2">
+      <div className="overflow-x-auto">
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          className="min-w-[40rem] w-full h-auto"
+          role="img"
+          aria-label="Todos completados por día durante el último año"
+        >
+          {/* Días de la semana */}
+          {Object.entries(WEEKDAY_LABELS).map(([weekday, label]) => (
+            <text key={label} x="0" y={TOP + weekday * (CELL + GAP) + CELL - 2} fontSize="9" className="fill-gray-500">
+              {label}
+            </text>
+          ))}
+
+          {weeks.map((week, index) => {
+            const x = LEFT + index * (CELL + GAP);
+            // Nombre del mes en la primera semana que empieza en él
+            const showMonth = index === 0 || week[0].date.getMonth() !== weeks[index - 1][0].date.getMonth();
+            return (
+              <g key={week[0].key}>
+                {showMonth && index < weeks.length - 2 && (
+                  <text x={x} y="10" fontSize="9" className="fill-gray-500">
+                    {format(week[0].date, 'MMM', { locale: es })}
+                  </text>
+                )}
+                {week.map((day, weekday) => !day.future && (
+                  <rect
+                    key={day.key}
+                    x={x}
+                    y={TOP + weekday * (CELL + GAP)}
+                    width={CELL}
+                    height={CELL}
+                    rx="2"
+                    fill={LEVEL_COLORS[getHeatmapLevel(day.count, max)]}
+                  >
+                    <title>
+                      {`${day.count === 0 ? 'Ningún' : day.count} ${day.count === 1 ? 'completado' : 'completados'} el ${format(day.date, "d 'de' MMMM 'de' yyyy", { locale: es })}`}
+                    </title>
+                  </rect>
+                ))}
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      {/* Leyenda */}
+      <div className="flex items-center justify-end gap-1 text-xs text-gray-500">
+        <span className="mr-1">Menos</span>
+        {LEVEL_COLORS.map(color => (
+          <span key={color} className="inline-block h-2.5 w-2.5 rounded-sm" style={{ backgroundColor: color }} />
+        ))}
+        <span className="ml-1">Más</span>
+      </div>
+    </div>
+  );
+};
+
+export default CompletionHeatmap;
@@ -0,0 +1,60 @@
+/**
+ * 🎯 PROGRESO DEL OBJETIVO DIARIO (HEADER)
+ *
+ * Botón compacto con la racha actual y los todos completados hoy frente
+ * al objetivo diario. Al pulsarlo se abre el panel de rachas.
+ *
+ * Props:
+ * @param {number} todayCount - Todos completados hoy
+ * @param {number|null} dailyGoal - Objetivo diario (null = sin objetivo)
+ * @param {number} currentStreak - Días seguidos con algún completado
+ * @param {Function} onClick - Callback al pulsar
+ */
+
+import React from 'react';
+import { Flame } from 'lucide-react';
+
+/**
+ * Componente de progreso del objetivo diario
+ */
+const DailyGoalProgress = ({ todayCount, dailyGoal, currentStreak, onClick }) => {
+  const progress = dailyGoal ? Math.min(100, Math.round((todayCount / dailyGoal) * 100)) : 0;
+  const reached = dailyGoal !== null && todayCount >= dailyGoal;
+
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className="flex items-center space-x-2 px-2 py-1 rounded-md border border-gray-200 hover:bg-gray-50 flex-shrink-0"
+      title={`Racha: ${currentStreak} ${currentStreak === 1 ? 'día' : 'días'}${dailyGoal ? ` · Hoy: ${todayCount} de ${dailyGoal}` : ` · Hoy: ${todayCount}`}`}
+      aria-label="Rachas y objetivo diario"
+    >
+      <span className={`inline-flex items-center text-sm font-medium ${currentStreak > 0 ? 'text-orange-600' : 'text-gray-400'}`}>
+        <Flame className="h-4 w-4 mr-0.5" />
+        {currentStreak}
+      </span>
+      {dailyGoal !== null && (
+        <span className="hidden sm:flex flex-col items-start">
+          <span className={`text-xs ${reached ? 'text-green-700 font-medium' : 'text-gray-600'}`}>
+            {todayCount}/{dailyGoal} hoy
+          </span>
+          <span
+            className="block h-1 w-14 bg-gray-200 rounded-full overflow-hidden"
+            role="progressbar"
+            aria-valuenow={todayCount}
+            aria-valuemin={0}
+            aria-valuemax={dailyGoal}
+            aria-label="Progreso del objetivo diario"
+          >
+            <span
+              className={`block h-full ${reached ? 'bg-green-500' : 'bg-blue-500'}`}
+              style={{ width: `${progress}%` }}
+            />
+          </span>
+        </span>
+      )}
+    </button>
+  );
+};
+
+export default DailyGoalProgress;
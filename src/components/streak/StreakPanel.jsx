@@ -0,0 +1,136 @@
+/**
+ * 🔥 RACHAS Y OBJETIVO DIARIO
+ *
+ * Panel con el mapa de actividad del último año, la racha actual, la más
+ * larga y el ajuste del objetivo diario.
+ *
+ * Funcionalidades:
+ * - Mapa de actividad anual (completados por día)
+ * - Racha actual, racha más larga y completados de hoy
+ * - Fijar o quitar el objetivo diario
+ *
+ * Props:
+ * @param {Object} countsByDay - Completados por día
+ * @param {number} todayCount - Todos completados hoy
+ * @param {number} currentStreak - Días seguidos con algún completado
+ * @param {number} longestStreak - Máximo de días seguidos
+ * @param {number|null} dailyGoal - Objetivo diario (null = sin objetivo)
+ * @param {Function} onDailyGoalChange - Callback (goal|null); lanza si no es válido
+ * @param {Function} onClose - Callback para cerrar el panel
+ */
+
+import React, { useState } from 'react';
+import { X, Flame } from 'lucide-react';
+import { Button, Input } from '../ui';
+import { MAX_DAILY_GOAL } from '../../utils';
+import CompletionHeatmap from './CompletionHeatmap';
+
+/**
+ * Cifra del resumen de rachas
+ */
+const StreakStat = ({ value, label, className = 'text-gray-900' }) => (
+  <div className="text-center">
+    <div className={`text-lg sm:text-2xl font-bold ${className}`}>{value}</div>
+    <div className="text-xs sm:text-sm text-gray-600">{label}</div>
+  </div>
+);
+
+/**
+ * Componente principal del panel de rachas
+ */
+const StreakPanel = ({
+  countsByDay,
+  todayCount,
+  currentStreak,
+  longestStreak,
+  dailyGoal,
+  onDailyGoalChange,
+  onClose
+}) => {
+  /** @type {string} Valor del campo del objetivo diario */
+  const [goalInput, setGoalInput] = useState(dailyGoal === null ? '' : String(dailyGoal));
+
+  /**
+   * 💾 GUARDAR EL OBJETIVO (vacío = sin objetivo)
+   *
+   * @param {Event} e - Evento del formulario
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const value = goalInput.trim();
+    try {
+      onDailyGoalChange(value === '' ? null : Number(value));
+    } catch {
+      // ⚠️ El error se notifica con toast desde useStreaks
+    }
+  };
+
+  /**
+   * 🚫 QUITAR EL OBJETIVO
+   */
+  const handleClear = () => {
+    setGoalInput('');
+    onDailyGoalChange(null);
+  };
+
+  const days = (count) => `${count} ${count === 1 ? 'día' : 'días'}`;
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 sm:p-6 shadow-sm">
+      {/* 📋 HEADER DEL PANEL */}
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <Flame className="h-5 w-5 text-orange-500" />
+          <h3 className="text-base sm:text-lg font-semibold text-gray-900">Rachas y objetivo diario</h3>
+        </div>
+        <Button variant="ghost" size="sm" onClick={onClose} className="p-1 sm:p-2">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {/* 🔢 RESUMEN */}
+      <div className="grid grid-cols-3 gap-2 py-3 border-b border-gray-100">
+        <StreakStat value={days(currentStreak)} label="Racha actual" className="text-orange-600" />
+        <StreakStat value={days(longestStreak)} label="Racha más larga" />
+        <StreakStat
+          value={dailyGoal === null ? todayCount : `${todayCount}/${dailyGoal}`}
+          label="Completados hoy"
+          className={dailyGoal !== null && todayCount >= dailyGoal ? 'text-green-600' : 'text-gray-900'}
+        />
+      </div>
+
+      {/* 🟩 MAPA DE ACTIVIDAD */}
+      <div className="py-3 border-b border-gray-100">
+        <CompletionHeatmap countsByDay={countsByDay} />
+      </div>
+
+      {/* 🎯 OBJETIVO DIARIO */}
+      <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row sm:items-end gap-2 pt-3">
+        <div className="sm:w-56">
+          <Input
+            type="number"
+            min="1"
+            max={MAX_DAILY_GOAL}
+            step="1"
+            label="Objetivo diario"
+            placeholder="Sin objetivo"
+            value={goalInput}
+            onChange={(e) => setGoalInput(e.target.value)}
+          />
+        </div>
+        <div className="flex items-center gap-2">
+          <Button type="submit" size="sm">
+            Guardar
+          </Button>
+          {dailyGoal !== null && (
+            <Button type="button" variant="ghost" size="sm" onClick={handleClear}>
+              Quitar objetivo
+            </Button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default StreakPanel;
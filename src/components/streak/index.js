@@ -0,0 +1,3 @@
+export { default as CompletionHeatmap } from './CompletionHeatmap';
+export { default as DailyGoalProgress } from './DailyGoalProgress';
+export { default as StreakPanel } from './StreakPanel';
\ No newline at end of file
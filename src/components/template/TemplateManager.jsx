@@ -0,0 +1,219 @@
+/**
+ * 📑 GESTOR DE PLANTILLAS
+ *
+ * Panel con las plantillas guardadas. Una plantilla se crea desde un todo
+ * existente (botón "Plantilla" del todo) y se usa desde aquí, desde el
+ * formulario de nuevo todo o desde el alta rápida escribiendo "/nombre".
+ *
+ * Funcionalidades:
+ * - Listado con el contenido de cada plantilla (título, plazo, prioridad,
+ *   etiquetas y subtareas) y su nombre corto para el alta rápida
+ * - Crear un todo a partir de una plantilla
+ * - Renombrar en línea
+ * - Eliminar con confirmación
+ * - Ayuda con los marcadores disponibles ({{fecha}}, {{texto}}...)
+ *
+ * Props:
+ * @param {Array<Object>} templates - Plantillas guardadas
+ * @param {Function} onUse - Callback (template) => Promise para crear un todo
+ * @param {Function} onRename - Callback (id, name)
+ * @param {Function} onDelete - Callback (id)
+ * @param {Function} onClose - Callback para cerrar el panel
+ */
+
+import React, { useState } from 'react';
+import { X, LayoutTemplate, Pencil, Check, Trash2, Plus, CalendarDays, ListChecks } from 'lucide-react';
+import { Button, Input } from '../ui';
+import { TagChip } from '../todo';
+import {
+  getTemplateSlug,
+  describeDueOffset,
+  getPriorityColor,
+  getPriorityIcon,
+  getPriorityLabel,
+  TEMPLATE_PLACEHOLDERS,
+} from '../../utils';
+
+/**
+ * Fila de una plantilla con sus acciones
+ */
+const TemplateRow = ({ template, onUse, onRename, onDelete }) => {
+  /** @type {boolean} Si se está renombrando */
+  const [isEditing, setIsEditing] = useState(false);
+
+  /** @type {string} Nombre en edición */
+  const [name, setName] = useState(template.name);
+
+  /** @type {boolean} Si se está creando un todo con la plantilla */
+  const [isUsing, setIsUsing] = useState(false);
+
+  /**
+   * ✏️ CONFIRMAR RENOMBRADO
+   * Si el nombre no es válido se mantiene el campo abierto (el error se notifica con toast)
+   */
+  const handleRename = () => {
+    try {
+      onRename(template.id, name);
+      setIsEditing(false);
+    } catch {
+      // ⚠️ Notificado desde useTemplates
+    }
+  };
+
+  /**
+   * 🆕 CREAR UN TODO CON LA PLANTILLA
+   */
+  const handleUse = async () => {
+    setIsUsing(true);
+    try {
+      await onUse(template);
+    } catch {
+      // ⚠️ Los errores se notifican con toast desde useTodos
+    } finally {
+      setIsUsing(false);
+    }
+  };
+
+  /**
+   * 🗑️ ELIMINAR CON CONFIRMACIÓN
+   */
+  const handleDelete = () => {
+    if (window.confirm(`¿Eliminar la plantilla "${template.name}"? Los todos creados con ella no cambian.`)) {
+      onDelete(template.id);
+    }
+  };
+
+  return (
+    <li className="flex flex-col sm:flex-row sm:items-start gap-2 py-3">
+      <div className="flex-grow min-w-0 space-y-1">
+        {/* 🏷️ NOMBRE (o campo de edición) Y NOMBRE CORTO */}
+        {isEditing ? (
+          <div className="flex items-center gap-2">
+            <Input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleRename();
+                if (e.key === 'Escape') setIsEditing(false);
+              }}
+              aria-label={`Nuevo nombre para ${template.name}`}
+              autoFocus
+            />
+            <Button size="sm" onClick={handleRename} title="Guardar nombre">
+              <Check className="h-4 w-4" />
+            </Button>
+          </div>
+        ) : (
+          <div className="flex items-center gap-2">
+            <span className="text-sm font-medium text-gray-900 truncate">{template.name}</span>
+            <code className="text-xs text-gray-500 bg-gray-100 rounded px-1">/{getTemplateSlug(template.name)}</code>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => {
+                setName(template.name);
+                setIsEditing(true);
+              }}
+              className="p-1"
+              title="Renombrar plantilla"
+            >
+              <Pencil className="h-3 w-3" />
+            </Button>
+          </div>
+        )}
+
+        {/* 📋 CONTENIDO DE LA PLANTILLA */}
+        <p className="text-sm text-gray-600 truncate">{template.title}</p>
+        <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+          <span className={`inline-flex items-center px-2 py-0.5 rounded-full font-medium border ${getPriorityColor(template.priority)}`}>
+            <span className="mr-1">{getPriorityIcon(template.priority)}</span>
+            {getPriorityLabel(template.priority)}
+          </span>
+          <span className="inline-flex items-center">
+            <CalendarDays className="h-3 w-3 mr-1" />
+            {describeDueOffset(template.dueOffset)}
+          </span>
+          {template.subtasks.length > 0 && (
+            <span className="inline-flex items-center">
+              <ListChecks className="h-3 w-3 mr-1" />
+              {template.subtasks.length} subtareas
+            </span>
+          )}
+          {template.tags.map(tag => (
+            <TagChip key={tag} tag={tag} />
+          ))}
+        </div>
+      </div>
+
+      {/* 🛠️ ACCIONES */}
+      <div className="flex items-center gap-1 flex-shrink-0">
+        <Button size="sm" variant="secondary" onClick={handleUse} loading={isUsing} title="Crear un todo con esta plantilla">
+          <Plus className="h-4 w-4 mr-1" />
+          Usar
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={handleDelete}
+          className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50"
+          title="Eliminar plantilla"
+        >
+          <Trash2 className="h-4 w-4" />
+        </Button>
+      </div>
+    </li>
+  );
+};
+
+/**
+ * Componente principal del gestor de plantillas
+ */
+const TemplateManager = ({ templates, onUse, onRename, onDelete, onClose }) => {
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 sm:p-6 shadow-sm">
+      {/* 📋 HEADER DEL PANEL */}
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <LayoutTemplate className="h-5 w-5 text-gray-500" />
+          <h3 className="text-base sm:text-lg font-semibold text-gray-900">Plantillas</h3>
+        </div>
+        <Button variant="ghost" size="sm" onClick={onClose} className="p-1 sm:p-2">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {/* 📭 SIN PLANTILLAS */}
+      {templates.length === 0 ? (
+        <p className="text-sm text-gray-500 py-4">
+          Todavía no hay plantillas. Guarda cualquier todo como plantilla con su botón "Plantilla".
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {templates.map(template => (
+            <TemplateRow
+              key={template.id}
+              template={template}
+              onUse={onUse}
+              onRename={onRename}
+              onDelete={onDelete}
+            />
+          ))}
+        </ul>
+      )}
+
+      {/* ❓ AYUDA DE MARCADORES */}
+      <p className="mt-3 pt-3 border-t border-gray-100 text-xs text-gray-500">
+        En el título, la descripción y las subtareas puedes usar{' '}
+        {TEMPLATE_PLACEHOLDERS.map(({ key, label }, index) => (
+          <React.Fragment key={key}>
+            {index > 0 && ', '}
+            <code className="bg-gray-100 rounded px-1">{`{{${key}}}`}</code> ({label})
+          </React.Fragment>
+        ))}
+        . En el alta rápida, escribe <code className="bg-gray-100 rounded px-1">/nombre</code> seguido del resto de la frase.
+      </p>
+    </div>
+  );
+};
+
+export default TemplateManager;
@@ -0,0 +1 @@
+export { default as TemplateManager } from './TemplateManager';
\ No newline at end of file
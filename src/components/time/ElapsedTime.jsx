@@ -0,0 +1,39 @@
+/**
+ * ⏱️ CRONÓMETRO EN VIVO
+ *
+ * Muestra el tiempo transcurrido desde `since` más un tiempo base, y se
+ * actualiza cada segundo. El intervalo vive en este componente para no
+ * volver a renderizar la página entera en cada tic.
+ *
+ * Props:
+ * @param {string} since - Inicio del temporizador (ISO)
+ * @param {number} base - Milisegundos acumulados antes de `since` (default: 0)
+ * @param {string} className - Clases CSS adicionales
+ */
+
+import React, { useState, useEffect } from 'react';
+import { formatElapsed } from '../../utils';
+
+/**
+ * Componente de cronómetro
+ */
+const ElapsedTime = ({ since, base = 0, className = '' }) => {
+  /** @type {number} Marca de tiempo del último tic */
+  const [now, setNow] = useState(() => Date.now());
+
+  // ⏲️ TIC CADA SEGUNDO
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const elapsed = base + Math.max(0, now - new Date(since).getTime());
+
+  return (
+    <span className={`tabular-nums ${className}`}>
+      {formatElapsed(elapsed)}
+    </span>
+  );
+};
+
+export default ElapsedTime;
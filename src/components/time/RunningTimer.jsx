@@ -0,0 +1,56 @@
+/**
+ * ⏱️ INDICADOR DEL TEMPORIZADOR EN MARCHA
+ *
+ * Píldora para el header de la página con el todo que se está cronometrando,
+ * el tiempo de la sesión actual y un botón para detenerlo.
+ *
+ * Props:
+ * @param {Object} entry - Entrada en marcha {todoId, start}
+ * @param {Object|null} todo - Todo cronometrado (null si se eliminó)
+ * @param {Function} onStop - Callback para detener el temporizador
+ * @param {Function} onOpen - Callback opcional para abrir el todo (recibe todo)
+ */
+
+import React from 'react';
+import { Square, Timer } from 'lucide-react';
+import ElapsedTime from './ElapsedTime';
+
+/**
+ * Componente indicador del temporizador
+ */
+const RunningTimer = ({ entry, todo, onStop, onOpen }) => {
+  const title = todo?.title || 'Todo eliminado';
+
+  return (
+    <div
+      className="flex items-center min-w-0 max-w-xs pl-3 pr-1 py-1 rounded-full border border-red-200 bg-red-50 text-red-800"
+      role="status"
+    >
+      <Timer className="h-4 w-4 mr-2 flex-shrink-0 animate-pulse" />
+      {todo && onOpen ? (
+        <button
+          type="button"
+          onClick={() => onOpen(todo)}
+          className="text-sm truncate hover:underline"
+          title={`Abrir "${title}"`}
+        >
+          {title}
+        </button>
+      ) : (
+        <span className="text-sm truncate">{title}</span>
+      )}
+      <ElapsedTime since={entry.start} className="ml-2 text-sm font-medium" />
+      <button
+        type="button"
+        onClick={onStop}
+        className="ml-2 p-1.5 rounded-full text-red-700 hover:bg-red-100 flex-shrink-0"
+        title="Detener temporizador"
+        aria-label="Detener temporizador"
+      >
+        <Square className="h-3 w-3 fill-current" />
+      </button>
+    </div>
+  );
+};
+
+export default RunningTimer;
@@ -0,0 +1,230 @@
+/**
+ * 🧾 REGISTRO DE TIEMPO DE UN TODO
+ *
+ * Lista las entradas de tiempo de un todo agrupadas por día, con el total
+ * de cada día y el total del todo. Las entradas se pueden corregir a mano.
+ *
+ * Funcionalidades:
+ * - Total del todo y total por día
+ * - Editar inicio, fin y nota de una entrada
+ * - Eliminar entradas
+ * - Agregar tiempo manualmente (p. ej. trabajo olvidado sin temporizador)
+ *
+ * Props:
+ * @param {Array} entries - Entradas del todo
+ * @param {Function} onAdd - Callback ({start, end, note})
+ * @param {Function} onUpdate - Callback (id, {start, end, note})
+ * @param {Function} onDelete - Callback (id)
+ */
+
+import React, { useState } from 'react';
+import { Pencil, Trash2, Plus, Check, X } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { es } from 'date-fns/locale';
+import { Button, Input } from '../ui';
+import ElapsedTime from './ElapsedTime';
+import {
+  MAX_TIME_NOTE_LENGTH,
+  getEntryDuration,
+  getDailyTotals,
+  formatDuration,
+  toDateTimeInputValue,
+  fromDateTimeInputValue,
+} from '../../utils';
+
+/**
+ * Formulario de una entrada (para editar o agregar)
+ */
+const EntryForm = ({ entry, isRunning = false, submitLabel, onSubmit, onCancel }) => {
+  /** @type {string} Inicio en formato datetime-local */
+  const [start, setStart] = useState(toDateTimeInputValue(entry?.start));
+
+  /** @type {string} Fin en formato datetime-local */
+  const [end, setEnd] = useState(toDateTimeInputValue(entry?.end));
+
+  /** @type {string} Nota de la entrada */
+  const [note, setNote] = useState(entry?.note || '');
+
+  /**
+   * 💾 GUARDAR ENTRADA
+   *
+   * @param {Event} e - Evento del formulario
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      onSubmit({
+        start: fromDateTimeInputValue(start),
+        // La entrada en marcha conserva el fin vacío
+        ...(!isRunning && { end: fromDateTimeInputValue(end) }),
+        note,
+      });
+    } catch {
+      // ⚠️ Los errores se notifican con toast desde useTimeTracking
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 p-3 bg-gray-50 rounded-md">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <Input
+          type="datetime-local"
+          label="Inicio"
+          value={start}
+          onChange={(e) => setStart(e.target.value)}
+        />
+        {!isRunning && (
+          <Input
+            type="datetime-local"
+            label="Fin"
+            value={end}
+            onChange={(e) => setEnd(e.target.value)}
+          />
+        )}
+      </div>
+      <Input
+        placeholder="Nota (opcional)"
+        value={note}
+        maxLength={MAX_TIME_NOTE_LENGTH}
+        onChange={(e) => setNote(e.target.value)}
+      />
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="secondary" size="sm" onClick={onCancel}>
+          <X className="h-4 w-4 mr-1" />
+          Cancelar
+        </Button>
+        <Button type="submit" size="sm">
+          <Check className="h-4 w-4 mr-1" />
+          {submitLabel}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Componente de registro de tiempo
+ */
+const TimeLog = ({ entries, onAdd, onUpdate, onDelete }) => {
+  /** @type {string|null} ID de la entrada en edición */
+  const [editingId, setEditingId] = useState(null);
+
+  /** @type {boolean} Si se muestra el formulario para agregar tiempo */
+  const [isAdding, setIsAdding] = useState(false);
+
+  const now = Date.now();
+  const total = entries.reduce((sum, entry) => sum + getEntryDuration(entry, now), 0);
+  const dailyTotals = getDailyTotals(entries, now);
+
+  // 📆 ENTRADAS AGRUPADAS POR DÍA DE INICIO (más recientes primero)
+  const entriesByDay = [...entries]
+    .sort((a, b) => new Date(b.start) - new Date(a.start))
+    .reduce((groups, entry) => {
+      const date = format(new Date(entry.start), 'yyyy-MM-dd');
+      (groups[date] = groups[date] || []).push(entry);
+      return groups;
+    }, {});
+
+  return (
+    <div className="space-y-3">
+      {/* 📊 TOTAL DEL TODO */}
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-700">
+          Total: <span className="font-semibold text-gray-900">{formatDuration(total)}</span>
+        </p>
+        {!isAdding && (
+          <Button variant="secondary" size="sm" onClick={() => setIsAdding(true)}>
+            <Plus className="h-4 w-4 mr-1" />
+            Agregar tiempo
+          </Button>
+        )}
+      </div>
+
+      {/* ➕ AGREGAR TIEMPO MANUALMENTE */}
+      {isAdding && (
+        <EntryForm
+          submitLabel="Agregar"
+          onSubmit={(data) => {
+            onAdd(data);
+            setIsAdding(false);
+          }}
+          onCancel={() => setIsAdding(false)}
+        />
+      )}
+
+      {entries.length === 0 && !isAdding && (
+        <p className="text-sm text-gray-500">Todavía no hay tiempo registrado.</p>
+      )}
+
+      {/* 📆 ENTRADAS POR DÍA */}
+      {Object.entries(entriesByDay).map(([date, dayEntries]) => (
+        <div key={date}>
+          <div className="flex items-center justify-between text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">
+            <span>{format(parseISO(date), "EEEE d 'de' MMMM", { locale: es })}</span>
+            <span>{formatDuration(dailyTotals.find(day => day.date === date)?.total || 0)}</span>
+          </div>
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+            {dayEntries.map(entry => (
+              <li key={entry.id} className="px-3 py-2">
+                {editingId === entry.id ? (
+                  <EntryForm
+                    entry={entry}
+                    isRunning={!entry.end}
+                    submitLabel="Guardar"
+                    onSubmit={(changes) => {
+                      onUpdate(entry.id, changes);
+                      setEditingId(null);
+                    }}
+                    onCancel={() => setEditingId(null)}
+                  />
+                ) : (
+                  <div className="flex items-center justify-between gap-2">
+                    <div className="min-w-0 text-sm">
+                      <span className="text-gray-900 tabular-nums">
+                        {format(new Date(entry.start), 'HH:mm')}
+                        {' – '}
+                        {entry.end ? format(new Date(entry.end), 'HH:mm') : 'en marcha'}
+                      </span>
+                      <span className="ml-2 text-gray-600">
+                        {entry.end
+                          ? formatDuration(getEntryDuration(entry))
+                          : <ElapsedTime since={entry.start} className="text-red-600" />}
+                      </span>
+                      {entry.note && (
+                        <p className="text-xs text-gray-500 truncate">{entry.note}</p>
+                      )}
+                    </div>
+                    <div className="flex items-center flex-shrink-0">
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => setEditingId(entry.id)}
+                        className="p-1"
+                        title="Editar entrada"
+                      >
+                        <Pencil className="h-3.5 w-3.5" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => {
+                          if (window.confirm('¿Eliminar esta entrada de tiempo?')) onDelete(entry.id);
+                        }}
+                        className="p-1 text-red-600 hover:text-red-700"
+                        title="Eliminar entrada"
+                      >
+                        <Trash2 className="h-3.5 w-3.5" />
+                      </Button>
+                    </div>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TimeLog;
@@ -0,0 +1,106 @@
+/**
+ * 📊 RESUMEN DE TIEMPO REGISTRADO
+ *
+ * Panel con el tiempo registrado en todos los todos, pensado para pasar las
+ * horas a facturación.
+ *
+ * Funcionalidades:
+ * - Total por día de los últimos días con actividad
+ * - Total por todo, de mayor a menor
+ * - Incluye el temporizador en marcha hasta el momento de abrir el panel
+ *
+ * Props:
+ * @param {Array} entries - Todas las entradas de tiempo
+ * @param {Array} todos - Todos los todos (para mostrar sus títulos)
+ * @param {Function} onOpenTodo - Callback opcional para abrir un todo (recibe todo)
+ * @param {Function} onClose - Callback para cerrar el panel
+ */
+
+import React from 'react';
+import { X, Timer } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+import { es } from 'date-fns/locale';
+import { Button } from '../ui';
+import { getDailyTotals, getTrackedTimeByTodo, formatDuration } from '../../utils';
+
+/** Número de días con actividad que se muestran */
+const MAX_DAYS = 14;
+
+/**
+ * Componente de resumen de tiempo
+ */
+const TimeReport = ({ entries, todos, onOpenTodo, onClose }) => {
+  const now = Date.now();
+  const dailyTotals = getDailyTotals(entries, now).slice(0, MAX_DAYS);
+  const todoTotals = Object.entries(getTrackedTimeByTodo(entries, now))
+    .map(([todoId, total]) => ({
+      // Las claves del objeto son strings; buscar el todo por su ID original
+      todo: todos.find(todo => String(todo.id) === todoId) || null,
+      todoId,
+      total,
+    }))
+    .sort((a, b) => b.total - a.total);
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 sm:p-6 shadow-sm">
+      {/* 📋 HEADER DEL PANEL */}
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <Timer className="h-5 w-5 text-gray-500" />
+          <h3 className="text-base sm:text-lg font-semibold text-gray-900">Tiempo registrado</h3>
+        </div>
+        <Button variant="ghost" size="sm" onClick={onClose} className="p-1 sm:p-2">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          Todavía no hay tiempo registrado. Inicia un temporizador desde cualquier todo.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {/* 📆 TOTAL POR DÍA */}
+          <div>
+            <h4 className="text-sm font-semibold text-gray-900 mb-2">Por día</h4>
+            <ul className="divide-y divide-gray-100 text-sm">
+              {dailyTotals.map(day => (
+                <li key={day.date} className="flex justify-between py-1.5">
+                  <span className="text-gray-700 capitalize">
+                    {format(parseISO(day.date), "EEEE d 'de' MMMM", { locale: es })}
+                  </span>
+                  <span className="font-medium text-gray-900 tabular-nums">{formatDuration(day.total)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {/* 📋 TOTAL POR TODO */}
+          <div>
+            <h4 className="text-sm font-semibold text-gray-900 mb-2">Por todo</h4>
+            <ul className="divide-y divide-gray-100 text-sm">
+              {todoTotals.map(({ todo, todoId, total }) => (
+                <li key={todoId} className="flex justify-between gap-2 py-1.5">
+                  {todo && onOpenTodo ? (
+                    <button
+                      type="button"
+                      onClick={() => onOpenTodo(todo)}
+                      className="text-left text-gray-700 truncate hover:text-blue-600 hover:underline"
+                    >
+                      {todo.title}
+                    </button>
+                  ) : (
+                    <span className="text-gray-400 truncate">{todo ? todo.title : 'Todo eliminado'}</span>
+                  )}
+                  <span className="font-medium text-gray-900 tabular-nums flex-shrink-0">{formatDuration(total)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimeReport;
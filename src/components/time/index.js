@@ -0,0 +1,4 @@
+export { default as ElapsedTime } from './ElapsedTime';
+export { default as RunningTimer } from './RunningTimer';
+export { default as TimeLog } from './TimeLog';
+export { default as TimeReport } from './TimeReport';
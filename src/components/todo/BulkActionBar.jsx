@@ -0,0 +1,195 @@
+/**
+ * ☑️ BARRA DE ACCIONES EN BLOQUE
+ *
+ * Aparece sobre la lista cuando hay todos seleccionados y aplica la misma
+ * acción a todos ellos.
+ *
+ * Funcionalidades:
+ * - Número de seleccionados y opción de seleccionar todos los que cumplen
+ *   los filtros (no solo los de la página actual)
+ * - Completar, reabrir y eliminar (mover a la papelera, sin confirmación)
+ * - Cambiar la prioridad, mover a otra lista, añadir o quitar una etiqueta
+ * - Listado de los todos que no se pudieron modificar y el motivo
+ *
+ * Props:
+ * @param {number} selectedCount - Número de todos seleccionados
+ * @param {number} unselectedMatchingCount - Todos que cumplen los filtros y aún no están seleccionados
+ * @param {Array<Object>} lists - Listas disponibles para mover
+ * @param {Array<string>} tags - Etiquetas existentes (sugerencias al añadir)
+ * @param {Array<string>} selectedTags - Etiquetas presentes en la selección (para quitar)
+ * @param {Array<Object>} failures - Fallos de la última acción [{id, title, message}]
+ * @param {Function} onAction - Callback (change) => Promise con {type, value}
+ * @param {Function} onSelectAllMatching - Callback para seleccionar todos los que cumplen los filtros
+ * @param {Function} onClear - Callback para vaciar la selección
+ */
+
+import React, { useState } from 'react';
+import { X, Check, RotateCcw, Trash2, Tag, AlertTriangle } from 'lucide-react';
+import { Button, Input, Select } from '../ui';
+import { PRIORITY_OPTIONS } from '../../utils';
+
+/**
+ * Componente de barra de acciones en bloque
+ */
+const BulkActionBar = ({
+  selectedCount,
+  unselectedMatchingCount,
+  lists = [],
+  tags = [],
+  selectedTags = [],
+  failures = [],
+  onAction,
+  onSelectAllMatching,
+  onClear,
+}) => {
+  /** @type {string|null} Acción en curso (tipo del cambio) */
+  const [pendingAction, setPendingAction] = useState(null);
+
+  /** @type {string} Etiqueta a añadir */
+  const [newTag, setNewTag] = useState('');
+
+  const busy = pendingAction !== null;
+
+  /**
+   * ⚙️ EJECUTAR UNA ACCIÓN CON ESTADO DE CARGA
+   *
+   * @param {string} type - Tipo de cambio
+   * @param {*} value - Valor del cambio (prioridad, lista o etiqueta)
+   */
+  const runAction = async (type, value) => {
+    setPendingAction(type);
+    try {
+      await onAction({ type, value });
+      if (type === 'addTag') setNewTag('');
+    } catch {
+      // ⚠️ Los errores se notifican con toast desde useTodos
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 sm:p-4 space-y-3">
+      {/* 🔢 SELECCIÓN */}
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="font-medium text-blue-900">
+          {selectedCount} {selectedCount === 1 ? 'seleccionado' : 'seleccionados'}
+        </span>
+        {unselectedMatchingCount > 0 && (
+          <button
+            type="button"
+            onClick={onSelectAllMatching}
+            className="text-blue-700 hover:underline"
+          >
+            Seleccionar todos los que cumplen los filtros ({unselectedMatchingCount} más)
+          </button>
+        )}
+        <Button variant="ghost" size="sm" onClick={onClear} className="ml-auto p-1 sm:p-2" title="Deseleccionar todo">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {/* 🛠️ ACCIONES */}
+      <div className="flex flex-wrap items-center gap-2">
+        <Button size="sm" variant="secondary" onClick={() => runAction('complete')} loading={pendingAction === 'complete'} disabled={busy}>
+          <Check className="h-4 w-4 mr-1" />
+          Completar
+        </Button>
+        <Button size="sm" variant="secondary" onClick={() => runAction('reopen')} loading={pendingAction === 'reopen'} disabled={busy}>
+          <RotateCcw className="h-4 w-4 mr-1" />
+          Reabrir
+        </Button>
+        <Button
+          size="sm"
+          variant="secondary"
+          onClick={() => runAction('delete')}
+          loading={pendingAction === 'delete'}
+          disabled={busy}
+          className="text-red-600 hover:text-red-700"
+        >
+          <Trash2 className="h-4 w-4 mr-1" />
+          Eliminar
+        </Button>
+
+        <div className="w-36">
+          <Select
+            value=""
+            onChange={(e) => e.target.value && runAction('priority', e.target.value)}
+            options={[{ value: '', label: 'Prioridad…' }, ...PRIORITY_OPTIONS]}
+            disabled={busy}
+            aria-label="Cambiar prioridad"
+          />
+        </div>
+
+        {lists.length > 1 && (
+          <div className="w-40">
+            <Select
+              value=""
+              onChange={(e) => e.target.value && runAction('move', e.target.value)}
+              options={[{ value: '', label: 'Mover a…' }, ...lists.map(list => ({ value: list.id, label: list.name }))]}
+              disabled={busy}
+              aria-label="Mover a otra lista"
+            />
+          </div>
+        )}
+
+        {selectedTags.length > 0 && (
+          <div className="w-40">
+            <Select
+              value=""
+              onChange={(e) => e.target.value && runAction('removeTag', e.target.value)}
+              options={[{ value: '', label: 'Quitar etiqueta…' }, ...selectedTags.map(tag => ({ value: tag, label: tag }))]}
+              disabled={busy}
+              aria-label="Quitar etiqueta"
+            />
+          </div>
+        )}
+
+        {/* 🏷️ AÑADIR ETIQUETA */}
+        <form
+          className="flex items-center gap-1"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (newTag.trim()) runAction('addTag', newTag);
+          }}
+        >
+          <div className="w-36">
+            <Input
+              value={newTag}
+              onChange={(e) => setNewTag(e.target.value)}
+              placeholder="Añadir etiqueta"
+              list="bulk-tag-suggestions"
+              disabled={busy}
+              aria-label="Etiqueta a añadir"
+            />
+            <datalist id="bulk-tag-suggestions">
+              {tags.map(tag => <option key={tag} value={tag} />)}
+            </datalist>
+          </div>
+          <Button type="submit" size="sm" variant="secondary" loading={pendingAction === 'addTag'} disabled={busy || !newTag.trim()} title="Añadir etiqueta">
+            <Tag className="h-4 w-4" />
+          </Button>
+        </form>
+      </div>
+
+      {/* ⚠️ FALLOS DE LA ÚLTIMA ACCIÓN */}
+      {failures.length > 0 && (
+        <div className="border-t border-blue-200 pt-2">
+          <p className="flex items-center text-sm font-medium text-red-700">
+            <AlertTriangle className="h-4 w-4 mr-1" />
+            No se pudieron modificar {failures.length} todos (siguen seleccionados):
+          </p>
+          <ul className="mt-1 text-xs text-red-700 space-y-0.5">
+            {failures.map(failure => (
+              <li key={failure.id}>
+                <span className="font-medium">{failure.title}</span>: {failure.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,201 @@
+/**
+ * 🔗 SELECTOR DE DEPENDENCIAS ("BLOQUEADO POR")
+ *
+ * Campo controlado para elegir los todos que bloquean al todo del
+ * formulario. Los elegidos se muestran como chips y el resto se busca
+ * por título.
+ *
+ * Interacciones:
+ * - Escribir para buscar por título
+ * - Flechas arriba/abajo y Enter: elegir un resultado
+ * - Backspace con el campo vacío: quitar el último bloqueador
+ * - Escape: cerrar resultados
+ *
+ * Props:
+ * @param {Array} value - IDs de los todos que bloquean
+ * @param {Function} onChange - Callback con el nuevo array de IDs
+ * @param {Array} candidates - Todos que se pueden elegir (sin el propio todo)
+ * @param {string} error - Mensaje de error para mostrar
+ */
+
+import React, { useState } from 'react';
+import { X, Lock, CheckCircle2 } from 'lucide-react';
+import { MAX_BLOCKERS } from '../../utils';
+
+/** Número máximo de resultados visibles */
+const MAX_RESULTS = 8;
+
+/**
+ * Componente selector de dependencias
+ */
+const DependencyPicker = ({ value = [], onChange, candidates = [], error }) => {
+  /** @type {string} Texto de búsqueda */
+  const [query, setQuery] = useState('');
+
+  /** @type {boolean} Si la lista de resultados está abierta */
+  const [isOpen, setIsOpen] = useState(false);
+
+  /** @type {number} Índice del resultado resaltado (-1 = ninguno) */
+  const [highlighted, setHighlighted] = useState(-1);
+
+  // 🆔 ID ESTABLE PARA ASOCIAR LA ETIQUETA CON EL INPUT
+  const [inputId] = useState(() => `dependency-input-${Math.random().toString(36).substr(2, 9)}`);
+
+  // Todos elegidos (los eliminados desaparecen de la lista)
+  const selected = candidates.filter(todo => value.includes(todo.id));
+
+  // 🔍 RESULTADOS: pendientes primero, sin los ya elegidos
+  const search = query.trim().toLowerCase();
+  const results = candidates
+    .filter(todo => !value.includes(todo.id))
+    .filter(todo => todo.title.toLowerCase().includes(search))
+    .sort((a, b) => Number(a.completed) - Number(b.completed))
+    .slice(0, MAX_RESULTS);
+
+  const canAdd = value.length < MAX_BLOCKERS;
+
+  /**
+   * ➕ AGREGAR BLOQUEADOR
+   *
+   * @param {Object} todo - Todo elegido
+   */
+  const addBlocker = (todo) => {
+    onChange([...value, todo.id]);
+    setQuery('');
+    setHighlighted(-1);
+  };
+
+  /**
+   * ➖ QUITAR BLOQUEADOR
+   *
+   * @param {number|string} id - ID del todo a quitar
+   */
+  const removeBlocker = (id) => {
+    onChange(value.filter(current => current !== id));
+  };
+
+  /**
+   * ⌨️ MANEJAR TECLAS ESPECIALES
+   *
+   * @param {KeyboardEvent} e - Evento de teclado del input
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault(); // No enviar el formulario
+      // Resultado resaltado o, si se ha escrito algo, el primero
+      const todo = highlighted >= 0 ? results[highlighted] : search && results[0];
+      if (todo) addBlocker(todo);
+    } else if (e.key === 'Backspace' && !query && value.length > 0) {
+      removeBlocker(value[value.length - 1]);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setHighlighted(current => Math.min(current + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(current => Math.max(current - 1, -1));
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="space-y-1">
+      {/* 🏷️ ETIQUETA DEL CAMPO */}
+      <label htmlFor={inputId} className="block text-sm font-medium text-gray-700">
+        Bloqueado por (opcional)
+      </label>
+
+      <div className="relative">
+        {/* 🧩 CHIPS + INPUT */}
+        <div className={`
+          flex flex-wrap items-center gap-1 w-full px-2 py-1.5 border rounded-md shadow-sm bg-white
+          focus-within:ring-2 focus-within:ring-blue-500
+          ${error ? 'border-red-300' : 'border-gray-300'}
+        `}>
+          {selected.map(todo => (
+            <span
+              key={todo.id}
+              className={`
+                inline-flex items-center max-w-full px-2 py-0.5 rounded-full text-xs font-medium border
+                ${todo.completed
+                  ? 'bg-green-50 text-green-700 border-green-200'
+                  : 'bg-orange-50 text-orange-800 border-orange-200'}
+              `}
+              title={todo.completed ? 'Completado' : 'Pendiente'}
+            >
+              {todo.completed
+                ? <CheckCircle2 className="h-3 w-3 mr-1 flex-shrink-0" />
+                : <Lock className="h-3 w-3 mr-1 flex-shrink-0" />}
+              <span className="truncate">{todo.title}</span>
+              <button
+                type="button"
+                onClick={() => removeBlocker(todo.id)}
+                className="ml-1 flex-shrink-0 hover:opacity-70"
+                aria-label={`Quitar dependencia ${todo.title}`}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+          {canAdd && (
+            <input
+              id={inputId}
+              value={query}
+              onChange={(e) => {
+                setQuery(e.target.value);
+                setIsOpen(true);
+                setHighlighted(-1);
+              }}
+              onKeyDown={handleKeyDown}
+              onFocus={() => setIsOpen(true)}
+              // Retrasar el cierre para permitir el click en un resultado
+              onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+              placeholder={value.length === 0 ? 'Buscar todos por título...' : ''}
+              className="flex-grow min-w-[8rem] border-0 p-1 text-sm focus:ring-0 focus:outline-none"
+              role="combobox"
+              aria-expanded={isOpen && results.length > 0}
+              aria-autocomplete="list"
+            />
+          )}
+        </div>
+
+        {/* 📋 RESULTADOS DE BÚSQUEDA */}
+        {isOpen && results.length > 0 && (
+          <ul
+            className="absolute z-10 mt-1 w-full max-h-48 overflow-auto bg-white border border-gray-200 rounded-md shadow-lg"
+            role="listbox"
+          >
+            {results.map((todo, index) => (
+              <li
+                key={todo.id}
+                role="option"
+                aria-selected={index === highlighted}
+                onMouseDown={(e) => {
+                  e.preventDefault(); // Evitar que el input pierda el foco
+                  addBlocker(todo);
+                }}
+                className={`
+                  flex items-center justify-between px-3 py-1.5 text-sm cursor-pointer
+                  ${index === highlighted ? 'bg-blue-50' : 'hover:bg-gray-50'}
+                `}
+              >
+                <span className={`truncate ${todo.completed ? 'line-through text-gray-400' : 'text-gray-900'}`}>
+                  {todo.title}
+                </span>
+                {todo.completed && <span className="ml-2 text-xs text-gray-400">Completado</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* ❌ MENSAJE DE ERROR */}
+      {error && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default DependencyPicker;
@@ -0,0 +1,200 @@
+/**
+ * ✍️ EDITOR DE DESCRIPCIÓN EN MARKDOWN
+ *
+ * Campo controlado para escribir la descripción de un todo en Markdown,
+ * con barra de herramientas y vista previa.
+ *
+ * Interacciones:
+ * - Pestañas "Escribir" y "Vista previa"
+ * - Botones de formato que actúan sobre el texto seleccionado
+ * - Atajos: Ctrl/Cmd + B (negrita), I (cursiva), K (enlace)
+ * - Contador de caracteres con el máximo permitido
+ *
+ * Props:
+ * @param {string} label - Etiqueta del campo
+ * @param {string} value - Texto en Markdown
+ * @param {Function} onChange - Callback con el nuevo texto
+ * @param {Function} onBlur - Callback al perder el foco (para react-hook-form)
+ * @param {string} error - Mensaje de error para mostrar
+ * @param {string} placeholder - Texto de ayuda del campo vacío
+ * @param {number} rows - Filas visibles (default: 4)
+ */
+
+import React, { useState, useRef, useEffect } from 'react';
+import {
+  Bold,
+  Italic,
+  Strikethrough,
+  Code,
+  Link,
+  List,
+  ListOrdered,
+  ListChecks,
+  Quote,
+  SquareCode,
+} from 'lucide-react';
+import { Textarea, Markdown } from '../ui';
+import { MARKDOWN_FORMATS, MAX_DESCRIPTION_LENGTH, applyMarkdownFormat } from '../../utils';
+
+/** Botones de la barra de herramientas (null = separador) */
+const TOOLBAR = [
+  { format: 'bold', icon: Bold },
+  { format: 'italic', icon: Italic },
+  { format: 'strike', icon: Strikethrough },
+  { format: 'code', icon: Code },
+  { format: 'link', icon: Link },
+  null,
+  { format: 'bulletList', icon: List },
+  { format: 'numberedList', icon: ListOrdered },
+  { format: 'taskList', icon: ListChecks },
+  null,
+  { format: 'quote', icon: Quote },
+  { format: 'codeBlock', icon: SquareCode },
+];
+
+/**
+ * Componente editor de Markdown
+ */
+const MarkdownEditor = ({ label, value = '', onChange, onBlur, error, placeholder, rows = 4 }) => {
+  /** @type {boolean} Si se muestra la vista previa en lugar del editor */
+  const [isPreview, setIsPreview] = useState(false);
+
+  /** @type {Object|null} Selección a restaurar tras aplicar un formato */
+  const [pendingSelection, setPendingSelection] = useState(null);
+
+  // 📌 REFERENCIA AL TEXTAREA para leer y mover la selección
+  const textareaRef = useRef(null);
+
+  // 🎯 RESTAURAR FOCO Y SELECCIÓN cuando el nuevo texto ya está en el DOM
+  useEffect(() => {
+    if (!pendingSelection || !textareaRef.current) return;
+    textareaRef.current.focus();
+    textareaRef.current.setSelectionRange(pendingSelection.start, pendingSelection.end);
+    setPendingSelection(null);
+  }, [pendingSelection]);
+
+  /**
+   * ✨ APLICAR FORMATO A LA SELECCIÓN
+   *
+   * @param {string} formatName - Clave de MARKDOWN_FORMATS
+   */
+  const applyFormat = (formatName) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+
+    const result = applyMarkdownFormat(value, textarea.selectionStart, textarea.selectionEnd, formatName);
+    onChange(result.value);
+    setPendingSelection({ start: result.selectionStart, end: result.selectionEnd });
+  };
+
+  /**
+   * ⌨️ ATAJOS DE TECLADO
+   *
+   * @param {KeyboardEvent} e - Evento de teclado del textarea
+   */
+  const handleKeyDown = (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.shiftKey || e.altKey) return;
+    const formatName = Object.keys(MARKDOWN_FORMATS)
+      .find(name => MARKDOWN_FORMATS[name].shortcut === e.key.toLowerCase());
+    if (formatName) {
+      e.preventDefault();
+      applyFormat(formatName);
+    }
+  };
+
+  /**
+   * Clases de una pestaña
+   *
+   * @param {boolean} active - Si es la pestaña activa
+   */
+  const tabClasses = (active) => `
+    px-3 py-1 text-sm rounded-md
+    ${active ? 'bg-gray-100 text-gray-900 font-medium' : 'text-gray-600 hover:text-gray-900'}
+  `;
+
+  return (
+    <div className="space-y-1">
+      {/* 🏷️ ETIQUETA Y PESTAÑAS */}
+      <div className="flex items-center justify-between">
+        {label && <span className="block text-sm font-medium text-gray-700">{label}</span>}
+        <div className="flex space-x-1" role="tablist">
+          <button
+            type="button"
+            role="tab"
+            aria-selected={!isPreview}
+            onClick={() => setIsPreview(false)}
+            className={tabClasses(!isPreview)}
+          >
+            Escribir
+          </button>
+          <button
+            type="button"
+            role="tab"
+            aria-selected={isPreview}
+            onClick={() => setIsPreview(true)}
+            className={tabClasses(isPreview)}
+          >
+            Vista previa
+          </button>
+        </div>
+      </div>
+
+      {isPreview ? (
+        // 👁️ VISTA PREVIA
+        <div className="min-h-[6rem] px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700">
+          {value.trim()
+            ? <Markdown>{value}</Markdown>
+            : <p className="text-gray-400">Nada que previsualizar.</p>}
+        </div>
+      ) : (
+        <>
+          {/* 🧰 BARRA DE HERRAMIENTAS */}
+          <div className="flex flex-wrap items-center gap-0.5" role="toolbar" aria-label="Formato">
+            {TOOLBAR.map((item, index) => {
+              if (!item) {
+                return <span key={`separator-${index}`} className="w-px h-4 mx-1 bg-gray-200" />;
+              }
+              const { format, icon: Icon } = item;
+              const { label: formatLabel, shortcut } = MARKDOWN_FORMATS[format];
+              return (
+                <button
+                  key={format}
+                  type="button"
+                  onMouseDown={(e) => e.preventDefault()} // Conservar la selección del textarea
+                  onClick={() => applyFormat(format)}
+                  className="p-1.5 rounded text-gray-500 hover:text-gray-900 hover:bg-gray-100"
+                  title={shortcut ? `${formatLabel} (Ctrl+${shortcut.toUpperCase()})` : formatLabel}
+                  aria-label={formatLabel}
+                >
+                  <Icon className="h-4 w-4" />
+                </button>
+              );
+            })}
+          </div>
+
+          {/* ✏️ TEXTO EN MARKDOWN */}
+          <Textarea
+            ref={textareaRef}
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            onBlur={onBlur}
+            onKeyDown={handleKeyDown}
+            placeholder={placeholder}
+            rows={rows}
+            className="font-mono text-sm"
+          />
+        </>
+      )}
+
+      {/* ❌ ERROR / 🔢 CONTADOR */}
+      <div className="flex justify-between text-xs">
+        {error ? <p className="text-sm text-red-600">{error}</p> : <span className="text-gray-500">Admite Markdown</span>}
+        <span className={value.length > MAX_DESCRIPTION_LENGTH ? 'text-red-600' : 'text-gray-400'}>
+          {value.length}/{MAX_DESCRIPTION_LENGTH}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default MarkdownEditor;
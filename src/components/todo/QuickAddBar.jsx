@@ -0,0 +1,205 @@
+/**
+ * ⚡ BARRA DE ALTA RÁPIDA
+ *
+ * Campo de una sola línea para crear todos escribiendo una frase como
+ * "llamar a Ana mañana 17:00 #ventas !alta". Mientras se escribe se muestra
+ * cómo se ha interpretado (título, fecha, hora, etiquetas y prioridad).
+ * Si empieza por "/nombre", el todo se crea a partir de esa plantilla y el
+ * resto de la frase completa o sustituye sus valores.
+ *
+ * Interacciones:
+ * - Enter: crear el todo
+ * - Escape: vaciar el campo
+ * - "/": sugerencias de plantillas (Tab completa la primera)
+ * - Botón de ayuda con la sintaxis admitida
+ *
+ * Props:
+ * @param {Function} onSubmit - Callback (todoData) => Promise para crear el todo
+ * @param {Array<Object>} templates - Plantillas que se pueden invocar con "/nombre"
+ */
+
+import React, { useState, useMemo } from 'react';
+import { Zap, CalendarDays, HelpCircle, CornerDownLeft, LayoutTemplate } from 'lucide-react';
+import { Button } from '../ui';
+import TagChip from './TagChip';
+import {
+  parseQuickAdd,
+  buildQuickAddTodo,
+  matchTemplateCommand,
+  getTemplateSuggestions,
+  getTemplateSlug,
+  formatDueDate,
+  getPriorityColor,
+  getPriorityIcon,
+  getPriorityLabel,
+} from '../../utils';
+
+/** Longitud máxima del título (la misma que valida el formulario) */
+const MAX_TITLE_LENGTH = 255;
+
+/**
+ * Componente barra de alta rápida
+ */
+const QuickAddBar = ({ onSubmit, templates = [] }) => {
+  /** @type {string} Texto escrito */
+  const [text, setText] = useState('');
+
+  /** @type {boolean} Si se está creando el todo */
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  /** @type {boolean} Si se muestra la ayuda de sintaxis */
+  const [showHelp, setShowHelp] = useState(false);
+
+  // 🔍 INTERPRETACIÓN EN VIVO (con la plantilla invocada, si la hay)
+  const command = useMemo(() => matchTemplateCommand(text, templates), [text, templates]);
+  const parsed = useMemo(() => parseQuickAdd(command ? command.rest : text), [command, text]);
+  const todoData = useMemo(() => buildQuickAddTodo(parsed, command?.template), [parsed, command]);
+
+  // 💡 PLANTILLAS QUE EMPIEZAN POR LO ESCRITO TRAS "/"
+  const suggestions = useMemo(() => getTemplateSuggestions(text, templates), [text, templates]);
+
+  const hasText = text.trim().length > 0;
+  const titleError = !todoData.title
+    ? 'Falta el título'
+    : todoData.title.length > MAX_TITLE_LENGTH
+      ? `El título no puede exceder ${MAX_TITLE_LENGTH} caracteres`
+      : null;
+
+  /**
+   * 📨 CREAR EL TODO
+   *
+   * @param {Event} e - Evento del formulario
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!hasText || titleError || isSubmitting) return;
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit(todoData);
+      setText(''); // Listo para el siguiente
+    } catch {
+      // ⚠️ Los errores se notifican con toast desde useTodos; se conserva el texto
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * 📑 COMPLETAR EL NOMBRE DE UNA PLANTILLA
+   *
+   * @param {Object} template - Plantilla elegida
+   */
+  const completeTemplate = (template) => {
+    setText(`/${getTemplateSlug(template.name)} `);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white border border-gray-200 rounded-lg shadow-sm p-3">
+      {/* ✏️ CAMPO DE TEXTO */}
+      <div className="flex items-center gap-2">
+        <Zap className="h-5 w-5 text-blue-600 flex-shrink-0" />
+        <input
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') setText('');
+            if (e.key === 'Tab' && suggestions.length > 0) {
+              e.preventDefault();
+              completeTemplate(suggestions[0]);
+            }
+          }}
+          placeholder='Alta rápida: "llamar a Ana mañana 17:00 #ventas !alta"'
+          className="flex-1 min-w-0 border-0 p-1 text-sm focus:ring-0 focus:outline-none"
+          aria-label="Alta rápida de todo"
+          disabled={isSubmitting}
+        />
+        <button
+          type="button"
+          onClick={() => setShowHelp(!showHelp)}
+          className="p-1 text-gray-400 hover:text-gray-600 flex-shrink-0"
+          title="Sintaxis admitida"
+          aria-expanded={showHelp}
+        >
+          <HelpCircle className="h-4 w-4" />
+        </button>
+        <Button
+          type="submit"
+          size="sm"
+          loading={isSubmitting}
+          disabled={!hasText || Boolean(titleError)}
+          className="flex-shrink-0"
+        >
+          <CornerDownLeft className="h-4 w-4 sm:mr-1" />
+          <span className="hidden sm:inline">Añadir</span>
+        </Button>
+      </div>
+
+      {/* 💡 SUGERENCIAS DE PLANTILLAS */}
+      {suggestions.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1 mt-2 pt-2 border-t border-gray-100 text-xs">
+          {suggestions.map(template => (
+            <button
+              key={template.id}
+              type="button"
+              onClick={() => completeTemplate(template)}
+              className="inline-flex items-center px-2 py-0.5 rounded-full border border-gray-200 text-gray-700 hover:bg-gray-100"
+            >
+              <LayoutTemplate className="h-3 w-3 mr-1" />
+              {template.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* 👁️ VISTA PREVIA DE LO INTERPRETADO */}
+      {hasText && suggestions.length === 0 && (
+        <div className="flex flex-wrap items-center gap-2 mt-2 pt-2 border-t border-gray-100 text-xs">
+          {command && (
+            <span className="inline-flex items-center text-blue-700">
+              <LayoutTemplate className="h-3 w-3 mr-1" />
+              {command.template.name}
+            </span>
+          )}
+          {titleError ? (
+            <span className="text-red-600">{titleError}</span>
+          ) : (
+            <span className="font-medium text-gray-900 truncate max-w-full">{todoData.title}</span>
+          )}
+          {todoData.dueDate && (
+            <span className="inline-flex items-center text-gray-600">
+              <CalendarDays className="h-3 w-3 mr-1" />
+              {formatDueDate(todoData.dueDate, todoData.hasDueTime)}
+            </span>
+          )}
+          {(parsed.priority || command) && (
+            <span className={`inline-flex items-center px-2 py-0.5 rounded-full font-medium border ${getPriorityColor(todoData.priority)}`}>
+              <span className="mr-1">{getPriorityIcon(todoData.priority)}</span>
+              {getPriorityLabel(todoData.priority)}
+            </span>
+          )}
+          {todoData.subtasks?.length > 0 && (
+            <span className="text-gray-600">{todoData.subtasks.length} subtareas</span>
+          )}
+          {todoData.tags.map(tag => (
+            <TagChip key={tag} tag={tag} />
+          ))}
+        </div>
+      )}
+
+      {/* ❓ AYUDA DE SINTAXIS */}
+      {showHelp && (
+        <ul className="mt-2 pt-2 border-t border-gray-100 text-xs text-gray-600 space-y-0.5">
+          <li><strong>Fecha:</strong> hoy, mañana, pasado mañana, viernes, en 3 días, la semana que viene, 25/12, 25 de diciembre (también en inglés: tomorrow, friday, in 3 days, dec 25)</li>
+          <li><strong>Hora:</strong> 17:00, 5pm, 17h, a las 17, at 5, mediodía</li>
+          <li><strong>Etiquetas:</strong> #ventas #cliente-x</li>
+          <li><strong>Prioridad:</strong> !alta, !media, !baja (o !high, !medium, !low)</li>
+          <li><strong>Plantilla:</strong> /nombre al principio (p. ej. /revision-semanal viernes)</li>
+        </ul>
+      )}
+    </form>
+  );
+};
+
+export default QuickAddBar;
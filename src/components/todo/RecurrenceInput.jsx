@@ -0,0 +1,192 @@
+/**
+ * 🔁 COMPONENTE RECURRENCE INPUT
+ *
+ * Selector de regla de recurrencia para TodoForm. Es un componente
+ * controlado: recibe la regla actual y notifica la nueva regla (o null).
+ *
+ * Opciones:
+ * - No se repite
+ * - Cada día
+ * - De lunes a viernes
+ * - Semanal, eligiendo los días
+ * - Mensual, eligiendo el día del mes
+ * - Personalizado: cada N días / semanas / meses
+ *
+ * Props:
+ * @param {Object|null} value - Regla de recurrencia actual
+ * @param {Function} onChange - Callback con la nueva regla (null = no se repite)
+ * @param {Date|null} referenceDate - Fecha de referencia para valores por defecto
+ * @param {string} error - Mensaje de error para mostrar
+ */
+
+import React from 'react';
+import { Input, Select } from '../ui';
+import {
+  RECURRENCE_PRESET_OPTIONS,
+  RECURRENCE_FREQ_OPTIONS,
+  WEEKDAY_NAMES,
+  WORKING_WEEKDAYS,
+  getRecurrencePreset,
+  describeRecurrence
+} from '../../utils';
+
+/** Días en orden de lunes a domingo para los botones */
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Componente selector de recurrencia
+ */
+const RecurrenceInput = ({ value, onChange, referenceDate, error }) => {
+  const preset = getRecurrencePreset(value);
+  const reference = referenceDate || new Date();
+
+  /**
+   * 🎛️ MANEJAR CAMBIO DE PRESET
+   *
+   * Construye una regla por defecto a partir de la fecha de referencia
+   *
+   * @param {Event} e - Evento del select de preset
+   */
+  const handlePresetChange = (e) => {
+    switch (e.target.value) {
+      case 'daily':
+        onChange({ freq: 'daily', interval: 1 });
+        break;
+      case 'weekdays':
+        onChange({ freq: 'weekly', interval: 1, weekdays: WORKING_WEEKDAYS });
+        break;
+      case 'weekly':
+        onChange({ freq: 'weekly', interval: 1, weekdays: [reference.getDay()] });
+        break;
+      case 'monthly':
+        onChange({ freq: 'monthly', interval: 1, monthDay: reference.getDate() });
+        break;
+      case 'custom':
+        onChange({ freq: 'daily', interval: 2 });
+        break;
+      default:
+        onChange(null);
+    }
+  };
+
+  /**
+   * 📏 MANEJAR CAMBIO DE UNIDAD EN MODO PERSONALIZADO
+   *
+   * @param {Event} e - Evento del select de unidad
+   */
+  const handleFreqChange = (e) => {
+    const freq = e.target.value;
+    onChange({
+      freq,
+      interval: value.interval,
+      ...(freq === 'weekly' && { weekdays: [reference.getDay()] }),
+      ...(freq === 'monthly' && { monthDay: reference.getDate() }),
+    });
+  };
+
+  /**
+   * 📅 ALTERNAR UN DÍA DE LA SEMANA
+   *
+   * Siempre debe quedar al menos un día seleccionado
+   *
+   * @param {number} day - Día (0 = domingo ... 6 = sábado)
+   */
+  const toggleWeekday = (day) => {
+    const weekdays = value.weekdays.includes(day)
+      ? value.weekdays.filter(current => current !== day)
+      : [...value.weekdays, day];
+    if (weekdays.length > 0) {
+      onChange({ ...value, weekdays });
+    }
+  };
+
+  // Un preset "de lunes a viernes" editado pasa a ser semanal
+  const showWeekdays = value?.freq === 'weekly' && preset !== 'weekdays';
+  const showMonthDay = value?.freq === 'monthly';
+
+  return (
+    <div className="space-y-2">
+      {/* 🎛️ PRESET DE RECURRENCIA */}
+      <Select
+        label="Repetir"
+        options={RECURRENCE_PRESET_OPTIONS}
+        value={preset}
+        onChange={handlePresetChange}
+        error={error}
+      />
+
+      {/* 🔢 INTERVALO PERSONALIZADO: "cada N días/semanas/meses" */}
+      {preset === 'custom' && (
+        <div className="flex items-center gap-2">
+          <span className="text-sm text-gray-600">Cada</span>
+          <div className="w-20">
+            <Input
+              type="number"
+              min={1}
+              max={365}
+              value={value.interval}
+              onChange={(e) => onChange({ ...value, interval: parseInt(e.target.value, 10) || 1 })}
+              aria-label="Intervalo de repetición"
+            />
+          </div>
+          <div className="w-32">
+            <Select
+              options={RECURRENCE_FREQ_OPTIONS}
+              value={value.freq}
+              onChange={handleFreqChange}
+              aria-label="Unidad de repetición"
+            />
+          </div>
+        </div>
+      )}
+
+      {/* 📅 DÍAS DE LA SEMANA */}
+      {showWeekdays && (
+        <div className="flex flex-wrap gap-1" role="group" aria-label="Días de la semana">
+          {WEEK_ORDER.map(day => (
+            <button
+              key={day}
+              type="button"
+              onClick={() => toggleWeekday(day)}
+              aria-pressed={value.weekdays.includes(day)}
+              className={`
+                h-8 w-8 rounded-full text-xs font-medium border transition-colors
+                ${value.weekdays.includes(day)
+                  ? 'bg-blue-600 text-white border-blue-600'
+                  : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                }
+              `}
+              title={WEEKDAY_NAMES[day]}
+            >
+              {WEEKDAY_NAMES[day].charAt(0).toUpperCase()}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* 📆 DÍA DEL MES */}
+      {showMonthDay && (
+        <div className="flex items-center gap-2">
+          <span className="text-sm text-gray-600">El día</span>
+          <div className="w-20">
+            <Input
+              type="number"
+              min={1}
+              max={31}
+              value={value.monthDay}
+              onChange={(e) => onChange({ ...value, monthDay: parseInt(e.target.value, 10) || 1 })}
+              aria-label="Día del mes"
+            />
+          </div>
+        </div>
+      )}
+
+      {/* 🗣️ RESUMEN LEGIBLE */}
+      {value && (
+        <p className="text-xs text-gray-500">Se repite {describeRecurrence(value)}</p>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceInput;
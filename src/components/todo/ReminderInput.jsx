@@ -0,0 +1,90 @@
+/**
+ * 🔔 COMPONENTE REMINDER INPUT
+ *
+ * Selector de recordatorios para TodoForm. Es un componente controlado:
+ * recibe los desplazamientos actuales (minutos antes del vencimiento) y
+ * notifica el nuevo array.
+ *
+ * Características:
+ * - Chips con los recordatorios elegidos y botón para quitarlos
+ * - Select para añadir uno de los desplazamientos predefinidos
+ * - Deshabilitado mientras el todo no tenga fecha límite
+ *
+ * Props:
+ * @param {Array<number>} value - Recordatorios actuales (minutos antes)
+ * @param {Function} onChange - Callback con el nuevo array de recordatorios
+ * @param {boolean} disabled - Si no se pueden añadir (sin fecha límite)
+ * @param {string} error - Mensaje de error para mostrar
+ */
+
+import React from 'react';
+import { Bell, X } from 'lucide-react';
+import { Select } from '../ui';
+import { REMINDER_OPTIONS, MAX_REMINDERS, describeReminder, normalizeReminders } from '../../utils';
+
+/**
+ * Componente selector de recordatorios
+ */
+const ReminderInput = ({ value = [], onChange, disabled = false, error }) => {
+  const reminders = normalizeReminders(value);
+
+  // Solo se ofrecen los desplazamientos que aún no están elegidos
+  const availableOptions = REMINDER_OPTIONS.filter(option => !reminders.includes(option.value));
+  const canAdd = !disabled && reminders.length < MAX_REMINDERS && availableOptions.length > 0;
+
+  /**
+   * ➕ AÑADIR RECORDATORIO
+   *
+   * @param {Event} e - Evento del select
+   */
+  const handleAdd = (e) => {
+    if (e.target.value === '') return;
+    onChange(normalizeReminders([...reminders, e.target.value]));
+  };
+
+  return (
+    <div className="space-y-2">
+      <span className="block text-sm font-medium text-gray-700">Recordatorios (opcional)</span>
+
+      {/* 🔔 RECORDATORIOS ELEGIDOS */}
+      {reminders.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {reminders.map(offset => (
+            <span
+              key={offset}
+              className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium border bg-amber-50 text-amber-800 border-amber-200"
+            >
+              <Bell className="h-3 w-3 mr-1" />
+              {describeReminder(offset)}
+              <button
+                type="button"
+                onClick={() => onChange(reminders.filter(current => current !== offset))}
+                className="ml-1 hover:text-amber-950"
+                aria-label={`Quitar recordatorio ${describeReminder(offset)}`}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* ➕ AÑADIR RECORDATORIO */}
+      {canAdd && (
+        <Select
+          options={[{ value: '', label: 'Añadir recordatorio...' }, ...availableOptions]}
+          value=""
+          onChange={handleAdd}
+          aria-label="Añadir recordatorio"
+        />
+      )}
+
+      {disabled && (
+        <p className="text-xs text-gray-500">Asigna una fecha límite para añadir recordatorios.</p>
+      )}
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ReminderInput;
@@ -0,0 +1,199 @@
+/**
+ * 🔎 CAMPO DE BÚSQUEDA CON LENGUAJE DE CONSULTA
+ *
+ * Cuadro de búsqueda de TodoFilters que entiende la sintaxis de
+ * searchQueryUtils (estado:pendiente tag:backend vence:<2026-11-01
+ * "frase" -excluir), con autocompletado de campos y valores y los errores
+ * de sintaxis debajo del campo, con el fragmento que los provoca.
+ *
+ * Interacciones:
+ * - Flechas arriba/abajo: navegar entre sugerencias
+ * - Enter o Tab: aplicar la sugerencia resaltada
+ * - Escape: cerrar sugerencias
+ *
+ * Props:
+ * @param {string} value - Texto de la búsqueda
+ * @param {Function} onChange - Callback con el nuevo texto
+ * @param {Array<string>} tags - Etiquetas existentes para autocompletar tag:
+ * @param {string} placeholder - Texto de ayuda dentro del input
+ */
+
+import React, { useState, useRef, useMemo } from 'react';
+import { Search, HelpCircle } from 'lucide-react';
+import { parseSearchQuery, getSearchSuggestions } from '../../utils';
+
+/** Resumen de la sintaxis para el icono de ayuda */
+const SYNTAX_HELP = [
+  'Palabras sueltas (sin tildes y con erratas) en título, descripción y etiquetas',
+  '"frase exacta" en título y descripción',
+  'estado:pendiente | completado | vencido',
+  'prioridad:alta | media | baja',
+  'tag:backend',
+  'vence:2026-11-01, vence:<hoy, vence:>=mañana, vence:ninguna',
+  '-término para excluir (-tag:backend, -palabra)',
+].join('\n');
+
+/**
+ * Componente de búsqueda con autocompletado y errores de sintaxis
+ */
+const SearchQueryInput = ({ value = '', onChange, tags = [], placeholder = 'Buscar todos...' }) => {
+  /** @type {number} Posición del cursor en el campo */
+  const [cursor, setCursor] = useState(value.length);
+
+  /** @type {boolean} Si la lista de sugerencias está abierta */
+  const [isOpen, setIsOpen] = useState(false);
+
+  /** @type {number} Índice de la sugerencia resaltada (-1 = ninguna) */
+  const [highlighted, setHighlighted] = useState(-1);
+
+  const inputRef = useRef(null);
+
+  // 🆔 IDS ESTABLES PARA ASOCIAR LA LISTA Y LOS ERRORES CON EL INPUT
+  const [inputId] = useState(() => `search-query-${Math.random().toString(36).substr(2, 9)}`);
+
+  // ⚠️ ERRORES DE SINTAXIS Y 💡 SUGERENCIAS PARA EL TÉRMINO BAJO EL CURSOR
+  const { errors } = useMemo(() => parseSearchQuery(value), [value]);
+  const suggestions = useMemo(
+    () => getSearchSuggestions(value, Math.min(cursor, value.length), tags),
+    [value, cursor, tags]
+  );
+  const showSuggestions = isOpen && suggestions.items.length > 0;
+
+  /**
+   * 📍 RECORDAR LA POSICIÓN DEL CURSOR
+   */
+  const syncCursor = () => {
+    if (inputRef.current) setCursor(inputRef.current.selectionStart ?? value.length);
+  };
+
+  /**
+   * ✅ APLICAR UNA SUGERENCIA
+   *
+   * Sustituye el término bajo el cursor y deja el cursor tras lo insertado.
+   *
+   * @param {Object} item - Sugerencia {value}
+   */
+  const applySuggestion = (item) => {
+    const nextValue = value.slice(0, suggestions.start) + item.value + value.slice(suggestions.end);
+    const nextCursor = suggestions.start + item.value.length;
+    onChange(nextValue);
+    setCursor(nextCursor);
+    setHighlighted(-1);
+    // Colocar el cursor cuando el input ya tenga el nuevo valor
+    requestAnimationFrame(() => {
+      inputRef.current?.setSelectionRange(nextCursor, nextCursor);
+    });
+  };
+
+  /**
+   * ⌨️ MANEJAR TECLAS ESPECIALES
+   *
+   * @param {KeyboardEvent} e - Evento de teclado del input
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setHighlighted(current => Math.min(current + 1, suggestions.items.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(current => Math.max(current - 1, -1));
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && showSuggestions && highlighted >= 0) {
+      e.preventDefault();
+      applySuggestion(suggestions.items[highlighted]);
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="space-y-1">
+      <div className="relative">
+        {/* 🔍 ÍCONO DE BÚSQUEDA DENTRO DEL INPUT */}
+        <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+          <Search className="h-4 w-4 text-gray-400" />
+        </div>
+
+        {/* 📝 INPUT DE BÚSQUEDA */}
+        <input
+          ref={inputRef}
+          id={inputId}
+          value={value}
+          onChange={(e) => {
+            onChange(e.target.value);
+            setCursor(e.target.selectionStart ?? e.target.value.length);
+            setIsOpen(true);
+            setHighlighted(-1);
+          }}
+          onKeyDown={handleKeyDown}
+          onKeyUp={syncCursor}
+          onClick={syncCursor}
+          onFocus={() => setIsOpen(true)}
+          // Retrasar el cierre para permitir el click en una sugerencia
+          onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+          placeholder={placeholder}
+          className={`
+            block w-full pl-10 pr-9 py-2 border rounded-md shadow-sm placeholder-gray-400
+            focus:outline-none focus:ring-2 focus:ring-offset-0
+            ${errors.length > 0
+              ? 'border-red-300 text-red-900 focus:ring-red-500 focus:border-red-500'
+              : 'border-gray-300 text-gray-900 focus:ring-blue-500 focus:border-blue-500'}
+          `}
+          role="combobox"
+          aria-expanded={showSuggestions}
+          aria-autocomplete="list"
+          aria-controls={`${inputId}-suggestions`}
+          aria-invalid={errors.length > 0}
+          aria-describedby={errors.length > 0 ? `${inputId}-errors` : undefined}
+          spellCheck={false}
+        />
+
+        {/* ❓ AYUDA DE LA SINTAXIS */}
+        <div className="absolute inset-y-0 right-0 pr-3 flex items-center">
+          <span title={SYNTAX_HELP} aria-label="Sintaxis de búsqueda" className="cursor-help">
+            <HelpCircle className="h-4 w-4 text-gray-400" />
+          </span>
+        </div>
+
+        {/* 📋 LISTA DE SUGERENCIAS */}
+        {showSuggestions && (
+          <ul
+            id={`${inputId}-suggestions`}
+            className="absolute z-10 mt-1 w-full max-h-60 overflow-auto bg-white border border-gray-200 rounded-md shadow-lg"
+            role="listbox"
+          >
+            {suggestions.items.map((item, index) => (
+              <li
+                key={item.value}
+                role="option"
+                aria-selected={index === highlighted}
+                onMouseDown={(e) => {
+                  e.preventDefault(); // Evitar que el input pierda el foco
+                  applySuggestion(item);
+                }}
+                className={`px-3 py-1.5 text-sm cursor-pointer ${index === highlighted ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
+                <span className="font-mono text-gray-900">{item.label}</span>
+                <span className="block text-xs text-gray-500">{item.description}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* ❌ ERRORES DE SINTAXIS (con el fragmento que los provoca) */}
+      {errors.length > 0 && (
+        <ul id={`${inputId}-errors`} className="space-y-0.5">
+          {errors.map(error => (
+            <li key={`${error.start}-${error.end}`} className="text-xs text-red-600">
+              <code className="px-1 rounded bg-red-50">{value.slice(error.start, error.end)}</code>{' '}
+              {error.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SearchQueryInput;
@@ -0,0 +1,228 @@
+/**
+ * ☑️ LISTA DE SUBTAREAS
+ *
+ * Checklist editable de un todo. Se usa tanto dentro de TodoItem (los
+ * cambios se guardan al momento) como en TodoForm (los cambios se guardan
+ * al enviar el formulario). En ambos casos es un componente controlado.
+ *
+ * Funcionalidades:
+ * - Barra de progreso con contador ("3/5")
+ * - Marcar/desmarcar subtareas
+ * - Renombrar subtareas en línea (click en el título)
+ * - Agregar y eliminar subtareas
+ *
+ * Props:
+ * @param {Array} subtasks - Subtareas {id, title, completed}
+ * @param {Function} onChange - Callback con el nuevo array de subtareas
+ * @param {boolean} disabled - Si la lista es de solo lectura
+ * @param {boolean} showProgress - Si mostrar la barra de progreso (default: true)
+ */
+
+import React, { useState } from 'react';
+import { Check, Plus, Trash2 } from 'lucide-react';
+import { createSubtask, getSubtaskProgress } from '../../utils';
+
+/**
+ * 📊 BARRA DE PROGRESO DE SUBTAREAS
+ *
+ * @param {Array} subtasks - Subtareas del todo
+ */
+export const SubtaskProgress = ({ subtasks }) => {
+  const { done, total, percent } = getSubtaskProgress(subtasks);
+  if (total === 0) return null;
+
+  return (
+    <div className="flex items-center space-x-2" title={`${percent}% completado`}>
+      <div className="h-1.5 w-20 sm:w-24 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full transition-all ${done === total ? 'bg-green-500' : 'bg-blue-500'}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      <span className="text-xs text-gray-600">{done}/{total}</span>
+    </div>
+  );
+};
+
+/**
+ * Fila individual de subtarea con edición en línea
+ */
+const SubtaskRow = ({ subtask, onToggle, onRename, onDelete, disabled }) => {
+  /** @type {boolean} Si se está editando el título */
+  const [isEditing, setIsEditing] = useState(false);
+
+  /** @type {string} Título en edición */
+  const [title, setTitle] = useState(subtask.title);
+
+  /**
+   * 💾 GUARDAR TÍTULO EDITADO
+   * Un título vacío descarta la edición
+   */
+  const commitRename = () => {
+    setIsEditing(false);
+    if (title.trim() && title.trim() !== subtask.title) {
+      onRename(subtask.id, title.trim());
+    } else {
+      setTitle(subtask.title);
+    }
+  };
+
+  return (
+    <li className="group flex items-center space-x-2 py-0.5">
+      {/* ✅ CHECKBOX DE LA SUBTAREA */}
+      <button
+        type="button"
+        onClick={() => onToggle(subtask.id)}
+        disabled={disabled}
+        className={`
+          flex-shrink-0 h-3.5 w-3.5 rounded border flex items-center justify-center transition-colors
+          ${subtask.completed
+            ? 'bg-green-500 border-green-500 text-white'
+            : 'border-gray-300 hover:border-green-500'
+          }
+        `}
+        aria-label={subtask.completed ? 'Marcar como pendiente' : 'Marcar como completada'}
+      >
+        {subtask.completed && <Check className="h-2.5 w-2.5" />}
+      </button>
+
+      {/* 📝 TÍTULO (editable en línea) */}
+      {isEditing ? (
+        <input
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          onBlur={commitRename}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              commitRename();
+            } else if (e.key === 'Escape') {
+              setTitle(subtask.title);
+              setIsEditing(false);
+            }
+          }}
+          autoFocus
+          className="flex-grow text-xs sm:text-sm border-0 border-b border-blue-500 p-0 focus:ring-0"
+        />
+      ) : (
+        <span
+          onClick={() => !disabled && setIsEditing(true)}
+          className={`
+            flex-grow text-xs sm:text-sm cursor-text
+            ${subtask.completed ? 'line-through text-gray-400' : 'text-gray-700'}
+          `}
+          title={disabled ? undefined : 'Click para editar'}
+        >
+          {subtask.title}
+        </span>
+      )}
+
+      {/* 🗑️ ELIMINAR SUBTAREA */}
+      {!disabled && (
+        <button
+          type="button"
+          onClick={() => onDelete(subtask.id)}
+          className="opacity-0 group-hover:opacity-100 focus:opacity-100 text-gray-400 hover:text-red-600"
+          aria-label={`Eliminar subtarea ${subtask.title}`}
+        >
+          <Trash2 className="h-3 w-3" />
+        </button>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Componente principal de lista de subtareas
+ */
+const SubtaskList = ({ subtasks = [], onChange, disabled = false, showProgress = true }) => {
+  /** @type {string} Título de la nueva subtarea */
+  const [newTitle, setNewTitle] = useState('');
+
+  /**
+   * ➕ AGREGAR SUBTAREA
+   */
+  const handleAdd = () => {
+    if (!newTitle.trim()) return;
+    onChange([...subtasks, createSubtask(newTitle)]);
+    setNewTitle('');
+  };
+
+  /**
+   * 🔄 ALTERNAR SUBTAREA
+   *
+   * @param {string} id - ID de la subtarea
+   */
+  const handleToggle = (id) => {
+    onChange(subtasks.map(subtask =>
+      subtask.id === id ? { ...subtask, completed: !subtask.completed } : subtask
+    ));
+  };
+
+  /**
+   * ✏️ RENOMBRAR SUBTAREA
+   *
+   * @param {string} id - ID de la subtarea
+   * @param {string} title - Nuevo título
+   */
+  const handleRename = (id, title) => {
+    onChange(subtasks.map(subtask =>
+      subtask.id === id ? { ...subtask, title } : subtask
+    ));
+  };
+
+  /**
+   * 🗑️ ELIMINAR SUBTAREA
+   *
+   * @param {string} id - ID de la subtarea
+   */
+  const handleDelete = (id) => {
+    onChange(subtasks.filter(subtask => subtask.id !== id));
+  };
+
+  return (
+    <div className="space-y-1">
+      {/* 📊 PROGRESO */}
+      {showProgress && <SubtaskProgress subtasks={subtasks} />}
+
+      {/* 📋 SUBTAREAS */}
+      {subtasks.length > 0 && (
+        <ul>
+          {subtasks.map(subtask => (
+            <SubtaskRow
+              key={subtask.id}
+              subtask={subtask}
+              onToggle={handleToggle}
+              onRename={handleRename}
+              onDelete={handleDelete}
+              disabled={disabled}
+            />
+          ))}
+        </ul>
+      )}
+
+      {/* ➕ NUEVA SUBTAREA */}
+      {!disabled && (
+        <div className="flex items-center space-x-2">
+          <Plus className="h-3.5 w-3.5 text-gray-400 flex-shrink-0" />
+          <input
+            value={newTitle}
+            onChange={(e) => setNewTitle(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault(); // No enviar el formulario contenedor
+                handleAdd();
+              }
+            }}
+            onBlur={handleAdd}
+            placeholder="Agregar subtarea..."
+            maxLength={255}
+            className="flex-grow text-xs sm:text-sm border-0 border-b border-transparent focus:border-blue-500 p-0 focus:ring-0 placeholder-gray-400"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubtaskList;
@@ -0,0 +1,79 @@
+/**
+ * 🏷️ COMPONENTE TAG CHIP
+ *
+ * Chip de color que representa una etiqueta. Se usa para mostrar las
+ * etiquetas de un todo, en el input de etiquetas y en los filtros.
+ *
+ * Características:
+ * - Color configurable por etiqueta (vía tagService)
+ * - Botón opcional para quitar la etiqueta
+ * - Modo seleccionable para filtros (resaltado cuando está activo)
+ * - Resaltado opcional de las coincidencias de la búsqueda
+ *
+ * Props:
+ * @param {string} tag - Nombre de la etiqueta
+ * @param {Function} onRemove - Callback opcional para quitar la etiqueta (recibe tag)
+ * @param {Function} onClick - Callback opcional al hacer click (recibe tag)
+ * @param {boolean} selected - Si el chip está seleccionado (solo con onClick)
+ * @param {Array<Object>} highlightTerms - Términos de búsqueda a resaltar [{value, fuzzy}]
+ * @param {string} className - Classes CSS adicionales
+ */
+
+import React from 'react';
+import { X } from 'lucide-react';
+import { tagService } from '../../services';
+import { getTagColorClasses } from '../../utils';
+import { HighlightedText } from '../ui';
+
+/**
+ * Componente de chip de etiqueta con color
+ */
+const TagChip = ({ tag, onRemove, onClick, selected = false, highlightTerms, className = '' }) => {
+  // 🎨 CLASES DE COLOR SEGÚN LA ETIQUETA
+  const colorClasses = getTagColorClasses(tagService.getColor(tag));
+
+  // 🎯 ESTILO DE SELECCIÓN (solo para chips clicables)
+  const selectionClasses = onClick
+    ? `cursor-pointer ${selected ? 'ring-2 ring-offset-1 ring-blue-500' : 'opacity-60 hover:opacity-100'}`
+    : '';
+
+  const classes = `
+    inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium border w-fit
+    ${colorClasses}
+    ${selectionClasses}
+    ${className}
+  `;
+
+  // 🔘 CHIP CLICABLE (filtros)
+  if (onClick) {
+    return (
+      <button
+        type="button"
+        onClick={() => onClick(tag)}
+        className={classes.trim()}
+        aria-pressed={selected}
+      >
+        #{tag}
+      </button>
+    );
+  }
+
+  return (
+    <span className={classes.trim()}>
+      #{highlightTerms ? <HighlightedText text={tag} terms={highlightTerms} /> : tag}
+      {/* ❌ BOTÓN PARA QUITAR (opcional) */}
+      {onRemove && (
+        <button
+          type="button"
+          onClick={() => onRemove(tag)}
+          className="ml-1 rounded-full hover:bg-black/10"
+          title={`Quitar ${tag}`}
+        >
+          <X className="h-3 w-3" />
+        </button>
+      )}
+    </span>
+  );
+};
+
+export default TagChip;
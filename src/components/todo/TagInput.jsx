@@ -0,0 +1,180 @@
+/**
+ * 🏷️ COMPONENTE TAG INPUT
+ *
+ * Campo de entrada de etiquetas con chips y autocompletado. Pensado para
+ * usarse como campo controlado (por ejemplo con el Controller de React Hook Form).
+ *
+ * Interacciones:
+ * - Enter o coma: agrega la etiqueta escrita (o la sugerencia resaltada)
+ * - Backspace con el campo vacío: quita la última etiqueta
+ * - Flechas arriba/abajo: navegar entre sugerencias
+ * - Escape: cerrar sugerencias
+ *
+ * Props:
+ * @param {Array<string>} value - Etiquetas seleccionadas
+ * @param {Function} onChange - Callback con el nuevo array de etiquetas
+ * @param {Array<string>} suggestions - Etiquetas existentes para autocompletar
+ * @param {string} label - Etiqueta descriptiva del campo
+ * @param {string} error - Mensaje de error para mostrar
+ * @param {string} placeholder - Texto de ayuda dentro del input
+ */
+
+import React, { useState } from 'react';
+import TagChip from './TagChip';
+import { normalizeTag } from '../../utils';
+
+/** Número máximo de sugerencias visibles */
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * Componente de entrada de etiquetas con autocompletado
+ */
+const TagInput = ({
+  value = [],
+  onChange,
+  suggestions = [],
+  label,
+  error,
+  placeholder = 'Agregar etiqueta...'
+}) => {
+  /** @type {string} Texto que se está escribiendo */
+  const [inputValue, setInputValue] = useState('');
+
+  /** @type {boolean} Si la lista de sugerencias está abierta */
+  const [isOpen, setIsOpen] = useState(false);
+
+  /** @type {number} Índice de la sugerencia resaltada (-1 = ninguna) */
+  const [highlighted, setHighlighted] = useState(-1);
+
+  // 🆔 ID ESTABLE PARA ASOCIAR LA ETIQUETA CON EL INPUT
+  const [inputId] = useState(() => `tag-input-${Math.random().toString(36).substr(2, 9)}`);
+
+  // 🔍 SUGERENCIAS FILTRADAS POR LO ESCRITO Y SIN LAS YA SELECCIONADAS
+  const query = normalizeTag(inputValue).toLowerCase();
+  const filteredSuggestions = suggestions
+    .filter(tag => !value.includes(tag))
+    .filter(tag => tag.toLowerCase().includes(query))
+    .slice(0, MAX_SUGGESTIONS);
+
+  /**
+   * ➕ AGREGAR UNA ETIQUETA
+   *
+   * @param {string} rawTag - Texto de la etiqueta a agregar
+   */
+  const addTag = (rawTag) => {
+    const tag = normalizeTag(rawTag);
+    if (tag && !value.includes(tag)) {
+      onChange([...value, tag]);
+    }
+    setInputValue('');
+    setHighlighted(-1);
+  };
+
+  /**
+   * ➖ QUITAR UNA ETIQUETA
+   *
+   * @param {string} tag - Etiqueta a quitar
+   */
+  const removeTag = (tag) => {
+    onChange(value.filter(current => current !== tag));
+  };
+
+  /**
+   * ⌨️ MANEJAR TECLAS ESPECIALES
+   *
+   * @param {KeyboardEvent} e - Evento de teclado del input
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault(); // No enviar el formulario ni escribir la coma
+      if (highlighted >= 0 && filteredSuggestions[highlighted]) {
+        addTag(filteredSuggestions[highlighted]);
+      } else {
+        addTag(inputValue);
+      }
+    } else if (e.key === 'Backspace' && !inputValue && value.length > 0) {
+      removeTag(value[value.length - 1]);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setIsOpen(true);
+      setHighlighted(current => Math.min(current + 1, filteredSuggestions.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(current => Math.max(current - 1, -1));
+    } else if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="space-y-1">
+      {/* 🏷️ ETIQUETA DEL CAMPO */}
+      {label && (
+        <label htmlFor={inputId} className="block text-sm font-medium text-gray-700">
+          {label}
+        </label>
+      )}
+
+      <div className="relative">
+        {/* 🧩 CHIPS + INPUT */}
+        <div className={`
+          flex flex-wrap items-center gap-1 w-full px-2 py-1.5 border rounded-md shadow-sm bg-white
+          focus-within:ring-2 focus-within:ring-blue-500
+          ${error ? 'border-red-300' : 'border-gray-300'}
+        `}>
+          {value.map(tag => (
+            <TagChip key={tag} tag={tag} onRemove={removeTag} />
+          ))}
+          <input
+            id={inputId}
+            value={inputValue}
+            onChange={(e) => {
+              setInputValue(e.target.value);
+              setIsOpen(true);
+              setHighlighted(-1);
+            }}
+            onKeyDown={handleKeyDown}
+            onFocus={() => setIsOpen(true)}
+            // Retrasar el cierre para permitir el click en una sugerencia
+            onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+            placeholder={value.length === 0 ? placeholder : ''}
+            className="flex-grow min-w-[8rem] border-0 p-1 text-sm focus:ring-0 focus:outline-none"
+            role="combobox"
+            aria-expanded={isOpen && filteredSuggestions.length > 0}
+            aria-autocomplete="list"
+          />
+        </div>
+
+        {/* 📋 LISTA DE SUGERENCIAS */}
+        {isOpen && filteredSuggestions.length > 0 && (
+          <ul
+            className="absolute z-10 mt-1 w-full max-h-48 overflow-auto bg-white border border-gray-200 rounded-md shadow-lg"
+            role="listbox"
+          >
+            {filteredSuggestions.map((tag, index) => (
+              <li
+                key={tag}
+                role="option"
+                aria-selected={index === highlighted}
+                onMouseDown={(e) => {
+                  e.preventDefault(); // Evitar que el input pierda el foco
+                  addTag(tag);
+                }}
+                className={`px-3 py-1.5 text-sm cursor-pointer ${index === highlighted ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
+                <TagChip tag={tag} />
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* ❌ MENSAJE DE ERROR */}
+      {error && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default TagInput;
@@ -0,0 +1,196 @@
+/**
+ * 🗂️ GESTOR DE ETIQUETAS
+ *
+ * Panel para administrar las etiquetas usadas en todos los todos.
+ * Los cambios se aplican a todos los todos, no solo a la página actual.
+ *
+ * Funcionalidades:
+ * - Listado de etiquetas con número de todos que las usan
+ * - Renombrar etiquetas (si el nombre ya existe, se fusionan)
+ * - Cambiar el color de una etiqueta
+ * - Fusionar una etiqueta en otra
+ *
+ * Props:
+ * @param {Array<string>} tags - Etiquetas existentes
+ * @param {Array} todos - Todos los todos (para contar usos)
+ * @param {Function} onRename - Callback (oldTag, newTag) => Promise
+ * @param {Function} onMerge - Callback (sourceTag, targetTag) => Promise
+ * @param {Function} onRecolor - Callback (tag, color)
+ * @param {Function} onClose - Callback para cerrar el panel
+ */
+
+import React, { useState } from 'react';
+import { X, Tags, Pencil, Check } from 'lucide-react';
+import TagChip from './TagChip';
+import { Button, Input, Select } from '../ui';
+import { tagService } from '../../services';
+import { TAG_COLORS, getTagColorClasses } from '../../utils';
+
+/**
+ * Fila de una etiqueta con sus acciones de edición
+ */
+const TagRow = ({ tag, count, otherTags, onRename, onMerge, onRecolor }) => {
+  /** @type {boolean} Si se está editando el nombre */
+  const [isEditing, setIsEditing] = useState(false);
+
+  /** @type {string} Nombre en edición */
+  const [name, setName] = useState(tag);
+
+  /** @type {boolean} Si hay una operación en curso */
+  const [isSaving, setIsSaving] = useState(false);
+
+  const currentColor = tagService.getColor(tag);
+
+  /**
+   * 💾 EJECUTAR UNA OPERACIÓN CON ESTADO DE CARGA
+   *
+   * @param {Function} operation - Operación asíncrona a ejecutar
+   */
+  const runOperation = async (operation) => {
+    setIsSaving(true);
+    try {
+      await operation();
+    } catch {
+      // ⚠️ Los errores se notifican con toast desde useTodos
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * ✏️ CONFIRMAR RENOMBRADO
+   */
+  const handleRename = async () => {
+    await runOperation(() => onRename(tag, name));
+    setIsEditing(false);
+  };
+
+  /**
+   * 🔗 FUSIONAR EN LA ETIQUETA SELECCIONADA
+   *
+   * @param {Event} e - Evento del select de fusión
+   */
+  const handleMerge = (e) => {
+    const target = e.target.value;
+    if (target && window.confirm(`¿Fusionar "${tag}" en "${target}"? Esta acción afecta a ${count} todos.`)) {
+      runOperation(() => onMerge(tag, target));
+    }
+  };
+
+  return (
+    <li className="flex flex-col lg:flex-row lg:items-center gap-2 py-3">
+      {/* 🏷️ NOMBRE (o campo de edición) Y CONTADOR */}
+      <div className="flex items-center gap-2 flex-grow min-w-0">
+        {isEditing ? (
+          <div className="flex items-center gap-2 w-full">
+            <Input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleRename()}
+              aria-label={`Nuevo nombre para ${tag}`}
+            />
+            <Button size="sm" onClick={handleRename} loading={isSaving} title="Guardar nombre">
+              <Check className="h-4 w-4" />
+            </Button>
+          </div>
+        ) : (
+          <>
+            <TagChip tag={tag} />
+            <span className="text-xs text-gray-500">{count} todos</span>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => setIsEditing(true)}
+              className="p-1"
+              title="Renombrar etiqueta"
+            >
+              <Pencil className="h-3 w-3" />
+            </Button>
+          </>
+        )}
+      </div>
+
+      {/* 🎨 SELECTOR DE COLOR */}
+      <div className="flex items-center gap-1" role="radiogroup" aria-label={`Color de ${tag}`}>
+        {Object.keys(TAG_COLORS).map(color => (
+          <button
+            key={color}
+            type="button"
+            role="radio"
+            aria-checked={currentColor === color}
+            onClick={() => onRecolor(tag, color)}
+            className={`h-5 w-5 rounded-full border ${getTagColorClasses(color)} ${currentColor === color ? 'ring-2 ring-offset-1 ring-blue-500' : ''}`}
+            title={color}
+          />
+        ))}
+      </div>
+
+      {/* 🔗 FUSIONAR EN OTRA ETIQUETA */}
+      {otherTags.length > 0 && (
+        <div className="lg:w-48">
+          <Select
+            value=""
+            onChange={handleMerge}
+            disabled={isSaving}
+            options={[
+              { value: '', label: 'Fusionar en...' },
+              ...otherTags.map(other => ({ value: other, label: other })),
+            ]}
+            aria-label={`Fusionar ${tag} en otra etiqueta`}
+          />
+        </div>
+      )}
+    </li>
+  );
+};
+
+/**
+ * Componente principal del gestor de etiquetas
+ */
+const TagManager = ({ tags, todos, onRename, onMerge, onRecolor, onClose }) => {
+  /**
+   * 🔢 CONTAR TODOS POR ETIQUETA
+   *
+   * @param {string} tag - Etiqueta a contar
+   * @returns {number} - Número de todos con esa etiqueta
+   */
+  const countTodos = (tag) => todos.filter(todo => todo.tags.includes(tag)).length;
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 sm:p-6 shadow-sm">
+      {/* 📋 HEADER DEL PANEL */}
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <Tags className="h-5 w-5 text-gray-500" />
+          <h3 className="text-base sm:text-lg font-semibold text-gray-900">Etiquetas</h3>
+        </div>
+        <Button variant="ghost" size="sm" onClick={onClose} className="p-1 sm:p-2">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {/* 📭 SIN ETIQUETAS */}
+      {tags.length === 0 ? (
+        <p className="text-sm text-gray-500 py-4">
+          Todavía no hay etiquetas. Agrégalas desde el formulario de un todo.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {tags.map(tag => (
+            <TagRow
+              key={tag}
+              tag={tag}
+              count={countTodos(tag)}
+              otherTags={tags.filter(other => other !== tag)}
+              onRename={onRename}
+              onMerge={onMerge}
+              onRecolor={onRecolor}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TagManager;
@@ -0,0 +1,120 @@
+/**
+ * 🔎 PANEL DE DETALLE DE TODO
+ *
+ * Muestra un todo completo junto con su historial de actividad y los
+ * comentarios. Si el todo se elimina mientras el panel está abierto, se
+ * sigue mostrando el historial (incluida la eliminación).
+ *
+ * Funcionalidades:
+ * - Título, descripción (Markdown), estado y fecha límite del todo
+ * - Línea de tiempo de cambios con diferencias campo a campo
+ * - Comentarios libres firmados con el nombre del usuario
+ * - Registro de tiempo editable, con totales por día
+ *
+ * Props:
+ * @param {Object|null} todo - Todo a mostrar (null si ya no existe)
+ * @param {Array} entries - Entradas del historial
+ * @param {boolean} loading - Si se está cargando el historial
+ * @param {string} author - Nombre con el que se firman los cambios
+ * @param {Function} onAuthorChange - Callback (name)
+ * @param {Function} onAddComment - Callback (text) => Promise
+ * @param {Array} timeEntries - Entradas de tiempo del todo
+ * @param {Function} onAddTimeEntry - Callback ({start, end, note})
+ * @param {Function} onUpdateTimeEntry - Callback (id, {start, end, note})
+ * @param {Function} onDeleteTimeEntry - Callback (id)
+ * @param {Function} onEdit - Callback opcional para editar el todo (recibe todo)
+ * @param {Function} onClose - Callback para cerrar el panel
+ */
+
+import React from 'react';
+import { X, Edit, CalendarDays, History, Timer } from 'lucide-react';
+import { Button, Markdown } from '../ui';
+import { ActivityTimeline, CommentForm } from '../activity';
+import { TimeLog } from '../time';
+import { formatDueDate, getDueDateClass } from '../../utils';
+
+/**
+ * Componente de panel de detalle
+ */
+const TodoDetail = ({ 
+  todo, 
+  entries, 
+  loading, 
+  author, 
+  onAuthorChange, 
+  onAddComment, 
+  timeEntries = [], 
+  onAddTimeEntry, 
+  onUpdateTimeEntry, 
+  onDeleteTimeEntry, 
+  onEdit, 
+  onClose 
+}) => {
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 sm:p-6 shadow-sm">
+      {/* 📋 HEADER DEL PANEL */}
+      <div className="flex items-start justify-between mb-3">
+        <div className="min-w-0">
+          <h3 className={`text-base sm:text-lg font-semibold break-words ${todo?.completed ? 'line-through text-gray-500' : 'text-gray-900'}`}>
+            {todo ? todo.title : 'Todo eliminado'}
+          </h3>
+          {todo?.dueDate && (
+            <p className={`flex items-center text-xs mt-1 ${getDueDateClass(todo.dueDate, todo.completed) || 'text-gray-500'}`}>
+              <CalendarDays className="h-3 w-3 mr-1" />
+              {formatDueDate(todo.dueDate, todo.hasDueTime)}
+            </p>
+          )}
+        </div>
+        <div className="flex items-center space-x-1 flex-shrink-0">
+          {todo && onEdit && (
+            <Button variant="ghost" size="sm" onClick={() => onEdit(todo)} className="p-1 sm:p-2" title="Editar todo">
+              <Edit className="h-4 w-4" />
+            </Button>
+          )}
+          <Button variant="ghost" size="sm" onClick={onClose} className="p-1 sm:p-2">
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      {/* 📄 DESCRIPCIÓN EN MARKDOWN */}
+      {todo?.description && (
+        <Markdown className="text-sm text-gray-700 mb-4">{todo.description}</Markdown>
+      )}
+
+      {/* 💬 NUEVO COMENTARIO (solo si el todo existe) */}
+      {todo && (
+        <div className="mb-4">
+          <CommentForm onSubmit={onAddComment} author={author} onAuthorChange={onAuthorChange} />
+        </div>
+      )}
+
+      {/* ⏱️ TIEMPO REGISTRADO (solo si el todo existe) */}
+      {todo && onAddTimeEntry && (
+        <div className="border-t border-gray-200 pt-4 mb-4">
+          <h4 className="flex items-center text-sm font-semibold text-gray-900 mb-3">
+            <Timer className="h-4 w-4 mr-2 text-gray-500" />
+            Tiempo
+          </h4>
+          <TimeLog
+            entries={timeEntries}
+            onAdd={onAddTimeEntry}
+            onUpdate={onUpdateTimeEntry}
+            onDelete={onDeleteTimeEntry}
+          />
+        </div>
+      )}
+
+      {/* 🕓 HISTORIAL */}
+      <div className="border-t border-gray-200 pt-4">
+        <h4 className="flex items-center text-sm font-semibold text-gray-900 mb-3">
+          <History className="h-4 w-4 mr-2 text-gray-500" />
+          Actividad
+        </h4>
+        <ActivityTimeline entries={entries} loading={loading} />
+      </div>
+    </div>
+  );
+};
+
+export default TodoDetail;
@@ -2,12 +2,18 @@
  * 🔍 FILTROS DE TODOS
  * 
  * Componente que proporciona controles de filtrado y búsqueda para la lista de todos.
- * Permite a los usuarios filtrar por estado y buscar por texto en el título.
+ * Permite a los usuarios filtrar por estado y prioridad, buscar por texto en el
+ * título y elegir el ordenamiento de la lista.
  * 
  * Funcionalidades principales:
- * - Búsqueda por texto en título del todo
- * - Filtrado por estado (todos, pendientes, completados)
+ * - Búsqueda con lenguaje de consulta (texto, "frase", estado:, prioridad:,
+ *   tag:, vence:, -excluir), autocompletado y errores de sintaxis
+ * - Filtrado por estado (todos, pendientes, completados) y por vencimiento
+ * - Filtrado por prioridad (alta, media, baja)
+ * - Filtrado por varias etiquetas a la vez (el todo debe tenerlas todas)
+ * - Selección de ordenamiento (original, prioridad, fecha límite)
  * - Botón para limpiar todos los filtros activos
+ * - Botón para guardar la combinación actual como vista (opcional)
  * - Indicador visual de filtros activos
  * - Diseño responsivo para diferentes tamaños de pantalla
  * 
@@ -15,34 +21,48 @@
  * @param {Object} filters - Objeto con los filtros actuales
  * @param {Function} onFiltersChange - Callback cuando cambian los filtros
  * @param {Function} onReset - Callback para resetear todos los filtros
+ * @param {Function} onSaveView - Callback para guardar los filtros como vista (opcional)
+ * @param {Array<string>} availableTags - Etiquetas existentes para filtrar
  */
 
 import React from 'react';
-import { Search, Filter, RotateCcw } from 'lucide-react';
-import { Button, Input, Select } from '../ui';
+import { Filter, RotateCcw, Bookmark } from 'lucide-react';
+import { Button, Select } from '../ui';
+import TagChip from './TagChip';
+import SearchQueryInput from './SearchQueryInput';
+import { PRIORITY_OPTIONS, SORT_OPTIONS, STATUS_FILTER_OPTIONS } from '../../utils';
 
 /**
- * 📋 OPCIONES DE FILTRADO POR ESTADO
+ * 🎯 OPCIONES DE FILTRADO POR PRIORIDAD
  * 
- * Define las opciones disponibles para filtrar todos por su estado de completado
+ * Agrega la opción "todas" a las prioridades disponibles
  */
-const statusOptions = [
-  { value: 'all', label: 'Todos' },            // Mostrar todos los todos
-  { value: 'pending', label: 'Pendientes' },   // Solo todos sin completar
-  { value: 'completed', label: 'Completados' }, // Solo todos completados
+const priorityOptions = [
+  { value: 'all', label: 'Todas las prioridades' },
+  ...PRIORITY_OPTIONS,
 ];
 
+/**
+ * 🔃 OPCIONES DE ORDENAMIENTO
+ * 
+ * Prefijo "Ordenar por" para que el select sea autoexplicativo
+ */
+const sortOptions = SORT_OPTIONS.map(option => ({
+  ...option,
+  label: `Ordenar: ${option.label}`,
+}));
+
 /**
  * Componente principal de filtros con búsqueda y estado
  */
-const TodoFilters = ({ filters, onFiltersChange, onReset }) => {
+const TodoFilters = ({ filters, onFiltersChange, onReset, onSaveView, availableTags = [] }) => {
   /**
-   * 🔍 MANEJAR CAMBIO EN BÚSQUEDA POR TEXTO
+   * 🔍 MANEJAR CAMBIO EN LA CONSULTA DE BÚSQUEDA
    * 
-   * @param {Event} e - Evento del input de búsqueda
+   * @param {string} search - Texto de la consulta
    */
-  const handleSearchChange = (e) => {
-    onFiltersChange({ ...filters, search: e.target.value });
+  const handleSearchChange = (search) => {
+    onFiltersChange({ ...filters, search });
   };
 
   /**
@@ -54,6 +74,37 @@ const TodoFilters = ({ filters, onFiltersChange, onReset }) => {
     onFiltersChange({ ...filters, status: e.target.value });
   };
 
+  /**
+   * 🎯 MANEJAR CAMBIO EN FILTRO DE PRIORIDAD
+   * 
+   * @param {Event} e - Evento del select de prioridad
+   */
+  const handlePriorityChange = (e) => {
+    onFiltersChange({ ...filters, priority: e.target.value });
+  };
+
+  /**
+   * 🔃 MANEJAR CAMBIO DE ORDENAMIENTO
+   * 
+   * @param {Event} e - Evento del select de ordenamiento
+   */
+  const handleSortChange = (e) => {
+    onFiltersChange({ ...filters, sortBy: e.target.value });
+  };
+
+  /**
+   * 🏷️ ACTIVAR/DESACTIVAR UNA ETIQUETA EN EL FILTRO
+   * 
+   * @param {string} tag - Etiqueta pulsada
+   */
+  const handleTagToggle = (tag) => {
+    const selectedTags = filters.tags || [];
+    const tags = selectedTags.includes(tag)
+      ? selectedTags.filter(current => current !== tag)
+      : [...selectedTags, tag];
+    onFiltersChange({ ...filters, tags });
+  };
+
   /**
    * 🔍 DETECTAR SI HAY FILTROS ACTIVOS
    * 
@@ -61,7 +112,10 @@ const TodoFilters = ({ filters, onFiltersChange, onReset }) => {
    */
   const hasActiveFilters = 
     (filters.search && filters.search.length > 0) ||
-    (filters.status && filters.status !== 'all');
+    (filters.status && filters.status !== 'all') ||
+    (filters.priority && filters.priority !== 'all') ||
+    (filters.tags && filters.tags.length > 0) ||
+    (filters.sortBy && filters.sortBy !== 'default');
 
   return (
     <div className="bg-white border border-gray-200 rounded-lg p-3 sm:p-4 shadow-sm">
@@ -72,45 +126,82 @@ const TodoFilters = ({ filters, onFiltersChange, onReset }) => {
           <h3 className="text-sm font-medium text-gray-900">Filtros</h3>
         </div>
         
-        {/* 🗑️ BOTÓN LIMPIAR FILTROS (solo si hay filtros activos) - RESPONSIVO */}
-        {hasActiveFilters && (
-          <Button 
-            variant="ghost" 
-            size="sm" 
-            onClick={onReset}
-            className="text-xs p-1 sm:p-2"
-          >
-            <RotateCcw className="h-3 w-3 sm:mr-1" />
-            <span className="hidden sm:inline">Limpiar</span>
-          </Button>
-        )}
+        <div className="flex items-center">
+          {/* 🔖 BOTÓN GUARDAR COMO VISTA - RESPONSIVO */}
+          {onSaveView && (
+            <Button 
+              variant="ghost" 
+              size="sm" 
+              onClick={onSaveView}
+              className="text-xs p-1 sm:p-2"
+              title="Guardar como vista"
+            >
+              <Bookmark className="h-3 w-3 sm:mr-1" />
+              <span className="hidden sm:inline">Guardar vista</span>
+            </Button>
+          )}
+          
+          {/* 🗑️ BOTÓN LIMPIAR FILTROS (solo si hay filtros activos) - RESPONSIVO */}
+          {hasActiveFilters && (
+            <Button 
+              variant="ghost" 
+              size="sm" 
+              onClick={onReset}
+              className="text-xs p-1 sm:p-2"
+            >
+              <RotateCcw className="h-3 w-3 sm:mr-1" />
+              <span className="hidden sm:inline">Limpiar</span>
+            </Button>
+          )}
+        </div>
       </div>
       
       {/* 🎛️ CONTROLES DE FILTRADO - RESPONSIVO */}
-      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
-        {/* 🔍 CAMPO DE BÚSQUEDA POR TEXTO - RESPONSIVO */}
-        <div className="relative">
-          {/* 🔍 ÍCONO DE BÚSQUEDA DENTRO DEL INPUT */}
-          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-            <Search className="h-4 w-4 text-gray-400" />
-          </div>
-          
-          {/* 📝 INPUT DE BÚSQUEDA */}
-          <Input
-            placeholder="Buscar todos..."
-            value={filters.search || ''}
-            onChange={handleSearchChange}
-            className="pl-10"  // Espacio para el ícono
-          />
-        </div>
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-4">
+        {/* 🔍 BÚSQUEDA CON LENGUAJE DE CONSULTA - RESPONSIVO */}
+        <SearchQueryInput
+          value={filters.search || ''}
+          onChange={handleSearchChange}
+          tags={availableTags}
+          placeholder='Buscar... (p. ej. tag:backend -"frase")'
+        />
         
         {/* 📊 SELECT PARA FILTRO POR ESTADO - RESPONSIVO */}
         <Select
-          options={statusOptions}
+          options={STATUS_FILTER_OPTIONS}
           value={filters.status || 'all'}
           onChange={handleStatusChange}
         />
+        
+        {/* 🎯 SELECT PARA FILTRO POR PRIORIDAD - RESPONSIVO */}
+        <Select
+          options={priorityOptions}
+          value={filters.priority || 'all'}
+          onChange={handlePriorityChange}
+        />
+        
+        {/* 🔃 SELECT DE ORDENAMIENTO - RESPONSIVO */}
+        <Select
+          options={sortOptions}
+          value={filters.sortBy || 'default'}
+          onChange={handleSortChange}
+        />
       </div>
+      
+      {/* 🏷️ FILTRO POR ETIQUETAS (solo si existen etiquetas) - RESPONSIVO */}
+      {availableTags.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mt-3 sm:mt-4">
+          <span className="text-xs text-gray-500">Etiquetas:</span>
+          {availableTags.map(tag => (
+            <TagChip
+              key={tag}
+              tag={tag}
+              onClick={handleTagToggle}
+              selected={(filters.tags || []).includes(tag)}
+            />
+          ))}
+        </div>
+      )}
     </div>
   );
 };
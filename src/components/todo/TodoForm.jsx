@@ -13,18 +13,51 @@
  * - Validación client-side antes del envío
  * - Mensajes de error personalizados
  * - Reset automático del formulario después de crear
+ * - Rellenar el formulario desde una plantilla (solo al crear)
  * 
  * Campos del formulario:
  * - Título (requerido, máximo 255 caracteres)
- * - Descripción (opcional, máximo 1024 caracteres)
+ * - Lista (proyecto) a la que pertenece
+ * - Descripción en Markdown (opcional, máximo 1024 caracteres) con barra de formato y vista previa
+ * - Prioridad (alta, media o baja; media por defecto)
+ * - Fecha límite (opcional) y hora (opcional, requiere fecha)
+ * - Etiquetas (opcional, con autocompletado, máximo 10)
+ * - Subtareas (checklist) y opción de auto-completar el todo al terminarlas
+ * - Recurrencia (diaria, laborables, semanal, mensual o personalizada)
+ * - Recordatorios (minutos antes del vencimiento; requieren fecha límite)
+ * - Dependencias: todos que lo bloquean (sin ciclos)
  */
 
-import React from 'react';
-import { useForm } from 'react-hook-form';
+import React, { useState } from 'react';
+import { useForm, Controller } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
 import * as yup from 'yup';
 import { Plus, X, Edit } from 'lucide-react';
-import { Button, Input, Textarea } from '../ui';
+import { Button, Input, Select } from '../ui';
+import TagInput from './TagInput';
+import SubtaskList from './SubtaskList';
+import RecurrenceInput from './RecurrenceInput';
+import ReminderInput from './ReminderInput';
+import DependencyPicker from './DependencyPicker';
+import MarkdownEditor from './MarkdownEditor';
+import { DEFAULT_LIST_ID } from '../../services';
+import { 
+  PRIORITIES, 
+  PRIORITY_OPTIONS, 
+  normalizePriority, 
+  formatDateFromAPI, 
+  formatTimeFromAPI, 
+  combineDateAndTime,
+  formatDateForAPI,
+  instantiateTemplate,
+  normalizeRecurrence,
+  normalizeReminders,
+  MAX_REMINDERS,
+  MAX_BLOCKERS,
+  MAX_DESCRIPTION_LENGTH,
+  findDependencyCycle,
+  describeDependencyCycle
+} from '../../utils';
 
 // 📋 ESQUEMA DE VALIDACIÓN CON YUP
 // Define las reglas de validación que coinciden con las del backend FastAPI
@@ -36,10 +69,74 @@ const schema = yup.object({
     .min(1, 'El título no puede estar vacío')
     .max(255, 'El título no puede exceder 255 caracteres'),
   
-  // Descripción: opcional, máximo 1024 caracteres
+  // Lista: requerida (la Bandeja de entrada por defecto)
+  listId: yup
+    .string()
+    .required('Selecciona una lista'),
+  
+  // Descripción: opcional, en Markdown, máximo 1024 caracteres
   description: yup
     .string()
-    .max(1024, 'La descripción no puede exceder 1024 caracteres'),
+    .max(MAX_DESCRIPTION_LENGTH, `La descripción no puede exceder ${MAX_DESCRIPTION_LENGTH} caracteres`),
+  
+  // Prioridad: requerida, uno de los valores permitidos
+  priority: yup
+    .string()
+    .required('La prioridad es obligatoria')
+    .oneOf(PRIORITIES, 'Selecciona una prioridad válida'),
+  
+  // Fecha límite: opcional, formato YYYY-MM-DD del input date
+  dueDate: yup
+    .string(),
+  
+  // Hora: opcional, solo tiene sentido si hay fecha límite
+  dueTime: yup
+    .string()
+    .test('time-requires-date', 'Selecciona una fecha para asignar la hora', function (value) {
+      return !value || !!this.parent.dueDate;
+    }),
+  
+  // Etiquetas: opcionales, máximo 10 de hasta 50 caracteres
+  tags: yup
+    .array()
+    .of(yup.string().max(50, 'Cada etiqueta admite máximo 50 caracteres'))
+    .max(10, 'Máximo 10 etiquetas por todo'),
+  
+  // Subtareas: opcionales, cada una con título no vacío
+  subtasks: yup
+    .array()
+    .of(yup.object({
+      title: yup.string().required('La subtarea necesita un título').max(255),
+    }))
+    .max(50, 'Máximo 50 subtareas por todo'),
+  
+  // Auto-completar el todo cuando todas las subtareas estén hechas
+  autoComplete: yup.boolean(),
+  
+  // Recurrencia: opcional, una regla válida o null
+  recurrence: yup
+    .mixed()
+    .nullable()
+    .test('valid-recurrence', 'La regla de repetición no es válida', (value) => {
+      return value === null || value === undefined || normalizeRecurrence(value) !== null;
+    }),
+  
+  // Recordatorios: opcionales, minutos antes del vencimiento
+  reminders: yup
+    .array()
+    .of(yup.number().integer().min(0))
+    .max(MAX_REMINDERS, `Máximo ${MAX_REMINDERS} recordatorios por todo`),
+  
+  // Dependencias: opcionales, sin formar ciclos con los todos existentes
+  // (el contexto del formulario aporta el ID del todo y la lista completa)
+  blockedBy: yup
+    .array()
+    .max(MAX_BLOCKERS, `Máximo ${MAX_BLOCKERS} dependencias por todo`)
+    .test('no-cycle', 'Dependencia circular', function (value) {
+      const { todoId = null, allTodos = [] } = this.options.context || {};
+      const cycle = findDependencyCycle(todoId, value, allTodos);
+      return !cycle || this.createError({ message: describeDependencyCycle(cycle) });
+    }),
 });
 
 /**
@@ -51,6 +148,12 @@ const schema = yup.object({
  *   - Para editar: onSubmit(todoId, todoData)
  * @param {Function} onCancel - Función a llamar al cancelar el formulario
  * @param {boolean} loading - Si el formulario está en estado de carga
+ * @param {Array<string>} availableTags - Etiquetas existentes para autocompletar
+ * @param {Array<Object>} lists - Listas disponibles {id, name} para el selector
+ * @param {string} defaultListId - Lista preseleccionada al crear (la lista activa)
+ * @param {string} defaultDueDate - Fecha límite preseleccionada al crear (YYYY-MM-DD), p. ej. desde el calendario
+ * @param {Array<Object>} allTodos - Todos existentes, para elegir dependencias
+ * @param {Array<Object>} templates - Plantillas para rellenar el formulario al crear
  * 
  * @example
  * // Crear nuevo todo
@@ -68,7 +171,18 @@ const schema = yup.object({
  *   loading={isUpdating}
  * />
  */
-const TodoForm = ({ todo, onSubmit, onCancel, loading = false }) => {
+const TodoForm = ({ 
+  todo, 
+  onSubmit, 
+  onCancel, 
+  loading = false, 
+  availableTags = [], 
+  lists = [], 
+  defaultListId = DEFAULT_LIST_ID,
+  defaultDueDate = '',
+  allTodos = [],
+  templates = []
+}) => {
   // 🔍 DETERMINAR SI ESTAMOS EDITANDO O CREANDO
   const isEditing = !!todo;
   
@@ -78,14 +192,63 @@ const TodoForm = ({ todo, onSubmit, onCancel, loading = false }) => {
     handleSubmit,       // Función para manejar el envío del formulario
     formState: { errors }, // Errores de validación
     reset,              // Función para resetear el formulario
+    control,            // Control para campos no nativos (etiquetas, subtareas, recurrencia)
+    watch,              // Observar valores (fecha límite para la recurrencia)
+    getValues,          // Leer valores actuales (al aplicar una plantilla)
   } = useForm({
     resolver: yupResolver(schema), // Usar Yup para validación
+    context: { todoId: todo?.id ?? null, allTodos }, // Para detectar dependencias circulares
     defaultValues: {
       // Valores por defecto: vacíos para crear, valores del todo para editar
       title: todo?.title || '',
+      listId: todo?.listId || defaultListId,
       description: todo?.description || '',
+      priority: normalizePriority(todo?.priority),
+      dueDate: formatDateFromAPI(todo?.dueDate) || (todo ? '' : defaultDueDate),
+      dueTime: todo?.hasDueTime ? formatTimeFromAPI(todo.dueDate) : '',
+      tags: todo?.tags || [],
+      subtasks: todo?.subtasks || [],
+      autoComplete: todo?.autoComplete || false,
+      recurrence: todo?.recurrence || null,
+      reminders: todo?.reminders || [],
+      blockedBy: todo?.blockedBy || [],
     },
   });
+  
+  /** @type {string} ID de la plantilla aplicada ('' si ninguna) */
+  const [templateId, setTemplateId] = useState('');
+
+  /**
+   * 📑 APLICAR PLANTILLA
+   * 
+   * Sustituye el contenido del formulario por el de la plantilla (con los
+   * marcadores rellenados y la fecha límite calculada desde hoy). La lista,
+   * la recurrencia, los recordatorios y las dependencias se conservan.
+   * 
+   * @param {Event} e - Evento del select de plantillas
+   */
+  const handleTemplateChange = (e) => {
+    const id = e.target.value;
+    setTemplateId(id);
+    const template = templates.find(candidate => candidate.id === id);
+    if (!template) return;
+
+    const data = instantiateTemplate(template);
+    reset({
+      ...getValues(),
+      title: data.title,
+      description: data.description,
+      priority: data.priority,
+      dueDate: formatDateFromAPI(formatDateForAPI(data.dueDate)) || '',
+      dueTime: data.hasDueTime ? formatTimeFromAPI(data.dueDate) : '',
+      tags: data.tags,
+      subtasks: data.subtasks,
+    });
+  };
+  
+  // 📆 FECHA DE REFERENCIA PARA LOS VALORES POR DEFECTO DE LA RECURRENCIA
+  const watchedDueDate = watch('dueDate');
+  const recurrenceReference = watchedDueDate ? combineDateAndTime(watchedDueDate) : null;
 
   /**
    * 📨 MANEJAR ENVÍO DEL FORMULARIO
@@ -100,8 +263,18 @@ const TodoForm = ({ todo, onSubmit, onCancel, loading = false }) => {
       // 🔄 FORMATEAR DATOS PARA FASTAPI
       const submitData = {
         title: data.title,                    // Título del todo
+        listId: data.listId,                  // Lista a la que pertenece
         description: data.description || '',  // Descripción (vacía si no se proporciona)
-        ...(isEditing && { completed: todo.completed }), // Preservar estado si editando
+        priority: data.priority,              // Prioridad seleccionada
+        dueDate: combineDateAndTime(data.dueDate, data.dueTime), // Fecha límite (o null)
+        hasDueTime: Boolean(data.dueDate && data.dueTime),       // Si se indicó hora
+        tags: data.tags || [],                // Etiquetas
+        subtasks: data.subtasks || [],        // Checklist de subtareas
+        autoComplete: Boolean(data.autoComplete), // Completar al terminar subtareas
+        recurrence: normalizeRecurrence(data.recurrence), // Regla de repetición (o null)
+        reminders: data.dueDate ? normalizeReminders(data.reminders) : [], // Solo con fecha límite
+        blockedBy: data.blockedBy || [],      // Todos que lo bloquean
+        ...(isEditing && { completed: todo.completed, completedAt: todo.completedAt, position: todo.position }), // Preservar estado y orden manual si editando
       };
       
       if (isEditing) {
@@ -115,6 +288,7 @@ const TodoForm = ({ todo, onSubmit, onCancel, loading = false }) => {
       // 🧹 LIMPIAR FORMULARIO SOLO DESPUÉS DE CREAR (no al editar)
       if (!isEditing) {
         reset();
+        setTemplateId('');
       }
       
       // 🚪 CERRAR FORMULARIO
@@ -140,6 +314,20 @@ const TodoForm = ({ todo, onSubmit, onCancel, loading = false }) => {
       
       {/* 📝 FORMULARIO - RESPONSIVO */}
       <form onSubmit={handleSubmit(handleFormSubmit)} className="space-y-3 sm:space-y-4">
+        {/* 📑 PLANTILLA (solo al crear y si hay alguna) - RESPONSIVO */}
+        {!isEditing && templates.length > 0 && (
+          <Select
+            label="Plantilla"
+            value={templateId}
+            onChange={handleTemplateChange}
+            helperText="Rellena el formulario con el contenido de la plantilla"
+            options={[
+              { value: '', label: 'Sin plantilla' },
+              ...templates.map(template => ({ value: template.id, label: template.name })),
+            ]}
+          />
+        )}
+        
         {/* 🏷️ CAMPO TÍTULO - RESPONSIVO */}
         <Input
           label="Título"
@@ -148,15 +336,136 @@ const TodoForm = ({ todo, onSubmit, onCancel, loading = false }) => {
           {...register('title')} // Registrar campo con React Hook Form
         />
         
+        {/* 📚 CAMPO LISTA - RESPONSIVO */}
+        {lists.length > 0 && (
+          <Select
+            label="Lista"
+            options={lists.map(list => ({ value: list.id, label: list.name }))}
+            error={errors.listId?.message}
+            {...register('listId')}
+          />
+        )}
+        
         {/* 📄 CAMPO DESCRIPCIÓN - RESPONSIVO */}
-        <Textarea
-          label="Descripción (opcional)"
-          placeholder="Agrega una descripción..."
-          rows={3}
-          error={errors.description?.message}
-          {...register('description')}
+        <Controller
+          name="description"
+          control={control}
+          render={({ field }) => (
+            <MarkdownEditor
+              label="Descripción (opcional)"
+              placeholder="Agrega una descripción... (admite **Markdown**)"
+              value={field.value}
+              onChange={field.onChange}
+              onBlur={field.onBlur}
+              error={errors.description?.message}
+            />
+          )}
+        />
+        
+        {/* 🎯 CAMPO PRIORIDAD - RESPONSIVO */}
+        <Select
+          label="Prioridad"
+          options={PRIORITY_OPTIONS}
+          error={errors.priority?.message}
+          {...register('priority')}
+        />
+        
+        {/* 📆 CAMPOS FECHA LÍMITE Y HORA - RESPONSIVO */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4">
+          <Input
+            type="date"
+            label="Fecha límite (opcional)"
+            error={errors.dueDate?.message}
+            {...register('dueDate')}
+          />
+          <Input
+            type="time"
+            label="Hora (opcional)"
+            error={errors.dueTime?.message}
+            {...register('dueTime')}
+          />
+        </div>
+        
+        {/* 🔁 CAMPO RECURRENCIA - RESPONSIVO */}
+        <Controller
+          name="recurrence"
+          control={control}
+          render={({ field }) => (
+            <RecurrenceInput
+              value={field.value}
+              onChange={field.onChange}
+              referenceDate={recurrenceReference}
+              error={errors.recurrence?.message}
+            />
+          )}
         />
         
+        {/* 🔔 CAMPO RECORDATORIOS - RESPONSIVO */}
+        <Controller
+          name="reminders"
+          control={control}
+          render={({ field }) => (
+            <ReminderInput
+              value={field.value}
+              onChange={field.onChange}
+              disabled={!watchedDueDate}
+              error={errors.reminders?.message}
+            />
+          )}
+        />
+        
+        {/* 🏷️ CAMPO ETIQUETAS CON AUTOCOMPLETADO - RESPONSIVO */}
+        <Controller
+          name="tags"
+          control={control}
+          render={({ field }) => (
+            <TagInput
+              label="Etiquetas (opcional)"
+              value={field.value}
+              onChange={field.onChange}
+              suggestions={availableTags}
+              error={errors.tags?.message || errors.tags?.find?.(Boolean)?.message}
+            />
+          )}
+        />
+        
+        {/* 🔗 CAMPO DEPENDENCIAS - RESPONSIVO */}
+        <Controller
+          name="blockedBy"
+          control={control}
+          render={({ field }) => (
+            <DependencyPicker
+              value={field.value}
+              onChange={field.onChange}
+              candidates={allTodos.filter(candidate => candidate.id !== todo?.id)}
+              error={errors.blockedBy?.message}
+            />
+          )}
+        />
+        
+        {/* ☑️ CAMPO SUBTAREAS - RESPONSIVO */}
+        <div className="space-y-1">
+          <span className="block text-sm font-medium text-gray-700">Subtareas (opcional)</span>
+          <Controller
+            name="subtasks"
+            control={control}
+            render={({ field }) => (
+              <SubtaskList subtasks={field.value} onChange={field.onChange} />
+            )}
+          />
+          {errors.subtasks?.message && (
+            <p className="text-sm text-red-600">{errors.subtasks.message}</p>
+          )}
+          <label className="flex items-center space-x-2 pt-1 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              {...register('autoComplete')}
+            />
+            <span>Completar el todo automáticamente al terminar todas las subtareas</span>
+          </label>
+        </div>
+        
         {/* 🎯 BOTONES DE ACCIÓN - RESPONSIVO */}
         <div className="flex flex-col sm:flex-row justify-end space-y-2 sm:space-y-0 sm:space-x-3 pt-3 sm:pt-4">
           {/* ❌ BOTÓN CANCELAR - RESPONSIVO */}
@@ -8,28 +8,88 @@
  * Funcionalidades principales:
  * - Toggle de estado completado/pendiente con confirmación visual
  * - Botones de edición y eliminación con estados de carga
+ * - Botón para abrir el detalle con historial y comentarios
+ * - Botón para guardar el todo como plantilla reutilizable
+ * - Temporizador para registrar tiempo y tiempo total registrado
  * - Indicadores de estado visual (completado, pendiente)
+ * - Badge de prioridad con color e ícono
+ * - Fecha límite coloreada según su cercanía (vencido, hoy, pronto)
+ * - Descripción en Markdown (enlaces seguros, listas de tareas, código)
+ * - Chips de etiquetas con su color
+ * - Checklist de subtareas editable en línea con barra de progreso
+ * - Ícono y resumen de recurrencia ("cada lunes")
+ * - Indicador de recordatorios programados
+ * - Badge "Bloqueado" mientras algún todo del que depende siga pendiente
  * - Información de fecha de creación relativa
  * - Estados de carga para acciones asíncronas
- * - Confirmación antes de eliminar
+ * - Asa para reordenar arrastrando (solo en orden manual y sin búsqueda)
+ * - Casilla de selección para acciones en bloque (mayúsculas+click selecciona un rango)
+ * - Eliminar mueve el todo a la papelera (se puede restaurar, así que no se pide confirmación)
+ * - Confirmación antes de completar un todo bloqueado
  * - Diseño responsive y accesible
  * 
  * Props:
- * @param {Object} todo - Objeto todo con id, title, description, completed, createdAt
- * @param {Function} onToggle - Callback para alternar estado completado (recibe todo.id)
- * @param {Function} onDelete - Callback para eliminar todo (recibe todo.id)
+ * @param {Object} todo - Objeto todo con id, title, description, completed, priority, dueDate, tags, createdAt
+ * @param {Function} onToggle - Callback para alternar estado completado (recibe todo.id y opciones {force})
+ * @param {Function} onDelete - Callback para mover el todo a la papelera (recibe todo.id)
  * @param {Function} onEdit - Callback opcional para editar todo (recibe todo object)
+ * @param {Function} onSubtasksChange - Callback opcional para guardar subtareas (recibe todo.id y subtasks)
+ * @param {Function} onOpenDetail - Callback opcional para abrir el detalle (recibe todo object)
+ * @param {Function} onSaveAsTemplate - Callback opcional para guardar como plantilla (recibe todo object)
+ * @param {number} trackedTime - Milisegundos registrados (sin el temporizador en marcha)
+ * @param {string|null} runningSince - Inicio del temporizador si este todo se está cronometrando
+ * @param {Function} onStartTimer - Callback opcional para iniciar el temporizador (recibe todo object)
+ * @param {Function} onStopTimer - Callback opcional para detener el temporizador
+ * @param {boolean} selected - Si el todo está seleccionado para acciones en bloque
+ * @param {Function} onSelect - Callback opcional para (de)seleccionar (recibe todo.id y {range})
+ * @param {Object|null} dragHandleProps - Props del asa de arrastre (eventos de puntero y teclado); sin ellas no hay asa
+ * @param {boolean} isDragging - Si el todo se está arrastrando
+ * @param {Array<Object>} highlightTerms - Términos de la búsqueda a resaltar en título, descripción y etiquetas
  */
 
 import React, { useState } from 'react';
-import { Check, Clock, Trash2, Edit } from 'lucide-react';
-import { formatRelativeDateFromAPI } from '../../utils';
-import { Button } from '../ui';
+import { Check, Clock, Trash2, Edit, CalendarDays, ListChecks, Repeat, Bell, History, Lock, Play, Square, Timer, LayoutTemplate, GripVertical } from 'lucide-react';
+import { 
+  formatRelativeDateFromAPI, 
+  getPriorityColor, 
+  getPriorityIcon, 
+  getPriorityLabel,
+  formatDueDate,
+  getDueDateClass,
+  isOverdue,
+  describeRecurrence,
+  describeReminder,
+  formatDuration
+} from '../../utils';
+import { Button, Markdown, HighlightedText } from '../ui';
+import { ElapsedTime } from '../time';
+import TagChip from './TagChip';
+import SubtaskList, { SubtaskProgress } from './SubtaskList';
+
+/** Sin búsqueda activa: referencia estable para no recalcular el resaltado */
+const NO_HIGHLIGHT = [];
 
 /**
  * Componente de item individual de todo con todas sus interacciones
  */
-const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
+const TodoItem = ({ 
+  todo, 
+  onToggle, 
+  onDelete, 
+  onEdit, 
+  onSubtasksChange, 
+  onOpenDetail, 
+  onSaveAsTemplate, 
+  trackedTime = 0, 
+  runningSince = null, 
+  onStartTimer, 
+  onStopTimer,
+  selected = false,
+  onSelect,
+  dragHandleProps = null,
+  isDragging = false,
+  highlightTerms = NO_HIGHLIGHT
+}) => {
   // 🎛️ ESTADOS LOCALES PARA OPERACIONES ASÍNCRONAS
   // Controlan los indicadores de carga durante las operaciones
   
@@ -38,46 +98,90 @@ const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
   
   /** @type {boolean} Si está procesando el toggle de completado */
   const [isToggling, setIsToggling] = useState(false);
+  
+  /** @type {boolean} Si el checklist de subtareas está desplegado */
+  const [showSubtasks, setShowSubtasks] = useState(false);
+  
+  const subtasks = todo.subtasks || [];
+  const pendingBlockers = todo.pendingBlockers || [];
 
   /**
    * 🔄 MANEJAR TOGGLE DE ESTADO COMPLETADO
    * 
    * Cambia el estado del todo entre completado y pendiente.
    * Incluye estado de carga para prevenir clicks múltiples y dar feedback visual.
+   * Si el todo está bloqueado, pide confirmación para completarlo igualmente.
    */
   const handleToggle = async () => {
+    let options;
+    if (!todo.completed && pendingBlockers.length > 0) {
+      const blockerList = pendingBlockers.map(blocker => `• ${blocker.title}`).join('\n');
+      if (!window.confirm(`Este todo está bloqueado por:\n${blockerList}\n\n¿Completarlo de todos modos?`)) {
+        return;
+      }
+      options = { force: true };
+    }
+    
     setIsToggling(true); // Mostrar estado de carga
     try {
-      await onToggle(todo.id); // Ejecutar callback del componente padre
+      await onToggle(todo.id, options); // Ejecutar callback del componente padre
     } finally {
       setIsToggling(false); // Limpiar estado de carga siempre
     }
   };
 
   /**
-   * 🗑️ MANEJAR ELIMINACIÓN CON CONFIRMACIÓN
+   * 🗑️ MANEJAR ELIMINACIÓN
    * 
-   * Muestra un diálogo de confirmación antes de eliminar el todo.
-   * Solo procede si el usuario confirma la acción.
+   * Mueve el todo a la papelera. No pide confirmación porque se puede
+   * restaurar desde allí.
    */
   const handleDelete = async () => {
-    // 💡 CONFIRMACIÓN DEL USUARIO ANTES DE ELIMINAR
-    if (window.confirm('¿Estás seguro de que quieres eliminar este todo?')) {
-      setIsDeleting(true); // Mostrar estado de carga
-      try {
-        await onDelete(todo.id); // Ejecutar callback del componente padre
-      } finally {
-        setIsDeleting(false); // Limpiar estado de carga siempre
-      }
+    setIsDeleting(true); // Mostrar estado de carga
+    try {
+      await onDelete(todo.id); // Ejecutar callback del componente padre
+    } finally {
+      setIsDeleting(false); // Limpiar estado de carga siempre
     }
   };
 
   return (
     <div className={`
-      bg-white border border-gray-200 rounded-lg p-3 sm:p-4 shadow-sm transition-all duration-200 hover:shadow-md
+      bg-white border rounded-lg p-3 sm:p-4 shadow-sm transition-all duration-200 hover:shadow-md
+      ${selected ? 'border-blue-400 ring-1 ring-blue-400' : 'border-gray-200'} // Resaltar si está seleccionado
       ${todo.completed ? 'opacity-75' : ''} // Reducir opacidad si está completado
+      ${isDragging ? 'opacity-50 shadow-lg' : ''} // Atenuar mientras se arrastra
     `}>
       <div className="flex items-start space-x-2 sm:space-x-3">
+        {/* ↕️ ASA PARA REORDENAR (touch-none: el gesto táctil arrastra en vez de desplazar) */}
+        {dragHandleProps && (
+          <button
+            type="button"
+            {...dragHandleProps}
+            className={`
+              flex-shrink-0 -ml-1 p-0.5 rounded text-gray-400 hover:text-gray-600 touch-none
+              focus:outline-none focus:ring-2 focus:ring-blue-500
+              ${isDragging ? 'cursor-grabbing text-blue-600' : 'cursor-grab'}
+            `}
+            title="Arrastrar para reordenar (o Espacio y flechas)"
+          >
+            <GripVertical className="h-4 w-4" />
+          </button>
+        )}
+        
+        {/* ☑️ CASILLA DE SELECCIÓN PARA ACCIONES EN BLOQUE */}
+        {onSelect && (
+          <input
+            type="checkbox"
+            checked={selected}
+            readOnly
+            onClick={(e) => onSelect(todo.id, { range: e.shiftKey })}
+            className="flex-shrink-0 mt-1 h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500 cursor-pointer"
+            aria-label={`Seleccionar "${todo.title}"`}
+            title="Seleccionar (mayúsculas+click para un rango)"
+          />
+        )}
+        
         {/* ✅ CHECKBOX DE COMPLETADO - RESPONSIVO */}
         <button
           onClick={handleToggle}
@@ -103,17 +207,30 @@ const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
                 text-sm sm:text-base font-medium leading-tight
                 ${todo.completed ? 'line-through text-gray-500' : 'text-gray-900'} // Tachado si completado
               `}>
-                {todo.title}
+                <HighlightedText text={todo.title} terms={highlightTerms} />
               </h3>
               
-              {/* 📄 DESCRIPCIÓN DEL TODO (opcional) - RESPONSIVO */}
+              {/* 📄 DESCRIPCIÓN DEL TODO EN MARKDOWN (opcional) - RESPONSIVO */}
               {todo.description && (
-                <p className={`
-                  mt-1 text-xs sm:text-sm leading-tight
-                  ${todo.completed ? 'line-through text-gray-400' : 'text-gray-600'} // Tachado si completado
-                `}>
+                <Markdown
+                  compact
+                  highlightTerms={highlightTerms}
+                  className={`
+                    mt-1 text-xs sm:text-sm leading-tight
+                    ${todo.completed ? 'line-through text-gray-400' : 'text-gray-600'} // Tachado si completado
+                  `}
+                >
                   {todo.description}
-                </p>
+                </Markdown>
+              )}
+              
+              {/* 🏷️ ETIQUETAS DEL TODO (opcional) - RESPONSIVO */}
+              {todo.tags?.length > 0 && (
+                <div className="flex flex-wrap gap-1 mt-2">
+                  {todo.tags.map(tag => (
+                    <TagChip key={tag} tag={tag} highlightTerms={highlightTerms} />
+                  ))}
+                </div>
               )}
               
               {/* 🏷️ METADATOS Y BADGES DEL TODO - RESPONSIVO */}
@@ -130,6 +247,90 @@ const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
                   <span className="sm:hidden">{todo.completed ? '✅' : '⏳'}</span>
                 </span>
                 
+                {/* 🎯 BADGE DE PRIORIDAD - RESPONSIVO */}
+                <span
+                  className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium border w-fit ${getPriorityColor(todo.priority)}`}
+                  title={`Prioridad ${getPriorityLabel(todo.priority).toLowerCase()}`}
+                >
+                  <span className="mr-1">{getPriorityIcon(todo.priority)}</span>
+                  <span className="hidden sm:inline">{getPriorityLabel(todo.priority)}</span>
+                </span>
+                
+                {/* 📆 FECHA LÍMITE (si está definida) - RESPONSIVO */}
+                {todo.dueDate && (
+                  <div
+                    className={`flex items-center text-xs ${getDueDateClass(todo.dueDate, todo.completed) || 'text-gray-500'}`}
+                    title="Fecha límite"
+                  >
+                    <CalendarDays className="h-3 w-3 mr-1 flex-shrink-0" />
+                    <span className="truncate">
+                      {formatDueDate(todo.dueDate, todo.hasDueTime)}
+                      {!todo.completed && isOverdue(todo.dueDate) && ' · Vencido'}
+                    </span>
+                  </div>
+                )}
+                
+                {/* 🔁 RECURRENCIA (si el todo se repite) - RESPONSIVO */}
+                {todo.recurrence && (
+                  <div className="flex items-center text-xs text-indigo-600" title="Todo recurrente">
+                    <Repeat className="h-3 w-3 mr-1 flex-shrink-0" />
+                    <span className="truncate">{describeRecurrence(todo.recurrence)}</span>
+                  </div>
+                )}
+                
+                {/* 🔔 RECORDATORIOS (si tiene fecha límite y recordatorios) - RESPONSIVO */}
+                {todo.dueDate && todo.reminders?.length > 0 && (
+                  <div
+                    className="flex items-center text-xs text-amber-600"
+                    title={`Recordatorios: ${todo.reminders.map(describeReminder).join(', ')}`}
+                  >
+                    <Bell className="h-3 w-3 mr-1 flex-shrink-0" />
+                    <span className="truncate">
+                      {todo.reminders.length === 1 ? describeReminder(todo.reminders[0]) : todo.reminders.length}
+                    </span>
+                  </div>
+                )}
+                
+                {/* 🔒 BLOQUEADO POR OTROS TODOS PENDIENTES - RESPONSIVO */}
+                {!todo.completed && pendingBlockers.length > 0 && (
+                  <span
+                    className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium border w-fit bg-orange-50 text-orange-800 border-orange-200"
+                    title={`Bloqueado por: ${pendingBlockers.map(blocker => blocker.title).join(', ')}`}
+                  >
+                    <Lock className="h-3 w-3 mr-1 flex-shrink-0" />
+                    <span>Bloqueado{pendingBlockers.length > 1 && ` (${pendingBlockers.length})`}</span>
+                  </span>
+                )}
+                
+                {/* ⏱️ TIEMPO REGISTRADO (en vivo si el temporizador está en marcha) - RESPONSIVO */}
+                {(runningSince || trackedTime > 0) && (
+                  <div
+                    className={`flex items-center text-xs ${runningSince ? 'text-red-600 font-medium' : 'text-gray-500'}`}
+                    title="Tiempo registrado"
+                  >
+                    <Timer className="h-3 w-3 mr-1 flex-shrink-0" />
+                    {runningSince 
+                      ? <ElapsedTime since={runningSince} base={trackedTime} />
+                      : <span>{formatDuration(trackedTime)}</span>}
+                  </div>
+                )}
+                
+                {/* ☑️ PROGRESO DE SUBTAREAS / BOTÓN PARA DESPLEGARLAS - RESPONSIVO */}
+                {(subtasks.length > 0 || onSubtasksChange) && (
+                  <button
+                    type="button"
+                    onClick={() => setShowSubtasks(!showSubtasks)}
+                    className="flex items-center space-x-1 text-xs text-gray-500 hover:text-gray-700 w-fit"
+                    aria-expanded={showSubtasks}
+                    title={showSubtasks ? 'Ocultar subtareas' : 'Mostrar subtareas'}
+                  >
+                    <ListChecks className="h-3 w-3 flex-shrink-0" />
+                    {subtasks.length > 0 
+                      ? <SubtaskProgress subtasks={subtasks} />
+                      : <span>Subtareas</span>}
+                  </button>
+                )}
+                
                 {/* 🕐 TIMESTAMP DE CREACIÓN (si está disponible) - RESPONSIVO */}
                 {todo.createdAt && (
                   <div className="flex items-center text-xs text-gray-500">
@@ -140,10 +341,77 @@ const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
                   </div>
                 )}
               </div>
+              
+              {/* ☑️ CHECKLIST DE SUBTAREAS (desplegable) - RESPONSIVO */}
+              {showSubtasks && (
+                <div className="mt-2 pl-1">
+                  <SubtaskList
+                    subtasks={subtasks}
+                    onChange={(newSubtasks) => onSubtasksChange?.(todo.id, newSubtasks)}
+                    disabled={!onSubtasksChange}
+                    showProgress={false}
+                  />
+                </div>
+              )}
             </div>
             
             {/* 🛠️ BOTONES DE ACCIÓN - RESPONSIVO Y CENTRADOS */}
             <div className="flex items-center justify-end space-x-1 mt-2 sm:mt-0 sm:ml-4 flex-shrink-0">
+              {/* ⏱️ BOTÓN DE TEMPORIZADOR (opcional) - RESPONSIVO */}
+              {onStartTimer && (
+                runningSince ? (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => onStopTimer?.()}
+                    className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50"
+                    title="Detener temporizador"
+                  >
+                    <Square className="h-4 w-4 fill-current" />
+                    <span className="sr-only sm:not-sr-only sm:ml-1 text-xs hidden sm:inline">Detener</span>
+                  </Button>
+                ) : (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => onStartTimer(todo)}
+                    className="p-2 hover:bg-gray-100"
+                    title="Iniciar temporizador (detiene el que esté en marcha)"
+                  >
+                    <Play className="h-4 w-4" />
+                    <span className="sr-only sm:not-sr-only sm:ml-1 text-xs hidden sm:inline">Iniciar</span>
+                  </Button>
+                )
+              )}
+              
+              {/* 🕓 BOTÓN DE DETALLE E HISTORIAL (opcional) - RESPONSIVO */}
+              {onOpenDetail && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onOpenDetail(todo)}
+                  className="p-2 hover:bg-gray-100"
+                  title="Ver historial y comentarios"
+                >
+                  <History className="h-4 w-4" />
+                  <span className="sr-only sm:not-sr-only sm:ml-1 text-xs hidden sm:inline">Actividad</span>
+                </Button>
+              )}
+              
+              {/* 📑 BOTÓN GUARDAR COMO PLANTILLA (opcional) - RESPONSIVO */}
+              {onSaveAsTemplate && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onSaveAsTemplate(todo)}
+                  className="p-2 hover:bg-gray-100"
+                  title="Guardar como plantilla"
+                >
+                  <LayoutTemplate className="h-4 w-4" />
+                  <span className="sr-only sm:not-sr-only sm:ml-1 text-xs hidden sm:inline">Plantilla</span>
+                </Button>
+              )}
+              
               {/* ✏️ BOTÓN DE EDITAR (opcional, solo si se proporciona onEdit) - RESPONSIVO */}
               {onEdit && (
                 <Button
@@ -165,7 +433,7 @@ const TodoItem = ({ todo, onToggle, onDelete, onEdit }) => {
                 onClick={handleDelete}
                 loading={isDeleting} // Mostrar spinner durante eliminación
                 className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50"
-                title="Eliminar todo" // Tooltip para accesibilidad
+                title="Mover a la papelera" // Tooltip para accesibilidad
               >
                 <Trash2 className="h-4 w-4" />
                 <span className="sr-only sm:not-sr-only sm:ml-1 text-xs hidden sm:inline">Eliminar</span>
@@ -12,6 +12,11 @@
  * - Animaciones de carga con LoadingSpinner
  * - Mensajes informativos para estados vacíos
  * - Propagación de eventos hacia el componente padre
+ * - Selección de todos para acciones en bloque (con rango por mayúsculas+click)
+ * - Orden manual arrastrando el asa de cada todo: con ratón o táctil
+ *   (Pointer Events) y con teclado (Espacio para coger, flechas para
+ *   mover, Espacio o Enter para soltar, Escape para cancelar), con avisos
+ *   para lectores de pantalla
  * 
  * Props:
  * @param {Array} todos - Array de objetos todo para mostrar
@@ -19,18 +24,147 @@
  * @param {Function} onToggle - Callback para alternar estado completado
  * @param {Function} onDelete - Callback para eliminar todo
  * @param {Function} onEdit - Callback para editar todo
+ * @param {Function} onSubtasksChange - Callback para guardar subtareas (id, subtasks)
+ * @param {Function} onOpenDetail - Callback para abrir el detalle de un todo
+ * @param {Function} onSaveAsTemplate - Callback para guardar un todo como plantilla
+ * @param {Object} trackedTimes - Milisegundos registrados por ID de todo
+ * @param {Object|null} runningEntry - Temporizador en marcha {todoId, start} (o null)
+ * @param {Function} onStartTimer - Callback para iniciar el temporizador de un todo
+ * @param {Function} onStopTimer - Callback para detener el temporizador
+ * @param {Array} selectedIds - IDs seleccionados para acciones en bloque
+ * @param {Function} onSelect - Callback para (de)seleccionar (id, {range}); sin él no hay casillas
+ * @param {boolean} reorderable - Si se puede reordenar arrastrando (orden manual sin búsqueda)
+ * @param {Function} onReorder - Callback (fromIndex, toIndex) con índices de la página
+ * @param {Array<Object>} highlightTerms - Términos de la búsqueda a resaltar en cada todo
  */
 
-import React from 'react';
+import React, { useState, useRef } from 'react';
 import TodoItem from './TodoItem';
 import { LoadingSpinner } from '../ui';
 
 /**
  * Componente de lista de todos con manejo de estados
  */
-const TodoList = ({ todos, loading, onToggle, onDelete, onEdit }) => {
+const TodoList = ({ 
+  todos, 
+  loading, 
+  onToggle, 
+  onDelete, 
+  onEdit, 
+  onSubtasksChange, 
+  onOpenDetail, 
+  onSaveAsTemplate, 
+  trackedTimes = {}, 
+  runningEntry = null, 
+  onStartTimer, 
+  onStopTimer,
+  selectedIds = [],
+  onSelect,
+  reorderable = false,
+  onReorder,
+  highlightTerms
+}) => {
+  /** @type {Object|null} Arrastre en curso {id, fromIndex, overIndex, mode: 'pointer'|'keyboard'} */
+  const [drag, setDrag] = useState(null);
+  
+  /** @type {string} Aviso para lectores de pantalla */
+  const [announcement, setAnnouncement] = useState('');
+  
+  /** Elementos DOM de cada todo, para saber sobre cuál está el puntero */
+  const itemRefs = useRef(new Map());
+
+  /**
+   * 📍 ÍNDICE DE DESTINO SEGÚN LA POSICIÓN VERTICAL DEL PUNTERO
+   * Número de todos (sin contar el arrastrado) cuya mitad queda por encima
+   */
+  const getIndexAtY = (y, draggedId) => todos.reduce((index, todo) => {
+    if (todo.id === draggedId) return index;
+    const rect = itemRefs.current.get(todo.id)?.getBoundingClientRect();
+    return rect && y > rect.top + rect.height / 2 ? index + 1 : index;
+  }, 0);
+
+  /**
+   * ✅ SOLTAR: avisar al padre si la posición cambió
+   */
+  const finishDrag = () => {
+    if (!drag) return;
+    const todo = todos[drag.fromIndex];
+    setDrag(null);
+    if (drag.overIndex !== drag.fromIndex) {
+      setAnnouncement(`"${todo.title}" movido a la posición ${drag.overIndex + 1} de ${todos.length}`);
+      onReorder(drag.fromIndex, drag.overIndex)?.catch(() => {
+        // ⚠️ Los errores se notifican con toast desde useTodos
+      });
+    } else {
+      setAnnouncement(`"${todo.title}" se queda en la posición ${drag.fromIndex + 1}`);
+    }
+  };
+
+  /**
+   * 🖱️ PROPS DEL ASA DE ARRASTRE DE UN TODO
+   * 
+   * @param {number} index - Índice del todo en la página
+   * @returns {Object} - Props para el botón del asa
+   */
+  const getDragHandleProps = (index) => {
+    const todo = todos[index];
+    const isDragged = drag?.id === todo.id;
+    
+    return {
+      'aria-label': `Reordenar "${todo.title}"`,
+      'aria-pressed': isDragged && drag.mode === 'keyboard',
+      
+      // 🖱️ Ratón y táctil: el asa captura el puntero hasta soltar
+      onPointerDown: (event) => {
+        if (event.button !== 0 || drag) return;
+        event.preventDefault();
+        event.currentTarget.setPointerCapture(event.pointerId);
+        setDrag({ id: todo.id, fromIndex: index, overIndex: index, mode: 'pointer' });
+      },
+      onPointerMove: (event) => {
+        if (!isDragged || drag.mode !== 'pointer') return;
+        const overIndex = getIndexAtY(event.clientY, todo.id);
+        if (overIndex !== drag.overIndex) setDrag({ ...drag, overIndex });
+      },
+      onPointerUp: () => {
+        if (isDragged && drag.mode === 'pointer') finishDrag();
+      },
+      onPointerCancel: () => {
+        if (isDragged) setDrag(null);
+      },
+      
+      // ⌨️ Teclado
+      onKeyDown: (event) => {
+        if (event.key === ' ' || event.key === 'Enter') {
+          event.preventDefault();
+          if (isDragged) {
+            finishDrag();
+          } else if (!drag) {
+            setDrag({ id: todo.id, fromIndex: index, overIndex: index, mode: 'keyboard' });
+            setAnnouncement(`Moviendo "${todo.title}", posición ${index + 1} de ${todos.length}. Usa las flechas y pulsa Espacio para soltar o Escape para cancelar.`);
+          }
+        } else if (isDragged && (event.key === 'ArrowUp' || event.key === 'ArrowDown')) {
+          event.preventDefault();
+          const step = event.key === 'ArrowUp' ? -1 : 1;
+          const overIndex = Math.min(Math.max(drag.overIndex + step, 0), todos.length - 1);
+          setDrag({ ...drag, overIndex });
+          setAnnouncement(`Posición ${overIndex + 1} de ${todos.length}`);
+        } else if (isDragged && event.key === 'Escape') {
+          event.preventDefault();
+          setDrag(null);
+          setAnnouncement(`Movimiento cancelado. "${todo.title}" sigue en la posición ${index + 1}`);
+        }
+      },
+      onBlur: () => {
+        if (isDragged && drag.mode === 'keyboard') setDrag(null);
+      },
+    };
+  };
+
   // 🔄 ESTADO DE CARGA - Mostrar spinner mientras se cargan datos
-  if (loading) {
+  // Solo sin datos previos: en los refrescos se mantienen los items montados
+  // para no perder su estado local (p. ej. subtareas desplegadas)
+  if (loading && todos.length === 0) {
     return (
       <div className="flex justify-center items-center py-12">
         <LoadingSpinner size="lg" />
@@ -65,19 +199,56 @@ const TodoList = ({ todos, loading, onToggle, onDelete, onEdit }) => {
     );
   }
 
+  // 📍 INDICADOR DE DÓNDE CAERÁ EL TODO ARRASTRADO
+  // overIndex cuenta los todos restantes, sin el arrastrado
+  const showDropIndicator = drag && drag.overIndex !== drag.fromIndex;
+  const dropIndicator = <div className="h-1 rounded bg-blue-500" aria-hidden="true" />;
+  let remainingIndex = 0;
+
   // 📋 RENDERIZADO DE LA LISTA DE TODOS
   return (
     <div className="space-y-3">
+      {/* 📢 AVISOS DEL REORDENADO PARA LECTORES DE PANTALLA */}
+      {reorderable && (
+        <p className="sr-only" aria-live="assertive">{announcement}</p>
+      )}
+      
       {/* 🔄 MAPEO DE CADA TODO A COMPONENTE TodoItem */}
-      {todos.map((todo) => (
-        <TodoItem
-          key={todo.id}    // Clave única para optimización de React
-          todo={todo}      // Datos del todo individual
-          onToggle={onToggle}  // Función para cambiar estado completado
-          onDelete={onDelete}  // Función para eliminar todo
-          onEdit={onEdit}      // Función para iniciar edición
-        />
-      ))}
+      {todos.map((todo, index) => {
+        const isDragged = drag?.id === todo.id;
+        const indicatorBefore = showDropIndicator && !isDragged && remainingIndex === drag.overIndex;
+        if (!isDragged) remainingIndex++;
+        
+        return (
+          <React.Fragment key={todo.id}>
+            {indicatorBefore && dropIndicator}
+            <div ref={(element) => {
+              if (element) itemRefs.current.set(todo.id, element);
+              else itemRefs.current.delete(todo.id);
+            }}>
+              <TodoItem
+                todo={todo}      // Datos del todo individual
+                onToggle={onToggle}  // Función para cambiar estado completado
+                onDelete={onDelete}  // Función para eliminar todo
+                onEdit={onEdit}      // Función para iniciar edición
+                onSubtasksChange={onSubtasksChange} // Función para guardar subtareas
+                onOpenDetail={onOpenDetail} // Función para abrir detalle e historial
+                onSaveAsTemplate={onSaveAsTemplate} // Función para guardar como plantilla
+                trackedTime={trackedTimes[todo.id] || 0} // Tiempo registrado
+                runningSince={runningEntry?.todoId === todo.id ? runningEntry.start : null}
+                onStartTimer={onStartTimer}  // Función para iniciar el temporizador
+                onStopTimer={onStopTimer}    // Función para detener el temporizador
+                selected={selectedIds.includes(todo.id)} // Si está seleccionado
+                onSelect={onSelect}          // Función para (de)seleccionar
+                dragHandleProps={reorderable ? getDragHandleProps(index) : null} // Asa de arrastre
+                isDragging={isDragged}       // Si se está arrastrando
+                highlightTerms={highlightTerms} // Coincidencias de la búsqueda
+              />
+            </div>
+          </React.Fragment>
+        );
+      })}
+      {showDropIndicator && drag.overIndex === todos.length - 1 && dropIndicator}
     </div>
   );
 };
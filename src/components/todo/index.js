@@ -2,4 +2,17 @@ export { default as TodoForm } from './TodoForm';
 export { default as TodoItem } from './TodoItem';
 export { default as TodoList } from './TodoList';
 export { default as TodoFilters } from './TodoFilters';
-export { default as Pagination } from './Pagination';
\ No newline at end of file
+export { default as Pagination } from './Pagination';
+export { default as TagChip } from './TagChip';
+export { default as TagInput } from './TagInput';
+export { default as TagManager } from './TagManager';
+export { default as SubtaskList } from './SubtaskList';
+export { default as RecurrenceInput } from './RecurrenceInput';
+export { default as ReminderInput } from './ReminderInput';
+export { default as TodoDetail } from './TodoDetail';
+export { default as DependencyPicker } from './DependencyPicker';
+export { default as MarkdownEditor } from './MarkdownEditor';
+export { default as QuickAddBar } from './QuickAddBar';
+export { default as SearchQueryInput } from './SearchQueryInput';
+
+export { default as BulkActionBar } from './BulkActionBar';
\ No newline at end of file
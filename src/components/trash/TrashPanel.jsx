@@ -0,0 +1,184 @@
+/**
+ * 🗑️ PAPELERA
+ *
+ * Panel con los todos eliminados. Desde aquí se restauran o se eliminan
+ * definitivamente; pasado el plazo configurado se eliminan solos.
+ *
+ * Funcionalidades:
+ * - Listado con la fecha de eliminación y cuándo se vaciará cada todo
+ * - Restaurar un todo (vuelve a su lista)
+ * - Eliminar definitivamente un todo, con confirmación
+ * - Vaciar la papelera, con confirmación
+ * - Ajuste del vaciado automático (tras N días o nunca)
+ *
+ * Props:
+ * @param {Array<Object>} todos - Todos de la papelera
+ * @param {number} retentionDays - Días antes del vaciado automático (0 = nunca)
+ * @param {Function} onRetentionChange - Callback (days)
+ * @param {Function} onRestore - Callback (id) => Promise
+ * @param {Function} onPurge - Callback (id) => Promise
+ * @param {Function} onEmpty - Callback () => Promise
+ * @param {Function} onClose - Callback para cerrar el panel
+ */
+
+import React, { useState } from 'react';
+import { X, Trash2, ArchiveRestore } from 'lucide-react';
+import { Button, Select } from '../ui';
+import { TRASH_RETENTION_OPTIONS, describePurgeDate, formatRelativeDateFromAPI } from '../../utils';
+
+/**
+ * Fila de un todo de la papelera con sus acciones
+ */
+const TrashRow = ({ todo, retentionDays, onRestore, onPurge }) => {
+  /** @type {string|null} Acción en curso ('restore' o 'purge') */
+  const [pendingAction, setPendingAction] = useState(null);
+
+  /**
+   * 💾 EJECUTAR UNA ACCIÓN CON ESTADO DE CARGA
+   *
+   * @param {string} action - 'restore' o 'purge'
+   * @param {Function} operation - Operación asíncrona a ejecutar
+   */
+  const runAction = async (action, operation) => {
+    setPendingAction(action);
+    try {
+      await operation();
+    } catch {
+      // ⚠️ Los errores se notifican con toast desde useTodos
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  /**
+   * 🔥 ELIMINAR DEFINITIVAMENTE CON CONFIRMACIÓN
+   */
+  const handlePurge = () => {
+    if (window.confirm(`¿Eliminar "${todo.title}" definitivamente? No se podrá recuperar.`)) {
+      runAction('purge', () => onPurge(todo.id));
+    }
+  };
+
+  const purgeText = describePurgeDate(todo, retentionDays);
+
+  return (
+    <li className="flex flex-col sm:flex-row sm:items-center gap-2 py-3">
+      {/* 📋 TÍTULO Y FECHAS */}
+      <div className="flex-grow min-w-0">
+        <p className="text-sm font-medium text-gray-700 truncate">{todo.title}</p>
+        <p className="text-xs text-gray-500">
+          Eliminado {formatRelativeDateFromAPI(todo.deletedAt)}
+          {purgeText && <> · {purgeText}</>}
+        </p>
+      </div>
+
+      {/* 🛠️ ACCIONES */}
+      <div className="flex items-center gap-1 flex-shrink-0">
+        <Button
+          size="sm"
+          variant="secondary"
+          onClick={() => runAction('restore', () => onRestore(todo.id))}
+          loading={pendingAction === 'restore'}
+          disabled={pendingAction !== null}
+          title="Restaurar en su lista"
+        >
+          <ArchiveRestore className="h-4 w-4 mr-1" />
+          Restaurar
+        </Button>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={handlePurge}
+          loading={pendingAction === 'purge'}
+          disabled={pendingAction !== null}
+          className="p-2 text-red-600 hover:text-red-700 hover:bg-red-50"
+          title="Eliminar definitivamente"
+        >
+          <Trash2 className="h-4 w-4" />
+        </Button>
+      </div>
+    </li>
+  );
+};
+
+/**
+ * Componente principal de la papelera
+ */
+const TrashPanel = ({ todos, retentionDays, onRetentionChange, onRestore, onPurge, onEmpty, onClose }) => {
+  /** @type {boolean} Si se está vaciando la papelera */
+  const [isEmptying, setIsEmptying] = useState(false);
+
+  /**
+   * 🧹 VACIAR CON CONFIRMACIÓN
+   */
+  const handleEmpty = async () => {
+    if (!window.confirm(`¿Eliminar definitivamente los ${todos.length} todos de la papelera? No se podrán recuperar.`)) {
+      return;
+    }
+    setIsEmptying(true);
+    try {
+      await onEmpty();
+    } finally {
+      setIsEmptying(false);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 sm:p-6 shadow-sm">
+      {/* 📋 HEADER DEL PANEL */}
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <Trash2 className="h-5 w-5 text-gray-500" />
+          <h3 className="text-base sm:text-lg font-semibold text-gray-900">Papelera</h3>
+        </div>
+        <Button variant="ghost" size="sm" onClick={onClose} className="p-1 sm:p-2">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {/* ⚙️ VACIADO AUTOMÁTICO Y VACIAR AHORA */}
+      <div className="flex flex-col sm:flex-row sm:items-end gap-2 pb-3 border-b border-gray-100">
+        <div className="sm:w-56">
+          <Select
+            label="Eliminar definitivamente"
+            value={String(retentionDays)}
+            onChange={(e) => onRetentionChange(Number(e.target.value))}
+            options={TRASH_RETENTION_OPTIONS.map(option => ({ value: String(option.value), label: option.label }))}
+          />
+        </div>
+        {todos.length > 0 && (
+          <Button
+            variant="danger"
+            size="sm"
+            onClick={handleEmpty}
+            loading={isEmptying}
+            className="sm:ml-auto"
+          >
+            Vaciar papelera
+          </Button>
+        )}
+      </div>
+
+      {/* 📭 PAPELERA VACÍA */}
+      {todos.length === 0 ? (
+        <p className="text-sm text-gray-500 py-4">
+          La papelera está vacía. Los todos que elimines aparecerán aquí.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {todos.map(todo => (
+            <TrashRow
+              key={todo.id}
+              todo={todo}
+              retentionDays={retentionDays}
+              onRestore={onRestore}
+              onPurge={onPurge}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TrashPanel;
@@ -0,0 +1 @@
+export { default as TrashPanel } from './TrashPanel';
\ No newline at end of file
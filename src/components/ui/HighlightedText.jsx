@@ -0,0 +1,42 @@
+/**
+ * 🖍️ COMPONENTE HIGHLIGHTED TEXT
+ *
+ * Texto con los fragmentos que coinciden con la búsqueda resaltados en
+ * <mark>. Las coincidencias ignoran tildes y admiten erratas igual que el
+ * filtro (ver fuzzySearchUtils), así que se resalta lo mismo que encontró.
+ *
+ * Props:
+ * @param {string} text - Texto a mostrar
+ * @param {Array<Object>} terms - Términos a resaltar [{value, fuzzy}] (ver getHighlightTerms)
+ */
+
+import React, { useMemo } from 'react';
+import { getHighlightRanges, HIGHLIGHT_CLASSES } from '../../utils';
+
+/**
+ * Componente de texto con coincidencias resaltadas
+ */
+const HighlightedText = ({ text = '', terms = [] }) => {
+  // 📍 RANGOS A RESALTAR (solo cambian con el texto o la búsqueda)
+  const ranges = useMemo(() => getHighlightRanges(text, terms), [text, terms]);
+
+  if (ranges.length === 0) return text;
+
+  // ✂️ TROZOS ALTERNOS DE TEXTO NORMAL Y RESALTADO
+  const parts = [];
+  let index = 0;
+  ranges.forEach(range => {
+    if (range.start > index) parts.push(text.slice(index, range.start));
+    parts.push(
+      <mark key={range.start} className={HIGHLIGHT_CLASSES}>
+        {text.slice(range.start, range.end)}
+      </mark>
+    );
+    index = range.end;
+  });
+  if (index < text.length) parts.push(text.slice(index));
+
+  return <>{parts}</>;
+};
+
+export default HighlightedText;
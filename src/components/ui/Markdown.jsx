@@ -0,0 +1,176 @@
+/**
+ * ✍️ COMPONENTE MARKDOWN
+ *
+ * Renderiza texto Markdown (con extensiones de GitHub) como elementos React.
+ * El contenido puede venir de la API, así que se trata como no confiable.
+ *
+ * Características:
+ * - Listas, listas de tareas, tablas, tachado, citas y bloques de código
+ * - Seguro frente a XSS: el HTML escrito en el texto no se interpreta y
+ *   nunca se usa dangerouslySetInnerHTML
+ * - Enlaces solo http, https y mailto; se abren en otra pestaña sin acceso
+ *   a esta ventana (rel="noopener noreferrer")
+ * - Las imágenes se muestran como texto para no cargar recursos externos
+ * - Modo compacto para las tarjetas de la lista
+ * - Resaltado opcional de las coincidencias de la búsqueda
+ *
+ * Props:
+ * @param {string} children - Texto en Markdown
+ * @param {boolean} compact - Tamaños y márgenes reducidos (default: false)
+ * @param {Array<Object>} highlightTerms - Términos a resaltar [{value, fuzzy}] (default: ninguno)
+ * @param {string} className - Classes CSS adicionales
+ */
+
+import React, { useMemo } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { sanitizeUrl, getHighlightRanges, HIGHLIGHT_CLASSES } from '../../utils';
+
+/**
+ * Props de un elemento sin `node` (el nodo del árbol que react-markdown
+ * pasa a cada componente y que no es un atributo del DOM)
+ *
+ * @param {Object} props - Props recibidas de react-markdown
+ * @returns {Object} - Props para el elemento
+ */
+const withoutNode = (props) => {
+  const elementProps = { ...props };
+  delete elementProps.node;
+  return elementProps;
+};
+
+/**
+ * 🧩 ELEMENTOS CON ESTILO
+ *
+ * @param {boolean} compact - Si se usan los tamaños reducidos
+ * @returns {Object} - Componentes para react-markdown
+ */
+const getComponents = (compact) => ({
+  p: (props) => <p className={compact ? 'my-0.5' : 'my-2'} {...withoutNode(props)} />,
+  h1: (props) => <p className="font-semibold my-1" {...withoutNode(props)} />,
+  h2: (props) => <p className="font-semibold my-1" {...withoutNode(props)} />,
+  h3: (props) => <p className="font-semibold my-1" {...withoutNode(props)} />,
+  h4: (props) => <p className="font-semibold my-1" {...withoutNode(props)} />,
+  h5: (props) => <p className="font-semibold my-1" {...withoutNode(props)} />,
+  h6: (props) => <p className="font-semibold my-1" {...withoutNode(props)} />,
+  ul: ({ className, ...props }) => (
+    // Las listas de tareas no llevan viñeta (ya tienen el checkbox)
+    <ul className={`my-1 pl-5 ${className?.includes('contains-task-list') ? 'list-none pl-1' : 'list-disc'}`} {...withoutNode(props)} />
+  ),
+  ol: (props) => <ol className="my-1 pl-5 list-decimal" {...withoutNode(props)} />,
+  li: (props) => <li className="my-0.5" {...withoutNode(props)} />,
+  input: (props) => (
+    <input
+      {...withoutNode(props)}
+      disabled
+      className="mr-1.5 -mt-0.5 rounded border-gray-300 text-blue-600 h-3.5 w-3.5 align-middle"
+    />
+  ),
+  a: ({ href, ...props }) => {
+    const safeHref = sanitizeUrl(href);
+    // Enlace con protocolo no permitido: solo su texto
+    if (!safeHref) return <span {...withoutNode(props)} />;
+    return (
+      <a
+        {...withoutNode(props)}
+        href={safeHref}
+        target="_blank"
+        rel="noopener noreferrer nofollow"
+        className="text-blue-600 underline break-all hover:text-blue-800"
+        onClick={(e) => e.stopPropagation()} // No activar acciones del contenedor
+      />
+    );
+  },
+  img: ({ alt }) => <span className="italic">[{alt || 'imagen'}]</span>,
+  blockquote: (props) => (
+    <blockquote className="my-1 pl-3 border-l-4 border-gray-200 text-gray-500" {...withoutNode(props)} />
+  ),
+  pre: (props) => (
+    <pre className="my-1 p-2 rounded bg-gray-100 text-xs overflow-x-auto" {...withoutNode(props)} />
+  ),
+  code: ({ className, ...props }) => (
+    // Con className (language-*) es un bloque; sin él, código en línea
+    <code className={className ? 'font-mono' : 'px-1 py-0.5 rounded bg-gray-100 font-mono text-[0.85em]'} {...withoutNode(props)} />
+  ),
+  table: (props) => (
+    <div className="my-1 overflow-x-auto">
+      <table className="text-xs border-collapse" {...withoutNode(props)} />
+    </div>
+  ),
+  th: (props) => <th className="border border-gray-200 px-2 py-1 text-left font-semibold" {...withoutNode(props)} />,
+  td: (props) => <td className="border border-gray-200 px-2 py-1" {...withoutNode(props)} />,
+  hr: () => <hr className="my-2 border-gray-200" />,
+});
+
+// Versiones precalculadas para no crear los componentes en cada render
+const COMPONENTS = getComponents(false);
+const COMPACT_COMPONENTS = getComponents(true);
+
+/**
+ * 🖍️ PLUGIN DE RESALTADO
+ *
+ * Parte los nodos de texto del árbol HTML (hast) ya generado para envolver
+ * las coincidencias en <mark>. Trabaja sobre el texto visible, así que la
+ * sintaxis Markdown no interfiere y los enlaces y el código se conservan.
+ *
+ * @param {Array<Object>} terms - Términos a resaltar [{value, fuzzy}]
+ * @returns {Function} - Transformador del árbol para react-markdown
+ */
+const rehypeHighlight = (terms) => (tree) => {
+  const visit = (node) => {
+    if (!node.children) return;
+    node.children = node.children.flatMap(child => {
+      if (child.type !== 'text') {
+        visit(child);
+        return [child];
+      }
+      const ranges = getHighlightRanges(child.value, terms);
+      if (ranges.length === 0) return [child];
+
+      const parts = [];
+      let index = 0;
+      ranges.forEach(range => {
+        if (range.start > index) parts.push({ type: 'text', value: child.value.slice(index, range.start) });
+        parts.push({
+          type: 'element',
+          tagName: 'mark',
+          properties: { className: HIGHLIGHT_CLASSES.split(' ') },
+          children: [{ type: 'text', value: child.value.slice(range.start, range.end) }],
+        });
+        index = range.end;
+      });
+      if (index < child.value.length) parts.push({ type: 'text', value: child.value.slice(index) });
+      return parts;
+    });
+  };
+  visit(tree);
+};
+
+/**
+ * Componente que renderiza Markdown de forma segura
+ */
+const Markdown = ({ children, compact = false, highlightTerms = [], className = '' }) => {
+  // 🖍️ PLUGINS DE RESALTADO (solo si hay algo que resaltar)
+  const rehypePlugins = useMemo(
+    () => (highlightTerms.length > 0 ? [[rehypeHighlight, highlightTerms]] : []),
+    [highlightTerms]
+  );
+
+  if (!children) return null;
+
+  return (
+    <div className={`break-words ${className}`}>
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm]}
+        rehypePlugins={rehypePlugins}
+        components={compact ? COMPACT_COMPONENTS : COMPONENTS}
+        skipHtml // El HTML del texto se descarta en lugar de interpretarse
+        urlTransform={sanitizeUrl}
+      >
+        {children}
+      </ReactMarkdown>
+    </div>
+  );
+};
+
+export default Markdown;
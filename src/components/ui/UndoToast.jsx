@@ -0,0 +1,55 @@
+/**
+ * ↩️ TOAST DE ÉXITO CON "DESHACER"
+ *
+ * Mensaje de éxito de una operación sobre un todo con un botón para
+ * deshacerla. Solo hay un toast de este tipo a la vez: el de la operación
+ * más reciente, que es la única que se puede deshacer desde aquí.
+ *
+ * Props:
+ * @param {string} message - Mensaje de éxito
+ * @param {Function} onUndo - Callback para deshacer la operación
+ */
+
+import React from 'react';
+import toast from 'react-hot-toast';
+
+/** ID compartido para que cada toast de deshacer reemplace al anterior */
+const UNDO_TOAST_ID = 'undo';
+
+/**
+ * Componente de contenido del toast
+ */
+const UndoToast = ({ message, onUndo }) => {
+  return (
+    <span className="flex items-center gap-3">
+      <span>{message}</span>
+      <button
+        type="button"
+        onClick={onUndo}
+        className="text-sm font-medium text-blue-600 hover:text-blue-700 hover:underline"
+      >
+        Deshacer
+      </button>
+    </span>
+  );
+};
+
+/**
+ * 📣 MOSTRAR TOAST DE ÉXITO CON "DESHACER"
+ *
+ * @param {string} message - Mensaje de éxito
+ * @param {Function} onUndo - Callback para deshacer (el toast se cierra al pulsar)
+ */
+export const showUndoToast = (message, onUndo) => {
+  toast.success((t) => (
+    <UndoToast
+      message={message}
+      onUndo={() => {
+        toast.dismiss(t.id);
+        onUndo();
+      }}
+    />
+  ), { id: UNDO_TOAST_ID, duration: 6000 });
+};
+
+export default UndoToast;
@@ -4,4 +4,7 @@ export { default as Textarea } from './Textarea';
 export { default as Select } from './Select';
 export { default as Card } from './Card';
 export { default as LoadingSpinner } from './LoadingSpinner';
-export { default as HealthCheck } from './HealthCheck';
\ No newline at end of file
+export { default as HealthCheck } from './HealthCheck';
+export { default as Markdown } from './Markdown';
+export { default as UndoToast, showUndoToast } from './UndoToast';
+export { default as HighlightedText } from './HighlightedText';
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * 🔖 NAVEGACIÓN DE VISTAS FIJADAS
+ *
+ * Sección de la barra lateral con las vistas guardadas fijadas. Cada una
+ * enlaza a la página actual con la query string de la vista, que la página
+ * aplica al abrirse (el mismo enlace que se comparte).
+ *
+ * Props:
+ * @param {Array} views - Vistas guardadas {id, name, query, pinned} en orden
+ * @param {string} activeQuery - Query string de la vista actual (para resaltarla)
+ * @param {string|null} defaultViewId - Vista por defecto
+ * @param {Function} onManage - Callback para abrir el gestor de vistas
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Bookmark, Star, Settings2 } from 'lucide-react';
+import { SidebarSection } from '../layout';
+import { describeViewQuery } from '../../utils';
+
+/**
+ * Componente de navegación de vistas fijadas
+ */
+const SavedViewNav = ({ views, activeQuery, defaultViewId, onManage }) => {
+  const pinnedViews = views.filter(view => view.pinned);
+
+  return (
+    <SidebarSection
+      title="Vistas"
+      action={
+        <button
+          type="button"
+          onClick={onManage}
+          className="p-1 rounded text-gray-500 hover:bg-gray-100"
+          title="Gestionar vistas"
+        >
+          <Settings2 className="h-4 w-4" />
+        </button>
+      }
+    >
+      {pinnedViews.length === 0 ? (
+        <p className="px-2 py-1 text-xs text-gray-500">
+          Guarda los filtros actuales como vista para tenerlos aquí a un click.
+        </p>
+      ) : (
+        <ul className="space-y-0.5">
+          {pinnedViews.map(view => {
+            const isActive = view.query === activeQuery;
+            return (
+              <li key={view.id}>
+                <Link
+                  to={{ search: `?${view.query}` }}
+                  title={describeViewQuery(view.query)}
+                  aria-current={isActive ? 'page' : undefined}
+                  className={`
+                    flex items-center min-w-0 px-2 py-1.5 rounded-md text-sm transition-colors
+                    ${isActive ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-700 hover:bg-gray-50'}
+                  `}
+                >
+                  <Bookmark className="h-4 w-4 mr-2 flex-shrink-0" />
+                  <span className="truncate">{view.name}</span>
+                  {view.id === defaultViewId && (
+                    <Star className="ml-auto h-3.5 w-3.5 flex-shrink-0 text-yellow-500 fill-yellow-400" aria-label="Vista por defecto" />
+                  )}
+                </Link>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </SidebarSection>
+  );
+};
+
+export default SavedViewNav;
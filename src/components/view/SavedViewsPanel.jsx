@@ -0,0 +1,260 @@
+/**
+ * 🔖 GESTOR DE VISTAS GUARDADAS
+ *
+ * Panel para guardar la combinación actual de filtros, ordenamiento, vista
+ * y agrupación con un nombre, y para gestionar las vistas guardadas.
+ *
+ * Funcionalidades:
+ * - Guardar la vista actual con un nombre
+ * - Aplicar una vista (la actual aparece resaltada)
+ * - Fijar o quitar de la barra lateral y elegir la vista por defecto
+ * - Copiar el enlace para compartir una vista (o la vista actual)
+ * - Renombrar en línea, reordenar y eliminar con confirmación
+ *
+ * Props:
+ * @param {Array} views - Vistas {id, name, query, pinned} en orden
+ * @param {string|null} defaultViewId - Vista por defecto
+ * @param {string} currentQuery - Query string de la vista actual
+ * @param {Function} onSave - Callback (name) => vista creada; lanza si el nombre no es válido
+ * @param {Function} onApply - Callback (view)
+ * @param {Function} onRename - Callback (id, name); lanza si el nombre no es válido
+ * @param {Function} onDelete - Callback (id)
+ * @param {Function} onMove - Callback (id, direction)
+ * @param {Function} onTogglePin - Callback (id)
+ * @param {Function} onSetDefault - Callback (id|null)
+ * @param {Function} onCopyLink - Callback (query)
+ * @param {Function} onClose - Callback para cerrar el panel
+ */
+
+import React, { useState } from 'react';
+import {
+  X, Bookmark, Pin, PinOff, Star, Link2, ChevronUp, ChevronDown, Pencil, Trash2, Check
+} from 'lucide-react';
+import { Button, Input } from '../ui';
+import { describeViewQuery } from '../../utils';
+
+/**
+ * Fila de una vista con sus acciones
+ */
+const SavedViewRow = ({
+  view, isActive, isDefault, isFirst, isLast,
+  onApply, onRename, onDelete, onMove, onTogglePin, onSetDefault, onCopyLink
+}) => {
+  /** @type {boolean} Si se está renombrando */
+  const [isEditing, setIsEditing] = useState(false);
+
+  /** @type {string} Nombre en edición */
+  const [name, setName] = useState(view.name);
+
+  /**
+   * 💾 CONFIRMAR RENOMBRADO
+   */
+  const commitRename = () => {
+    try {
+      if (name.trim() !== view.name) onRename(view.id, name);
+      setIsEditing(false);
+    } catch {
+      // ⚠️ Error notificado con toast por useSavedViews; se mantiene la edición
+    }
+  };
+
+  /**
+   * 🗑️ ELIMINAR CON CONFIRMACIÓN
+   */
+  const handleDelete = () => {
+    if (window.confirm(`¿Eliminar la vista "${view.name}"?`)) {
+      onDelete(view.id);
+    }
+  };
+
+  const actionClass = 'p-1 rounded text-gray-400 hover:text-gray-700 hover:bg-gray-100 disabled:opacity-30';
+
+  return (
+    <li className={`flex flex-col sm:flex-row sm:items-center gap-2 py-3 px-2 rounded-md ${isActive ? 'bg-blue-50' : ''}`}>
+      {/* 📋 NOMBRE (aplicar) O CAMPO DE RENOMBRADO */}
+      <div className="flex-grow min-w-0">
+        {isEditing ? (
+          <div className="flex items-center space-x-1">
+            <input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') commitRename();
+                if (e.key === 'Escape') {
+                  setName(view.name);
+                  setIsEditing(false);
+                }
+              }}
+              autoFocus
+              maxLength={50}
+              className="flex-grow min-w-0 text-sm px-2 py-1 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500"
+              aria-label={`Nuevo nombre para ${view.name}`}
+            />
+            <button type="button" onClick={commitRename} className="p-1 text-blue-600" title="Guardar">
+              <Check className="h-4 w-4" />
+            </button>
+          </div>
+        ) : (
+          <button
+            type="button"
+            onClick={() => onApply(view)}
+            className="block w-full text-left min-w-0"
+            title="Aplicar vista"
+          >
+            <span className={`block text-sm truncate ${isActive ? 'font-medium text-blue-700' : 'text-gray-700'}`}>
+              {view.name}
+            </span>
+            <span className="block text-xs text-gray-500 truncate">{describeViewQuery(view.query)}</span>
+          </button>
+        )}
+      </div>
+
+      {/* 🛠️ ACCIONES */}
+      <div className="flex items-center gap-0.5 flex-shrink-0">
+        <button
+          type="button"
+          onClick={() => onSetDefault(isDefault ? null : view.id)}
+          className={`${actionClass} ${isDefault ? 'text-yellow-500' : ''}`}
+          title={isDefault ? 'Quitar como vista por defecto' : 'Usar como vista por defecto'}
+          aria-pressed={isDefault}
+        >
+          <Star className={`h-4 w-4 ${isDefault ? 'fill-yellow-400' : ''}`} />
+        </button>
+        <button
+          type="button"
+          onClick={() => onTogglePin(view.id)}
+          className={`${actionClass} ${view.pinned ? 'text-blue-600' : ''}`}
+          title={view.pinned ? 'Quitar de la barra lateral' : 'Fijar en la barra lateral'}
+          aria-pressed={view.pinned}
+        >
+          {view.pinned ? <Pin className="h-4 w-4" /> : <PinOff className="h-4 w-4" />}
+        </button>
+        <button type="button" onClick={() => onCopyLink(view.query)} className={actionClass} title="Copiar enlace">
+          <Link2 className="h-4 w-4" />
+        </button>
+        <button type="button" onClick={() => onMove(view.id, -1)} disabled={isFirst} className={actionClass} title="Subir">
+          <ChevronUp className="h-4 w-4" />
+        </button>
+        <button type="button" onClick={() => onMove(view.id, 1)} disabled={isLast} className={actionClass} title="Bajar">
+          <ChevronDown className="h-4 w-4" />
+        </button>
+        <button type="button" onClick={() => setIsEditing(true)} className={actionClass} title="Renombrar">
+          <Pencil className="h-4 w-4" />
+        </button>
+        <button
+          type="button"
+          onClick={handleDelete}
+          className="p-1 rounded text-gray-400 hover:text-red-600 hover:bg-red-50"
+          title="Eliminar"
+        >
+          <Trash2 className="h-4 w-4" />
+        </button>
+      </div>
+    </li>
+  );
+};
+
+/**
+ * Componente principal del gestor de vistas
+ */
+const SavedViewsPanel = ({
+  views,
+  defaultViewId,
+  currentQuery,
+  onSave,
+  onApply,
+  onRename,
+  onDelete,
+  onMove,
+  onTogglePin,
+  onSetDefault,
+  onCopyLink,
+  onClose
+}) => {
+  /** @type {string} Nombre de la nueva vista */
+  const [newName, setNewName] = useState('');
+
+  /**
+   * 💾 GUARDAR LA VISTA ACTUAL
+   *
+   * @param {Event} e - Evento del formulario
+   */
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      onSave(newName);
+      setNewName('');
+    } catch {
+      // ⚠️ Error notificado con toast por useSavedViews; se conserva el nombre
+    }
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 sm:p-6 shadow-sm">
+      {/* 📋 HEADER DEL PANEL */}
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center space-x-2">
+          <Bookmark className="h-5 w-5 text-gray-500" />
+          <h3 className="text-base sm:text-lg font-semibold text-gray-900">Vistas guardadas</h3>
+        </div>
+        <Button variant="ghost" size="sm" onClick={onClose} className="p-1 sm:p-2">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+
+      {/* 💾 GUARDAR LA VISTA ACTUAL */}
+      <form onSubmit={handleSave} className="pb-3 border-b border-gray-100">
+        <div className="flex flex-col sm:flex-row sm:items-end gap-2">
+          <div className="sm:w-72">
+            <Input
+              label="Guardar la vista actual como"
+              placeholder="Nombre de la vista..."
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              maxLength={50}
+            />
+          </div>
+          <div className="flex items-center gap-2">
+            <Button type="submit" size="sm" disabled={!newName.trim()}>
+              Guardar vista
+            </Button>
+            <Button type="button" variant="ghost" size="sm" onClick={() => onCopyLink(currentQuery)}>
+              <Link2 className="h-4 w-4 mr-1" />
+              Copiar enlace
+            </Button>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">Vista actual: {describeViewQuery(currentQuery)}</p>
+      </form>
+
+      {/* 📭 SIN VISTAS */}
+      {views.length === 0 ? (
+        <p className="text-sm text-gray-500 py-4">
+          Todavía no hay vistas guardadas. Guarda los filtros, el orden y la vista que más uses.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {views.map((view, index) => (
+            <SavedViewRow
+              key={view.id}
+              view={view}
+              isActive={view.query === currentQuery}
+              isDefault={view.id === defaultViewId}
+              isFirst={index === 0}
+              isLast={index === views.length - 1}
+              onApply={onApply}
+              onRename={onRename}
+              onDelete={onDelete}
+              onMove={onMove}
+              onTogglePin={onTogglePin}
+              onSetDefault={onSetDefault}
+              onCopyLink={onCopyLink}
+            />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SavedViewsPanel;
@@ -0,0 +1,2 @@
+export { default as SavedViewNav } from './SavedViewNav';
+export { default as SavedViewsPanel } from './SavedViewsPanel';
\ No newline at end of file
@@ -1 +1,11 @@
-export { useTodos } from './useTodos';
\ No newline at end of file
+export { useTodos } from './useTodos';
+export { useLists } from './useLists';
+export { useReminders } from './useReminders';
+export { useActivity } from './useActivity';
+export { useTimeTracking } from './useTimeTracking';
+export { useTemplates } from './useTemplates';
+export { useTrashSettings } from './useTrashSettings';
+export { useUndoRedo } from './useUndoRedo';
+export { useBoardSettings } from './useBoardSettings';
+export { useStreaks } from './useStreaks';
+export { useSavedViews } from './useSavedViews';
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * 🎣 HOOK PERSONALIZADO PARA EL HISTORIAL DE UN TODO
+ *
+ * Carga la línea de tiempo de un todo y se refresca automáticamente cuando
+ * se registra una entrada nueva (desde useTodos o desde un comentario).
+ *
+ * Funcionalidades:
+ * - Historial del todo seleccionado, del más reciente al más antiguo
+ * - Agregar comentarios
+ * - Nombre del autor que firma los cambios
+ * - Notificaciones automáticas con toast
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { activityService } from '../services';
+import toast from 'react-hot-toast';
+
+/**
+ * Hook personalizado para el historial de actividad
+ *
+ * @param {number|string|null} todoId - ID del todo (null si no hay ninguno seleccionado)
+ * @returns {Object} - Entradas del historial y funciones para manejarlo
+ */
+export const useActivity = (todoId) => {
+  /** @type {Array} Entradas del historial */
+  const [entries, setEntries] = useState([]);
+
+  /** @type {boolean} Si se está cargando el historial */
+  const [loading, setLoading] = useState(false);
+
+  /** @type {string} Nombre del autor actual */
+  const [author, setAuthorState] = useState(() => activityService.getAuthor());
+
+  /**
+   * 📡 CARGAR HISTORIAL
+   */
+  const fetchActivity = useCallback(async () => {
+    if (todoId === null || todoId === undefined) {
+      setEntries([]);
+      return;
+    }
+    setLoading(true);
+    try {
+      setEntries(await activityService.getActivity(todoId));
+    } catch (err) {
+      toast.error(err.message || 'Error al cargar el historial');
+    } finally {
+      setLoading(false);
+    }
+  }, [todoId]);
+
+  // 🔄 CARGAR AL CAMBIAR DE TODO
+  useEffect(() => {
+    fetchActivity();
+  }, [fetchActivity]);
+
+  // 📡 REFRESCAR CUANDO SE REGISTRA ACTIVIDAD DEL TODO
+  useEffect(() => activityService.subscribe((changedId) => {
+    if (changedId === todoId) fetchActivity();
+  }), [todoId, fetchActivity]);
+
+  /**
+   * 💬 AGREGAR COMENTARIO
+   *
+   * @param {string} text - Texto del comentario
+   * @returns {Promise<void>}
+   */
+  const addComment = async (text) => {
+    try {
+      await activityService.addComment(todoId, text);
+    } catch (err) {
+      toast.error(err.message || 'Error al agregar el comentario');
+      throw err;
+    }
+  };
+
+  /**
+   * 👤 CAMBIAR NOMBRE DEL AUTOR
+   *
+   * @param {string} name - Nombre a mostrar en el historial
+   */
+  const setAuthor = (name) => {
+    activityService.setAuthor(name);
+    setAuthorState(activityService.getAuthor());
+  };
+
+  return {
+    entries,                 // Entradas del historial
+    loading,                 // Estado de carga
+    author,                  // Nombre del autor actual
+    addComment,              // Agregar comentario
+    setAuthor,               // Cambiar nombre del autor
+    refreshActivity: fetchActivity, // Re-cargar historial manualmente
+  };
+};
@@ -0,0 +1,72 @@
+/**
+ * 🎣 HOOK PERSONALIZADO PARA LOS AJUSTES DE VISTA Y TABLERO
+ *
+ * Expone la vista elegida (lista, tablero o calendario), la agrupación del
+ * tablero, sus límites WIP y la vista del calendario, sincronizados con
+ * boardService. Mover todos entre columnas o días se hace con las
+ * operaciones de useTodos.
+ */
+
+import { useState, useEffect } from 'react';
+import { boardService } from '../services';
+
+/**
+ * Hook personalizado para los ajustes de vista y tablero
+ *
+ * @returns {Object} - {view, groupBy, wipLimits, calendarMode, setView, setGroupBy, setWipLimit, setCalendarMode}
+ */
+export const useBoardSettings = () => {
+  /** @type {Object} Ajustes {view, groupBy, wipLimits, calendarMode} */
+  const [settings, setSettings] = useState(() => boardService.getSettings());
+
+  // 📡 SINCRONIZAR CON CAMBIOS HECHOS DESDE OTROS COMPONENTES
+  useEffect(() => boardService.subscribe(setSettings), []);
+
+  /**
+   * 🗂️ CAMBIAR ENTRE LISTA, TABLERO Y CALENDARIO
+   *
+   * @param {string} view - 'list', 'board' o 'calendar'
+   */
+  const setView = (view) => {
+    boardService.updateSettings({ view });
+  };
+
+  /**
+   * 🔀 CAMBIAR EL CRITERIO DE AGRUPACIÓN
+   *
+   * @param {string} groupBy - 'status', 'priority' o 'tag'
+   */
+  const setGroupBy = (groupBy) => {
+    boardService.updateSettings({ groupBy });
+  };
+
+  /**
+   * 🚦 CAMBIAR EL LÍMITE WIP DE UNA COLUMNA
+   *
+   * @param {string} key - Clave de la columna (ver getWipLimitKey)
+   * @param {number|null} limit - Límite; null o 0 para quitarlo
+   */
+  const setWipLimit = (key, limit) => {
+    boardService.setWipLimit(key, limit);
+  };
+
+  /**
+   * 📆 CAMBIAR ENTRE MES Y SEMANA EN EL CALENDARIO
+   *
+   * @param {string} calendarMode - 'month' o 'week'
+   */
+  const setCalendarMode = (calendarMode) => {
+    boardService.updateSettings({ calendarMode });
+  };
+
+  return {
+    view: settings.view,                 // 'list', 'board' o 'calendar'
+    groupBy: settings.groupBy,           // Agrupación del tablero
+    wipLimits: settings.wipLimits,       // Límites WIP por columna
+    calendarMode: settings.calendarMode, // Vista del calendario ('month' o 'week')
+    setView,
+    setGroupBy,
+    setWipLimit,
+    setCalendarMode,
+  };
+};
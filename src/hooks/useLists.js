@@ -0,0 +1,86 @@
+/**
+ * 🎣 HOOK PERSONALIZADO PARA MANEJO DE LISTAS
+ *
+ * Expone las listas (proyectos) y sus operaciones a los componentes.
+ * Se suscribe a listService, así que todas las instancias del hook se
+ * mantienen sincronizadas cuando una de ellas modifica las listas.
+ *
+ * Funcionalidades:
+ * - Estado de listas sincronizado
+ * - Crear, renombrar, reordenar y eliminar listas
+ * - Notificaciones automáticas con toast
+ */
+
+import { useState, useEffect } from 'react';
+import { listService } from '../services';
+import toast from 'react-hot-toast';
+
+/**
+ * Hook personalizado para el manejo de listas
+ *
+ * @returns {Object} - Objeto con las listas y funciones para manejarlas
+ */
+export const useLists = () => {
+  /** @type {Array} Listas en el orden del usuario */
+  const [lists, setLists] = useState(() => listService.getLists());
+
+  // 📡 SINCRONIZAR CON CAMBIOS HECHOS DESDE OTROS COMPONENTES
+  useEffect(() => listService.subscribe(setLists), []);
+
+  /**
+   * 🛡️ EJECUTAR OPERACIÓN CON MANEJO DE ERRORES
+   *
+   * @param {Function} operation - Operación de listService
+   * @param {string} successMessage - Mensaje a mostrar si todo va bien
+   * @returns {*} - Resultado de la operación
+   */
+  const run = (operation, successMessage) => {
+    try {
+      const result = operation();
+      if (successMessage) toast.success(successMessage);
+      return result;
+    } catch (err) {
+      toast.error(err.message || 'Error al modificar las listas');
+      throw err;
+    }
+  };
+
+  /**
+   * 📝 CREAR LISTA
+   *
+   * @param {string} name - Nombre de la lista
+   * @returns {Object} - Lista creada
+   */
+  const createList = (name) => run(() => listService.createList(name), 'Lista creada');
+
+  /**
+   * ✏️ RENOMBRAR LISTA
+   *
+   * @param {string} id - ID de la lista
+   * @param {string} name - Nuevo nombre
+   */
+  const renameList = (id, name) => run(() => listService.renameList(id, name), 'Lista renombrada');
+
+  /**
+   * 🗑️ ELIMINAR LISTA
+   *
+   * @param {string} id - ID de la lista
+   */
+  const deleteList = (id) => run(() => listService.deleteList(id), 'Lista eliminada');
+
+  /**
+   * ↕️ MOVER LISTA
+   *
+   * @param {string} id - ID de la lista
+   * @param {number} direction - -1 para subir, 1 para bajar
+   */
+  const moveList = (id, direction) => run(() => listService.moveList(id, direction));
+
+  return {
+    lists,       // Listas en el orden del usuario
+    createList,  // Crear lista
+    renameList,  // Renombrar lista
+    deleteList,  // Eliminar lista
+    moveList,    // Reordenar lista
+  };
+};
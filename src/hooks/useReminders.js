@@ -0,0 +1,153 @@
+/**
+ * 🎣 HOOK PERSONALIZADO PARA RECORDATORIOS
+ *
+ * Programa los recordatorios de los todos mientras la aplicación está
+ * abierta. Cuando llega la hora de un aviso muestra una notificación del
+ * sistema (Notification API) y, si no hay permiso o soporte, delega en
+ * `onFallback` para mostrarlo dentro de la aplicación.
+ *
+ * Funcionalidades:
+ * - Programación con un único temporizador hacia el siguiente aviso
+ * - Avisos perdidos recientes (p. ej. con la pestaña cerrada) al volver
+ * - Posponer avisos
+ * - Ajustes globales y permiso de notificaciones sincronizados
+ */
+
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { reminderService } from '../services';
+import { getScheduledReminders, describeReminder, formatDueDate } from '../utils';
+
+/** Intervalo máximo entre comprobaciones (ms); cubre cambios de hora y suspensiones */
+const MAX_CHECK_INTERVAL = 60 * 1000;
+
+/** Los avisos perdidos hace más de este tiempo (ms) ya no se muestran */
+const MISSED_REMINDER_GRACE = 24 * 60 * 60 * 1000;
+
+/**
+ * Hook personalizado para los recordatorios del navegador
+ *
+ * @param {Array} todos - Todos los todos (sin filtrar ni paginar)
+ * @param {Function} onFallback - Callback (reminder) para mostrar el aviso en la aplicación
+ *
+ * @returns {Object} - Ajustes, permiso y acciones de los recordatorios
+ */
+export const useReminders = (todos, onFallback) => {
+  /** @type {Object} Ajustes globales {enabled, permissionDismissed} */
+  const [settings, setSettings] = useState(() => reminderService.getSettings());
+
+  /** @type {string} Permiso de notificaciones del navegador */
+  const [permission, setPermission] = useState(() => reminderService.getPermission());
+
+  /** @type {number} Se incrementa al posponer para reprogramar el temporizador */
+  const [revision, setRevision] = useState(0);
+
+  // Referencia al callback para no reprogramar en cada render
+  const fallbackRef = useRef(onFallback);
+  fallbackRef.current = onFallback;
+
+  // 📡 SINCRONIZAR AJUSTES Y PERMISO
+  useEffect(() => reminderService.subscribe((newSettings) => {
+    setSettings(newSettings);
+    setPermission(reminderService.getPermission());
+  }), []);
+
+  // 📋 AVISOS DE TODOS LOS TODOS PENDIENTES
+  const scheduled = useMemo(() => getScheduledReminders(todos), [todos]);
+
+  // ⏰ TEMPORIZADOR HACIA EL SIGUIENTE AVISO
+  useEffect(() => {
+    if (!settings.enabled || scheduled.length === 0) return undefined;
+
+    let timeoutId;
+
+    /**
+     * 📣 MOSTRAR UN AVISO
+     *
+     * @param {Object} reminder - Aviso {key, todo, offset, fireAt}
+     */
+    const fire = (reminder) => {
+      reminderService.markFired(reminder.key);
+      const { todo } = reminder;
+      const shown = reminderService.notify(
+        `🔔 ${todo.title}`,
+        {
+          body: `Vence ${formatDueDate(todo.dueDate, todo.hasDueTime)} (${describeReminder(reminder.offset)})`,
+          tag: reminder.key,
+        },
+        () => fallbackRef.current?.(reminder) // Al hacer click: aviso en la app con opciones
+      );
+      if (!shown) {
+        fallbackRef.current?.(reminder);
+      }
+    };
+
+    /**
+     * 🔍 COMPROBAR AVISOS PENDIENTES Y REPROGRAMAR
+     */
+    const check = () => {
+      const now = Date.now();
+      let nextAt = now + MAX_CHECK_INTERVAL;
+
+      scheduled.forEach(reminder => {
+        const snoozedUntil = reminderService.getSnoozedUntil(reminder.key);
+        if (!snoozedUntil && reminderService.isFired(reminder.key)) return;
+
+        const fireAt = snoozedUntil || reminder.fireAt.getTime();
+        if (fireAt > now) {
+          nextAt = Math.min(nextAt, fireAt);
+        } else if (snoozedUntil || now - fireAt < MISSED_REMINDER_GRACE) {
+          fire(reminder);
+        }
+      });
+
+      timeoutId = setTimeout(check, nextAt - now);
+    };
+
+    check();
+    return () => clearTimeout(timeoutId);
+  }, [scheduled, settings.enabled, revision]);
+
+  /**
+   * 🔛 ACTIVAR/DESACTIVAR RECORDATORIOS
+   *
+   * @param {boolean} enabled - Nuevo estado
+   */
+  const setEnabled = (enabled) => {
+    reminderService.updateSettings({ enabled });
+  };
+
+  /**
+   * 🔐 PEDIR PERMISO DE NOTIFICACIONES
+   *
+   * @returns {Promise<string>} - Permiso resultante
+   */
+  const requestPermission = () => reminderService.requestPermission();
+
+  /**
+   * 🙈 DESCARTAR LA PETICIÓN DE PERMISO
+   */
+  const dismissPermissionPrompt = () => {
+    reminderService.updateSettings({ permissionDismissed: true });
+  };
+
+  /**
+   * 😴 POSPONER UN AVISO
+   *
+   * @param {string} key - Clave del recordatorio
+   * @param {number} minutes - Minutos a posponer
+   */
+  const snooze = (key, minutes) => {
+    reminderService.snooze(key, minutes);
+    setRevision(current => current + 1);
+  };
+
+  return {
+    settings,                  // Ajustes globales
+    permission,                // 'granted', 'denied', 'default' o 'unsupported'
+    hasReminders: scheduled.length > 0, // Si algún todo pendiente tiene recordatorios
+    setEnabled,                // Activar/desactivar recordatorios
+    requestPermission,         // Pedir permiso de notificaciones
+    dismissPermissionPrompt,   // No volver a pedir permiso
+    snooze,                    // Posponer un aviso
+  };
+};
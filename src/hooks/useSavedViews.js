@@ -0,0 +1,126 @@
+/**
+ * 🎣 HOOK PERSONALIZADO PARA LAS VISTAS GUARDADAS
+ *
+ * Expone las vistas guardadas y sus operaciones, sincronizadas con
+ * savedViewService. Aplicar una vista es cosa de la página: aquí solo se
+ * guardan sus query strings (ver savedViewUtils).
+ *
+ * Funcionalidades:
+ * - Crear, renombrar, reordenar y eliminar vistas
+ * - Fijar vistas en la barra lateral y elegir la vista por defecto
+ * - Copiar el enlace de una vista al portapapeles
+ * - Notificaciones automáticas con toast
+ */
+
+import { useState, useEffect } from 'react';
+import { savedViewService } from '../services';
+import toast from 'react-hot-toast';
+
+/**
+ * Hook personalizado para las vistas guardadas
+ *
+ * @returns {Object} - Vistas, vista por defecto y funciones para manejarlas
+ */
+export const useSavedViews = () => {
+  /** @type {Object} Estado {views, defaultViewId} */
+  const [state, setState] = useState(() => savedViewService.getState());
+
+  // 📡 SINCRONIZAR CON CAMBIOS HECHOS DESDE OTROS COMPONENTES
+  useEffect(() => savedViewService.subscribe(setState), []);
+
+  /**
+   * 🛡️ EJECUTAR OPERACIÓN CON MANEJO DE ERRORES
+   *
+   * @param {Function} operation - Operación de savedViewService
+   * @param {string} successMessage - Mensaje a mostrar si todo va bien
+   * @returns {*} - Resultado de la operación
+   */
+  const run = (operation, successMessage) => {
+    try {
+      const result = operation();
+      if (successMessage) toast.success(successMessage);
+      return result;
+    } catch (err) {
+      toast.error(err.message || 'Error al modificar las vistas');
+      throw err;
+    }
+  };
+
+  /**
+   * 📝 GUARDAR UNA VISTA
+   *
+   * @param {string} name - Nombre de la vista
+   * @param {string} query - Query string de la vista
+   * @returns {Object} - Vista creada
+   */
+  const createView = (name, query) => run(() => savedViewService.createView(name, query), 'Vista guardada');
+
+  /**
+   * ✏️ RENOMBRAR VISTA
+   *
+   * @param {string} id - ID de la vista
+   * @param {string} name - Nuevo nombre
+   */
+  const renameView = (id, name) => run(() => savedViewService.renameView(id, name), 'Vista renombrada');
+
+  /**
+   * 🗑️ ELIMINAR VISTA
+   *
+   * @param {string} id - ID de la vista
+   */
+  const deleteView = (id) => run(() => savedViewService.deleteView(id), 'Vista eliminada');
+
+  /**
+   * ↕️ MOVER VISTA
+   *
+   * @param {string} id - ID de la vista
+   * @param {number} direction - -1 para subir, 1 para bajar
+   */
+  const moveView = (id, direction) => run(() => savedViewService.moveView(id, direction));
+
+  /**
+   * 📌 FIJAR O QUITAR DE LA BARRA LATERAL
+   *
+   * @param {string} id - ID de la vista
+   */
+  const togglePin = (id) => run(() => savedViewService.togglePin(id));
+
+  /**
+   * ⭐ ELEGIR LA VISTA POR DEFECTO
+   *
+   * @param {string|null} id - ID de la vista (null para no aplicar ninguna)
+   */
+  const setDefaultView = (id) => run(
+    () => savedViewService.setDefaultView(id),
+    id ? 'Se aplicará al abrir la app' : 'Sin vista por defecto'
+  );
+
+  /**
+   * 🔗 COPIAR EL ENLACE DE UNA VISTA
+   *
+   * El enlace abre la página actual (lista o lista inteligente) con la vista.
+   *
+   * @param {string} query - Query string de la vista
+   */
+  const copyViewLink = async (query) => {
+    const url = `${window.location.origin}${window.location.pathname}?${query}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Enlace copiado');
+    } catch {
+      toast.error(`No se pudo copiar el enlace: ${url}`);
+    }
+  };
+
+  return {
+    views: state.views,                  // Vistas en el orden del usuario
+    defaultViewId: state.defaultViewId,  // Vista por defecto (o null)
+    createView,
+    renameView,
+    deleteView,
+    moveView,
+    togglePin,
+    setDefaultView,
+    copyViewLink,
+  };
+};
@@ -0,0 +1,69 @@
+/**
+ * 🎣 HOOK PERSONALIZADO PARA RACHAS Y OBJETIVO DIARIO
+ *
+ * Expone los completados por día, la racha actual y la más larga, y el
+ * objetivo diario con su progreso, sincronizados con streakService. Los
+ * completados los registra useTodos al cambiar el estado de un todo.
+ *
+ * Funcionalidades:
+ * - Importar una vez los completados anteriores al registro
+ * - Racha actual, racha más larga y completados de hoy
+ * - Cambiar el objetivo diario (con validación y toast de error)
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { streakService } from '../services';
+import { getCompletionsByDay, getCurrentStreak, getLongestStreak, toDayKey } from '../utils';
+import toast from 'react-hot-toast';
+
+/**
+ * Hook personalizado para rachas y objetivo diario
+ *
+ * @param {Array} todos - Todos cargados (para importar los completados anteriores)
+ * @param {boolean} loading - Si los todos aún se están cargando
+ * @returns {Object} - {countsByDay, todayCount, currentStreak, longestStreak, dailyGoal, setDailyGoal}
+ */
+export const useStreaks = (todos = [], loading = false) => {
+  /** @type {Object} Estado {completions, dailyGoal, seeded} */
+  const [state, setState] = useState(() => streakService.getState());
+
+  // 📡 SINCRONIZAR CON EL SERVICIO
+  useEffect(() => streakService.subscribe(setState), []);
+
+  // 📥 IMPORTAR LOS COMPLETADOS ANTERIORES cuando los todos ya están cargados
+  // (sin todos, p. ej. si la API falló, se espera a la siguiente carga)
+  useEffect(() => {
+    if (!loading && todos.length > 0 && !state.seeded) {
+      streakService.seed(todos);
+    }
+  }, [todos, loading, state.seeded]);
+
+  // 📅 COMPLETADOS POR DÍA Y RACHAS
+  const countsByDay = useMemo(() => getCompletionsByDay(state.completions), [state.completions]);
+  const currentStreak = getCurrentStreak(countsByDay);
+  const longestStreak = useMemo(() => getLongestStreak(countsByDay), [countsByDay]);
+
+  /**
+   * 🎯 CAMBIAR EL OBJETIVO DIARIO
+   *
+   * @param {number|null} goal - Todos a completar al día (null para quitarlo)
+   * @throws {Error} - Si el objetivo no es válido
+   */
+  const setDailyGoal = (goal) => {
+    try {
+      streakService.setDailyGoal(goal);
+    } catch (err) {
+      toast.error(err.message);
+      throw err;
+    }
+  };
+
+  return {
+    countsByDay,                 // Completados por día
+    todayCount: countsByDay[toDayKey(new Date())] || 0, // Completados hoy
+    currentStreak,               // Días seguidos hasta hoy
+    longestStreak,               // Máximo de días seguidos
+    dailyGoal: state.dailyGoal,  // Objetivo diario (o null)
+    setDailyGoal,
+  };
+};
@@ -0,0 +1,81 @@
+/**
+ * 🎣 HOOK PERSONALIZADO PARA MANEJO DE PLANTILLAS
+ *
+ * Expone las plantillas de todos y sus operaciones a los componentes.
+ * Se suscribe a templateService, así que todas las instancias del hook se
+ * mantienen sincronizadas cuando una de ellas modifica las plantillas.
+ *
+ * Funcionalidades:
+ * - Estado de plantillas sincronizado
+ * - Guardar un todo como plantilla, renombrar y eliminar
+ * - Notificaciones automáticas con toast
+ */
+
+import { useState, useEffect } from 'react';
+import { templateService } from '../services';
+import toast from 'react-hot-toast';
+
+/**
+ * Hook personalizado para el manejo de plantillas
+ *
+ * @returns {Object} - Objeto con las plantillas y funciones para manejarlas
+ */
+export const useTemplates = () => {
+  /** @type {Array} Plantillas ordenadas por nombre */
+  const [templates, setTemplates] = useState(() => templateService.getTemplates());
+
+  // 📡 SINCRONIZAR CON CAMBIOS HECHOS DESDE OTROS COMPONENTES
+  useEffect(() => templateService.subscribe(setTemplates), []);
+
+  /**
+   * 🛡️ EJECUTAR OPERACIÓN CON MANEJO DE ERRORES
+   *
+   * @param {Function} operation - Operación de templateService
+   * @param {string} successMessage - Mensaje a mostrar si todo va bien
+   * @returns {*} - Resultado de la operación
+   */
+  const run = (operation, successMessage) => {
+    try {
+      const result = operation();
+      if (successMessage) toast.success(successMessage);
+      return result;
+    } catch (err) {
+      toast.error(err.message || 'Error al modificar las plantillas');
+      throw err;
+    }
+  };
+
+  /**
+   * 📑 GUARDAR UN TODO COMO PLANTILLA
+   *
+   * @param {Object} todo - Todo a guardar
+   * @returns {Object} - Plantilla creada
+   */
+  const saveAsTemplate = (todo) => {
+    const template = run(() => templateService.createFromTodo(todo));
+    toast.success(`Plantilla "${template.name}" guardada`);
+    return template;
+  };
+
+  /**
+   * ✏️ RENOMBRAR PLANTILLA
+   *
+   * @param {string} id - ID de la plantilla
+   * @param {string} name - Nuevo nombre
+   */
+  const renameTemplate = (id, name) => run(() => templateService.renameTemplate(id, name), 'Plantilla renombrada');
+
+  /**
+   * 🗑️ ELIMINAR PLANTILLA
+   *
+   * @param {string} id - ID de la plantilla
+   */
+  const deleteTemplate = (id) => run(() => templateService.deleteTemplate(id), 'Plantilla eliminada');
+
+  return {
+    templates,       // Plantillas ordenadas por nombre
+    saveAsTemplate,  // Guardar un todo como plantilla
+    renameTemplate,  // Renombrar plantilla
+    deleteTemplate,  // Eliminar plantilla
+  };
+};
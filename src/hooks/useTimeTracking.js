@@ -0,0 +1,117 @@
+/**
+ * 🎣 HOOK PERSONALIZADO PARA EL REGISTRO DE TIEMPO
+ *
+ * Expone las entradas de tiempo de todos los todos y el temporizador en
+ * marcha, sincronizados con timeTrackingService (y por tanto con lo que haya
+ * guardado antes de recargar la página).
+ *
+ * Funcionalidades:
+ * - Iniciar y detener temporizadores (solo uno en marcha a la vez)
+ * - Tiempo registrado por todo (sin contar el temporizador en marcha)
+ * - Agregar, editar y eliminar entradas manualmente
+ * - Notificaciones automáticas con toast
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { timeTrackingService } from '../services';
+import { getTrackedTimeByTodo } from '../utils';
+import toast from 'react-hot-toast';
+
+/**
+ * Hook personalizado para el registro de tiempo
+ *
+ * @param {Array} todos - Todos los todos (para nombrar el temporizador detenido)
+ * @returns {Object} - Entradas, temporizador en marcha y acciones
+ */
+export const useTimeTracking = (todos = []) => {
+  /** @type {Array} Todas las entradas de tiempo */
+  const [entries, setEntries] = useState(() => timeTrackingService.getEntries());
+
+  // 📡 SINCRONIZAR CON EL SERVICIO
+  useEffect(() => timeTrackingService.subscribe(setEntries), []);
+
+  // ▶️ TEMPORIZADOR EN MARCHA (o null)
+  const runningEntry = useMemo(() => entries.find(entry => !entry.end) || null, [entries]);
+
+  // 📋 TIEMPO CERRADO POR TODO; el cronómetro en marcha se suma al mostrarlo
+  const trackedTimes = useMemo(
+    () => getTrackedTimeByTodo(entries.filter(entry => entry.end)),
+    [entries]
+  );
+
+  /**
+   * ⚙️ EJECUTAR UNA OPERACIÓN DEL SERVICIO
+   *
+   * @param {Function} operation - Operación a ejecutar
+   * @param {string} fallbackMessage - Mensaje si el error no trae uno
+   * @returns {*} - Resultado de la operación
+   */
+  const run = (operation, fallbackMessage) => {
+    try {
+      return operation();
+    } catch (err) {
+      toast.error(err.message || fallbackMessage);
+      throw err;
+    }
+  };
+
+  /**
+   * ▶️ INICIAR TEMPORIZADOR DE UN TODO
+   *
+   * @param {Object} todo - Todo a cronometrar
+   */
+  const startTimer = (todo) => {
+    const { stopped } = run(() => timeTrackingService.startTimer(todo.id), 'Error al iniciar el temporizador');
+    if (stopped) {
+      const previous = todos.find(current => current.id === stopped.todoId);
+      toast.success(`Temporizador detenido: "${previous?.title || 'Todo eliminado'}"`);
+    }
+  };
+
+  /**
+   * ⏹️ DETENER EL TEMPORIZADOR EN MARCHA
+   */
+  const stopTimer = () => {
+    run(() => timeTrackingService.stopTimer(), 'Error al detener el temporizador');
+  };
+
+  /**
+   * ➕ AGREGAR ENTRADA MANUAL
+   *
+   * @param {Object} data - Entrada {todoId, start, end, note}
+   */
+  const addEntry = (data) => {
+    run(() => timeTrackingService.addEntry(data), 'Error al agregar el tiempo');
+    toast.success('Tiempo registrado');
+  };
+
+  /**
+   * ✏️ EDITAR ENTRADA
+   *
+   * @param {string} id - ID de la entrada
+   * @param {Object} changes - Campos a modificar {start, end, note}
+   */
+  const updateEntry = (id, changes) => {
+    run(() => timeTrackingService.updateEntry(id, changes), 'Error al editar el tiempo');
+  };
+
+  /**
+   * 🗑️ ELIMINAR ENTRADA
+   *
+   * @param {string} id - ID de la entrada
+   */
+  const deleteEntry = (id) => {
+    run(() => timeTrackingService.deleteEntry(id), 'Error al eliminar el tiempo');
+  };
+
+  return {
+    entries,        // Todas las entradas de tiempo
+    runningEntry,   // Temporizador en marcha (o null)
+    trackedTimes,   // Milisegundos cerrados por ID de todo
+    startTimer,     // Iniciar temporizador (detiene el anterior)
+    stopTimer,      // Detener temporizador en marcha
+    addEntry,       // Agregar entrada manual
+    updateEntry,    // Editar entrada
+    deleteEntry,    // Eliminar entrada
+  };
+};
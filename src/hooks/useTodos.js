@@ -8,32 +8,92 @@
  * Funcionalidades:
  * - Estado de todos con paginación y filtros
  * - Operaciones CRUD (crear, actualizar, eliminar, alternar)
+ * - Papelera: eliminar mueve a la papelera; restaurar, eliminar definitivamente
+ *   y vaciado automático tras los días configurados
  * - Manejo de estados de carga y errores
- * - Filtrado y búsqueda client-side
+ * - Filtrado client-side y búsqueda con lenguaje de consulta (ver searchQueryUtils),
+ *   también en el servidor si el backend lo admite
  * - Paginación client-side
+ * - Gestión de etiquetas (renombrar, fusionar, cambiar color)
+ * - Subtareas con auto-completado del todo padre
+ * - Todos recurrentes: al completarlos se genera la siguiente ocurrencia
+ * - Alcance por lista (proyecto) activa
+ * - Historial de actividad de cada todo (creación, ediciones, estado, eliminación)
+ * - Dependencias entre todos: no se completa un todo bloqueado ni se permiten ciclos
+ * - Deshacer / rehacer crear, editar, completar y eliminar (ver historyService)
+ * - Acciones en bloque sobre varios todos con concurrencia limitada
+ * - Orden manual: posición por todo guardada al arrastrar
+ * - Listas inteligentes: todos de todas las listas según su vencimiento o estado
+ * - Registro de completados para las rachas (ver streakService)
  * - Notificaciones automáticas con toast
  */
 
-import { useState, useEffect, useCallback } from 'react';
-import { todoService } from '../services';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { todoService, tagService, listService, activityService, trashService, historyService, streakService, DEFAULT_LIST_ID } from '../services';
+import { 
+  normalizePriority, 
+  normalizeTag, 
+  getUniqueTags, 
+  filterTodos, 
+  filterTodosByPriority, 
+  filterTodosByTags, 
+  sortTodos,
+  areAllSubtasksDone,
+  normalizeRecurrence,
+  normalizeReminders,
+  buildNextOccurrence,
+  formatDueDate,
+  diffTodoFields,
+  normalizeDependencies,
+  getPendingBlockers,
+  findDependencyCycle,
+  describeDependencyCycle,
+  removeCyclicDependencies,
+  getExpiredTrashedTodos,
+  applyBulkChange,
+  runWithConcurrency,
+  BULK_CONCURRENCY,
+  computeReorder,
+  sortTodosByPosition,
+  moveItem,
+  matchesSmartList,
+  parseSearchQuery,
+  rankBySearchQuery,
+  toServerQuery
+} from '../utils';
 import toast from 'react-hot-toast';
+import { showUndoToast } from '../components/ui/UndoToast';
 
 /**
  * Hook personalizado para el manejo completo de todos
  * 
  * @param {Object} initialFilters - Filtros iniciales para los todos
- * @param {string} initialFilters.status - Estado inicial ('all', 'completed', 'pending')
+ * @param {string} initialFilters.status - Estado inicial ('all', 'completed', 'pending', 'overdue', 'today', 'week')
  * @param {string} initialFilters.search - Término de búsqueda inicial
+ * @param {string} initialFilters.priority - Prioridad inicial ('all', 'high', 'medium', 'low')
+ * @param {Array<string>} initialFilters.tags - Etiquetas iniciales (el todo debe tenerlas todas)
+ * @param {string} initialFilters.sortBy - Ordenamiento inicial ('default', 'priority', 'dueDate', 'manual')
  * @param {number} pageSize - Cantidad de todos por página (default: 10)
+ * @param {string|null} listId - Lista activa; null para todos los todos de todas las listas
+ * @param {string|null} smartListId - Lista inteligente activa (ver smartListUtils); tiene prioridad sobre listId
  * 
  * @returns {Object} - Objeto con estados y funciones para manejar todos
  */
-export const useTodos = (initialFilters = {}, pageSize = 10) => {
+export const useTodos = (initialFilters = {}, pageSize = 10, listId = null, smartListId = null) => {
   // 📊 ESTADOS DEL HOOK
   
   /** @type {Array} Lista de todos filtrados y paginados */
   const [todos, setTodos] = useState([]);
   
+  /** @type {Array} Lista completa de todos transformados (sin filtrar ni paginar, sin la papelera) */
+  const [allTodos, setAllTodos] = useState([]);
+  
+  /** @type {Array} Todos que cumplen los filtros (sin paginar), para "seleccionar todos" */
+  const [filteredTodos, setFilteredTodos] = useState([]);
+  
+  /** @type {Array} Todos en la papelera, el eliminado más recientemente primero */
+  const [trashedTodos, setTrashedTodos] = useState([]);
+  
   /** @type {boolean} Indica si se están cargando los datos */
   const [loading, setLoading] = useState(true);
   
@@ -51,8 +111,11 @@ export const useTodos = (initialFilters = {}, pageSize = 10) => {
   
   /** @type {Object} Filtros activos */
   const [filters, setFilters] = useState({
-    status: 'all',        // 'all', 'completed', 'pending'
+    status: 'all',        // 'all', 'completed', 'pending', 'overdue', 'today', 'week'
     search: '',           // Término de búsqueda
+    priority: 'all',      // 'all', 'high', 'medium', 'low'
+    tags: [],             // Etiquetas que deben estar presentes
+    sortBy: 'default',    // 'default', 'priority', 'dueDate', 'manual'
     ...initialFilters     // Sobrescribir con filtros iniciales si se proporcionan
   });
 
@@ -63,8 +126,9 @@ export const useTodos = (initialFilters = {}, pageSize = 10) => {
    * 1. Llama a la API para obtener todos los todos
    * 2. Transforma los datos de FastAPI al formato esperado por el frontend
    * 3. Aplica filtros del lado del cliente
-   * 4. Aplica paginación del lado del cliente
-   * 5. Actualiza los estados correspondientes
+   * 4. Aplica el ordenamiento seleccionado
+   * 5. Aplica paginación del lado del cliente
+   * 6. Actualiza los estados correspondientes
    * 
    * Se usa useCallback para evitar re-renderizados innecesarios
    */
@@ -73,45 +137,97 @@ export const useTodos = (initialFilters = {}, pageSize = 10) => {
       setLoading(true);
       setError(null);
 
+      // 🔎 CONSULTA DE BÚSQUEDA (los términos con errores se ignoran)
+      const { terms: searchTerms } = parseSearchQuery(filters.search);
+
       // 🌐 LLAMADA A LA API
-      // FastAPI devuelve un array directamente
-      const response = await todoService.getTodos();
+      // FastAPI devuelve un array directamente. Si el backend filtra, la
+      // búsqueda se le envía también; si falla, se busca solo en el cliente
+      const [response, serverMatches] = await Promise.all([
+        todoService.getTodos(),
+        todoService.supportsSearch && searchTerms.length > 0
+          ? todoService.searchTodos(toServerQuery(searchTerms)).catch(err => {
+            console.error('Error buscando en el servidor:', err);
+            return null;
+          })
+          : null,
+      ]);
       let todosData = Array.isArray(response) ? response : [];
 
+      // Listas existentes: los todos de listas eliminadas van a la Bandeja de entrada
+      const knownListIds = listService.getLists().map(list => list.id);
+
       // 🔄 TRANSFORMACIÓN DE DATOS
       // Convertir estructura de FastAPI a estructura esperada por el frontend
-      const transformedTodos = todosData.map(todo => ({
+      let transformedTodos = todosData.map(todo => ({
         id: todo.id,
         title: todo.title,
         description: todo.description || '',
         completed: todo.completed || false,
-        // Valores por defecto para campos no presentes en FastAPI básico
-        priority: 'medium',
-        dueDate: null,
+        // 'medium' si el backend no soporta prioridad y no hay respaldo local
+        priority: normalizePriority(todo.priority),
+        dueDate: todo.due_date || null,
+        hasDueTime: Boolean(todo.has_due_time),
+        tags: Array.isArray(todo.tags) ? todo.tags : [],
+        subtasks: Array.isArray(todo.subtasks) ? todo.subtasks : [],
+        autoComplete: Boolean(todo.auto_complete),
+        recurrence: normalizeRecurrence(todo.recurrence),
+        reminders: normalizeReminders(todo.reminders),
+        listId: knownListIds.includes(todo.list_id) ? todo.list_id : DEFAULT_LIST_ID,
+        blockedBy: normalizeDependencies(todo.blocked_by, todo.id),
+        deleted: Boolean(todo.deleted),
+        deletedAt: todo.deleted_at || null,
+        position: Number.isFinite(todo.position) ? todo.position : null,
+        // Los completados antes de guardar la fecha usan la última modificación
+        completedAt: todo.completed ? (todo.completed_at || todo.updated_at || null) : null,
         createdAt: todo.created_at || new Date().toISOString(),
         updatedAt: todo.updated_at || new Date().toISOString(),
       }));
 
+      // 🗑️ SEPARAR LA PAPELERA
+      // Los todos eliminados no aparecen en ninguna lista ni bloquean a otros
+      const trashed = transformedTodos.filter(todo => todo.deleted);
+      transformedTodos = transformedTodos.filter(todo => !todo.deleted);
+
+      // Los que superan el plazo configurado no se muestran: los elimina el
+      // vaciado automático (ver más abajo)
+      const expired = getExpiredTrashedTodos(trashed, trashService.getSettings().retentionDays);
+
+      // ⛔ BLOQUEADORES PENDIENTES (requiere todos los todos ya transformados)
+      transformedTodos = transformedTodos.map(todo => ({
+        ...todo,
+        pendingBlockers: getPendingBlockers(todo, transformedTodos),
+      }));
+
       // 🔍 APLICAR FILTROS DEL LADO DEL CLIENTE
+      // Alcance por lista inteligente o por lista activa
       let filteredTodos = transformedTodos;
-      
-      // Filtro por estado (completado/pendiente)
-      if (filters.status !== 'all') {
-        filteredTodos = filteredTodos.filter(todo => {
-          if (filters.status === 'completed') return todo.completed;
-          if (filters.status === 'pending') return !todo.completed;
-          return true;
-        });
+      if (smartListId) {
+        filteredTodos = filteredTodos.filter(todo => matchesSmartList(todo, smartListId));
+      } else if (listId) {
+        filteredTodos = filteredTodos.filter(todo => todo.listId === listId);
       }
+      
+      // Filtro por estado (completado/pendiente) o por vencimiento
+      filteredTodos = filterTodos(filteredTodos, filters.status);
 
-      // Filtro por búsqueda (título y descripción)
-      if (filters.search) {
-        const searchTerm = filters.search.toLowerCase();
-        filteredTodos = filteredTodos.filter(todo =>
-          todo.title.toLowerCase().includes(searchTerm) ||
-          (todo.description && todo.description.toLowerCase().includes(searchTerm))
-        );
+      // Filtro por búsqueda: lo que devolvió el servidor (si filtra) y, en
+      // cualquier caso, la consulta completa en el cliente, que además ordena
+      // por relevancia (el orden elegido en "Ordenar" se aplica después)
+      if (serverMatches) {
+        const matchingIds = new Set(serverMatches.map(todo => todo.id));
+        filteredTodos = filteredTodos.filter(todo => matchingIds.has(todo.id));
       }
+      filteredTodos = rankBySearchQuery(filteredTodos, searchTerms);
+
+      // Filtro por prioridad
+      filteredTodos = filterTodosByPriority(filteredTodos, filters.priority);
+
+      // Filtro por etiquetas
+      filteredTodos = filterTodosByTags(filteredTodos, filters.tags);
+
+      // 🔃 APLICAR ORDENAMIENTO
+      filteredTodos = sortTodos(filteredTodos, filters.sortBy);
 
       // 📄 APLICAR PAGINACIÓN DEL LADO DEL CLIENTE
       const start = (currentPage - 1) * pageSize;
@@ -120,7 +236,12 @@ export const useTodos = (initialFilters = {}, pageSize = 10) => {
       const calculatedTotalPages = Math.ceil(filteredTodos.length / pageSize);
       
       // 💾 ACTUALIZAR ESTADOS
+      setAllTodos(transformedTodos);
+      setTrashedTodos(trashed
+        .filter(todo => !expired.includes(todo))
+        .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt))));
       setTodos(paginatedTodos);
+      setFilteredTodos(filteredTodos);
       setTotal(filteredTodos.length);
       setTotalPages(calculatedTotalPages);
       
@@ -132,7 +253,7 @@ export const useTodos = (initialFilters = {}, pageSize = 10) => {
     } finally {
       setLoading(false);
     }
-  }, [currentPage, pageSize, filters]); // Dependencias para re-ejecutar cuando cambien
+  }, [currentPage, pageSize, filters, listId, smartListId]); // Dependencias para re-ejecutar cuando cambien
 
   // 🔄 EFECTO PARA CARGAR DATOS
   // Se ejecuta cuando cambian las dependencias del fetchTodos
@@ -140,18 +261,178 @@ export const useTodos = (initialFilters = {}, pageSize = 10) => {
     fetchTodos();
   }, [fetchTodos]);
 
+  // 📚 VOLVER A LA PRIMERA PÁGINA AL CAMBIAR DE LISTA
+  useEffect(() => {
+    setCurrentPage(1);
+  }, [listId, smartListId]);
+
+  // 🔁 ÚLTIMA VERSIÓN DE fetchTodos
+  // Deshacer desde un toast antiguo o un atajo debe recargar con los filtros actuales
+  const fetchTodosRef = useRef(fetchTodos);
+  useEffect(() => {
+    fetchTodosRef.current = fetchTodos;
+  }, [fetchTodos]);
+
+  /** @type {number} Días en la papelera antes del vaciado automático */
+  const [retentionDays, setRetentionDays] = useState(() => trashService.getSettings().retentionDays);
+  useEffect(() => trashService.subscribe(settings => setRetentionDays(settings.retentionDays)), []);
+
+  /** IDs que el vaciado automático ya está eliminando (o eliminó), para no repetir la petición */
+  const purgingIdsRef = useRef(new Set());
+
+  // 🧹 VACIADO AUTOMÁTICO DE LA PAPELERA
+  // Al montar y al cambiar el plazo, no en cada carga: las cargas se solapan
+  // y el mismo todo se eliminaría dos veces. En segundo plano: un fallo no
+  // impide usar la lista y el todo se reintenta en el siguiente vaciado.
+  useEffect(() => {
+    const purgeExpiredTodos = async () => {
+      const stored = await todoService.getTodos();
+      const expired = getExpiredTrashedTodos(
+        stored
+          .filter(todo => todo.deleted)
+          .map(todo => ({ id: todo.id, deletedAt: todo.deleted_at || null })),
+        retentionDays
+      ).filter(todo => !purgingIdsRef.current.has(todo.id));
+      if (expired.length === 0) return;
+
+      expired.forEach(todo => purgingIdsRef.current.add(todo.id));
+      await Promise.all(expired.map(async (todo) => {
+        try {
+          await todoService.deleteTodo(todo.id);
+          activityService.record(todo.id, 'deleted')
+            .catch(err => console.error('Error registrando actividad:', err));
+        } catch (err) {
+          purgingIdsRef.current.delete(todo.id);
+          console.error('Error vaciando la papelera:', err);
+        }
+      }));
+      await fetchTodosRef.current();
+    };
+
+    purgeExpiredTodos().catch(err => console.error('Error vaciando la papelera:', err));
+  }, [retentionDays]);
+
+  /**
+   * 🕓 REGISTRAR ACTIVIDAD
+   * 
+   * El historial es secundario: si falla, la operación principal no se interrumpe.
+   * Los cambios de estado se apuntan también en el registro de rachas.
+   * 
+   * @param {number|string} todoId - ID del todo
+   * @param {string} type - Tipo de entrada ('created', 'updated', 'toggled', 'trashed', 'restored', 'deleted')
+   * @param {Object} details - Datos adicionales (changes)
+   */
+  const recordActivity = (todoId, type, details) => {
+    activityService.record(todoId, type, details).catch(err => {
+      console.error('Error registrando actividad:', err);
+    });
+    const statusChange = details?.changes?.find(change => change.field === 'completed');
+    if (statusChange) {
+      try {
+        streakService.recordCompletion(todoId, statusChange.to);
+      } catch (err) {
+        console.error('Error registrando el completado:', err);
+      }
+    }
+  };
+
   /**
-   * 📝 CREAR UN NUEVO TODO
+   * ↩️ REGISTRAR UNA OPERACIÓN DESHACIBLE Y NOTIFICARLA
+   * 
+   * Las funciones `undo` y `redo` trabajan contra todoService (no contra el
+   * estado del hook, que puede haber cambiado cuando se deshagan).
+   * 
+   * @param {string} label - Descripción de la operación ('editar "Comprar pan"')
+   * @param {string|null} message - Mensaje del toast de éxito; null para no mostrarlo
+   * @param {Function} undo - Aplica la operación inversa
+   * @param {Function} redo - Vuelve a aplicar la operación
+   */
+  const remember = (label, message, undo, redo) => {
+    const entry = historyService.push({ label, undo, redo });
+    if (message) {
+      showUndoToast(message, () => undoLast(entry).catch(() => {}));
+    }
+  };
+
+  /**
+   * ☑️ FIJAR EL ESTADO DE COMPLETADO (para deshacer y rehacer un toggle)
+   * 
+   * Lee el todo actual del servicio y solo lo alterna si hace falta, para
+   * no pisar los cambios hechos después (subtareas, etiquetas...).
+   * 
+   * @param {number|string} id - ID del todo
+   * @param {boolean} completed - Estado deseado
+   * @returns {Promise<void>}
+   */
+  const setCompleted = async (id, completed) => {
+    const current = await todoService.getTodo(id);
+    if (Boolean(current.completed) === completed) return;
+    await todoService.toggleTodo(id);
+    recordActivity(id, 'toggled', {
+      changes: [{ field: 'completed', from: !completed, to: completed }],
+    });
+  };
+
+  /**
+   * ↩️ DESHACER LA ÚLTIMA OPERACIÓN
+   * 
+   * @param {Object} entry - Entrada concreta (desde su toast); solo se deshace si sigue siendo la última
+   * @returns {Promise<void>}
+   */
+  const undoLast = async (entry) => {
+    try {
+      const label = await historyService.undo(entry);
+      if (label) toast.success(`Deshecho: ${label}`);
+    } catch (err) {
+      toast.error(err.message || 'No se pudo deshacer');
+      throw err;
+    } finally {
+      await fetchTodosRef.current();
+    }
+  };
+
+  /**
+   * ↪️ REHACER LA ÚLTIMA OPERACIÓN DESHECHA
+   * 
+   * @returns {Promise<void>}
+   */
+  const redoLast = async () => {
+    try {
+      const label = await historyService.redo();
+      if (label) toast.success(`Rehecho: ${label}`);
+    } catch (err) {
+      toast.error(err.message || 'No se pudo rehacer');
+      throw err;
+    } finally {
+      await fetchTodosRef.current();
+    }
+  };
+
   /**
    * 📝 CREAR NUEVO TODO
    * 
+   * Si no se indica lista, el todo se crea en la lista activa.
+   * Deshacer la creación lo mueve a la papelera.
+   * 
    * @param {Object} todoData - Datos del nuevo todo
    * @returns {Promise<void>}
    */
   const createTodo = async (todoData) => {
     try {
-      await todoService.createTodo(todoData);
-      toast.success('Todo creado exitosamente');
+      const created = await todoService.createTodo({ listId: listId || DEFAULT_LIST_ID, ...todoData });
+      recordActivity(created.id, 'created');
+      remember(
+        `crear "${todoData.title}"`,
+        'Todo creado exitosamente',
+        async () => {
+          await todoService.trashTodo(created.id);
+          recordActivity(created.id, 'trashed');
+        },
+        async () => {
+          await restoreWithoutCycles(created.id);
+          recordActivity(created.id, 'restored');
+        }
+      );
       // Re-cargar la lista para mostrar el nuevo todo
       await fetchTodos();
     } catch (err) {
@@ -163,14 +444,47 @@ export const useTodos = (initialFilters = {}, pageSize = 10) => {
   /**
    * ✏️ ACTUALIZAR UN TODO EXISTENTE
    * 
+   * Rechaza los bloqueadores que crearían una dependencia circular.
+   * 
    * @param {number|string} id - ID del todo a actualizar
    * @param {Object} todoData - Nuevos datos del todo
    * @returns {Promise<void>}
    */
   const updateTodo = async (id, todoData) => {
+    const previous = allTodos.find(current => current.id === id);
+    
     try {
+      const cycle = findDependencyCycle(id, todoData.blockedBy, allTodos);
+      if (cycle) {
+        throw new Error(describeDependencyCycle(cycle));
+      }
       await todoService.updateTodo(id, todoData);
-      toast.success('Todo actualizado exitosamente');
+      const changes = diffTodoFields(previous, todoData);
+      if (changes.length > 0) {
+        recordActivity(id, 'updated', { changes });
+      }
+      if (previous) {
+        // Deshacer vuelve a guardar el todo tal como estaba antes de editarlo
+        const inverseChanges = changes.map(({ field, from, to }) => ({ field, from: to, to: from }));
+        remember(
+          `editar "${previous.title}"`,
+          'Todo actualizado exitosamente',
+          async () => {
+            await todoService.updateTodo(id, previous);
+            if (inverseChanges.length > 0) {
+              recordActivity(id, 'updated', { changes: inverseChanges });
+            }
+          },
+          async () => {
+            await todoService.updateTodo(id, todoData);
+            if (changes.length > 0) {
+              recordActivity(id, 'updated', { changes });
+            }
+          }
+        );
+      } else {
+        toast.success('Todo actualizado exitosamente');
+      }
       // Re-cargar la lista para mostrar los cambios
       await fetchTodos();
     } catch (err) {
@@ -180,15 +494,28 @@ export const useTodos = (initialFilters = {}, pageSize = 10) => {
   };
 
   /**
-   * 🗑️ ELIMINAR UN TODO
+   * 🗑️ ELIMINAR UN TODO (MOVER A LA PAPELERA)
    * 
    * @param {number|string} id - ID del todo a eliminar
    * @returns {Promise<void>}
    */
   const deleteTodo = async (id) => {
     try {
-      await todoService.deleteTodo(id);
-      toast.success('Todo eliminado exitosamente');
+      await todoService.trashTodo(id);
+      recordActivity(id, 'trashed');
+      const todo = allTodos.find(current => current.id === id);
+      remember(
+        `eliminar "${todo ? todo.title : 'todo'}"`,
+        'Todo movido a la papelera',
+        async () => {
+          await restoreWithoutCycles(id);
+          recordActivity(id, 'restored');
+        },
+        async () => {
+          await todoService.trashTodo(id);
+          recordActivity(id, 'trashed');
+        }
+      );
       // Re-cargar la lista para reflejar la eliminación
       await fetchTodos();
     } catch (err) {
@@ -197,17 +524,163 @@ export const useTodos = (initialFilters = {}, pageSize = 10) => {
     }
   };
 
+  /**
+   * ♻️ SACAR DE LA PAPELERA SIN FORMAR CICLOS
+   *
+   * Quita a la vez los bloqueadores que cerrarían un ciclo (ver
+   * removeCyclicDependencies). Lee los todos del servicio y no del estado
+   * porque también lo usan las acciones de deshacer y rehacer.
+   *
+   * @param {number|string} id - ID del todo
+   * @returns {Promise<Array>} - Ciclos evitados (vacío si no había ninguno)
+   */
+  const restoreWithoutCycles = async (id) => {
+    const stored = (await todoService.getTodos()).map(todo => ({
+      id: todo.id,
+      title: todo.title,
+      deleted: Boolean(todo.deleted),
+      blockedBy: normalizeDependencies(todo.blocked_by, todo.id),
+    }));
+    const todo = stored.find(current => current.id === id);
+    const { blockedBy, cycles } = todo
+      ? removeCyclicDependencies(todo, stored.filter(current => !current.deleted))
+      : { blockedBy: [], cycles: [] };
+    await todoService.restoreTodo(id, cycles.length > 0 ? { blocked_by: blockedBy } : {});
+    return cycles;
+  };
+
+  /**
+   * ♻️ RESTAURAR UN TODO DE LA PAPELERA
+   * 
+   * @param {number|string} id - ID del todo
+   * @returns {Promise<void>}
+   */
+  const restoreTodo = async (id) => {
+    try {
+      const cycles = await restoreWithoutCycles(id);
+      recordActivity(id, 'restored');
+      if (cycles.length > 0) {
+        toast.success(`Todo restaurado sin sus dependencias circulares. ${describeDependencyCycle(cycles[0])}`);
+      } else {
+        toast.success('Todo restaurado');
+      }
+      await fetchTodos();
+    } catch (err) {
+      toast.error(err.message || 'Error al restaurar el todo');
+      throw err;
+    }
+  };
+
+  /**
+   * 🔥 ELIMINAR UN TODO DEFINITIVAMENTE
+   * 
+   * @param {number|string} id - ID del todo (normalmente, de la papelera)
+   * @returns {Promise<void>}
+   */
+  const purgeTodo = async (id) => {
+    try {
+      await todoService.deleteTodo(id);
+      recordActivity(id, 'deleted');
+      toast.success('Todo eliminado definitivamente');
+      await fetchTodos();
+    } catch (err) {
+      toast.error(err.message || 'Error al eliminar el todo');
+      throw err;
+    }
+  };
+
+  /**
+   * 🧹 VACIAR LA PAPELERA
+   * 
+   * Elimina definitivamente todos los todos de la papelera. Si alguno
+   * falla, el resto se elimina igualmente y se informa de cuántos quedan.
+   * 
+   * @returns {Promise<void>}
+   */
+  const emptyTrash = async () => {
+    const results = await Promise.allSettled(trashedTodos.map(async (todo) => {
+      await todoService.deleteTodo(todo.id);
+      recordActivity(todo.id, 'deleted');
+    }));
+    const failed = results.filter(result => result.status === 'rejected').length;
+    
+    if (failed > 0) {
+      toast.error(`No se pudieron eliminar ${failed} de ${results.length} todos`);
+    } else {
+      toast.success('Papelera vaciada');
+    }
+    await fetchTodos();
+  };
+
   /**
    * 🔄 ALTERNAR ESTADO DE COMPLETADO
    * 
-   * Cambia un todo de completado a pendiente o viceversa
+   * Cambia un todo de completado a pendiente o viceversa.
+   * 
+   * Si se completa un todo recurrente, la serie pasa a un todo nuevo con la
+   * siguiente fecha límite, y el completado deja de ser recurrente (así
+   * reabrirlo y completarlo otra vez no duplica ocurrencias).
+   * 
+   * Un todo con bloqueadores pendientes no se completa salvo que se fuerce.
+   * 
+   * Se puede deshacer (sin toast, salvo en los recurrentes): deshacer
+   * completar un recurrente lo reabre con su regla y manda a la papelera
+   * la ocurrencia generada.
    * 
    * @param {number|string} id - ID del todo a alternar
+   * @param {Object} options - Opciones
+   * @param {boolean} options.force - Completar aunque esté bloqueado
    * @returns {Promise<void>}
    */
-  const toggleTodo = async (id) => {
+  const toggleTodo = async (id, { force = false } = {}) => {
+    const todo = allTodos.find(current => current.id === id);
+    
     try {
-      await todoService.toggleTodo(id);
+      if (todo && !todo.completed && !force) {
+        const blockers = getPendingBlockers(todo, allTodos);
+        if (blockers.length > 0) {
+          throw new Error(`No se puede completar: bloqueado por ${blockers.map(blocker => `"${blocker.title}"`).join(', ')}`);
+        }
+      }
+      
+      if (todo && !todo.completed && todo.recurrence) {
+        const nextTodo = buildNextOccurrence(todo);
+        const completedTodo = { ...todo, completed: true, recurrence: null };
+        await todoService.updateTodo(id, completedTodo);
+        const created = await todoService.createTodo(nextTodo);
+        recordActivity(created.id, 'created');
+        remember(
+          `completar "${todo.title}"`,
+          `Siguiente ocurrencia: ${formatDueDate(nextTodo.dueDate, nextTodo.hasDueTime)}`,
+          async () => {
+            await todoService.updateTodo(id, todo);
+            await todoService.trashTodo(created.id);
+            recordActivity(id, 'toggled', { changes: [{ field: 'completed', from: true, to: false }] });
+            recordActivity(created.id, 'trashed');
+          },
+          async () => {
+            await todoService.updateTodo(id, completedTodo);
+            await restoreWithoutCycles(created.id);
+            recordActivity(id, 'toggled', { changes: [{ field: 'completed', from: false, to: true }] });
+            recordActivity(created.id, 'restored');
+          }
+        );
+      } else {
+        await todoService.toggleTodo(id);
+        if (todo) {
+          remember(
+            `${todo.completed ? 'reabrir' : 'completar'} "${todo.title}"`,
+            null,
+            () => setCompleted(id, todo.completed),
+            () => setCompleted(id, !todo.completed)
+          );
+        }
+      }
+      if (todo) {
+        recordActivity(id, 'toggled', {
+          changes: [{ field: 'completed', from: todo.completed, to: !todo.completed }],
+        });
+      }
       // No mostrar toast para toggle (acción muy frecuente)
       // Re-cargar la lista para mostrar el cambio de estado
       await fetchTodos();
@@ -217,6 +690,332 @@ export const useTodos = (initialFilters = {}, pageSize = 10) => {
     }
   };
 
+  /**
+   * ☑️ APLICAR (O REVERTIR) UN TODO DE UNA ACCIÓN EN BLOQUE
+   * 
+   * @param {Object} item - {todo, updated, createdId} (updated es null al eliminar)
+   * @param {boolean} revert - true para volver al estado original
+   * @returns {Promise<void>}
+   */
+  const applyBulkItem = async ({ todo, updated, createdId }, revert) => {
+    if (!updated) {
+      await (revert ? restoreWithoutCycles(todo.id) : todoService.trashTodo(todo.id));
+      recordActivity(todo.id, revert ? 'restored' : 'trashed');
+      return;
+    }
+    
+    const [from, to] = revert ? [updated, todo] : [todo, updated];
+    await todoService.updateTodo(todo.id, to);
+    if (createdId !== null) {
+      await (revert ? todoService.trashTodo(createdId) : restoreWithoutCycles(createdId));
+      recordActivity(createdId, revert ? 'trashed' : 'restored');
+    }
+    const changes = diffTodoFields(from, to);
+    if (changes.length > 0) {
+      recordActivity(todo.id, from.completed !== to.completed ? 'toggled' : 'updated', { changes });
+    }
+  };
+
+  /**
+   * ☑️ ACCIÓN EN BLOQUE SOBRE VARIOS TODOS
+   * 
+   * Aplica el cambio a cada todo a través de todoService, con como mucho
+   * BULK_CONCURRENCY peticiones a la vez. Un fallo no detiene al resto: se
+   * devuelve qué todos no se pudieron modificar y por qué. Lo que sí se
+   * aplicó se deshace de una vez.
+   * 
+   * Completar respeta las dependencias (un todo bloqueado falla) y genera
+   * la siguiente ocurrencia de los recurrentes, como el toggle.
+   * 
+   * @param {Array} ids - IDs de los todos seleccionados
+   * @param {Object} change - Cambio {type, value}: 'delete' los mueve a la papelera;
+   *   el resto de tipos se describen en applyBulkChange
+   * @returns {Promise<Array<Object>>} - Fallos [{id, title, message}]
+   */
+  const bulkUpdate = async (ids, change) => {
+    const selected = allTodos.filter(todo => ids.includes(todo.id));
+    const applied = [];
+    
+    const results = await runWithConcurrency(selected, BULK_CONCURRENCY, async (todo) => {
+      if (change.type === 'delete') {
+        await todoService.trashTodo(todo.id);
+        recordActivity(todo.id, 'trashed');
+        applied.push({ todo, updated: null, createdId: null });
+        return;
+      }
+      
+      if (change.type === 'complete' && !todo.completed) {
+        const blockers = getPendingBlockers(todo, allTodos);
+        if (blockers.length > 0) {
+          throw new Error(`Bloqueado por ${blockers.map(blocker => `"${blocker.title}"`).join(', ')}`);
+        }
+      }
+      
+      const updated = applyBulkChange(todo, change);
+      if (!updated) return; // Ya estaba así
+      
+      await todoService.updateTodo(todo.id, updated);
+      const item = { todo, updated, createdId: null };
+      applied.push(item);
+      const changes = diffTodoFields(todo, updated);
+      if (changes.length > 0) {
+        recordActivity(todo.id, change.type === 'complete' || change.type === 'reopen' ? 'toggled' : 'updated', { changes });
+      }
+      
+      if (change.type === 'complete' && todo.recurrence) {
+        const created = await todoService.createTodo(buildNextOccurrence(todo));
+        item.createdId = created.id;
+        recordActivity(created.id, 'created');
+      }
+    });
+    
+    const failed = results
+      .map((result, index) => (result.status === 'rejected'
+        ? { id: selected[index].id, title: selected[index].title, message: result.reason?.message || 'Error desconocido' }
+        : null))
+      .filter(Boolean);
+    
+    if (applied.length > 0) {
+      /**
+       * Aplica la acción entera en un sentido; si algún todo falla, avisa
+       * de cuántos (el resto queda aplicado)
+       */
+      const applyAll = async (revert) => {
+        const outcome = await runWithConcurrency(applied, BULK_CONCURRENCY, item => applyBulkItem(item, revert));
+        const failures = outcome.filter(result => result.status === 'rejected').length;
+        if (failures > 0) {
+          throw new Error(`No se pudieron revertir ${failures} de ${applied.length} todos`);
+        }
+      };
+      const verb = change.type === 'delete' ? 'eliminar' : 'modificar';
+      remember(
+        `${verb} ${applied.length} todos`,
+        failed.length === 0
+          ? `${applied.length} todos ${change.type === 'delete' ? 'movidos a la papelera' : 'actualizados'}`
+          : null,
+        () => applyAll(true),
+        () => applyAll(false)
+      );
+    }
+    
+    if (failed.length > 0) {
+      toast.error(`No se pudieron modificar ${failed.length} de ${selected.length} todos`);
+    } else if (applied.length === 0) {
+      toast.success('Sin cambios: los todos seleccionados ya estaban así');
+    }
+    
+    await fetchTodos();
+    return failed;
+  };
+
+  /**
+   * ✋ SI SE PUEDE REORDENAR
+   *
+   * Solo en el orden manual y sin búsqueda: con otro orden o con la lista
+   * ordenada por relevancia, lo que se ve no es el orden que se guarda.
+   */
+  const canReorder = filters.sortBy === 'manual' && !filters.search?.trim();
+
+  /**
+   * ↕️ REORDENAR UN TODO (ORDEN MANUAL)
+   * 
+   * Los índices son los de la página actual: las nuevas posiciones se
+   * calculan sobre la lista mostrada (filtrada, sin paginar), así que solo
+   * se mueve dentro de la página. El nuevo orden se muestra sin esperar al
+   * backend; las posiciones se guardan con concurrencia limitada
+   * (normalmente solo cambia la del todo movido, ver orderUtils). Se puede
+   * deshacer.
+   * 
+   * @param {number} fromIndex - Índice actual en la página
+   * @param {number} toIndex - Índice de destino en la página
+   * @returns {Promise<void>}
+   */
+  const reorderTodo = async (fromIndex, toIndex) => {
+    if (!canReorder) return;
+    const offset = (currentPage - 1) * pageSize;
+    const moved = filteredTodos[offset + fromIndex];
+    // Lista activa sin filtros: al renumerar también se colocan los ocultos
+    const scopeTodos = sortTodosByPosition(allTodos.filter(todo => {
+      if (smartListId) return matchesSmartList(todo, smartListId);
+      return !listId || todo.listId === listId;
+    }));
+    const updates = computeReorder(filteredTodos, offset + fromIndex, offset + toIndex, scopeTodos);
+    if (!moved || updates.length === 0) return;
+    
+    const previousPositions = updates.map(({ id }) => ({
+      id,
+      position: scopeTodos.find(todo => todo.id === id).position,
+    }));
+    
+    /**
+     * Guarda un conjunto de posiciones; si alguna falla, avisa de cuántas
+     */
+    const savePositions = async (positions) => {
+      const results = await runWithConcurrency(positions, BULK_CONCURRENCY, ({ id, position }) => todoService.setPosition(id, position));
+      const failures = results.filter(result => result.status === 'rejected').length;
+      if (failures > 0) {
+        throw new Error(`No se pudo guardar la posición de ${failures} de ${positions.length} todos`);
+      }
+    };
+    
+    // Mostrar el nuevo orden de inmediato, con las nuevas posiciones también
+    // en las listas sin paginar (de ellas parte otro arrastre antes de recargar)
+    const positions = new Map(updates.map(({ id, position }) => [id, position]));
+    const withPositions = list => list.map(todo => (
+      positions.has(todo.id) ? { ...todo, position: positions.get(todo.id) } : todo
+    ));
+    setTodos(current => moveItem(current, fromIndex, toIndex));
+    setFilteredTodos(current => withPositions(moveItem(current, offset + fromIndex, offset + toIndex)));
+    setAllTodos(withPositions);
+    
+    try {
+      await savePositions(updates);
+      remember(
+        `mover "${moved.title}"`,
+        null,
+        () => savePositions(previousPositions),
+        () => savePositions(updates)
+      );
+    } catch (err) {
+      toast.error(err.message || 'Error al reordenar el todo');
+      throw err;
+    } finally {
+      await fetchTodos();
+    }
+  };
+
+  /**
+   * 🏷️ ETIQUETAS DISPONIBLES
+   * 
+   * Todas las etiquetas usadas en algún todo, para autocompletado y filtros
+   */
+  const tags = useMemo(() => getUniqueTags(allTodos), [allTodos]);
+
+  /**
+   * 🔀 REEMPLAZAR UNA ETIQUETA EN TODOS LOS TODOS
+   * 
+   * Sustituye `from` por `to` en cada todo que la tenga (sin duplicados)
+   * y traslada su color. Base de renombrar y fusionar etiquetas.
+   * Incluye la papelera, para que un todo restaurado no recupere la etiqueta antigua.
+   * 
+   * @param {string} from - Etiqueta a reemplazar
+   * @param {string} to - Etiqueta destino (ya normalizada)
+   * @returns {Promise<number>} - Número de todos modificados
+   */
+  const replaceTag = async (from, to) => {
+    const affectedTodos = [...allTodos, ...trashedTodos].filter(todo => todo.tags.includes(from));
+    
+    await Promise.all(affectedTodos.map(todo => {
+      const newTags = [...new Set(todo.tags.map(tag => (tag === from ? to : tag)))];
+      return todoService.updateTodo(todo.id, { ...todo, tags: newTags });
+    }));
+    
+    tagService.moveColor(from, to);
+    return affectedTodos.length;
+  };
+
+  /**
+   * ✏️ RENOMBRAR UNA ETIQUETA
+   * 
+   * Si el nuevo nombre ya existe, ambas etiquetas quedan fusionadas.
+   * 
+   * @param {string} oldTag - Nombre actual
+   * @param {string} newTag - Nuevo nombre
+   * @returns {Promise<void>}
+   */
+  const renameTag = async (oldTag, newTag) => {
+    const normalized = normalizeTag(newTag);
+    if (!normalized) {
+      toast.error('El nombre de la etiqueta no puede estar vacío');
+      return;
+    }
+    if (normalized === oldTag) return;
+    
+    try {
+      await replaceTag(oldTag, normalized);
+      toast.success(`Etiqueta "${oldTag}" renombrada a "${normalized}"`);
+    } catch (err) {
+      toast.error(err.message || 'Error al renombrar la etiqueta');
+      throw err;
+    } finally {
+      // Re-cargar incluso si falló a medias, para reflejar lo que sí se guardó
+      await fetchTodos();
+    }
+  };
+
+  /**
+   * 🔗 FUSIONAR ETIQUETAS
+   * 
+   * Todos los todos con `sourceTag` pasan a tener `targetTag`.
+   * 
+   * @param {string} sourceTag - Etiqueta que desaparece
+   * @param {string} targetTag - Etiqueta que se conserva
+   * @returns {Promise<void>}
+   */
+  const mergeTags = async (sourceTag, targetTag) => {
+    if (sourceTag === targetTag) return;
+    
+    try {
+      const count = await replaceTag(sourceTag, targetTag);
+      toast.success(`"${sourceTag}" fusionada en "${targetTag}" (${count} todos)`);
+    } catch (err) {
+      toast.error(err.message || 'Error al fusionar las etiquetas');
+      throw err;
+    } finally {
+      await fetchTodos();
+    }
+  };
+
+  /**
+   * 🎨 CAMBIAR COLOR DE UNA ETIQUETA
+   * 
+   * @param {string} tag - Nombre de la etiqueta
+   * @param {string} color - Nombre de color (clave de TAG_COLORS)
+   */
+  const recolorTag = (tag, color) => {
+    tagService.setColor(tag, color);
+    // Forzar re-render de los chips con el nuevo color
+    setAllTodos(current => [...current]);
+    setTodos(current => [...current]);
+  };
+
+  /**
+   * ☑️ ACTUALIZAR SUBTAREAS DE UN TODO
+   * 
+   * Guarda el nuevo checklist. Si el todo tiene activado el auto-completado
+   * y todas las subtareas quedan hechas, el todo se marca como completado
+   * (salvo que siga bloqueado por otros todos).
+   * 
+   * @param {number|string} id - ID del todo
+   * @param {Array} subtasks - Nuevo array de subtareas
+   * @returns {Promise<void>}
+   */
+  const updateSubtasks = async (id, subtasks) => {
+    const todo = allTodos.find(current => current.id === id);
+    if (!todo) return;
+    
+    const shouldComplete = todo.autoComplete && !todo.completed && areAllSubtasksDone(subtasks)
+      && getPendingBlockers(todo, allTodos).length === 0;
+    
+    try {
+      await todoService.updateTodo(id, {
+        ...todo,
+        subtasks,
+        completed: todo.completed || shouldComplete,
+      });
+      if (shouldComplete) {
+        recordActivity(id, 'toggled', {
+          changes: [{ field: 'completed', from: false, to: true }],
+        });
+        toast.success('Subtareas terminadas: todo completado');
+      }
+      await fetchTodos();
+    } catch (err) {
+      toast.error(err.message || 'Error al actualizar las subtareas');
+      throw err;
+    }
+  };
+
   /**
    * 📄 CAMBIAR PÁGINA
    * 
@@ -248,12 +1047,34 @@ export const useTodos = (initialFilters = {}, pageSize = 10) => {
     total,           // Total de todos (después de filtros)
     totalPages,      // Número total de páginas
     currentPage,     // Página actual
+    allTodos,        // Todos los todos sin filtrar ni paginar (sin la papelera)
+    filteredTodos,   // Todos que cumplen los filtros, sin paginar
+    trashedTodos,    // Todos en la papelera
+    tags,            // Etiquetas usadas en algún todo
     
     // 🔄 Operaciones CRUD
     createTodo,      // Crear nuevo todo
     updateTodo,      // Actualizar todo existente
     deleteTodo,      // Eliminar todo
     toggleTodo,      // Alternar estado completado
+    updateSubtasks,  // Guardar checklist de subtareas
+    bulkUpdate,      // Acción en bloque sobre varios todos
+    reorderTodo,     // Mover un todo en el orden manual
+    canReorder,      // Si se puede reordenar (orden manual sin búsqueda)
+    
+    // ↩️ Historial
+    undo: undoLast,  // Deshacer la última operación
+    redo: redoLast,  // Rehacer la última operación deshecha
+    
+    // 🗑️ Papelera
+    restoreTodo,     // Restaurar desde la papelera
+    purgeTodo,       // Eliminar definitivamente
+    emptyTrash,      // Vaciar la papelera
+    
+    // 🏷️ Gestión de etiquetas
+    renameTag,       // Renombrar etiqueta en todos los todos
+    mergeTags,       // Fusionar una etiqueta en otra
+    recolorTag,      // Cambiar color de una etiqueta
     
     // 🛠️ Utilidades
     refreshTodos: fetchTodos,  // Re-cargar todos manualmente
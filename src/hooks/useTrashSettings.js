@@ -0,0 +1,37 @@
+/**
+ * 🎣 HOOK PERSONALIZADO PARA LOS AJUSTES DE LA PAPELERA
+ *
+ * Expone el plazo de vaciado automático de la papelera. Los todos de la
+ * papelera y sus operaciones (restaurar, eliminar definitivamente) están
+ * en useTodos; este hook solo maneja el ajuste, sincronizado con trashService.
+ */
+
+import { useState, useEffect } from 'react';
+import { trashService } from '../services';
+
+/**
+ * Hook personalizado para los ajustes de la papelera
+ *
+ * @returns {Object} - {retentionDays, setRetentionDays}
+ */
+export const useTrashSettings = () => {
+  /** @type {Object} Ajustes {retentionDays} */
+  const [settings, setSettings] = useState(() => trashService.getSettings());
+
+  // 📡 SINCRONIZAR CON CAMBIOS HECHOS DESDE OTROS COMPONENTES
+  useEffect(() => trashService.subscribe(setSettings), []);
+
+  /**
+   * ⚙️ CAMBIAR EL PLAZO DE VACIADO AUTOMÁTICO
+   *
+   * @param {number} days - Días en la papelera (0 = nunca se vacía)
+   */
+  const setRetentionDays = (days) => {
+    trashService.updateSettings({ retentionDays: days });
+  };
+
+  return {
+    retentionDays: settings.retentionDays, // Días antes del vaciado automático
+    setRetentionDays,                      // Cambiar el plazo
+  };
+};
@@ -0,0 +1,74 @@
+/**
+ * 🎣 HOOK PERSONALIZADO PARA DESHACER / REHACER
+ *
+ * Expone si hay algo que deshacer o rehacer (sincronizado con historyService)
+ * y registra los atajos de teclado:
+ * - Ctrl+Z (Cmd+Z en Mac): deshacer
+ * - Ctrl+Shift+Z o Ctrl+Y: rehacer
+ *
+ * Los atajos no actúan mientras se escribe en un campo de texto, donde
+ * Ctrl+Z deshace la escritura como siempre. Las operaciones en sí están en
+ * useTodos, que es quien las registra en el historial.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { historyService } from '../services';
+
+/**
+ * ⌨️ ¿EL FOCO ESTÁ EN UN CAMPO EDITABLE?
+ *
+ * @param {EventTarget} target - Elemento que recibe el evento de teclado
+ * @returns {boolean} - true si es un input, textarea, select o contenido editable
+ */
+const isEditableTarget = (target) => {
+  if (!target || !target.tagName) return false;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+};
+
+/**
+ * Hook personalizado para deshacer / rehacer
+ *
+ * @param {Function} undo - Deshacer la última operación (de useTodos)
+ * @param {Function} redo - Rehacer la última operación deshecha (de useTodos)
+ * @returns {Object} - {canUndo, canRedo, undoLabel, redoLabel}
+ */
+export const useUndoRedo = (undo, redo) => {
+  /** @type {Object} Estado del historial */
+  const [state, setState] = useState(() => historyService.getState());
+
+  // 📡 SINCRONIZAR CON EL HISTORIAL
+  useEffect(() => historyService.subscribe(setState), []);
+
+  // 🔁 Últimas versiones de los callbacks, para no re-registrar el listener en cada render
+  const actionsRef = useRef({ undo, redo });
+  useEffect(() => {
+    actionsRef.current = { undo, redo };
+  }, [undo, redo]);
+
+  // ⌨️ ATAJOS DE TECLADO
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || isEditableTarget(event.target)) return;
+
+      const key = event.key.toLowerCase();
+      const action = key === 'y' || (key === 'z' && event.shiftKey)
+        ? actionsRef.current.redo
+        : key === 'z' ? actionsRef.current.undo : null;
+      if (!action) return;
+
+      event.preventDefault();
+      // ⚠️ Los errores se notifican con toast desde useTodos
+      action().catch(() => {});
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  return {
+    canUndo: state.canUndo,     // Si hay algo que deshacer
+    canRedo: state.canRedo,     // Si hay algo que rehacer
+    undoLabel: state.undoLabel, // Descripción de lo que se desharía
+    redoLabel: state.redoLabel, // Descripción de lo que se reharía
+  };
+};
@@ -0,0 +1,202 @@
+/**
+ * 📈 PÁGINA DE ESTADÍSTICAS
+ *
+ * Resumen de todos los todos (de todas las listas o de una, sin la
+ * papelera) con gráficos SVG ligeros. A diferencia de las tarjetas de
+ * TodoPage, los cálculos no dependen de la página ni de los filtros.
+ *
+ * Funcionalidades:
+ * - Totales: todos, pendientes, completados y vencidos
+ * - Porcentaje de completados
+ * - Creados y completados por semana (últimas 8 semanas)
+ * - Tiempo medio desde la creación hasta completar
+ * - Desglose por prioridad y por etiqueta (las más usadas)
+ * - Mapa de actividad anual con la racha actual y la más larga
+ * - Selector de lista (todas o una)
+ *
+ * Arquitectura:
+ * - Usa useTodos sin lista activa para obtener todos los todos (allTodos)
+ * - Usa useLists para el selector de lista
+ * - Usa useStreaks para el mapa de actividad (registro de todas las listas)
+ * - Los cálculos están en statsUtils y los gráficos en components/stats
+ */
+
+import React, { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, BarChart3 } from 'lucide-react';
+import { Toaster } from 'react-hot-toast';
+import { useTodos, useLists, useStreaks } from '../hooks';
+import {
+  Button,
+  Card,
+  Select,
+  LoadingSpinner,
+  HealthCheck,
+  CompletionRing,
+  WeeklyActivityChart,
+  BreakdownChart,
+  CompletionHeatmap
+} from '../components';
+import {
+  getTodoTotals,
+  getWeeklyActivity,
+  getAverageCompletionTime,
+  formatLongDuration,
+  getPriorityBreakdown,
+  getTagBreakdown,
+  STATS_WEEKS
+} from '../utils';
+
+/** Valor del selector para todas las listas */
+const ALL_LISTS = 'all';
+
+/**
+ * Tarjeta con una cifra
+ */
+const StatCard = ({ value, label, className = 'text-gray-900' }) => (
+  <Card className="p-3 sm:p-4">
+    <div className="text-center">
+      <div className={`text-lg sm:text-2xl font-bold ${className}`}>{value}</div>
+      <div className="text-xs sm:text-sm text-gray-600">{label}</div>
+    </div>
+  </Card>
+);
+
+/**
+ * Componente de la página de estadísticas
+ */
+const StatsPage = () => {
+  const navigate = useNavigate();
+
+  /** @type {string} Lista de la que se muestran las estadísticas (o ALL_LISTS) */
+  const [scope, setScope] = useState(ALL_LISTS);
+
+  // 🎣 TODOS LOS TODOS DE TODAS LAS LISTAS (sin la papelera)
+  const { allTodos, loading } = useTodos();
+  const { lists } = useLists();
+  const { countsByDay, currentStreak, longestStreak } = useStreaks(allTodos, loading);
+
+  // 📊 CÁLCULOS (solo al cambiar los todos o la lista elegida)
+  const stats = useMemo(() => {
+    const todos = scope === ALL_LISTS ? allTodos : allTodos.filter(todo => todo.listId === scope);
+    return {
+      totals: getTodoTotals(todos),
+      weeks: getWeeklyActivity(todos),
+      averageCompletionTime: getAverageCompletionTime(todos),
+      byPriority: getPriorityBreakdown(todos),
+      byTag: getTagBreakdown(todos),
+    };
+  }, [allTodos, scope]);
+
+  const { totals } = stats;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* 🍞 NOTIFICACIONES TOAST */}
+      <Toaster position="top-right" />
+
+      {/* 📋 HEADER - RESPONSIVO */}
+      <div className="bg-white shadow">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+          <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center py-4 sm:py-6 space-y-4 sm:space-y-0">
+            <div className="flex items-center">
+              <BarChart3 className="h-6 w-6 sm:h-8 sm:w-8 text-blue-600 mr-2 sm:mr-3" />
+              <div>
+                <h1 className="text-xl sm:text-2xl font-bold text-gray-900">Estadísticas</h1>
+                <p className="text-xs sm:text-sm text-gray-600 mt-1 hidden sm:block">
+                  Calculadas sobre todos los todos, no solo la página visible
+                </p>
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between sm:justify-end space-x-2 sm:space-x-4">
+              <div className="hidden sm:block">
+                <HealthCheck />
+              </div>
+              <div className="w-48">
+                <Select
+                  value={scope}
+                  onChange={(e) => setScope(e.target.value)}
+                  options={[
+                    { value: ALL_LISTS, label: 'Todas las listas' },
+                    ...lists.map(list => ({ value: list.id, label: list.name })),
+                  ]}
+                  aria-label="Lista"
+                />
+              </div>
+              <Button variant="secondary" size="sm" onClick={() => navigate('/')} className="flex-shrink-0">
+                <ArrowLeft className="h-4 w-4 sm:mr-2" />
+                <span className="hidden sm:inline">Volver a los todos</span>
+              </Button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-6 space-y-4 sm:space-y-6">
+        {loading && allTodos.length === 0 ? (
+          <div className="flex justify-center items-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <>
+            {/* 🔢 TOTALES */}
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-2 sm:gap-4">
+              <StatCard value={totals.total} label="Total" />
+              <StatCard value={totals.pending} label="Pendientes" className="text-orange-600" />
+              <StatCard value={totals.completed} label="Completados" className="text-green-600" />
+              <StatCard value={totals.overdue} label="Vencidos" className="text-red-600" />
+              <StatCard value={formatLongDuration(stats.averageCompletionTime)} label="Tiempo medio hasta completar" />
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 sm:gap-6">
+              {/* 🍩 PORCENTAJE COMPLETADO */}
+              <Card className="flex flex-col items-center justify-center">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4 self-start">Completados</h2>
+                <CompletionRing value={totals.completionRate} label="completados" size={160} />
+                <p className="text-sm text-gray-600 mt-4">
+                  {totals.completed} de {totals.total} todos
+                </p>
+              </Card>
+
+              {/* 📊 ACTIVIDAD SEMANAL */}
+              <Card className="lg:col-span-2">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">
+                  Creados y completados por semana (últimas {STATS_WEEKS})
+                </h2>
+                <WeeklyActivityChart weeks={stats.weeks} />
+              </Card>
+
+              {/* 🎯 POR PRIORIDAD */}
+              <Card>
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Por prioridad</h2>
+                <BreakdownChart items={stats.byPriority} emptyMessage="Todavía no hay todos" />
+              </Card>
+
+              {/* 🏷️ POR ETIQUETA */}
+              <Card className="lg:col-span-2">
+                <h2 className="text-lg font-semibold text-gray-900 mb-4">Por etiqueta</h2>
+                <BreakdownChart items={stats.byTag} emptyMessage="Ningún todo tiene etiquetas" />
+              </Card>
+
+              {/* 🔥 ACTIVIDAD DEL ÚLTIMO AÑO (todas las listas) */}
+              <Card className="lg:col-span-3">
+                <div className="flex flex-col sm:flex-row sm:items-baseline sm:justify-between mb-4 gap-1">
+                  <h2 className="text-lg font-semibold text-gray-900">Completados en el último año</h2>
+                  <p className="text-sm text-gray-600">
+                    Racha actual: <span className="font-medium text-orange-600">{currentStreak}</span>
+                    {' · '}
+                    Racha más larga: <span className="font-medium text-gray-900">{longestStreak}</span>
+                  </p>
+                </div>
+                <CompletionHeatmap countsByDay={countsByDay} />
+              </Card>
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default StatsPage;
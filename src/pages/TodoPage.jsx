@@ -6,10 +6,32 @@
  * todas las operaciones CRUD y el estado de la aplicación.
  * 
  * Funcionalidades principales:
- * - Header con título, health check y botón para crear
+ * - Header con el nombre de la lista activa, health check y botón para crear
+ * - Barra lateral con las listas (proyectos) y sus todos pendientes
+ * - Listas inteligentes (Hoy, Próximos 7 días, Vencidos, Sin fecha,
+ *   Completados esta semana) con recuentos en vivo y URL propia
+ * - Barra de alta rápida que interpreta frases ("mañana 17:00 #ventas !alta")
+ * - Plantillas: guardar un todo como plantilla y crear todos desde ella
+ *   (gestor, formulario de creación o "/nombre" en el alta rápida)
+ * - Papelera en la barra lateral: restaurar, eliminar definitivamente y vaciado automático
+ * - Vista de lista o de tablero Kanban (columnas por estado, prioridad o
+ *   etiqueta, con límites WIP) o de calendario (mes o semana, arrastrando
+ *   para reprogramar); la elección se conserva al recargar
+ * - Orden manual arrastrando los todos (ratón, táctil o teclado)
+ * - Selección múltiple (con rango y "todos los que cumplen los filtros") y acciones en bloque
+ * - Deshacer / rehacer con botones en el header, Ctrl+Z / Ctrl+Shift+Z y "Deshacer" en los toasts
  * - Formulario de creación de nuevos todos
  * - Formulario de edición de todos existentes
  * - Filtros y búsqueda de todos
+ * - Vistas guardadas (filtros, orden, vista y agrupación) fijadas en la barra
+ *   lateral, con vista por defecto y enlaces para compartirlas (?status=...&view=...)
+ * - Gestor de etiquetas (renombrar, recolorear, fusionar)
+ * - Recordatorios del navegador con ajustes y petición de permiso
+ * - Panel de detalle con historial de actividad, comentarios y registro de tiempo
+ * - Temporizadores por todo con indicador en el header y resumen por día y por todo
+ * - Tarjetas con el total, pendientes y completados de la lista activa con
+ *   los filtros aplicados (todas las páginas) y enlace a las estadísticas
+ * - Racha y progreso del objetivo diario en el header, con panel de mapa de actividad
  * - Lista paginada de todos
  * - Paginación de resultados
  * - Notificaciones toast para feedback
@@ -17,42 +39,146 @@
  * 
  * Arquitectura:
  * - Usa el hook personalizado useTodos para manejo de estado
+ * - Usa useLists para las listas; la lista activa viene de la URL (/lists/:listId),
+ *   o la lista inteligente (/smart/:smartListId), que reúne todos de todas las listas
+ * - Usa useReminders para programar los recordatorios de todos los todos
+ * - Usa useActivity para el historial del todo abierto en el detalle
+ * - Usa useTimeTracking para los temporizadores (persisten al recargar)
+ * - Usa useTemplates para las plantillas (guardadas en localStorage)
+ * - Usa useTrashSettings para el plazo de vaciado automático de la papelera
+ * - Usa useBoardSettings para la vista elegida y los ajustes del tablero y del calendario
+ * - Usa useUndoRedo para el estado del historial y los atajos de teclado
+ * - Usa useStreaks para las rachas, el mapa de actividad y el objetivo diario
+ * - Usa useSavedViews para las vistas guardadas; una vista en la URL (enlace
+ *   compartido o vista fijada) se aplica y se quita de la URL
  * - Coordina múltiples componentes reutilizables
  * - Maneja eventos y callbacks entre componentes
  */
 
-import React, { useState } from 'react';
-import { Plus, ListTodo } from 'lucide-react';
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { useParams, useNavigate, useSearchParams, Navigate } from 'react-router-dom';
+import { Plus, ListTodo, Tags, Bell, BellOff, Timer, LayoutTemplate, Trash2, Undo2, Redo2, LayoutList, SquareKanban, CalendarDays, BarChart3 } from 'lucide-react';
 import { Toaster } from 'react-hot-toast';
-import { useTodos } from '../hooks';
+import { useTodos, useLists, useReminders, useActivity, useTimeTracking, useTemplates, useTrashSettings, useUndoRedo, useBoardSettings, useStreaks, useSavedViews } from '../hooks';
+import {
+  instantiateTemplate,
+  getUniqueTags,
+  toggleSelection,
+  selectRange,
+  getRescheduledDueDate,
+  getSmartList,
+  getSmartListCounts,
+  toDayKey,
+  DEFAULT_FILTERS,
+  serializeViewQuery,
+  parseViewQuery,
+  parseSearchQuery,
+  getHighlightTerms
+} from '../utils';
+import { DEFAULT_LIST_ID } from '../services';
 import { 
   Button, 
   Card,
   TodoForm, 
+  QuickAddBar,
   TodoList, 
+  TodoDetail,
   TodoFilters, 
   Pagination,
-  HealthCheck 
+  TagManager,
+  HealthCheck,
+  Sidebar,
+  SidebarSection,
+  ListNav,
+  SmartListNav,
+  ReminderSettings,
+  ReminderPermissionPrompt,
+  showReminderToast,
+  RunningTimer,
+  TimeReport,
+  TemplateManager,
+  TrashPanel,
+  BulkActionBar,
+  TodoBoard,
+  TodoCalendar,
+  DailyGoalProgress,
+  StreakPanel,
+  SavedViewNav,
+  SavedViewsPanel
 } from '../components';
 
+/** Espera tras la última tecla de la búsqueda antes de volver a cargar los todos */
+const SEARCH_DEBOUNCE_MS = 250;
+
 /**
  * Componente de página principal que orquesta toda la funcionalidad de todos
  */
 const TodoPage = () => {
+  // 🧭 LISTA O LISTA INTELIGENTE ACTIVA SEGÚN LA URL
+  const { listId, smartListId } = useParams();
+  const smartList = smartListId ? getSmartList(smartListId) : null;
+  const navigate = useNavigate();
+  
+  // 🔖 VISTA GUARDADA O COMPARTIDA EN LA URL (?status=...&view=...)
+  const [searchParams, setSearchParams] = useSearchParams();
+  
   // 🎛️ ESTADOS LOCALES DE LA PÁGINA
   
   /** @type {boolean} Si mostrar el formulario de creación */
   const [showForm, setShowForm] = useState(false);
   
+  /** @type {string} Fecha límite preseleccionada en el formulario de creación (YYYY-MM-DD) */
+  const [newTodoDate, setNewTodoDate] = useState('');
+  
+  /** @type {boolean} Si mostrar el gestor de etiquetas */
+  const [showTagManager, setShowTagManager] = useState(false);
+  
+  /** @type {boolean} Si mostrar los ajustes de recordatorios */
+  const [showReminderSettings, setShowReminderSettings] = useState(false);
+  
+  /** @type {boolean} Si mostrar el resumen de tiempo registrado */
+  const [showTimeReport, setShowTimeReport] = useState(false);
+  
+  /** @type {boolean} Si mostrar el gestor de plantillas */
+  const [showTemplateManager, setShowTemplateManager] = useState(false);
+  
+  /** @type {boolean} Si mostrar la papelera */
+  const [showTrash, setShowTrash] = useState(false);
+  
+  /** @type {boolean} Si mostrar el panel de rachas y objetivo diario */
+  const [showStreaks, setShowStreaks] = useState(false);
+  
+  /** @type {boolean} Si mostrar el gestor de vistas guardadas */
+  const [showSavedViews, setShowSavedViews] = useState(false);
+  
+  /** @type {number|string|null} ID del todo abierto en el panel de detalle */
+  const [detailTodoId, setDetailTodoId] = useState(null);
+  
+  /** @type {Array} IDs de los todos seleccionados para acciones en bloque */
+  const [selectedIds, setSelectedIds] = useState([]);
+  
+  /** @type {number|string|null} Último todo marcado (ancla del rango con mayúsculas) */
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
+  
+  /** @type {Array<Object>} Todos que fallaron en la última acción en bloque */
+  const [bulkFailures, setBulkFailures] = useState([]);
+  
   /** @type {Object|null} Todo que se está editando actualmente */
   const [editingTodo, setEditingTodo] = useState(null);
   
   /** @type {Object} Filtros activos para la lista de todos */
   const [filters, setFilters] = useState({
-    status: 'all',  // 'all', 'completed', 'pending'
+    status: 'all',  // 'all', 'completed', 'pending', 'overdue', 'today', 'week'
     search: '',     // Término de búsqueda
+    priority: 'all', // 'all', 'high', 'medium', 'low'
+    tags: [],       // Etiquetas seleccionadas
+    sortBy: 'default', // 'default', 'priority', 'dueDate', 'manual'
   });
 
+  // 🎣 HOOK PERSONALIZADO PARA MANEJO DE LISTAS
+  const { lists, createList, renameList, deleteList, moveList } = useLists();
+  const activeList = lists.find(list => list.id === listId);
+
   // 🎣 HOOK PERSONALIZADO PARA MANEJO DE TODOS
   const {
     todos,           // Lista actual de todos (filtrada y paginada)
@@ -60,13 +186,232 @@ const TodoPage = () => {
     total,           // Total de todos después de filtros
     totalPages,      // Número total de páginas
     currentPage,     // Página actual
+    allTodos,        // Todos los todos sin filtrar
+    filteredTodos,   // Todos que cumplen los filtros (sin paginar)
+    trashedTodos,    // Todos en la papelera
+    tags,            // Etiquetas existentes
     createTodo,      // Función para crear nuevo todo
     updateTodo,      // Función para actualizar todo existente
     toggleTodo,      // Función para alternar estado completado
-    deleteTodo,      // Función para eliminar todo
+    deleteTodo,      // Función para mover un todo a la papelera
+    restoreTodo,     // Función para restaurar desde la papelera
+    purgeTodo,       // Función para eliminar definitivamente
+    emptyTrash,      // Función para vaciar la papelera
+    updateSubtasks,  // Función para guardar subtareas
+    bulkUpdate,      // Función para acciones en bloque
+    reorderTodo,     // Función para mover un todo en el orden manual
+    canReorder,      // Si se puede reordenar (orden manual sin búsqueda)
+    undo,            // Función para deshacer la última operación
+    redo,            // Función para rehacer la última operación deshecha
+    renameTag,       // Función para renombrar etiqueta
+    mergeTags,       // Función para fusionar etiquetas
+    recolorTag,      // Función para cambiar color de etiqueta
     setPage,         // Función para cambiar página
     setFilters: updateFilters, // Función para actualizar filtros
-  } = useTodos(filters, 10); // 10 todos por página
+    refreshTodos,    // Función para recargar todos
+  } = useTodos(filters, 10, listId || null, smartList?.id || null); // 10 todos por página de la lista activa
+
+  // 🔔 RECORDATORIOS DE TODOS LOS TODOS (no solo de la lista activa)
+  const {
+    settings: reminderSettings, // Ajustes globales de recordatorios
+    permission,                 // Permiso de notificaciones del navegador
+    hasReminders,               // Si algún todo pendiente tiene recordatorios
+    setEnabled: setRemindersEnabled,
+    requestPermission,
+    dismissPermissionPrompt,
+    snooze,
+  } = useReminders(allTodos, (reminder) => showReminderToast(reminder, snooze));
+
+  // Invitar a activar las notificaciones solo cuando sirven para algo
+  const showPermissionPrompt = hasReminders 
+    && reminderSettings.enabled 
+    && permission === 'default' 
+    && !reminderSettings.permissionDismissed;
+
+  // 🕓 HISTORIAL DEL TODO ABIERTO EN EL DETALLE
+  const {
+    entries: activityEntries,
+    loading: activityLoading,
+    author,
+    addComment,
+    setAuthor,
+  } = useActivity(detailTodoId);
+
+  // Versión actual del todo del detalle (null si se eliminó)
+  const detailTodo = allTodos.find(todo => todo.id === detailTodoId) || null;
+
+  // ⏱️ REGISTRO DE TIEMPO DE TODOS LOS TODOS
+  const {
+    entries: timeEntries,     // Todas las entradas de tiempo
+    runningEntry,             // Temporizador en marcha (o null)
+    trackedTimes,             // Tiempo registrado por todo
+    startTimer,
+    stopTimer,
+    addEntry: addTimeEntry,
+    updateEntry: updateTimeEntry,
+    deleteEntry: deleteTimeEntry,
+  } = useTimeTracking(allTodos);
+
+  // ↩️ DESHACER / REHACER (botones y atajos de teclado)
+  const { canUndo, canRedo, undoLabel, redoLabel } = useUndoRedo(undo, redo);
+
+  // 🗂️ VISTA (LISTA O TABLERO) Y AJUSTES DEL TABLERO
+  const {
+    view, groupBy, wipLimits, calendarMode,
+    setView, setGroupBy, setWipLimit, setCalendarMode
+  } = useBoardSettings();
+
+  // 🗑️ PLAZO DE VACIADO AUTOMÁTICO DE LA PAPELERA
+  const { retentionDays, setRetentionDays } = useTrashSettings();
+
+  // 🔥 RACHAS Y OBJETIVO DIARIO
+  const {
+    countsByDay, todayCount, currentStreak, longestStreak,
+    dailyGoal, setDailyGoal
+  } = useStreaks(allTodos, loading);
+
+  // 📑 PLANTILLAS DE TODOS
+  const { templates, saveAsTemplate, renameTemplate, deleteTemplate } = useTemplates();
+
+  // 🔖 VISTAS GUARDADAS
+  const {
+    views: savedViews, defaultViewId, createView, renameView, deleteView,
+    moveView, togglePin, setDefaultView, copyViewLink
+  } = useSavedViews();
+
+  /** @type {{current: boolean}} Si aún no se ha aplicado la vista inicial (URL o vista por defecto) */
+  const isFirstLoad = useRef(true);
+
+  /** @type {{current: number|null}} Temporizador de la búsqueda pendiente de aplicar */
+  const searchTimerRef = useRef(null);
+
+  // 🧹 Cancelar la búsqueda pendiente al salir de la página
+  useEffect(() => () => clearTimeout(searchTimerRef.current), []);
+
+  // Query string de la vista actual (para guardarla, compartirla y resaltarla)
+  const currentViewQuery = serializeViewQuery({ filters, view, groupBy });
+
+  // 🔢 TODOS PENDIENTES POR LISTA (para la barra lateral)
+  const pendingByList = useMemo(() => allTodos.reduce((counts, todo) => {
+    if (!todo.completed) counts[todo.listId] = (counts[todo.listId] || 0) + 1;
+    return counts;
+  }, {}), [allTodos]);
+
+  // 🖍️ PALABRAS Y FRASES DE LA BÚSQUEDA A RESALTAR EN LA LISTA
+  const highlightTerms = useMemo(
+    () => getHighlightTerms(parseSearchQuery(filters.search).terms),
+    [filters.search]
+  );
+
+  // ✨ TODOS DE CADA LISTA INTELIGENTE (barra lateral)
+  const smartListCounts = useMemo(() => getSmartListCounts(allTodos), [allTodos]);
+
+  // ☑️ TODOS SELECCIONADOS (los que ya no existen se ignoran)
+  const selectedTodos = useMemo(
+    () => allTodos.filter(todo => selectedIds.includes(todo.id)),
+    [allTodos, selectedIds]
+  );
+
+  // 🧹 LA SELECCIÓN ES DE LA LISTA ACTIVA: se vacía al cambiar de lista
+  useEffect(() => {
+    setSelectedIds([]);
+    setSelectionAnchor(null);
+    setBulkFailures([]);
+  }, [listId, smartListId]);
+
+  /**
+   * ☑️ (DE)SELECCIONAR UN TODO
+   * Con mayúsculas se selecciona el rango desde el último marcado, en el orden de la página
+   */
+  const handleSelect = (id, { range = false } = {}) => {
+    setSelectedIds(current => (range && selectionAnchor !== null
+      ? selectRange(current, todos.map(todo => todo.id), selectionAnchor, id)
+      : toggleSelection(current, id)));
+    setSelectionAnchor(id);
+  };
+
+  /**
+   * 🧹 VACIAR LA SELECCIÓN
+   */
+  const handleClearSelection = () => {
+    setSelectedIds([]);
+    setSelectionAnchor(null);
+    setBulkFailures([]);
+  };
+
+  /**
+   * ⚙️ EJECUTAR UNA ACCIÓN EN BLOQUE
+   * Al eliminar solo siguen seleccionados los que fallaron; el resto de
+   * acciones conservan la selección para poder encadenarlas
+   */
+  const handleBulkAction = async (change) => {
+    const failed = await bulkUpdate(selectedTodos.map(todo => todo.id), change);
+    setBulkFailures(failed);
+    if (change.type === 'delete') {
+      setSelectedIds(failed.map(failure => failure.id));
+    }
+  };
+
+  /**
+   * 🗂️ MOVER UN TODO ENTRE COLUMNAS DEL TABLERO
+   * Los cambios se guardan con updateTodo; completar un todo bloqueado o
+   * recurrente pasa por toggleTodo, que comprueba las dependencias y genera
+   * la siguiente ocurrencia
+   */
+  const handleBoardMove = (todo, changes) => {
+    if (changes.completed && (todo.recurrence || todo.pendingBlockers?.length > 0)) {
+      return toggleTodo(todo.id);
+    }
+    return updateTodo(todo.id, { ...todo, ...changes });
+  };
+
+  /**
+   * 📆 REPROGRAMAR UN TODO DESDE EL CALENDARIO
+   */
+  const handleReschedule = (todo, dayKey) => {
+    return updateTodo(todo.id, { ...todo, dueDate: getRescheduledDueDate(todo, dayKey) });
+  };
+
+  /**
+   * ➕ CREAR UN TODO PARA UN DÍA DEL CALENDARIO
+   * Abre el formulario de creación con esa fecha límite
+   */
+  const handleCreateForDate = (dayKey) => {
+    setNewTodoDate(dayKey);
+    setShowForm(true);
+    setEditingTodo(null);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  /**
+   * ➕ MANEJAR CREACIÓN DE LISTA
+   * Abre la lista recién creada
+   */
+  const handleCreateList = (name) => {
+    const list = createList(name);
+    navigate(`/lists/${list.id}`);
+  };
+
+  /**
+   * 🗑️ MANEJAR ELIMINACIÓN DE LISTA
+   * Sus todos pasan a la Bandeja de entrada, que se abre si la lista estaba activa
+   */
+  const handleDeleteList = (id) => {
+    deleteList(id);
+    if (id === listId) {
+      navigate(`/lists/${DEFAULT_LIST_ID}`);
+    }
+    refreshTodos();
+  };
+
+  /**
+   * ⚙️ CAMBIAR EL PLAZO DE VACIADO AUTOMÁTICO
+   * Recarga para vaciar en el momento lo que ya haya superado el nuevo plazo
+   */
+  const handleRetentionChange = (days) => {
+    setRetentionDays(days);
+    refreshTodos();
+  };
 
   /**
    * 📝 MANEJAR CREACIÓN DE TODO
@@ -76,6 +421,17 @@ const TodoPage = () => {
     setShowForm(false);
   };
 
+  /**
+   * 📑 GUARDAR UN TODO COMO PLANTILLA
+   */
+  const handleSaveAsTemplate = (todo) => {
+    try {
+      saveAsTemplate(todo);
+    } catch {
+      // ⚠️ Notificado con toast desde useTemplates
+    }
+  };
+
   /**
    * ✏️ MANEJAR EDICIÓN DE TODO
    */
@@ -101,24 +457,89 @@ const TodoPage = () => {
 
   /**
    * 🔍 ACTUALIZAR FILTROS
+   *
+   * Los cambios en la búsqueda se aplican cuando se deja de escribir, para
+   * no recargar los todos en cada tecla; el resto, al momento.
+   *
+   * @param {Object} newFilters - Filtros completos
+   * @param {Object} options - Opciones
+   * @param {boolean} options.immediate - Aplicar también la búsqueda al momento (default: false)
    */
-  const handleFiltersChange = (newFilters) => {
+  const handleFiltersChange = (newFilters, { immediate = false } = {}) => {
     setFilters(newFilters);
-    updateFilters(newFilters);
+    clearTimeout(searchTimerRef.current);
+    if (!immediate && newFilters.search !== filters.search) {
+      searchTimerRef.current = setTimeout(() => updateFilters(newFilters), SEARCH_DEBOUNCE_MS);
+    } else {
+      updateFilters(newFilters);
+    }
   };
 
   /**
    * 🔄 RESETEAR FILTROS
    */
   const handleResetFilters = () => {
-    const resetFilters = { status: 'all', search: '' };
+    clearTimeout(searchTimerRef.current);
+    const resetFilters = { ...DEFAULT_FILTERS };
     setFilters(resetFilters);
     updateFilters(resetFilters);
   };
 
+  /**
+   * 🔖 APLICAR UNA VISTA (FILTROS, ORDEN, VISTA Y AGRUPACIÓN)
+   *
+   * @param {string} query - Query string de la vista (ver serializeViewQuery)
+   */
+  const applyViewQuery = (query) => {
+    const parsed = parseViewQuery(query);
+    if (!parsed) return;
+    handleFiltersChange(parsed.filters, { immediate: true });
+    if (parsed.view) setView(parsed.view);
+    if (parsed.groupBy) setGroupBy(parsed.groupBy);
+  };
+
+  // 🔁 Últimas versiones de la función y la vista por defecto, para que el
+  // efecto de la URL solo se repita cuando cambie la URL
+  const initialViewRef = useRef({ applyViewQuery, defaultView: null });
+  useEffect(() => {
+    initialViewRef.current = {
+      applyViewQuery,
+      defaultView: savedViews.find(savedView => savedView.id === defaultViewId) || null,
+    };
+  });
+
+  // 🔗 VISTA EN LA URL: se aplica y se quita de la URL, para que volver a
+  // pulsar la misma vista fijada la aplique de nuevo. Sin vista en la URL,
+  // al abrir la página se aplica la vista por defecto (si aún existe).
+  useEffect(() => {
+    const { applyViewQuery: applyQuery, defaultView } = initialViewRef.current;
+    const query = searchParams.toString();
+    if (parseViewQuery(query)) {
+      applyQuery(query);
+      setSearchParams({}, { replace: true });
+    } else if (isFirstLoad.current && defaultView) {
+      applyQuery(defaultView.query);
+    }
+    isFirstLoad.current = false;
+  }, [searchParams, setSearchParams]);
+
+  /**
+   * 💾 GUARDAR LA VISTA ACTUAL CON UN NOMBRE
+   *
+   * @param {string} name - Nombre de la vista
+   * @returns {Object} - Vista creada
+   */
+  const handleSaveView = (name) => createView(name, currentViewQuery);
+
+  // 🧭 LISTA INEXISTENTE (p. ej. eliminada o URL errónea): ir a la Bandeja de entrada
+  if (smartListId ? !smartList : !activeList) {
+    return <Navigate to={`/lists/${DEFAULT_LIST_ID}`} replace />;
+  }
+
   // 📊 CÁLCULOS DE ESTADÍSTICAS
-  const completedCount = todos.filter(todo => todo.completed).length;
-  const pendingCount = todos.filter(todo => !todo.completed).length;
+  // Sobre todos los que cumplen los filtros, no solo la página visible
+  const completedCount = filteredTodos.filter(todo => todo.completed).length;
+  const pendingCount = filteredTodos.length - completedCount;
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -134,25 +555,133 @@ const TodoPage = () => {
               <ListTodo className="h-6 w-6 sm:h-8 sm:w-8 text-blue-600 mr-2 sm:mr-3" />
               <div>
                 <h1 className="text-xl sm:text-2xl font-bold text-gray-900">
-                  Todo App
+                  {smartList ? smartList.name : activeList.name}
                 </h1>
                 <p className="text-xs sm:text-sm text-gray-600 mt-1 hidden sm:block">
-                  Organiza tus tareas de manera eficiente
+                  {smartList ? 'Todos de todas las listas' : 'Organiza tus tareas de manera eficiente'}
                 </p>
               </div>
             </div>
             
             {/* 🛠️ CONTROLES PRINCIPALES */}
             <div className="flex items-center justify-between sm:justify-end space-x-2 sm:space-x-4">
+              {/* ⏱️ TEMPORIZADOR EN MARCHA */}
+              {runningEntry && (
+                <RunningTimer
+                  entry={runningEntry}
+                  todo={allTodos.find(todo => todo.id === runningEntry.todoId) || null}
+                  onStop={stopTimer}
+                  onOpen={(todo) => setDetailTodoId(todo.id)}
+                />
+              )}
+              
               {/* ❤️ HEALTH CHECK DE LA API */}
               <div className="hidden sm:block">
                 <HealthCheck />
               </div>
               
+              {/* 🔥 RACHA Y OBJETIVO DIARIO */}
+              <DailyGoalProgress
+                todayCount={todayCount}
+                dailyGoal={dailyGoal}
+                currentStreak={currentStreak}
+                onClick={() => setShowStreaks(!showStreaks)}
+              />
+              
+              {/* ↩️ DESHACER / REHACER */}
+              <div className="flex items-center space-x-1 flex-shrink-0">
+                <Button 
+                  variant="ghost"
+                  onClick={() => undo().catch(() => {})}
+                  disabled={!canUndo}
+                  size="sm"
+                  className="p-2"
+                  title={canUndo ? `Deshacer ${undoLabel} (Ctrl+Z)` : 'Nada que deshacer'}
+                  aria-label="Deshacer"
+                >
+                  <Undo2 className="h-4 w-4" />
+                </Button>
+                <Button 
+                  variant="ghost"
+                  onClick={() => redo().catch(() => {})}
+                  disabled={!canRedo}
+                  size="sm"
+                  className="p-2"
+                  title={canRedo ? `Rehacer ${redoLabel} (Ctrl+Shift+Z)` : 'Nada que rehacer'}
+                  aria-label="Rehacer"
+                >
+                  <Redo2 className="h-4 w-4" />
+                </Button>
+              </div>
+              
+              {/* 📈 BOTÓN ESTADÍSTICAS */}
+              <Button 
+                variant="secondary"
+                onClick={() => navigate('/stats')}
+                size="sm"
+                className="flex-shrink-0"
+                title="Estadísticas"
+              >
+                <BarChart3 className="h-4 w-4 sm:mr-2" />
+                <span className="hidden sm:inline">Estadísticas</span>
+              </Button>
+              
+              {/* 🏷️ BOTÓN GESTOR DE ETIQUETAS */}
+              <Button 
+                variant="secondary"
+                onClick={() => setShowTagManager(!showTagManager)}
+                size="sm"
+                className="flex-shrink-0"
+                title="Gestionar etiquetas"
+              >
+                <Tags className="h-4 w-4 sm:mr-2" />
+                <span className="hidden sm:inline">Etiquetas</span>
+              </Button>
+              
+              {/* 📑 BOTÓN GESTOR DE PLANTILLAS */}
+              <Button 
+                variant="secondary"
+                onClick={() => setShowTemplateManager(!showTemplateManager)}
+                size="sm"
+                className="flex-shrink-0"
+                title="Plantillas de todos"
+              >
+                <LayoutTemplate className="h-4 w-4 sm:mr-2" />
+                <span className="hidden sm:inline">Plantillas</span>
+              </Button>
+              
+              {/* ⏱️ BOTÓN RESUMEN DE TIEMPO */}
+              <Button 
+                variant="secondary"
+                onClick={() => setShowTimeReport(!showTimeReport)}
+                size="sm"
+                className="flex-shrink-0"
+                title="Tiempo registrado"
+              >
+                <Timer className="h-4 w-4 sm:mr-2" />
+                <span className="hidden sm:inline">Tiempo</span>
+              </Button>
+              
+              {/* 🔔 BOTÓN AJUSTES DE RECORDATORIOS */}
+              <Button 
+                variant="secondary"
+                onClick={() => setShowReminderSettings(!showReminderSettings)}
+                size="sm"
+                className="flex-shrink-0"
+                title={reminderSettings.enabled ? 'Recordatorios activados' : 'Recordatorios desactivados'}
+              >
+                {reminderSettings.enabled 
+                  ? <Bell className="h-4 w-4 sm:mr-2" /> 
+                  : <BellOff className="h-4 w-4 sm:mr-2" />}
+                <span className="hidden sm:inline">Recordatorios</span>
+              </Button>
+              
               {/* ➕ BOTÓN CREAR NUEVO TODO */}
               <Button 
                 onClick={() => {
                   setShowForm(!showForm);
+                  // En "Hoy", el nuevo todo vence hoy para que aparezca en la lista
+                  setNewTodoDate(smartList?.id === 'today' ? toDayKey(new Date()) : '');
                   setEditingTodo(null);
                 }}
                 size="sm"
@@ -167,93 +696,370 @@ const TodoPage = () => {
         </div>
       </div>
 
-      {/* 📊 ESTADÍSTICAS RÁPIDAS - RESPONSIVO */}
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-6">
-        {/* 📈 TARJETAS DE ESTADÍSTICAS */}
-        <div className="grid grid-cols-3 sm:grid-cols-3 lg:grid-cols-3 gap-2 sm:gap-4 lg:gap-6 mb-4 sm:mb-6">
-          <Card className="p-3 sm:p-4">
-            <div className="text-center">
-              <div className="text-lg sm:text-2xl font-bold text-gray-900">{total}</div>
-              <div className="text-xs sm:text-sm text-gray-600">Total</div>
+      {/* 🧭 CONTENIDO: BARRA LATERAL + LISTA ACTIVA - RESPONSIVO */}
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 sm:py-6 lg:flex lg:gap-6">
+        {/* 📚 BARRA LATERAL CON LAS LISTAS */}
+        <Sidebar>
+          <SmartListNav counts={smartListCounts} />
+          <SavedViewNav
+            views={savedViews}
+            activeQuery={currentViewQuery}
+            defaultViewId={defaultViewId}
+            onManage={() => setShowSavedViews(!showSavedViews)}
+          />
+          <ListNav
+            lists={lists}
+            counts={pendingByList}
+            onCreate={handleCreateList}
+            onRename={renameList}
+            onDelete={handleDeleteList}
+            onMove={moveList}
+          />
+          <SidebarSection title="Papelera">
+            <button
+              type="button"
+              onClick={() => setShowTrash(!showTrash)}
+              className={`
+                w-full flex items-center px-2 py-1.5 rounded-md text-sm transition-colors
+                ${showTrash ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-700 hover:bg-gray-50'}
+              `}
+              aria-expanded={showTrash}
+            >
+              <Trash2 className="h-4 w-4 mr-2 flex-shrink-0" />
+              <span>Papelera</span>
+              {trashedTodos.length > 0 && (
+                <span className="ml-auto pl-2 text-xs text-gray-400">{trashedTodos.length}</span>
+              )}
+            </button>
+          </SidebarSection>
+        </Sidebar>
+
+        {/* 📋 CONTENIDO DE LA LISTA ACTIVA */}
+        <main className="flex-1 min-w-0">
+          {/* ⚡ ALTA RÁPIDA EN LA LISTA ACTIVA - RESPONSIVO */}
+          <div className="mb-4 sm:mb-6">
+            <QuickAddBar onSubmit={createTodo} templates={templates} />
+          </div>
+
+          {/* 📈 TARJETAS DE ESTADÍSTICAS - RESPONSIVO */}
+          <div className="grid grid-cols-3 sm:grid-cols-3 lg:grid-cols-3 gap-2 sm:gap-4 lg:gap-6 mb-4 sm:mb-6">
+            <Card className="p-3 sm:p-4">
+              <div className="text-center">
+                <div className="text-lg sm:text-2xl font-bold text-gray-900">{total}</div>
+                <div className="text-xs sm:text-sm text-gray-600">Total</div>
+              </div>
+            </Card>
+            
+            <Card className="p-3 sm:p-4">
+              <div className="text-center">
+                <div className="text-lg sm:text-2xl font-bold text-orange-600">{pendingCount}</div>
+                <div className="text-xs sm:text-sm text-gray-600">Pendientes</div>
+              </div>
+            </Card>
+            
+            <Card className="p-3 sm:p-4">
+              <div className="text-center">
+                <div className="text-lg sm:text-2xl font-bold text-green-600">{completedCount}</div>
+                <div className="text-xs sm:text-sm text-gray-600">Completados</div>
+              </div>
+            </Card>
+          </div>
+
+          {/* 🔐 PETICIÓN DE PERMISO DE NOTIFICACIONES */}
+          {showPermissionPrompt && (
+            <div className="mb-4 sm:mb-6">
+              <ReminderPermissionPrompt
+                onAllow={requestPermission}
+                onDismiss={dismissPermissionPrompt}
+              />
             </div>
-          </Card>
-          
-          <Card className="p-3 sm:p-4">
-            <div className="text-center">
-              <div className="text-lg sm:text-2xl font-bold text-orange-600">{pendingCount}</div>
-              <div className="text-xs sm:text-sm text-gray-600">Pendientes</div>
+          )}
+
+          {/* 🔔 AJUSTES DE RECORDATORIOS - RESPONSIVO */}
+          {showReminderSettings && (
+            <div className="mb-4 sm:mb-6">
+              <ReminderSettings
+                settings={reminderSettings}
+                permission={permission}
+                onToggle={setRemindersEnabled}
+                onRequestPermission={requestPermission}
+                onClose={() => setShowReminderSettings(false)}
+              />
             </div>
-          </Card>
-          
-          <Card className="p-3 sm:p-4">
-            <div className="text-center">
-              <div className="text-lg sm:text-2xl font-bold text-green-600">{completedCount}</div>
-              <div className="text-xs sm:text-sm text-gray-600">Completados</div>
+          )}
+
+          {/* ⏱️ RESUMEN DE TIEMPO REGISTRADO - RESPONSIVO */}
+          {showTimeReport && (
+            <div className="mb-4 sm:mb-6">
+              <TimeReport
+                entries={timeEntries}
+                todos={allTodos}
+                onOpenTodo={(todo) => setDetailTodoId(todo.id)}
+                onClose={() => setShowTimeReport(false)}
+              />
             </div>
-          </Card>
-        </div>
+          )}
 
-        {/* 📝 FORMULARIO DE CREACIÓN - RESPONSIVO */}
-        {showForm && (
-          <div className="mb-4 sm:mb-6">
-            <TodoForm
-              onSubmit={handleCreateTodo}
-              onCancel={() => setShowForm(false)}
-              loading={loading}
-            />
-          </div>
-        )}
+          {/* 🔥 RACHAS Y OBJETIVO DIARIO - RESPONSIVO */}
+          {showStreaks && (
+            <div className="mb-4 sm:mb-6">
+              <StreakPanel
+                countsByDay={countsByDay}
+                todayCount={todayCount}
+                currentStreak={currentStreak}
+                longestStreak={longestStreak}
+                dailyGoal={dailyGoal}
+                onDailyGoalChange={setDailyGoal}
+                onClose={() => setShowStreaks(false)}
+              />
+            </div>
+          )}
+
+          {/* 🔖 VISTAS GUARDADAS - RESPONSIVO */}
+          {showSavedViews && (
+            <div className="mb-4 sm:mb-6">
+              <SavedViewsPanel
+                views={savedViews}
+                defaultViewId={defaultViewId}
+                currentQuery={currentViewQuery}
+                onSave={handleSaveView}
+                onApply={(savedView) => applyViewQuery(savedView.query)}
+                onRename={renameView}
+                onDelete={deleteView}
+                onMove={moveView}
+                onTogglePin={togglePin}
+                onSetDefault={setDefaultView}
+                onCopyLink={copyViewLink}
+                onClose={() => setShowSavedViews(false)}
+              />
+            </div>
+          )}
+
+          {/* 🏷️ GESTOR DE ETIQUETAS - RESPONSIVO */}
+          {showTagManager && (
+            <div className="mb-4 sm:mb-6">
+              <TagManager
+                tags={tags}
+                todos={allTodos}
+                onRename={renameTag}
+                onMerge={mergeTags}
+                onRecolor={recolorTag}
+                onClose={() => setShowTagManager(false)}
+              />
+            </div>
+          )}
+
+          {/* 🗑️ PAPELERA - RESPONSIVO */}
+          {showTrash && (
+            <div className="mb-4 sm:mb-6">
+              <TrashPanel
+                todos={trashedTodos}
+                retentionDays={retentionDays}
+                onRetentionChange={handleRetentionChange}
+                onRestore={restoreTodo}
+                onPurge={purgeTodo}
+                onEmpty={emptyTrash}
+                onClose={() => setShowTrash(false)}
+              />
+            </div>
+          )}
+
+          {/* 📑 GESTOR DE PLANTILLAS - RESPONSIVO */}
+          {showTemplateManager && (
+            <div className="mb-4 sm:mb-6">
+              <TemplateManager
+                templates={templates}
+                onUse={(template) => createTodo(instantiateTemplate(template))}
+                onRename={renameTemplate}
+                onDelete={deleteTemplate}
+                onClose={() => setShowTemplateManager(false)}
+              />
+            </div>
+          )}
+
+          {/* 📝 FORMULARIO DE CREACIÓN - RESPONSIVO */}
+          {showForm && (
+            <div className="mb-4 sm:mb-6">
+              <TodoForm
+                key={newTodoDate}
+                onSubmit={handleCreateTodo}
+                onCancel={() => setShowForm(false)}
+                loading={loading}
+                availableTags={tags}
+                lists={lists}
+                defaultListId={listId}
+                defaultDueDate={newTodoDate}
+                allTodos={allTodos}
+                templates={templates}
+              />
+            </div>
+          )}
+
+          {/* ✏️ FORMULARIO DE EDICIÓN - RESPONSIVO */}
+          {editingTodo && (
+            <div className="mb-4 sm:mb-6">
+              <TodoForm
+                todo={editingTodo}
+                onSubmit={handleEditTodo}
+                onCancel={handleCancelEdit}
+                loading={loading}
+                availableTags={tags}
+                lists={lists}
+                defaultListId={listId}
+                allTodos={allTodos}
+              />
+            </div>
+          )}
+
+          {/* 🔎 DETALLE CON HISTORIAL Y COMENTARIOS - RESPONSIVO */}
+          {detailTodoId !== null && (
+            <div className="mb-4 sm:mb-6">
+              <TodoDetail
+                todo={detailTodo}
+                entries={activityEntries}
+                loading={activityLoading}
+                author={author}
+                onAuthorChange={setAuthor}
+                onAddComment={addComment}
+                timeEntries={timeEntries.filter(entry => entry.todoId === detailTodoId)}
+                onAddTimeEntry={(data) => addTimeEntry({ ...data, todoId: detailTodoId })}
+                onUpdateTimeEntry={updateTimeEntry}
+                onDeleteTimeEntry={deleteTimeEntry}
+                onEdit={handleStartEdit}
+                onClose={() => setDetailTodoId(null)}
+              />
+            </div>
+          )}
 
-        {/* ✏️ FORMULARIO DE EDICIÓN - RESPONSIVO */}
-        {editingTodo && (
+          {/* 🔍 FILTROS Y BÚSQUEDA - RESPONSIVO */}
           <div className="mb-4 sm:mb-6">
-            <TodoForm
-              todo={editingTodo}
-              onSubmit={handleEditTodo}
-              onCancel={handleCancelEdit}
-              loading={loading}
+            <TodoFilters
+              filters={filters}
+              onFiltersChange={handleFiltersChange}
+              onReset={handleResetFilters}
+              onSaveView={() => setShowSavedViews(true)}
+              availableTags={tags}
             />
           </div>
-        )}
-
-        {/* 🔍 FILTROS Y BÚSQUEDA - RESPONSIVO */}
-        <div className="mb-4 sm:mb-6">
-          <TodoFilters
-            filters={filters}
-            onFiltersChange={handleFiltersChange}
-            onReset={handleResetFilters}
-          />
-        </div>
 
-        {/* 📋 LISTA PRINCIPAL DE TODOS */}
-        <Card padding={false}>
-          <div className="p-6 border-b border-gray-200">
-            <h2 className="text-lg font-semibold text-gray-900">
-              Todos ({total})
-            </h2>
-          </div>
-          
-          <div className="p-6">
-            <TodoList
-              todos={todos}
-              loading={loading}
-              onToggle={toggleTodo}
-              onDelete={deleteTodo}
-              onEdit={handleStartEdit}
-            />
-          </div>
-          
-          {/* 📄 PAGINACIÓN */}
-          {totalPages > 1 && (
-            <Pagination
-              currentPage={currentPage}
-              totalPages={totalPages}
-              onPageChange={setPage}
-              total={total}
-              pageSize={10}
-            />
-          )}
-        </Card>
+          {/* 📋 LISTA PRINCIPAL DE TODOS */}
+          <Card padding={false}>
+            <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+              <h2 className="text-lg font-semibold text-gray-900">
+                Todos ({total})
+              </h2>
+              
+              {/* 🗂️ LISTA O TABLERO */}
+              <div className="flex items-center space-x-1" role="group" aria-label="Vista">
+                <Button
+                  variant={view === 'list' ? 'secondary' : 'ghost'}
+                  size="sm"
+                  onClick={() => setView('list')}
+                  aria-pressed={view === 'list'}
+                  title="Vista de lista"
+                >
+                  <LayoutList className="h-4 w-4 sm:mr-2" />
+                  <span className="hidden sm:inline">Lista</span>
+                </Button>
+                <Button
+                  variant={view === 'board' ? 'secondary' : 'ghost'}
+                  size="sm"
+                  onClick={() => setView('board')}
+                  aria-pressed={view === 'board'}
+                  title="Vista de tablero"
+                >
+                  <SquareKanban className="h-4 w-4 sm:mr-2" />
+                  <span className="hidden sm:inline">Tablero</span>
+                </Button>
+                <Button
+                  variant={view === 'calendar' ? 'secondary' : 'ghost'}
+                  size="sm"
+                  onClick={() => setView('calendar')}
+                  aria-pressed={view === 'calendar'}
+                  title="Vista de calendario"
+                >
+                  <CalendarDays className="h-4 w-4 sm:mr-2" />
+                  <span className="hidden sm:inline">Calendario</span>
+                </Button>
+              </div>
+            </div>
+            
+            {view === 'board' ? (
+              <div className="p-6">
+                <TodoBoard
+                  todos={filteredTodos}
+                  groupBy={groupBy}
+                  onGroupByChange={setGroupBy}
+                  wipLimits={wipLimits}
+                  onWipLimitChange={setWipLimit}
+                  onMove={handleBoardMove}
+                  onOpenDetail={(todo) => setDetailTodoId(todo.id)}
+                />
+              </div>
+            ) : view === 'calendar' ? (
+              <div className="p-6">
+                <TodoCalendar
+                  todos={filteredTodos}
+                  mode={calendarMode}
+                  onModeChange={setCalendarMode}
+                  onReschedule={handleReschedule}
+                  onCreateForDate={handleCreateForDate}
+                  onOpenDetail={(todo) => setDetailTodoId(todo.id)}
+                />
+              </div>
+            ) : (
+            <>
+            <div className="p-6 space-y-4">
+              {/* ☑️ ACCIONES EN BLOQUE (solo con selección) */}
+              {selectedTodos.length > 0 && (
+                <BulkActionBar
+                  selectedCount={selectedTodos.length}
+                  unselectedMatchingCount={filteredTodos.filter(todo => !selectedIds.includes(todo.id)).length}
+                  lists={lists}
+                  tags={tags}
+                  selectedTags={getUniqueTags(selectedTodos)}
+                  failures={bulkFailures}
+                  onAction={handleBulkAction}
+                  onSelectAllMatching={() => setSelectedIds([...new Set([...selectedIds, ...filteredTodos.map(todo => todo.id)])])}
+                  onClear={handleClearSelection}
+                />
+              )}
+              
+              <TodoList
+                todos={todos}
+                loading={loading}
+                onToggle={toggleTodo}
+                onDelete={deleteTodo}
+                onEdit={handleStartEdit}
+                onSubtasksChange={updateSubtasks}
+                onOpenDetail={(todo) => setDetailTodoId(todo.id)}
+                onSaveAsTemplate={handleSaveAsTemplate}
+                trackedTimes={trackedTimes}
+                runningEntry={runningEntry}
+                onStartTimer={startTimer}
+                onStopTimer={stopTimer}
+                selectedIds={selectedIds}
+                onSelect={handleSelect}
+                reorderable={canReorder}
+                onReorder={reorderTodo}
+                highlightTerms={highlightTerms}
+              />
+            </div>
+            
+            {/* 📄 PAGINACIÓN */}
+            {totalPages > 1 && (
+              <Pagination
+                currentPage={currentPage}
+                totalPages={totalPages}
+                onPageChange={setPage}
+                total={total}
+                pageSize={10}
+              />
+            )}
+            </>
+            )}
+          </Card>
+        </main>
       </div>
     </div>
   );
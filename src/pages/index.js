@@ -1 +1,2 @@
-export { default as TodoPage } from './TodoPage';
\ No newline at end of file
+export { default as TodoPage } from './TodoPage';
+export { default as StatsPage } from './StatsPage';
\ No newline at end of file
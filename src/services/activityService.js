@@ -0,0 +1,234 @@
+/**
+ * 🕓 SERVICIO DE HISTORIAL DE ACTIVIDAD
+ *
+ * Registra la línea de tiempo de cada todo (creación, ediciones, cambios de
+ * estado, eliminación y comentarios). El almacenamiento es intercambiable:
+ *
+ * - localActivityStorage: localStorage del navegador (por defecto)
+ * - apiActivityStorage: endpoints del backend
+ *     GET  /todos/{id}/activity  → lista de entradas
+ *     POST /todos/{id}/activity  → crea una entrada
+ *
+ * Se elige con la variable VITE_ACTIVITY_STORAGE ('local' o 'api') o en
+ * tiempo de ejecución con activityService.setStorage(storage). Un almacenamiento
+ * es cualquier objeto con los métodos async list(todoId) y add(entry).
+ *
+ * Funcionalidades:
+ * - Registrar entradas del historial
+ * - Comentarios libres
+ * - Nombre del autor guardado en el navegador
+ * - Suscripción a cambios para refrescar la línea de tiempo
+ */
+
+import { apiService } from './apiService';
+import { generateId } from '../utils/todoUtils';
+import { MAX_COMMENT_LENGTH } from '../utils/activityUtils';
+
+/** Clave de localStorage del historial local */
+const STORAGE_KEY = 'todo_activity';
+
+/** Clave de localStorage del nombre del autor */
+const AUTHOR_KEY = 'todo_activity_author';
+
+/** Autor por defecto mientras el usuario no indique su nombre */
+const DEFAULT_AUTHOR = 'Anónimo';
+
+/** Máximo de entradas guardadas por todo en el almacenamiento local */
+const MAX_LOCAL_ENTRIES = 200;
+
+/**
+ * 💾 ALMACENAMIENTO LOCAL
+ *
+ * Guarda un objeto {todoId: entries[]} en localStorage.
+ */
+export const localActivityStorage = {
+  /**
+   * @returns {Object} - Historial completo
+   */
+  readAll() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      console.error('Error leyendo historial:', error);
+      return {};
+    }
+  },
+
+  /**
+   * @param {number|string} todoId - ID del todo
+   * @returns {Promise<Array>} - Entradas del todo
+   */
+  async list(todoId) {
+    return this.readAll()[todoId] || [];
+  },
+
+  /**
+   * @param {Object} entry - Entrada a guardar
+   * @returns {Promise<Object>} - Entrada guardada
+   */
+  async add(entry) {
+    const all = this.readAll();
+    all[entry.todoId] = [...(all[entry.todoId] || []), entry].slice(-MAX_LOCAL_ENTRIES);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    return entry;
+  },
+};
+
+/**
+ * 🌐 ALMACENAMIENTO EN EL BACKEND
+ *
+ * Convierte entre el formato del frontend (camelCase) y el de FastAPI (snake_case).
+ */
+export const apiActivityStorage = {
+  /**
+   * @param {number|string} todoId - ID del todo
+   * @returns {Promise<Array>} - Entradas del todo
+   */
+  async list(todoId) {
+    const response = await apiService.get(`/todos/${todoId}/activity`);
+    return (Array.isArray(response) ? response : []).map(entry => ({
+      id: entry.id,
+      todoId: entry.todo_id,
+      type: entry.type,
+      author: entry.author,
+      createdAt: entry.created_at,
+      changes: entry.changes,
+      text: entry.text,
+    }));
+  },
+
+  /**
+   * @param {Object} entry - Entrada a guardar
+   * @returns {Promise<Object>} - Entrada guardada
+   */
+  async add(entry) {
+    await apiService.post(`/todos/${entry.todoId}/activity`, {
+      id: entry.id,
+      todo_id: entry.todoId,
+      type: entry.type,
+      author: entry.author,
+      created_at: entry.createdAt,
+      changes: entry.changes,
+      text: entry.text,
+    });
+    return entry;
+  },
+};
+
+/**
+ * Clase que encapsula el historial de actividad
+ * Singleton pattern: una sola instancia para toda la aplicación
+ */
+class ActivityService {
+  /**
+   * Constructor - Configura el almacenamiento y los suscriptores
+   *
+   * @param {Object} storage - Almacenamiento con list(todoId) y add(entry)
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.listeners = new Set();
+  }
+
+  /**
+   * 🔌 CAMBIAR EL ALMACENAMIENTO
+   *
+   * @param {Object} storage - Almacenamiento con list(todoId) y add(entry)
+   */
+  setStorage(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * 👤 OBTENER NOMBRE DEL AUTOR
+   *
+   * @returns {string} - Nombre guardado o "Anónimo"
+   */
+  getAuthor() {
+    return localStorage.getItem(AUTHOR_KEY) || DEFAULT_AUTHOR;
+  }
+
+  /**
+   * 👤 GUARDAR NOMBRE DEL AUTOR
+   *
+   * @param {string} name - Nombre a mostrar en el historial
+   */
+  setAuthor(name) {
+    const cleanName = (name || '').trim();
+    if (cleanName) {
+      localStorage.setItem(AUTHOR_KEY, cleanName);
+    } else {
+      localStorage.removeItem(AUTHOR_KEY);
+    }
+  }
+
+  /**
+   * 📖 OBTENER HISTORIAL DE UN TODO
+   *
+   * @param {number|string} todoId - ID del todo
+   * @returns {Promise<Array>} - Entradas de más reciente a más antigua
+   */
+  async getActivity(todoId) {
+    const entries = await this.storage.list(todoId);
+    // Invertir antes de ordenar: con la misma marca de tiempo, la última registrada va primero
+    return [...entries].reverse().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * 📝 REGISTRAR UNA ENTRADA
+   *
+   * @param {number|string} todoId - ID del todo
+   * @param {string} type - 'created', 'updated', 'toggled', 'trashed', 'restored', 'deleted' o 'comment'
+   * @param {Object} details - Datos adicionales (changes, text)
+   * @returns {Promise<Object>} - Entrada registrada
+   */
+  async record(todoId, type, details = {}) {
+    const entry = {
+      id: generateId(),
+      todoId,
+      type,
+      author: this.getAuthor(),
+      createdAt: new Date().toISOString(),
+      ...details,
+    };
+    await this.storage.add(entry);
+    this.listeners.forEach(listener => listener(todoId));
+    return entry;
+  }
+
+  /**
+   * 💬 AGREGAR COMENTARIO
+   *
+   * @param {number|string} todoId - ID del todo
+   * @param {string} text - Texto del comentario
+   * @returns {Promise<Object>} - Entrada registrada
+   * @throws {Error} - Si el comentario está vacío o es demasiado largo
+   */
+  async addComment(todoId, text) {
+    const cleanText = (text || '').trim();
+    if (!cleanText) {
+      throw new Error('El comentario no puede estar vacío');
+    }
+    if (cleanText.length > MAX_COMMENT_LENGTH) {
+      throw new Error(`El comentario no puede exceder ${MAX_COMMENT_LENGTH} caracteres`);
+    }
+    return this.record(todoId, 'comment', { text: cleanText });
+  }
+
+  /**
+   * 📡 SUSCRIBIRSE A NUEVAS ENTRADAS
+   *
+   * @param {Function} listener - Recibe el ID del todo modificado
+   * @returns {Function} - Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// 🏭 EXPORTAR INSTANCIA SINGLETON
+// Una sola instancia de ActivityService para toda la aplicación
+export const activityService = new ActivityService(
+  import.meta.env.VITE_ACTIVITY_STORAGE === 'api' ? apiActivityStorage : localActivityStorage
+);
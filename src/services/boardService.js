@@ -0,0 +1,114 @@
+/**
+ * 🗂️ SERVICIO DE AJUSTES DE VISTA Y TABLERO
+ *
+ * Guarda en localStorage si la página muestra la lista, el tablero o el
+ * calendario, el criterio de agrupación del tablero, los límites WIP de sus
+ * columnas y si el calendario muestra un mes o una semana.
+ *
+ * Funcionalidades:
+ * - Vista elegida (lista, tablero o calendario), que se conserva al recargar
+ * - Agrupación del tablero (estado, prioridad o etiqueta)
+ * - Límites WIP por columna (clave "criterio:columna", ver boardUtils)
+ * - Vista del calendario (mes o semana)
+ * - Suscripción a cambios para sincronizar varios componentes
+ */
+
+import { VIEW_MODES, BOARD_GROUPINGS } from '../utils/boardUtils';
+import { CALENDAR_MODES } from '../utils/calendarUtils';
+
+/** Clave de localStorage de los ajustes */
+const SETTINGS_KEY = 'todo_board_settings';
+
+/** Ajustes por defecto */
+const DEFAULT_SETTINGS = {
+  view: 'list',          // 'list', 'board' o 'calendar'
+  groupBy: 'status',     // 'status', 'priority' o 'tag'
+  wipLimits: {},         // Límite por columna; sin clave = sin límite
+  calendarMode: 'month', // 'month' o 'week'
+};
+
+/**
+ * Clase que encapsula los ajustes de vista y tablero
+ * Singleton pattern: una sola instancia para toda la aplicación
+ */
+class BoardService {
+  /**
+   * Constructor - Inicializa el conjunto de suscriptores a los ajustes
+   */
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * ⚙️ OBTENER AJUSTES
+   *
+   * @returns {Object} - Ajustes {view, groupBy, wipLimits, calendarMode}
+   */
+  getSettings() {
+    let stored = {};
+    try {
+      stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    } catch (error) {
+      console.error('Error leyendo ajustes del tablero:', error);
+    }
+    const settings = { ...DEFAULT_SETTINGS, ...stored };
+    if (!VIEW_MODES.includes(settings.view)) {
+      settings.view = DEFAULT_SETTINGS.view;
+    }
+    if (!BOARD_GROUPINGS.some(option => option.value === settings.groupBy)) {
+      settings.groupBy = DEFAULT_SETTINGS.groupBy;
+    }
+    if (!settings.wipLimits || typeof settings.wipLimits !== 'object') {
+      settings.wipLimits = {};
+    }
+    if (!CALENDAR_MODES.some(option => option.value === settings.calendarMode)) {
+      settings.calendarMode = DEFAULT_SETTINGS.calendarMode;
+    }
+    return settings;
+  }
+
+  /**
+   * 💾 ACTUALIZAR AJUSTES Y NOTIFICAR
+   *
+   * @param {Object} changes - Ajustes a modificar
+   * @returns {Object} - Ajustes resultantes
+   */
+  updateSettings(changes) {
+    const settings = { ...this.getSettings(), ...changes };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    this.listeners.forEach(listener => listener(settings));
+    return settings;
+  }
+
+  /**
+   * 🚦 FIJAR EL LÍMITE WIP DE UNA COLUMNA
+   *
+   * @param {string} key - Clave de la columna (ver getWipLimitKey)
+   * @param {number|null} limit - Límite; null o 0 para quitarlo
+   * @returns {Object} - Ajustes resultantes
+   */
+  setWipLimit(key, limit) {
+    const wipLimits = { ...this.getSettings().wipLimits };
+    if (Number.isInteger(limit) && limit > 0) {
+      wipLimits[key] = limit;
+    } else {
+      delete wipLimits[key];
+    }
+    return this.updateSettings({ wipLimits });
+  }
+
+  /**
+   * 📡 SUSCRIBIRSE A CAMBIOS DE AJUSTES
+   *
+   * @param {Function} listener - Recibe los nuevos ajustes
+   * @returns {Function} - Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// 🏭 EXPORTAR INSTANCIA SINGLETON
+// Una sola instancia de BoardService para toda la aplicación
+export const boardService = new BoardService();
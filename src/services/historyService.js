@@ -0,0 +1,149 @@
+/**
+ * ↩️ SERVICIO DE HISTORIAL DE DESHACER / REHACER
+ *
+ * Guarda en memoria las últimas operaciones sobre todos (crear, editar,
+ * completar, eliminar) junto con su operación inversa. Al ser un singleton
+ * fuera de React, las pilas sobreviven a los re-renderizados y a los
+ * cambios de lista; al recargar la página se vacían.
+ *
+ * Cada entrada es {label, undo, redo}: `undo` y `redo` son funciones
+ * asíncronas que aplican la operación inversa y la original. Deben trabajar
+ * contra el servicio y no contra el estado de React, que cambia entre la
+ * operación y el momento en que se deshace.
+ *
+ * Funcionalidades:
+ * - Pila de deshacer y de rehacer con tamaño máximo
+ * - Una operación nueva vacía la pila de rehacer
+ * - Una entrada que no se puede aplicar (p. ej. un error de red) se queda en
+ *   su pila para poder reintentarla
+ * - Suscripción a cambios para habilitar botones y atajos
+ */
+
+/** Número máximo de operaciones que se pueden deshacer */
+export const MAX_HISTORY_SIZE = 50;
+
+/**
+ * Clase que encapsula el historial de deshacer / rehacer
+ * Singleton pattern: una sola instancia para toda la aplicación
+ */
+class HistoryService {
+  /**
+   * Constructor - Inicializa las pilas y el conjunto de suscriptores
+   */
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.pending = false; // Si se está deshaciendo o rehaciendo algo
+    this.listeners = new Set();
+  }
+
+  /**
+   * 📊 ESTADO DEL HISTORIAL
+   *
+   * @returns {Object} - {canUndo, canRedo, undoLabel, redoLabel}
+   */
+  getState() {
+    const nextUndo = this.undoStack[this.undoStack.length - 1];
+    const nextRedo = this.redoStack[this.redoStack.length - 1];
+    return {
+      canUndo: Boolean(nextUndo) && !this.pending,
+      canRedo: Boolean(nextRedo) && !this.pending,
+      undoLabel: nextUndo ? nextUndo.label : null,
+      redoLabel: nextRedo ? nextRedo.label : null,
+    };
+  }
+
+  /**
+   * ➕ REGISTRAR UNA OPERACIÓN
+   *
+   * @param {Object} entry - Operación {label, undo, redo}
+   * @returns {Object} - La entrada registrada (para deshacerla desde su toast)
+   */
+  push(entry) {
+    this.undoStack.push(entry);
+    if (this.undoStack.length > MAX_HISTORY_SIZE) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.notify();
+    return entry;
+  }
+
+  /**
+   * ↩️ DESHACER LA ÚLTIMA OPERACIÓN
+   *
+   * @param {Object} entry - Si se indica, solo se deshace si sigue siendo la última
+   * @returns {Promise<string|null>} - Etiqueta de lo deshecho, o null si no había nada
+   * @throws {Error} - Si la operación inversa falla (la entrada sigue en la pila)
+   */
+  async undo(entry) {
+    return this.apply(this.undoStack, this.redoStack, 'undo', entry);
+  }
+
+  /**
+   * ↪️ REHACER LA ÚLTIMA OPERACIÓN DESHECHA
+   *
+   * @returns {Promise<string|null>} - Etiqueta de lo rehecho, o null si no había nada
+   * @throws {Error} - Si la operación falla (la entrada sigue en la pila)
+   */
+  async redo() {
+    return this.apply(this.redoStack, this.undoStack, 'redo');
+  }
+
+  /**
+   * ⚙️ APLICAR LA ÚLTIMA ENTRADA DE UNA PILA Y PASARLA A LA OTRA
+   *
+   * @param {Array} from - Pila de la que se toma la entrada
+   * @param {Array} to - Pila a la que pasa si se aplica bien
+   * @param {string} action - 'undo' o 'redo'
+   * @param {Object} entry - Entrada esperada (opcional)
+   * @returns {Promise<string|null>} - Etiqueta de la entrada aplicada
+   */
+  async apply(from, to, action, entry) {
+    if (this.pending) {
+      throw new Error('Espera a que termine la operación anterior');
+    }
+    const next = from[from.length - 1];
+    if (!next) return null;
+    if (entry && entry !== next) {
+      throw new Error('Esta operación ya no es la última: usa Ctrl+Z para deshacer en orden');
+    }
+
+    this.pending = true;
+    this.notify();
+    try {
+      await next[action]();
+      // Solo sale de su pila si se aplicó: si falla, se puede reintentar
+      const index = from.lastIndexOf(next);
+      if (index !== -1) from.splice(index, 1);
+      to.push(next);
+      return next.label;
+    } finally {
+      this.pending = false;
+      this.notify();
+    }
+  }
+
+  /**
+   * 📡 SUSCRIBIRSE A CAMBIOS DEL HISTORIAL
+   *
+   * @param {Function} listener - Recibe el nuevo estado {canUndo, canRedo, undoLabel, redoLabel}
+   * @returns {Function} - Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * 📣 NOTIFICAR A LOS SUSCRIPTORES
+   */
+  notify() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+}
+
+// 🏭 EXPORTAR INSTANCIA SINGLETON
+// Una sola instancia de HistoryService para toda la aplicación
+export const historyService = new HistoryService();
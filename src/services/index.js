@@ -1,2 +1,14 @@
 export { apiService } from './apiService';
-export { todoService } from './todoService';
\ No newline at end of file
+export { metadataService } from './metadataService';
+export { todoService } from './todoService';
+export { tagService } from './tagService';
+export { listService, DEFAULT_LIST_ID } from './listService';
+export { reminderService } from './reminderService';
+export { activityService, localActivityStorage, apiActivityStorage } from './activityService';
+export { timeTrackingService } from './timeTrackingService';
+export { templateService } from './templateService';
+export { trashService } from './trashService';
+export { historyService, MAX_HISTORY_SIZE } from './historyService';
+export { boardService } from './boardService';
+export { streakService } from './streakService';
+export { savedViewService } from './savedViewService';
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * 📚 SERVICIO DE LISTAS (PROYECTOS)
+ *
+ * El backend FastAPI básico no tiene listas, así que las listas se guardan
+ * en localStorage. Cada todo referencia su lista con el campo extendido
+ * `list_id`; los todos sin lista (o de una lista eliminada) pertenecen a la
+ * Bandeja de entrada, que siempre existe y no se puede eliminar.
+ *
+ * Funcionalidades:
+ * - Crear, renombrar, reordenar y eliminar listas
+ * - Suscripción a cambios para sincronizar varios componentes
+ * - Validación de nombres
+ */
+
+import { generateId } from '../utils/todoUtils';
+
+/** Clave de localStorage donde se guardan las listas */
+const STORAGE_KEY = 'todo_lists';
+
+/** ID de la lista por defecto (Bandeja de entrada) */
+export const DEFAULT_LIST_ID = 'inbox';
+
+/** Lista por defecto, siempre presente y primera */
+const DEFAULT_LIST = { id: DEFAULT_LIST_ID, name: 'Bandeja de entrada' };
+
+/** Longitud máxima del nombre de una lista */
+const MAX_NAME_LENGTH = 50;
+
+/**
+ * Clase que encapsula la persistencia de listas
+ * Singleton pattern: una sola instancia para toda la aplicación
+ */
+class ListService {
+  /**
+   * Constructor - Inicializa el conjunto de suscriptores
+   */
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * 📖 OBTENER TODAS LAS LISTAS
+   *
+   * @returns {Array<Object>} - Listas {id, name} en el orden del usuario,
+   *   con la Bandeja de entrada siempre primera
+   */
+  getLists() {
+    let stored = [];
+    try {
+      stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (error) {
+      console.error('Error leyendo listas:', error);
+    }
+    return [DEFAULT_LIST, ...stored.filter(list => list.id !== DEFAULT_LIST_ID)];
+  }
+
+  /**
+   * 🔍 OBTENER UNA LISTA POR ID
+   *
+   * @param {string} id - ID de la lista
+   * @returns {Object|undefined} - Lista encontrada
+   */
+  getList(id) {
+    return this.getLists().find(list => list.id === id);
+  }
+
+  /**
+   * 💾 GUARDAR LISTAS Y NOTIFICAR
+   *
+   * @param {Array<Object>} lists - Listas a guardar (incluida la por defecto)
+   */
+  saveLists(lists) {
+    const customLists = lists.filter(list => list.id !== DEFAULT_LIST_ID);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(customLists));
+    this.listeners.forEach(listener => listener(this.getLists()));
+  }
+
+  /**
+   * ✅ VALIDAR NOMBRE DE LISTA
+   *
+   * @param {string} name - Nombre propuesto
+   * @param {string|null} ignoreId - ID a ignorar al comprobar duplicados (al renombrar)
+   * @returns {string} - Nombre limpio
+   * @throws {Error} - Si el nombre está vacío, es muy largo o ya existe
+   */
+  validateName(name, ignoreId = null) {
+    const cleanName = (name || '').trim();
+    if (!cleanName) {
+      throw new Error('El nombre de la lista es obligatorio');
+    }
+    if (cleanName.length > MAX_NAME_LENGTH) {
+      throw new Error(`El nombre no puede exceder ${MAX_NAME_LENGTH} caracteres`);
+    }
+    const duplicated = this.getLists().some(list =>
+      list.id !== ignoreId && list.name.toLowerCase() === cleanName.toLowerCase()
+    );
+    if (duplicated) {
+      throw new Error(`Ya existe una lista llamada "${cleanName}"`);
+    }
+    return cleanName;
+  }
+
+  /**
+   * 📝 CREAR LISTA
+   *
+   * @param {string} name - Nombre de la lista
+   * @returns {Object} - Lista creada {id, name}
+   */
+  createList(name) {
+    const list = { id: generateId(), name: this.validateName(name) };
+    this.saveLists([...this.getLists(), list]);
+    return list;
+  }
+
+  /**
+   * ✏️ RENOMBRAR LISTA
+   *
+   * @param {string} id - ID de la lista
+   * @param {string} name - Nuevo nombre
+   */
+  renameList(id, name) {
+    const cleanName = this.validateName(name, id);
+    this.saveLists(this.getLists().map(list =>
+      list.id === id ? { ...list, name: cleanName } : list
+    ));
+  }
+
+  /**
+   * 🗑️ ELIMINAR LISTA
+   *
+   * Sus todos pasan a mostrarse en la Bandeja de entrada.
+   *
+   * @param {string} id - ID de la lista
+   * @throws {Error} - Si se intenta eliminar la Bandeja de entrada
+   */
+  deleteList(id) {
+    if (id === DEFAULT_LIST_ID) {
+      throw new Error('La Bandeja de entrada no se puede eliminar');
+    }
+    this.saveLists(this.getLists().filter(list => list.id !== id));
+  }
+
+  /**
+   * ↕️ MOVER LISTA UNA POSICIÓN
+   *
+   * La Bandeja de entrada es fija y no participa en el orden.
+   *
+   * @param {string} id - ID de la lista
+   * @param {number} direction - -1 para subir, 1 para bajar
+   */
+  moveList(id, direction) {
+    const customLists = this.getLists().filter(list => list.id !== DEFAULT_LIST_ID);
+    const index = customLists.findIndex(list => list.id === id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= customLists.length) return;
+
+    [customLists[index], customLists[target]] = [customLists[target], customLists[index]];
+    this.saveLists(customLists);
+  }
+
+  /**
+   * 📡 SUSCRIBIRSE A CAMBIOS
+   *
+   * @param {Function} listener - Recibe el nuevo array de listas
+   * @returns {Function} - Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// 🏭 EXPORTAR INSTANCIA SINGLETON
+// Una sola instancia de ListService para toda la aplicación
+export const listService = new ListService();
@@ -0,0 +1,128 @@
+/**
+ * 🗂️ SERVICIO DE METADATOS LOCALES
+ *
+ * El backend FastAPI básico solo persiste {title, description, completed}.
+ * Este servicio guarda en localStorage los campos extendidos de cada todo
+ * (prioridad, etc.) para que la aplicación siga funcionando aunque el
+ * backend no los devuelva.
+ *
+ * Funcionalidades:
+ * - Guardar campos extendidos por ID de todo
+ * - Combinar los datos del backend con los guardados localmente
+ * - Eliminar metadatos cuando se elimina el todo
+ *
+ * Regla de combinación: si el backend devuelve un campo, su valor manda;
+ * si no lo devuelve (undefined/null), se usa el valor guardado localmente.
+ */
+
+/** Clave de localStorage donde se guardan los metadatos */
+const STORAGE_KEY = 'todo_metadata';
+
+/**
+ * Clase que encapsula el acceso a los metadatos locales de los todos
+ * Singleton pattern: una sola instancia para toda la aplicación
+ */
+class MetadataService {
+  /**
+   * 📖 LEER TODOS LOS METADATOS
+   *
+   * @returns {Object} - Mapa {id: campos} con los metadatos guardados
+   */
+  getAll() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      console.error('Error leyendo metadatos locales:', error);
+      return {};
+    }
+  }
+
+  /**
+   * 💾 GUARDAR TODOS LOS METADATOS
+   *
+   * @param {Object} metadata - Mapa {id: campos} a persistir
+   */
+  saveAll(metadata) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(metadata));
+  }
+
+  /**
+   * 🔍 OBTENER METADATOS DE UN TODO
+   *
+   * @param {number|string} id - ID del todo
+   * @returns {Object} - Campos extendidos guardados (objeto vacío si no hay)
+   */
+  get(id) {
+    return this.getAll()[id] || {};
+  }
+
+  /**
+   * ✏️ GUARDAR METADATOS DE UN TODO
+   *
+   * Combina los campos recibidos con los ya guardados para ese todo.
+   *
+   * @param {number|string} id - ID del todo
+   * @param {Object} fields - Campos extendidos a guardar
+   */
+  set(id, fields) {
+    const metadata = this.getAll();
+    metadata[id] = { ...metadata[id], ...fields };
+    this.saveAll(metadata);
+  }
+
+  /**
+   * 🗑️ ELIMINAR METADATOS DE UN TODO
+   *
+   * @param {number|string} id - ID del todo
+   */
+  remove(id) {
+    const metadata = this.getAll();
+    delete metadata[id];
+    this.saveAll(metadata);
+  }
+
+  /**
+   * 🔀 COMBINAR TODO DEL BACKEND CON METADATOS LOCALES
+   *
+   * @param {Object} todo - Todo tal como lo devuelve FastAPI
+   * @param {Array<string>} fields - Campos extendidos a completar
+   * @param {Object} metadata - Mapa de metadatos ya leído (default: se lee de localStorage)
+   * @returns {Object} - Todo con los campos extendidos completados
+   *
+   * @example
+   * // Backend sin soporte de prioridad, guardada localmente como 'high'
+   * metadataService.merge({ id: 1, title: 'A' }, ['priority'])
+   * // { id: 1, title: 'A', priority: 'high' }
+   */
+  merge(todo, fields, metadata = this.getAll()) {
+    const stored = metadata[todo.id] || {};
+    const merged = { ...todo };
+
+    fields.forEach((field) => {
+      if ((merged[field] === undefined || merged[field] === null) && stored[field] !== undefined) {
+        merged[field] = stored[field];
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * 🔀 COMBINAR VARIOS TODOS CON METADATOS LOCALES
+   *
+   * Lee los metadatos una sola vez para toda la lista (leerlos por cada
+   * todo haría la carga cuadrática con listas grandes).
+   *
+   * @param {Array<Object>} todos - Todos tal como los devuelve FastAPI
+   * @param {Array<string>} fields - Campos extendidos a completar
+   * @returns {Array<Object>} - Todos con los campos extendidos completados
+   */
+  mergeAll(todos, fields) {
+    const metadata = this.getAll();
+    return todos.map(todo => this.merge(todo, fields, metadata));
+  }
+}
+
+// 🏭 EXPORTAR INSTANCIA SINGLETON
+// Una sola instancia de MetadataService para toda la aplicación
+export const metadataService = new MetadataService();
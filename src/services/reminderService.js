@@ -0,0 +1,225 @@
+/**
+ * 🔔 SERVICIO DE RECORDATORIOS
+ *
+ * Guarda en localStorage el estado de los recordatorios del navegador y
+ * encapsula el acceso a la Notification API.
+ *
+ * Funcionalidades:
+ * - Ajustes globales (activar/desactivar recordatorios)
+ * - Registro de avisos ya mostrados, para no repetirlos tras recargar
+ * - Posponer avisos
+ * - Permiso y envío de notificaciones del sistema
+ */
+
+/** Clave de localStorage de los ajustes */
+const SETTINGS_KEY = 'todo_reminder_settings';
+
+/** Clave de localStorage del estado de los avisos */
+const STATE_KEY = 'todo_reminder_state';
+
+/** Ajustes por defecto */
+const DEFAULT_SETTINGS = {
+  enabled: true,              // Recordatorios activos
+  permissionDismissed: false, // El usuario descartó la petición de permiso
+};
+
+/** Avisos con más antigüedad que esta (ms) se olvidan al limpiar el estado */
+const STATE_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Clase que encapsula los recordatorios del navegador
+ * Singleton pattern: una sola instancia para toda la aplicación
+ */
+class ReminderService {
+  /**
+   * Constructor - Inicializa el conjunto de suscriptores a los ajustes
+   */
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * 📖 LEER JSON DE LOCALSTORAGE
+   *
+   * @param {string} key - Clave de localStorage
+   * @param {Object} fallback - Valor si no existe o es inválido
+   * @returns {Object} - Valor guardado
+   */
+  read(key, fallback) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || fallback;
+    } catch (error) {
+      console.error('Error leyendo recordatorios:', error);
+      return fallback;
+    }
+  }
+
+  /**
+   * ⚙️ OBTENER AJUSTES
+   *
+   * @returns {Object} - Ajustes {enabled, permissionDismissed}
+   */
+  getSettings() {
+    return { ...DEFAULT_SETTINGS, ...this.read(SETTINGS_KEY, {}) };
+  }
+
+  /**
+   * 💾 ACTUALIZAR AJUSTES Y NOTIFICAR
+   *
+   * @param {Object} changes - Ajustes a modificar
+   * @returns {Object} - Ajustes resultantes
+   */
+  updateSettings(changes) {
+    const settings = { ...this.getSettings(), ...changes };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    this.listeners.forEach(listener => listener(settings));
+    return settings;
+  }
+
+  /**
+   * 📡 SUSCRIBIRSE A CAMBIOS DE AJUSTES
+   *
+   * @param {Function} listener - Recibe los nuevos ajustes
+   * @returns {Function} - Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * 📖 OBTENER ESTADO DE LOS AVISOS
+   *
+   * @returns {Object} - {fired: {key: timestamp}, snoozed: {key: timestamp}}
+   */
+  getState() {
+    const state = this.read(STATE_KEY, {});
+    return { fired: state.fired || {}, snoozed: state.snoozed || {} };
+  }
+
+  /**
+   * 💾 GUARDAR ESTADO DE LOS AVISOS
+   *
+   * Descarta las entradas antiguas para que el estado no crezca sin límite.
+   *
+   * @param {Object} state - Estado {fired, snoozed}
+   */
+  saveState(state) {
+    const limit = Date.now() - STATE_RETENTION;
+    const prune = (entries) => Object.fromEntries(
+      Object.entries(entries).filter(([, timestamp]) => timestamp > limit)
+    );
+    localStorage.setItem(STATE_KEY, JSON.stringify({
+      fired: prune(state.fired),
+      snoozed: prune(state.snoozed),
+    }));
+  }
+
+  /**
+   * ⏰ OBTENER HASTA CUÁNDO ESTÁ POSPUESTO UN AVISO
+   *
+   * @param {string} key - Clave del recordatorio
+   * @returns {number|null} - Timestamp o null si no está pospuesto
+   */
+  getSnoozedUntil(key) {
+    return this.getState().snoozed[key] || null;
+  }
+
+  /**
+   * ✅ SABER SI UN AVISO YA SE MOSTRÓ
+   *
+   * @param {string} key - Clave del recordatorio
+   * @returns {boolean} - true si ya se mostró y no está pospuesto
+   */
+  isFired(key) {
+    return Boolean(this.getState().fired[key]);
+  }
+
+  /**
+   * ✅ MARCAR AVISO COMO MOSTRADO
+   *
+   * @param {string} key - Clave del recordatorio
+   */
+  markFired(key) {
+    const state = this.getState();
+    state.fired[key] = Date.now();
+    delete state.snoozed[key];
+    this.saveState(state);
+  }
+
+  /**
+   * 😴 POSPONER AVISO
+   *
+   * @param {string} key - Clave del recordatorio
+   * @param {number} minutes - Minutos a posponer
+   * @returns {number} - Timestamp en que se volverá a avisar
+   */
+  snooze(key, minutes) {
+    const state = this.getState();
+    const until = Date.now() + minutes * 60 * 1000;
+    state.snoozed[key] = until;
+    delete state.fired[key];
+    this.saveState(state);
+    return until;
+  }
+
+  /**
+   * 🔍 SABER SI EL NAVEGADOR SOPORTA NOTIFICACIONES
+   *
+   * @returns {boolean}
+   */
+  isNotificationSupported() {
+    return typeof window !== 'undefined' && 'Notification' in window;
+  }
+
+  /**
+   * 🔐 OBTENER PERMISO DE NOTIFICACIONES
+   *
+   * @returns {string} - 'granted', 'denied', 'default' o 'unsupported'
+   */
+  getPermission() {
+    return this.isNotificationSupported() ? window.Notification.permission : 'unsupported';
+  }
+
+  /**
+   * 🔐 PEDIR PERMISO DE NOTIFICACIONES
+   *
+   * @returns {Promise<string>} - Permiso resultante
+   */
+  async requestPermission() {
+    if (!this.isNotificationSupported()) return 'unsupported';
+    const permission = await window.Notification.requestPermission();
+    // Notificar para que la interfaz refleje el nuevo permiso
+    this.listeners.forEach(listener => listener(this.getSettings()));
+    return permission;
+  }
+
+  /**
+   * 📣 MOSTRAR NOTIFICACIÓN DEL SISTEMA
+   *
+   * @param {string} title - Título de la notificación
+   * @param {Object} options - Opciones de Notification (body, tag...)
+   * @param {Function} onClick - Callback al hacer click en la notificación
+   * @returns {boolean} - false si no se pudo mostrar (sin permiso o sin soporte)
+   */
+  notify(title, options, onClick) {
+    if (this.getPermission() !== 'granted') return false;
+    try {
+      const notification = new window.Notification(title, options);
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+        onClick?.();
+      };
+      return true;
+    } catch (error) {
+      // Algunos navegadores móviles solo permiten notificaciones desde un service worker
+      console.error('Error mostrando notificación:', error);
+      return false;
+    }
+  }
+}
+
+// 🏭 EXPORTAR INSTANCIA SINGLETON
+// Una sola instancia de ReminderService para toda la aplicación
+export const reminderService = new ReminderService();
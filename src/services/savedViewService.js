@@ -0,0 +1,214 @@
+/**
+ * 🔖 SERVICIO DE VISTAS GUARDADAS
+ *
+ * Guarda en localStorage las vistas con nombre (filtros, ordenamiento,
+ * vista y agrupación, como query string; ver savedViewUtils), cuáles están
+ * fijadas en la barra lateral y cuál se aplica al abrir la app.
+ *
+ * Funcionalidades:
+ * - Crear, renombrar, reordenar y eliminar vistas
+ * - Fijar o quitar una vista de la barra lateral
+ * - Vista por defecto (o ninguna)
+ * - Suscripción a cambios para sincronizar varios componentes
+ * - Validación de nombres
+ */
+
+import { generateId } from '../utils/todoUtils';
+
+/** Clave de localStorage de las vistas */
+const STORAGE_KEY = 'todo_saved_views';
+
+/** Longitud máxima del nombre de una vista */
+const MAX_NAME_LENGTH = 50;
+
+/** Estado por defecto */
+const DEFAULT_STATE = {
+  views: [],            // Vistas {id, name, query, pinned} en el orden del usuario
+  defaultViewId: null,  // Vista que se aplica al abrir la app (o null)
+};
+
+/**
+ * Clase que encapsula la persistencia de las vistas guardadas
+ * Singleton pattern: una sola instancia para toda la aplicación
+ */
+class SavedViewService {
+  /**
+   * Constructor - Inicializa el conjunto de suscriptores
+   */
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * 📖 OBTENER ESTADO
+   *
+   * @returns {Object} - Estado {views, defaultViewId}
+   */
+  getState() {
+    let stored = {};
+    try {
+      stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      console.error('Error leyendo las vistas guardadas:', error);
+    }
+    const state = { ...DEFAULT_STATE, ...stored };
+    if (!Array.isArray(state.views)) {
+      state.views = [];
+    }
+    if (!state.views.some(view => view.id === state.defaultViewId)) {
+      state.defaultViewId = null;
+    }
+    return state;
+  }
+
+  /**
+   * 🔍 OBTENER LA VISTA POR DEFECTO
+   *
+   * @returns {Object|null} - Vista por defecto o null
+   */
+  getDefaultView() {
+    const { views, defaultViewId } = this.getState();
+    return views.find(view => view.id === defaultViewId) || null;
+  }
+
+  /**
+   * 💾 GUARDAR Y NOTIFICAR
+   *
+   * @param {Object} state - Estado completo
+   */
+  save(state) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    this.listeners.forEach(listener => listener(this.getState()));
+  }
+
+  /**
+   * ✅ VALIDAR NOMBRE DE VISTA
+   *
+   * @param {string} name - Nombre propuesto
+   * @param {string|null} ignoreId - ID a ignorar al comprobar duplicados (al renombrar)
+   * @returns {string} - Nombre limpio
+   * @throws {Error} - Si el nombre está vacío, es muy largo o ya existe
+   */
+  validateName(name, ignoreId = null) {
+    const cleanName = (name || '').trim();
+    if (!cleanName) {
+      throw new Error('El nombre de la vista es obligatorio');
+    }
+    if (cleanName.length > MAX_NAME_LENGTH) {
+      throw new Error(`El nombre no puede exceder ${MAX_NAME_LENGTH} caracteres`);
+    }
+    const duplicated = this.getState().views.some(view =>
+      view.id !== ignoreId && view.name.toLowerCase() === cleanName.toLowerCase()
+    );
+    if (duplicated) {
+      throw new Error(`Ya existe una vista llamada "${cleanName}"`);
+    }
+    return cleanName;
+  }
+
+  /**
+   * 📝 CREAR VISTA
+   *
+   * Las vistas nuevas se fijan en la barra lateral.
+   *
+   * @param {string} name - Nombre de la vista
+   * @param {string} query - Query string de la vista (ver serializeViewQuery)
+   * @returns {Object} - Vista creada {id, name, query, pinned}
+   */
+  createView(name, query) {
+    const view = { id: generateId(), name: this.validateName(name), query, pinned: true };
+    const state = this.getState();
+    this.save({ ...state, views: [...state.views, view] });
+    return view;
+  }
+
+  /**
+   * 🔧 ACTUALIZAR UNA VISTA
+   *
+   * @param {string} id - ID de la vista
+   * @param {Object} changes - Campos a cambiar
+   */
+  updateView(id, changes) {
+    const state = this.getState();
+    this.save({
+      ...state,
+      views: state.views.map(view => view.id === id ? { ...view, ...changes } : view),
+    });
+  }
+
+  /**
+   * ✏️ RENOMBRAR VISTA
+   *
+   * @param {string} id - ID de la vista
+   * @param {string} name - Nuevo nombre
+   */
+  renameView(id, name) {
+    this.updateView(id, { name: this.validateName(name, id) });
+  }
+
+  /**
+   * 📌 FIJAR O QUITAR DE LA BARRA LATERAL
+   *
+   * @param {string} id - ID de la vista
+   */
+  togglePin(id) {
+    const view = this.getState().views.find(current => current.id === id);
+    if (view) this.updateView(id, { pinned: !view.pinned });
+  }
+
+  /**
+   * ⭐ ELEGIR LA VISTA POR DEFECTO
+   *
+   * @param {string|null} id - ID de la vista (null para no aplicar ninguna)
+   */
+  setDefaultView(id) {
+    this.save({ ...this.getState(), defaultViewId: id });
+  }
+
+  /**
+   * 🗑️ ELIMINAR VISTA
+   *
+   * Si era la vista por defecto, deja de haberla.
+   *
+   * @param {string} id - ID de la vista
+   */
+  deleteView(id) {
+    const state = this.getState();
+    this.save({
+      views: state.views.filter(view => view.id !== id),
+      defaultViewId: state.defaultViewId === id ? null : state.defaultViewId,
+    });
+  }
+
+  /**
+   * ↕️ MOVER VISTA UNA POSICIÓN
+   *
+   * @param {string} id - ID de la vista
+   * @param {number} direction - -1 para subir, 1 para bajar
+   */
+  moveView(id, direction) {
+    const state = this.getState();
+    const views = [...state.views];
+    const index = views.findIndex(view => view.id === id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= views.length) return;
+
+    [views[index], views[target]] = [views[target], views[index]];
+    this.save({ ...state, views });
+  }
+
+  /**
+   * 📡 SUSCRIBIRSE A CAMBIOS
+   *
+   * @param {Function} listener - Recibe el nuevo estado
+   * @returns {Function} - Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// 🏭 EXPORTAR INSTANCIA SINGLETON
+// Una sola instancia de SavedViewService para toda la aplicación
+export const savedViewService = new SavedViewService();
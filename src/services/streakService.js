@@ -0,0 +1,159 @@
+/**
+ * 🔥 SERVICIO DE RACHAS Y OBJETIVO DIARIO
+ *
+ * Guarda en localStorage un registro de completados ([{todoId, at}]) para
+ * el mapa de actividad y las rachas, y el objetivo diario de todos a
+ * completar. El registro es independiente de los todos: un completado
+ * sigue contando aunque el todo se elimine después.
+ *
+ * Funcionalidades:
+ * - Registrar un completado (y anularlo si el todo se reabre el mismo día)
+ * - Conservar solo el último año de completados
+ * - Importar una vez los completados anteriores a partir de `completedAt`
+ * - Objetivo diario (null = sin objetivo)
+ * - Suscripción a cambios para sincronizar varios componentes
+ */
+
+import { differenceInCalendarDays, isToday } from 'date-fns';
+import { parseAPIDate } from '../utils/dateUtils';
+import { COMPLETION_LOG_DAYS, validateDailyGoal } from '../utils/streakUtils';
+
+/** Clave de localStorage del registro y los ajustes */
+const STORAGE_KEY = 'todo_streaks';
+
+/** Estado por defecto */
+const DEFAULT_STATE = {
+  completions: [],  // Completados [{todoId, at}] del más antiguo al más reciente
+  dailyGoal: null,  // Todos a completar al día; null = sin objetivo
+  seeded: false,    // Si ya se importaron los completados anteriores
+};
+
+/**
+ * Clase que encapsula el registro de completados y el objetivo diario
+ * Singleton pattern: una sola instancia para toda la aplicación
+ */
+class StreakService {
+  /**
+   * Constructor - Inicializa el conjunto de suscriptores
+   */
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * 📖 OBTENER ESTADO
+   *
+   * @returns {Object} - Estado {completions, dailyGoal, seeded}
+   */
+  getState() {
+    let stored = {};
+    try {
+      stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      console.error('Error leyendo las rachas:', error);
+    }
+    const state = { ...DEFAULT_STATE, ...stored };
+    if (!Array.isArray(state.completions)) {
+      state.completions = [];
+    }
+    try {
+      state.dailyGoal = validateDailyGoal(state.dailyGoal);
+    } catch {
+      state.dailyGoal = null;
+    }
+    return state;
+  }
+
+  /**
+   * 💾 GUARDAR Y NOTIFICAR
+   *
+   * Descarta los completados de hace más de COMPLETION_LOG_DAYS días.
+   *
+   * @param {Object} state - Estado completo
+   * @returns {Object} - Estado guardado
+   */
+  save(state) {
+    const now = new Date();
+    const saved = {
+      ...state,
+      completions: state.completions.filter(completion => (
+        differenceInCalendarDays(now, parseAPIDate(completion.at)) < COMPLETION_LOG_DAYS
+      )),
+    };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+    this.listeners.forEach(listener => listener(saved));
+    return saved;
+  }
+
+  /**
+   * ✅ REGISTRAR QUE UN TODO SE COMPLETÓ O SE REABRIÓ
+   *
+   * Reabrir un todo anula su completado solo si fue hoy (una equivocación o
+   * un deshacer); los completados de días anteriores se conservan.
+   *
+   * @param {number|string} todoId - ID del todo
+   * @param {boolean} completed - true si se completó, false si se reabrió
+   * @returns {Object} - Estado resultante
+   */
+  recordCompletion(todoId, completed) {
+    const state = this.getState();
+    let completions = state.completions;
+
+    if (completed) {
+      completions = [...completions, { todoId, at: new Date().toISOString() }];
+    } else {
+      const index = completions.map(completion => completion.todoId).lastIndexOf(todoId);
+      if (index === -1 || !isToday(parseAPIDate(completions[index].at))) return state;
+      completions = completions.filter((_, i) => i !== index);
+    }
+    return this.save({ ...state, completions });
+  }
+
+  /**
+   * 📥 IMPORTAR LOS COMPLETADOS ANTERIORES (UNA SOLA VEZ)
+   *
+   * Los todos completados antes de existir el registro se añaden con su
+   * fecha de completado.
+   *
+   * @param {Array<Object>} todos - Todos cargados {id, completed, completedAt}
+   * @returns {Object} - Estado resultante
+   */
+  seed(todos) {
+    const state = this.getState();
+    if (state.seeded) return state;
+
+    const logged = new Set(state.completions.map(completion => completion.todoId));
+    const previous = todos
+      .filter(todo => todo.completed && todo.completedAt && !logged.has(todo.id))
+      .map(todo => ({ todoId: todo.id, at: parseAPIDate(todo.completedAt).toISOString() }));
+    const completions = [...previous, ...state.completions].sort((a, b) => a.at.localeCompare(b.at));
+    return this.save({ ...state, completions, seeded: true });
+  }
+
+  /**
+   * 🎯 CAMBIAR EL OBJETIVO DIARIO
+   *
+   * @param {number|null} goal - Todos a completar al día (null para quitarlo)
+   * @returns {Object} - Estado resultante
+   * @throws {Error} - Si el objetivo no es válido
+   */
+  setDailyGoal(goal) {
+    const dailyGoal = validateDailyGoal(goal);
+    return this.save({ ...this.getState(), dailyGoal });
+  }
+
+  /**
+   * 📡 SUSCRIBIRSE A CAMBIOS
+   *
+   * @param {Function} listener - Recibe el nuevo estado
+   * @returns {Function} - Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// 🏭 EXPORTAR INSTANCIA SINGLETON
+// Una sola instancia de StreakService para toda la aplicación
+export const streakService = new StreakService();
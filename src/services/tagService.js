@@ -0,0 +1,92 @@
+/**
+ * 🏷️ SERVICIO DE ETIQUETAS
+ *
+ * Las etiquetas de cada todo viajan en el propio todo (campo `tags`), pero
+ * el color de cada etiqueta es una preferencia compartida por todos los
+ * todos. Este servicio guarda esos colores en localStorage.
+ *
+ * Funcionalidades:
+ * - Obtener el color de una etiqueta (personalizado o por defecto)
+ * - Cambiar el color de una etiqueta
+ * - Trasladar el color al renombrar o fusionar etiquetas
+ */
+
+import { getDefaultTagColor, TAG_COLORS } from '../utils/todoUtils';
+
+/** Clave de localStorage donde se guardan los colores */
+const STORAGE_KEY = 'todo_tag_colors';
+
+/**
+ * Clase que encapsula la persistencia de colores de etiquetas
+ * Singleton pattern: una sola instancia para toda la aplicación
+ */
+class TagService {
+  /**
+   * 📖 LEER TODOS LOS COLORES PERSONALIZADOS
+   *
+   * @returns {Object} - Mapa {etiqueta: color}
+   */
+  getColors() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      console.error('Error leyendo colores de etiquetas:', error);
+      return {};
+    }
+  }
+
+  /**
+   * 💾 GUARDAR TODOS LOS COLORES PERSONALIZADOS
+   *
+   * @param {Object} colors - Mapa {etiqueta: color}
+   */
+  saveColors(colors) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(colors));
+  }
+
+  /**
+   * 🎨 OBTENER COLOR DE UNA ETIQUETA
+   *
+   * @param {string} tag - Nombre de la etiqueta
+   * @returns {string} - Nombre de color (clave de TAG_COLORS)
+   */
+  getColor(tag) {
+    return this.getColors()[tag] || getDefaultTagColor(tag);
+  }
+
+  /**
+   * ✏️ CAMBIAR COLOR DE UNA ETIQUETA
+   *
+   * @param {string} tag - Nombre de la etiqueta
+   * @param {string} color - Nombre de color (clave de TAG_COLORS)
+   * @throws {Error} - Si el color no existe
+   */
+  setColor(tag, color) {
+    if (!TAG_COLORS[color]) {
+      throw new Error(`Color de etiqueta no válido: ${color}`);
+    }
+    this.saveColors({ ...this.getColors(), [tag]: color });
+  }
+
+  /**
+   * 🔀 TRASLADAR COLOR AL RENOMBRAR O FUSIONAR
+   *
+   * La etiqueta destino conserva su color si ya tenía uno personalizado;
+   * si no, hereda el de la etiqueta origen.
+   *
+   * @param {string} from - Etiqueta origen (desaparece)
+   * @param {string} to - Etiqueta destino
+   */
+  moveColor(from, to) {
+    const colors = this.getColors();
+    if (colors[from] && !colors[to]) {
+      colors[to] = colors[from];
+    }
+    delete colors[from];
+    this.saveColors(colors);
+  }
+}
+
+// 🏭 EXPORTAR INSTANCIA SINGLETON
+// Una sola instancia de TagService para toda la aplicación
+export const tagService = new TagService();
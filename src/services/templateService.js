@@ -0,0 +1,165 @@
+/**
+ * 📑 SERVICIO DE PLANTILLAS
+ *
+ * El backend FastAPI básico no tiene plantillas, así que se guardan en
+ * localStorage. Cada plantilla tiene un nombre único (también sirve para
+ * invocarla desde el alta rápida con "/nombre") y el contenido del todo
+ * que genera; ver templateUtils para el formato.
+ *
+ * Funcionalidades:
+ * - Guardar un todo como plantilla
+ * - Renombrar y eliminar plantillas
+ * - Suscripción a cambios para sincronizar varios componentes
+ * - Validación de nombres
+ */
+
+import { generateId } from '../utils/todoUtils';
+import {
+  createTemplateFromTodo,
+  normalizeTemplate,
+  getTemplateSlug,
+  MAX_TEMPLATE_NAME_LENGTH,
+} from '../utils/templateUtils';
+
+/** Clave de localStorage donde se guardan las plantillas */
+const STORAGE_KEY = 'todo_templates';
+
+/**
+ * Clase que encapsula la persistencia de plantillas
+ * Singleton pattern: una sola instancia para toda la aplicación
+ */
+class TemplateService {
+  /**
+   * Constructor - Inicializa el conjunto de suscriptores
+   */
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * 📖 OBTENER TODAS LAS PLANTILLAS
+   *
+   * @returns {Array<Object>} - Plantillas ordenadas por nombre
+   */
+  getTemplates() {
+    let stored = [];
+    try {
+      stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (error) {
+      console.error('Error leyendo plantillas:', error);
+    }
+    return stored
+      .filter(template => template && template.id && template.name)
+      .map(normalizeTemplate)
+      .sort((a, b) => a.name.localeCompare(b.name, 'es'));
+  }
+
+  /**
+   * 💾 GUARDAR PLANTILLAS Y NOTIFICAR
+   *
+   * @param {Array<Object>} templates - Plantillas a guardar
+   */
+  saveTemplates(templates) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+    this.listeners.forEach(listener => listener(this.getTemplates()));
+  }
+
+  /**
+   * ✅ VALIDAR NOMBRE DE PLANTILLA
+   *
+   * Dos nombres con el mismo nombre corto ("Revisión" y "revision") se
+   * consideran duplicados porque no se podrían distinguir en el alta rápida.
+   *
+   * @param {string} name - Nombre propuesto
+   * @param {string|null} ignoreId - ID a ignorar al comprobar duplicados (al renombrar)
+   * @returns {string} - Nombre limpio
+   * @throws {Error} - Si el nombre está vacío, es muy largo o ya existe
+   */
+  validateName(name, ignoreId = null) {
+    const cleanName = (name || '').trim();
+    if (!getTemplateSlug(cleanName)) {
+      throw new Error('El nombre de la plantilla debe contener letras o números');
+    }
+    if (cleanName.length > MAX_TEMPLATE_NAME_LENGTH) {
+      throw new Error(`El nombre no puede exceder ${MAX_TEMPLATE_NAME_LENGTH} caracteres`);
+    }
+    const duplicated = this.getTemplates().find(template =>
+      template.id !== ignoreId && getTemplateSlug(template.name) === getTemplateSlug(cleanName)
+    );
+    if (duplicated) {
+      throw new Error(`Ya existe una plantilla llamada "${duplicated.name}"`);
+    }
+    return cleanName;
+  }
+
+  /**
+   * 🔤 NOMBRE LIBRE A PARTIR DE OTRO
+   *
+   * @param {string} name - Nombre deseado
+   * @returns {string} - El mismo nombre o con un número si ya existe ("Informe (2)");
+   *   "Plantilla" si el nombre no tiene letras ni números
+   */
+  getAvailableName(name) {
+    const trimmed = (name || '').trim().slice(0, MAX_TEMPLATE_NAME_LENGTH - 5);
+    const baseName = getTemplateSlug(trimmed) ? trimmed : 'Plantilla';
+    const usedSlugs = new Set(this.getTemplates().map(template => getTemplateSlug(template.name)));
+    let candidate = baseName;
+    for (let copy = 2; usedSlugs.has(getTemplateSlug(candidate)); copy++) {
+      candidate = `${baseName} (${copy})`;
+    }
+    return candidate;
+  }
+
+  /**
+   * 📑 GUARDAR UN TODO COMO PLANTILLA
+   *
+   * @param {Object} todo - Todo en formato del frontend
+   * @param {string} name - Nombre de la plantilla (por defecto, el título del todo)
+   * @returns {Object} - Plantilla creada
+   */
+  createFromTodo(todo, name = this.getAvailableName(todo.title)) {
+    const template = normalizeTemplate({
+      ...createTemplateFromTodo(todo, this.validateName(name)),
+      id: generateId(),
+    });
+    this.saveTemplates([...this.getTemplates(), template]);
+    return template;
+  }
+
+  /**
+   * ✏️ RENOMBRAR PLANTILLA
+   *
+   * @param {string} id - ID de la plantilla
+   * @param {string} name - Nuevo nombre
+   */
+  renameTemplate(id, name) {
+    const cleanName = this.validateName(name, id);
+    this.saveTemplates(this.getTemplates().map(template =>
+      template.id === id ? { ...template, name: cleanName } : template
+    ));
+  }
+
+  /**
+   * 🗑️ ELIMINAR PLANTILLA
+   *
+   * @param {string} id - ID de la plantilla
+   */
+  deleteTemplate(id) {
+    this.saveTemplates(this.getTemplates().filter(template => template.id !== id));
+  }
+
+  /**
+   * 📡 SUSCRIBIRSE A CAMBIOS
+   *
+   * @param {Function} listener - Recibe el nuevo array de plantillas
+   * @returns {Function} - Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// 🏭 EXPORTAR INSTANCIA SINGLETON
+// Una sola instancia de TemplateService para toda la aplicación
+export const templateService = new TemplateService();
@@ -0,0 +1,171 @@
+/**
+ * ⏱️ SERVICIO DE REGISTRO DE TIEMPO
+ *
+ * Guarda en localStorage las entradas de tiempo de todos los todos. El
+ * temporizador en marcha es la entrada sin fin, por lo que sobrevive a las
+ * recargas de la página. Solo puede haber un temporizador en marcha.
+ *
+ * Funcionalidades:
+ * - Iniciar y detener temporizadores (iniciar uno detiene el anterior)
+ * - Agregar, editar y eliminar entradas manualmente
+ * - Suscripción a cambios para refrescar la interfaz
+ */
+
+import { generateId } from '../utils/todoUtils';
+import { validateTimeEntry } from '../utils/timeTrackingUtils';
+
+/** Clave de localStorage de las entradas */
+const STORAGE_KEY = 'todo_time_entries';
+
+/**
+ * Clase que encapsula el registro de tiempo
+ * Singleton pattern: una sola instancia para toda la aplicación
+ */
+class TimeTrackingService {
+  /**
+   * Constructor - Inicializa el conjunto de suscriptores
+   */
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * 📖 OBTENER ENTRADAS
+   *
+   * @param {number|string} todoId - ID del todo (opcional; sin él, todas)
+   * @returns {Array} - Entradas en orden de inicio
+   */
+  getEntries(todoId) {
+    let entries;
+    try {
+      entries = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (error) {
+      console.error('Error leyendo registro de tiempo:', error);
+      entries = [];
+    }
+    return todoId === undefined ? entries : entries.filter(entry => entry.todoId === todoId);
+  }
+
+  /**
+   * 💾 GUARDAR ENTRADAS Y NOTIFICAR
+   *
+   * @param {Array} entries - Todas las entradas
+   */
+  saveEntries(entries) {
+    const sorted = [...entries].sort((a, b) => new Date(a.start) - new Date(b.start));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sorted));
+    this.listeners.forEach(listener => listener(sorted));
+  }
+
+  /**
+   * ▶️ OBTENER TEMPORIZADOR EN MARCHA
+   *
+   * @returns {Object|null} - Entrada sin fin o null
+   */
+  getRunningEntry() {
+    return this.getEntries().find(entry => !entry.end) || null;
+  }
+
+  /**
+   * ▶️ INICIAR TEMPORIZADOR
+   *
+   * Si había otro temporizador en marcha, se detiene en este momento.
+   *
+   * @param {number|string} todoId - ID del todo
+   * @returns {Object} - {entry, stopped}: entrada nueva y la detenida (o null)
+   */
+  startTimer(todoId) {
+    const now = new Date().toISOString();
+    let stopped = null;
+    const entries = this.getEntries().map(entry => {
+      if (entry.end) return entry;
+      stopped = { ...entry, end: now };
+      return stopped;
+    });
+
+    const entry = { id: generateId(), todoId, start: now, end: null, note: '' };
+    this.saveEntries([...entries, entry]);
+    return { entry, stopped };
+  }
+
+  /**
+   * ⏹️ DETENER TEMPORIZADOR
+   *
+   * @returns {Object|null} - Entrada detenida o null si no había ninguno
+   */
+  stopTimer() {
+    const running = this.getRunningEntry();
+    if (!running) return null;
+
+    const stopped = { ...running, end: new Date().toISOString() };
+    this.saveEntries(this.getEntries().map(entry => (entry.id === running.id ? stopped : entry)));
+    return stopped;
+  }
+
+  /**
+   * ➕ AGREGAR ENTRADA MANUAL
+   *
+   * @param {Object} data - Entrada {todoId, start, end, note}
+   * @returns {Object} - Entrada creada
+   * @throws {Error} - Si las horas no son válidas
+   */
+  addEntry({ todoId, start, end, note = '' }) {
+    const entry = { id: generateId(), todoId, start, end, note: note.trim() };
+    const error = validateTimeEntry(entry);
+    if (error) {
+      throw new Error(error);
+    }
+    this.saveEntries([...this.getEntries(), entry]);
+    return entry;
+  }
+
+  /**
+   * ✏️ EDITAR ENTRADA
+   *
+   * La entrada en marcha puede editarse sin indicar el fin.
+   *
+   * @param {string} id - ID de la entrada
+   * @param {Object} changes - Campos a modificar {start, end, note}
+   * @returns {Object} - Entrada resultante
+   * @throws {Error} - Si la entrada no existe o las horas no son válidas
+   */
+  updateEntry(id, changes) {
+    const entries = this.getEntries();
+    const current = entries.find(entry => entry.id === id);
+    if (!current) {
+      throw new Error('La entrada de tiempo no existe');
+    }
+
+    const updated = { ...current, ...changes, note: (changes.note ?? current.note ?? '').trim() };
+    const error = validateTimeEntry(updated, { allowRunning: !current.end });
+    if (error) {
+      throw new Error(error);
+    }
+    this.saveEntries(entries.map(entry => (entry.id === id ? updated : entry)));
+    return updated;
+  }
+
+  /**
+   * 🗑️ ELIMINAR ENTRADA
+   *
+   * @param {string} id - ID de la entrada
+   */
+  deleteEntry(id) {
+    this.saveEntries(this.getEntries().filter(entry => entry.id !== id));
+  }
+
+  /**
+   * 📡 SUSCRIBIRSE A CAMBIOS
+   *
+   * @param {Function} listener - Recibe todas las entradas
+   * @returns {Function} - Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// 🏭 EXPORTAR INSTANCIA SINGLETON
+// Una sola instancia de TimeTrackingService para toda la aplicación
+export const timeTrackingService = new TimeTrackingService();
@@ -8,13 +8,54 @@
  * - Obtener lista de todos
  * - Crear nuevos todos
  * - Actualizar todos existentes
- * - Eliminar todos
+ * - Papelera: mover a la papelera, restaurar y eliminar definitivamente
+ * - Posición para el orden manual
  * - Alternar estado completado/pendiente
+ * - Búsqueda en el servidor con la consulta equivalente (si el backend filtra)
+ * - Campos extendidos (prioridad, fecha límite, etiquetas, subtareas, recurrencia,
+ *   lista, recordatorios, dependencias, papelera, posición, fecha de completado)
+ *   con respaldo local
  * - Validación de datos
  * - Health check de la API
  */
 
 import { apiService } from './apiService';
+import { metadataService } from './metadataService';
+import { PRIORITIES } from '../utils/todoUtils';
+import { formatDateForAPI } from '../utils/dateUtils';
+import { normalizeRecurrence } from '../utils/recurrenceUtils';
+import { normalizeReminders } from '../utils/reminderUtils';
+import { normalizeDependencies } from '../utils/dependencyUtils';
+import { DEFAULT_LIST_ID } from './listService';
+
+/**
+ * 🧩 CAMPOS EXTENDIDOS
+ *
+ * Campos que no forman parte del esquema básico de FastAPI. Se envían al
+ * backend (que puede ignorarlos) y se guardan también en metadataService
+ * para no perderlos si el backend no los devuelve.
+ *
+ * `deleted` y `deleted_at` implementan la papelera: con un backend que
+ * admita la marca de eliminado se guardan allí; si no, en el respaldo local.
+ * `position` es la posición en el orden manual (ver orderUtils).
+ * `completed_at` es el momento en que se completó (null si está pendiente).
+ */
+const EXTENDED_FIELDS = [
+  'priority',
+  'due_date',
+  'has_due_time',
+  'tags',
+  'subtasks',
+  'auto_complete',
+  'recurrence',
+  'list_id',
+  'reminders',
+  'blocked_by',
+  'deleted',
+  'deleted_at',
+  'position',
+  'completed_at',
+];
 
 /**
  * Clase que encapsula todas las operaciones relacionadas con todos
@@ -26,6 +67,8 @@ class TodoService {
    */
   constructor() {
     this.endpoint = '/todos'; // Endpoint base en FastAPI
+    // El FastAPI básico no filtra: la búsqueda en el servidor se activa con VITE_SERVER_SEARCH
+    this.supportsSearch = import.meta.env.VITE_SERVER_SEARCH === 'true';
   }
 
   /**
@@ -42,12 +85,26 @@ class TodoService {
     const response = await apiService.get(this.endpoint);
     
     // La respuesta debería ser un array directamente desde FastAPI
-    if (Array.isArray(response)) {
-      return response;
-    }
-    
     // Fallback si la respuesta tiene una propiedad data
-    return response.data || [];
+    const todos = Array.isArray(response) ? response : (response.data || []);
+    
+    // Completar campos extendidos que el backend no devuelva
+    return metadataService.mergeAll(todos, EXTENDED_FIELDS);
+  }
+
+  /**
+   * 🔎 BUSCAR TODOS EN EL SERVIDOR
+   * 
+   * Llama a GET /todos con los filtros de la consulta de búsqueda
+   * (ver toServerQuery). Solo tiene sentido si supportsSearch es true.
+   * 
+   * @param {URLSearchParams} query - Parámetros de la búsqueda
+   * @returns {Promise<Array>} - Todos que cumplen la búsqueda según el servidor
+   */
+  async searchTodos(query) {
+    const response = await apiService.get(this.endpoint, query);
+    const todos = Array.isArray(response) ? response : (response.data || []);
+    return metadataService.mergeAll(todos, EXTENDED_FIELDS);
   }
 
   /**
@@ -61,7 +118,7 @@ class TodoService {
    */
   async getTodo(id) {
     const response = await apiService.get(`${this.endpoint}/${id}`);
-    return response;
+    return metadataService.merge(response, EXTENDED_FIELDS);
   }
 
   /**
@@ -73,6 +130,16 @@ class TodoService {
    * @param {Object} todo - Datos del todo a crear
    * @param {string} todo.title - Título del todo (requerido)
    * @param {string} todo.description - Descripción opcional
+   * @param {string} todo.priority - Prioridad ('high', 'medium', 'low')
+   * @param {Date|string|null} todo.dueDate - Fecha límite opcional
+   * @param {boolean} todo.hasDueTime - Si la fecha límite incluye hora
+   * @param {Array<string>} todo.tags - Etiquetas del todo
+   * @param {Array<Object>} todo.subtasks - Subtareas {id, title, completed}
+   * @param {boolean} todo.autoComplete - Completar el todo al terminar las subtareas
+   * @param {Object|null} todo.recurrence - Regla de recurrencia (ver recurrenceUtils)
+   * @param {string} todo.listId - ID de la lista a la que pertenece
+   * @param {Array<number>} todo.reminders - Recordatorios (minutos antes del vencimiento)
+   * @param {Array} todo.blockedBy - IDs de los todos que lo bloquean
    * @returns {Promise<Object>} - Todo creado con ID asignado por FastAPI
    */
   async createTodo(todo) {
@@ -81,10 +148,12 @@ class TodoService {
       title: todo.title,
       description: todo.description || '',
       completed: false, // Siempre empezar como no completado para nuevos todos
+      ...this.serializeExtendedFields(todo),
     };
 
     const response = await apiService.post(this.endpoint, todoData);
-    return response;
+    metadataService.set(response.id, this.pickExtendedFields(todoData));
+    return metadataService.merge(response, EXTENDED_FIELDS);
   }
 
   /**
@@ -98,6 +167,18 @@ class TodoService {
    * @param {string} todo.title - Nuevo título
    * @param {string} todo.description - Nueva descripción
    * @param {boolean} todo.completed - Estado de completado
+   * @param {string} todo.priority - Prioridad ('high', 'medium', 'low')
+   * @param {Date|string|null} todo.dueDate - Fecha límite opcional
+   * @param {boolean} todo.hasDueTime - Si la fecha límite incluye hora
+   * @param {Array<string>} todo.tags - Etiquetas del todo
+   * @param {Array<Object>} todo.subtasks - Subtareas {id, title, completed}
+   * @param {boolean} todo.autoComplete - Completar el todo al terminar las subtareas
+   * @param {Object|null} todo.recurrence - Regla de recurrencia (ver recurrenceUtils)
+   * @param {string} todo.listId - ID de la lista a la que pertenece
+   * @param {Array<number>} todo.reminders - Recordatorios (minutos antes del vencimiento)
+   * @param {Array} todo.blockedBy - IDs de los todos que lo bloquean
+   * @param {number|null} todo.position - Posición en el orden manual
+   * @param {Date|string|null} todo.completedAt - Momento en que se completó (ahora si falta)
    * @returns {Promise<Object>} - Todo actualizado desde FastAPI
    */
   async updateTodo(id, todo) {
@@ -106,10 +187,12 @@ class TodoService {
       title: todo.title,
       description: todo.description || '',
       completed: todo.completed !== undefined ? todo.completed : false,
+      ...this.serializeExtendedFields(todo),
     };
 
     const response = await apiService.put(`${this.endpoint}/${id}`, todoData);
-    return response;
+    metadataService.set(id, this.pickExtendedFields(todoData));
+    return metadataService.merge(response, EXTENDED_FIELDS);
   }
 
   /**
@@ -117,7 +200,8 @@ class TodoService {
    * 
    * Cambia el estado de un todo de completado a pendiente o viceversa
    * Como FastAPI no tiene endpoint específico para toggle, primero obtiene 
-   * el todo actual y luego lo actualiza con el estado opuesto
+   * el todo actual y luego lo actualiza con el estado opuesto. Al completarlo
+   * guarda el momento en `completed_at`; al reabrirlo lo borra.
    * 
    * @param {number|string} id - ID del todo a alternar
    * @returns {Promise<Object>} - Todo con estado actualizado
@@ -127,21 +211,100 @@ class TodoService {
     const todo = await this.getTodo(id);
     
     // Crear objeto actualizado con estado opuesto
+    // (conservando los campos extendidos para no borrarlos en el backend)
     const updatedTodo = {
       title: todo.title,
       description: todo.description || '',
       completed: !todo.completed, // Alternar el estado
+      ...this.pickExtendedFields(todo),
+      completed_at: todo.completed ? null : formatDateForAPI(new Date()),
     };
     
     // Enviar la actualización completa
     const response = await apiService.put(`${this.endpoint}/${id}`, updatedTodo);
-    return response;
+    metadataService.set(id, { completed_at: updatedTodo.completed_at });
+    return metadataService.merge(response, EXTENDED_FIELDS);
   }
 
   /**
-   * 🗑️ ELIMINAR UN TODO
+   * 🩹 MODIFICAR SOLO ALGUNOS CAMPOS EXTENDIDOS
    * 
-   * Llama al endpoint DELETE /todos/{id} para eliminar un todo
+   * Como en el toggle, primero obtiene el todo actual para no perder
+   * ningún campo y después lo envía completo con los campos indicados.
+   * 
+   * @param {number|string} id - ID del todo
+   * @param {Object} fields - Campos extendidos en formato de la API (snake_case)
+   * @returns {Promise<Object>} - Todo actualizado
+   */
+  async patchExtendedFields(id, fields) {
+    const todo = await this.getTodo(id);
+    
+    const response = await apiService.put(`${this.endpoint}/${id}`, {
+      title: todo.title,
+      description: todo.description || '',
+      completed: Boolean(todo.completed),
+      ...this.pickExtendedFields(todo),
+      ...fields,
+    });
+    metadataService.set(id, fields);
+    return metadataService.merge(response, EXTENDED_FIELDS);
+  }
+
+  /**
+   * 🗑️ MOVER A LA PAPELERA O RESTAURAR
+   * 
+   * Marca el todo como eliminado (o deja de hacerlo) sin borrarlo del backend.
+   * 
+   * @param {number|string} id - ID del todo
+   * @param {boolean} deleted - true para la papelera, false para restaurar
+   * @param {Object} fields - Otros campos extendidos a guardar a la vez (snake_case)
+   * @returns {Promise<Object>} - Todo actualizado
+   */
+  async setDeleted(id, deleted, fields = {}) {
+    return this.patchExtendedFields(id, {
+      ...fields,
+      deleted,
+      deleted_at: deleted ? formatDateForAPI(new Date()) : null,
+    });
+  }
+
+  /**
+   * ↕️ CAMBIAR LA POSICIÓN EN EL ORDEN MANUAL
+   * 
+   * @param {number|string} id - ID del todo
+   * @param {number|null} position - Nueva posición (null = sin posición, al final)
+   * @returns {Promise<Object>} - Todo actualizado
+   */
+  async setPosition(id, position) {
+    return this.patchExtendedFields(id, { position });
+  }
+
+  /**
+   * 🗑️ MOVER UN TODO A LA PAPELERA
+   * 
+   * @param {number|string} id - ID del todo
+   * @returns {Promise<Object>} - Todo marcado como eliminado
+   */
+  async trashTodo(id) {
+    return this.setDeleted(id, true);
+  }
+
+  /**
+   * ♻️ RESTAURAR UN TODO DE LA PAPELERA
+   * 
+   * @param {number|string} id - ID del todo
+   * @param {Object} fields - Otros campos extendidos a guardar a la vez (p. ej. blocked_by)
+   * @returns {Promise<Object>} - Todo restaurado
+   */
+  async restoreTodo(id, fields = {}) {
+    return this.setDeleted(id, false, fields);
+  }
+
+  /**
+   * 🔥 ELIMINAR UN TODO DEFINITIVAMENTE
+   * 
+   * Llama al endpoint DELETE /todos/{id}. Se usa al vaciar la papelera;
+   * para eliminar desde la interfaz se usa trashTodo.
    * 
    * @param {number|string} id - ID del todo a eliminar
    * @returns {Promise<void>} - No devuelve datos, solo confirma la eliminación
@@ -149,6 +312,55 @@ class TodoService {
    */
   async deleteTodo(id) {
     await apiService.delete(`${this.endpoint}/${id}`);
+    metadataService.remove(id);
+  }
+
+  /**
+   * 🧩 SERIALIZAR CAMPOS EXTENDIDOS
+   * 
+   * Convierte los campos extendidos del formato del frontend (camelCase)
+   * al formato que se envía a FastAPI (snake_case), aplicando valores por defecto.
+   * 
+   * @param {Object} todo - Todo en formato del frontend
+   * @returns {Object} - Campos extendidos en formato de la API
+   */
+  serializeExtendedFields(todo) {
+    return {
+      priority: todo.priority || 'medium',
+      due_date: formatDateForAPI(todo.dueDate), // ISO UTC o null
+      has_due_time: Boolean(todo.dueDate && todo.hasDueTime),
+      tags: todo.tags || [],
+      // Solo los campos conocidos de cada subtarea, para un JSON estable
+      subtasks: (todo.subtasks || []).map(({ id, title, completed }) => ({
+        id,
+        title,
+        completed: Boolean(completed),
+      })),
+      auto_complete: Boolean(todo.autoComplete),
+      recurrence: normalizeRecurrence(todo.recurrence), // Regla o null
+      list_id: todo.listId || DEFAULT_LIST_ID,
+      reminders: normalizeReminders(todo.reminders), // Minutos antes del vencimiento
+      blocked_by: normalizeDependencies(todo.blockedBy, todo.id), // IDs de todos que lo bloquean
+      deleted: Boolean(todo.deleted), // En la papelera
+      deleted_at: todo.deleted ? formatDateForAPI(todo.deletedAt || new Date()) : null,
+      position: Number.isFinite(todo.position) ? todo.position : null, // Orden manual
+      completed_at: todo.completed ? formatDateForAPI(todo.completedAt || new Date()) : null,
+    };
+  }
+
+  /**
+   * ✂️ EXTRAER CAMPOS EXTENDIDOS
+   * 
+   * @param {Object} todoData - Todo en formato de la API
+   * @returns {Object} - Solo los campos extendidos presentes en todoData
+   */
+  pickExtendedFields(todoData) {
+    return EXTENDED_FIELDS.reduce((fields, field) => {
+      if (todoData[field] !== undefined) {
+        fields[field] = todoData[field];
+      }
+      return fields;
+    }, {});
   }
 
   /**
@@ -174,6 +386,7 @@ class TodoService {
    * Reglas de validación:
    * - Título: requerido, no vacío, máximo 255 caracteres
    * - Descripción: opcional, máximo 1024 caracteres
+   * - Prioridad: opcional, 'high', 'medium' o 'low'
    * 
    * @param {Object} todoData - Datos del todo a validar
    * @param {string} todoData.title - Título a validar
@@ -198,6 +411,11 @@ class TodoService {
       errors.description = 'La descripción no puede exceder 1024 caracteres';
     }
     
+    // Validación de la prioridad (valores permitidos)
+    if (todoData.priority && !PRIORITIES.includes(todoData.priority)) {
+      errors.priority = 'La prioridad no es válida';
+    }
+    
     // Retornar resultado de la validación
     return { 
       isValid: Object.keys(errors).length === 0, 
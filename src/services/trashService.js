@@ -0,0 +1,82 @@
+/**
+ * 🗑️ SERVICIO DE AJUSTES DE LA PAPELERA
+ *
+ * Los todos de la papelera se guardan como cualquier otro todo (con el
+ * campo extendido `deleted`, ver todoService). Este servicio solo guarda en
+ * localStorage cuántos días permanecen en la papelera antes de eliminarse
+ * definitivamente.
+ *
+ * Funcionalidades:
+ * - Ajuste de vaciado automático (días; 0 = nunca)
+ * - Suscripción a cambios para sincronizar varios componentes
+ */
+
+import { DEFAULT_TRASH_RETENTION_DAYS } from '../utils/trashUtils';
+
+/** Clave de localStorage de los ajustes */
+const SETTINGS_KEY = 'todo_trash_settings';
+
+/** Ajustes por defecto */
+const DEFAULT_SETTINGS = {
+  retentionDays: DEFAULT_TRASH_RETENTION_DAYS, // Días antes del vaciado automático
+};
+
+/**
+ * Clase que encapsula los ajustes de la papelera
+ * Singleton pattern: una sola instancia para toda la aplicación
+ */
+class TrashService {
+  /**
+   * Constructor - Inicializa el conjunto de suscriptores a los ajustes
+   */
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * ⚙️ OBTENER AJUSTES
+   *
+   * @returns {Object} - Ajustes {retentionDays}
+   */
+  getSettings() {
+    let stored = {};
+    try {
+      stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    } catch (error) {
+      console.error('Error leyendo ajustes de la papelera:', error);
+    }
+    const settings = { ...DEFAULT_SETTINGS, ...stored };
+    if (!Number.isInteger(settings.retentionDays) || settings.retentionDays < 0) {
+      settings.retentionDays = DEFAULT_SETTINGS.retentionDays;
+    }
+    return settings;
+  }
+
+  /**
+   * 💾 ACTUALIZAR AJUSTES Y NOTIFICAR
+   *
+   * @param {Object} changes - Ajustes a modificar
+   * @returns {Object} - Ajustes resultantes
+   */
+  updateSettings(changes) {
+    const settings = { ...this.getSettings(), ...changes };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    this.listeners.forEach(listener => listener(settings));
+    return settings;
+  }
+
+  /**
+   * 📡 SUSCRIBIRSE A CAMBIOS DE AJUSTES
+   *
+   * @param {Function} listener - Recibe los nuevos ajustes
+   * @returns {Function} - Función para cancelar la suscripción
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// 🏭 EXPORTAR INSTANCIA SINGLETON
+// Una sola instancia de TrashService para toda la aplicación
+export const trashService = new TrashService();
@@ -0,0 +1,107 @@
+/**
+ * 🕓 UTILIDADES PARA EL HISTORIAL DE ACTIVIDAD
+ *
+ * Cada todo tiene una línea de tiempo de entradas con la forma:
+ *
+ * {
+ *   id: string,
+ *   todoId: number|string,
+ *   type: 'created' | 'updated' | 'toggled' | 'trashed' | 'restored' | 'deleted' | 'comment',
+ *   author: string,                            // Nombre de quien hizo el cambio
+ *   createdAt: string,                         // ISO 8601 UTC
+ *   changes?: [{ field, from, to }],           // Solo 'updated' y 'toggled'
+ *   text?: string,                             // Solo 'comment'
+ * }
+ *
+ * Funcionalidades:
+ * - Diferencias campo a campo entre dos versiones de un todo
+ * - Descripción legible en español de cada entrada
+ */
+
+/** Campos cuyo cambio se registra en el historial */
+export const TRACKED_FIELDS = ['title', 'description', 'completed'];
+
+/** Nombres legibles de los campos registrados */
+export const ACTIVITY_FIELD_LABELS = {
+  title: 'Título',
+  description: 'Descripción',
+  completed: 'Estado',
+};
+
+/** Longitud máxima de un comentario */
+export const MAX_COMMENT_LENGTH = 1000;
+
+/**
+ * 🔍 CALCULAR DIFERENCIAS ENTRE DOS VERSIONES DE UN TODO
+ *
+ * Solo compara los campos presentes en la nueva versión, así una
+ * actualización parcial no se interpreta como borrado del resto.
+ *
+ * @param {Object} oldTodo - Versión anterior
+ * @param {Object} newTodo - Versión nueva (completa o parcial)
+ * @param {Array<string>} fields - Campos a comparar (default: TRACKED_FIELDS)
+ * @returns {Array<Object>} - Cambios {field, from, to}; vacío si no hay cambios
+ *
+ * @example
+ * diffTodoFields({ title: 'A', completed: false }, { title: 'B', completed: false })
+ * // [{ field: 'title', from: 'A', to: 'B' }]
+ */
+export const diffTodoFields = (oldTodo, newTodo, fields = TRACKED_FIELDS) => {
+  return fields
+    .filter(field => field in newTodo)
+    .map(field => ({
+      field,
+      // Descripción vacía y ausente son equivalentes
+      from: field === 'description' ? oldTodo?.[field] || '' : oldTodo?.[field],
+      to: field === 'description' ? newTodo[field] || '' : newTodo[field],
+    }))
+    .filter(change => change.from !== change.to);
+};
+
+/**
+ * 🗣️ FORMATEAR EL VALOR DE UN CAMPO
+ *
+ * @param {string} field - Campo del todo
+ * @param {*} value - Valor a mostrar
+ * @returns {string} - Valor legible
+ */
+export const formatActivityValue = (field, value) => {
+  if (field === 'completed') return value ? 'Completado' : 'Pendiente';
+  if (value === '' || value === null || value === undefined) return '(vacío)';
+  return String(value);
+};
+
+/**
+ * 🗣️ DESCRIBIR UNA ENTRADA DEL HISTORIAL
+ *
+ * @param {Object} entry - Entrada del historial
+ * @returns {string} - Resumen en español
+ *
+ * @example
+ * describeActivity({ type: 'toggled', changes: [{ field: 'completed', from: false, to: true }] })
+ * // "marcó el todo como completado"
+ */
+export const describeActivity = (entry) => {
+  switch (entry.type) {
+    case 'created':
+      return 'creó el todo';
+    case 'updated': {
+      const fields = (entry.changes || []).map(change =>
+        (ACTIVITY_FIELD_LABELS[change.field] || change.field).toLowerCase()
+      );
+      return fields.length > 0 ? `editó ${fields.join(', ')}` : 'editó el todo';
+    }
+    case 'toggled':
+      return entry.changes?.[0]?.to ? 'marcó el todo como completado' : 'reabrió el todo';
+    case 'trashed':
+      return 'movió el todo a la papelera';
+    case 'restored':
+      return 'restauró el todo de la papelera';
+    case 'deleted':
+      return 'eliminó el todo definitivamente';
+    case 'comment':
+      return 'comentó';
+    default:
+      return entry.type;
+  }
+};
@@ -0,0 +1,127 @@
+/**
+ * 🗂️ UTILIDADES PARA EL TABLERO (KANBAN)
+ *
+ * El tablero reparte los todos en columnas según un criterio: estado,
+ * prioridad o etiqueta. Mover un todo a otra columna cambia ese campo.
+ *
+ * Funcionalidades:
+ * - Criterios de agrupación disponibles
+ * - Columnas de un criterio con sus todos
+ * - Cambios a aplicar al mover un todo entre columnas
+ * - Límites WIP (trabajo en curso) por columna
+ */
+
+import { PRIORITY_OPTIONS, getUniqueTags } from './todoUtils';
+
+/** Vistas de la página de todos */
+export const VIEW_MODES = ['list', 'board', 'calendar'];
+
+/** Criterios de agrupación del tablero, compatibles con Select */
+export const BOARD_GROUPINGS = [
+  { value: 'status', label: 'Estado' },
+  { value: 'priority', label: 'Prioridad' },
+  { value: 'tag', label: 'Etiqueta' },
+];
+
+/** Columna de los todos sin etiquetas al agrupar por etiqueta */
+export const NO_TAG_COLUMN = '__sin-etiqueta__';
+
+/** Columnas por estado */
+const STATUS_COLUMNS = [
+  { id: 'pending', title: 'Pendientes' },
+  { id: 'completed', title: 'Completados' },
+];
+
+/**
+ * 🗂️ COLUMNAS DEL TABLERO
+ *
+ * Al agrupar por etiqueta, un todo con varias etiquetas aparece en cada
+ * una de sus columnas.
+ *
+ * @param {Array<Object>} todos - Todos a repartir (en el orden en que se mostrarán)
+ * @param {string} groupBy - Criterio ('status', 'priority' o 'tag')
+ * @returns {Array<Object>} - Columnas [{id, title, todos}]
+ */
+export const getBoardColumns = (todos, groupBy) => {
+  switch (groupBy) {
+    case 'priority':
+      return PRIORITY_OPTIONS.map(option => ({
+        id: option.value,
+        title: option.label,
+        todos: todos.filter(todo => todo.priority === option.value),
+      }));
+    case 'tag':
+      return [
+        ...getUniqueTags(todos).map(tag => ({
+          id: tag,
+          title: `#${tag}`,
+          todos: todos.filter(todo => todo.tags.includes(tag)),
+        })),
+        {
+          id: NO_TAG_COLUMN,
+          title: 'Sin etiqueta',
+          todos: todos.filter(todo => todo.tags.length === 0),
+        },
+      ];
+    default:
+      return STATUS_COLUMNS.map(column => ({
+        ...column,
+        todos: todos.filter(todo => (column.id === 'completed') === Boolean(todo.completed)),
+      }));
+  }
+};
+
+/**
+ * 🔀 CAMBIOS AL MOVER UN TODO ENTRE COLUMNAS
+ *
+ * Por etiqueta, la etiqueta de la columna de origen se sustituye por la de
+ * destino (a "Sin etiqueta" se quitan todas).
+ *
+ * @param {Object} todo - Todo movido
+ * @param {string} fromColumnId - Columna de origen
+ * @param {string} toColumnId - Columna de destino
+ * @param {string} groupBy - Criterio de agrupación
+ * @returns {Object|null} - Campos a cambiar, o null si no cambia nada
+ *
+ * @example
+ * getBoardMoveChanges(todo, 'pending', 'completed', 'status') // { completed: true }
+ * getBoardMoveChanges({ tags: ['a', 'b'] }, 'a', 'c', 'tag')   // { tags: ['c', 'b'] }
+ */
+export const getBoardMoveChanges = (todo, fromColumnId, toColumnId, groupBy) => {
+  if (fromColumnId === toColumnId) return null;
+
+  switch (groupBy) {
+    case 'priority':
+      return { priority: toColumnId };
+    case 'tag': {
+      if (toColumnId === NO_TAG_COLUMN) return { tags: [] };
+      if (todo.tags.includes(toColumnId)) return null;
+      const tags = fromColumnId === NO_TAG_COLUMN
+        ? [...todo.tags, toColumnId]
+        : todo.tags.map(tag => (tag === fromColumnId ? toColumnId : tag));
+      return { tags };
+    }
+    default:
+      return { completed: toColumnId === 'completed' };
+  }
+};
+
+/**
+ * 🔑 CLAVE DEL LÍMITE WIP DE UNA COLUMNA
+ *
+ * @param {string} groupBy - Criterio de agrupación
+ * @param {string} columnId - ID de la columna
+ * @returns {string} - Clave para guardar el límite ("status:pending")
+ */
+export const getWipLimitKey = (groupBy, columnId) => `${groupBy}:${columnId}`;
+
+/**
+ * 🚦 ¿LA COLUMNA ADMITE UN TODO MÁS?
+ *
+ * @param {Object} column - Columna {todos}
+ * @param {number|undefined} limit - Límite WIP (sin límite si no es un número positivo)
+ * @returns {boolean} - false si ya tiene el máximo de todos
+ */
+export const canAcceptInColumn = (column, limit) => {
+  return !(limit > 0) || column.todos.length < limit;
+};
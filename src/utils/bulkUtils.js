@@ -0,0 +1,124 @@
+/**
+ * ☑️ UTILIDADES PARA SELECCIÓN MÚLTIPLE Y ACCIONES EN BLOQUE
+ *
+ * Funcionalidades:
+ * - Selección con click y con mayúsculas+click (rango)
+ * - Cambio a aplicar a cada todo de una acción en bloque
+ * - Ejecución con concurrencia limitada y resultado por todo
+ */
+
+import { normalizeTag } from './todoUtils';
+
+/** Peticiones simultáneas como máximo en una acción en bloque */
+export const BULK_CONCURRENCY = 4;
+
+/** Máximo de etiquetas por todo (igual que en el formulario) */
+const MAX_TAGS = 10;
+
+/**
+ * 🔘 ALTERNAR UN TODO EN LA SELECCIÓN
+ *
+ * @param {Array} selectedIds - IDs seleccionados
+ * @param {number|string} id - ID a alternar
+ * @returns {Array} - Nueva selección
+ */
+export const toggleSelection = (selectedIds, id) => {
+  return selectedIds.includes(id)
+    ? selectedIds.filter(selectedId => selectedId !== id)
+    : [...selectedIds, id];
+};
+
+/**
+ * ↕️ SELECCIONAR UN RANGO (MAYÚSCULAS + CLICK)
+ *
+ * Añade a la selección todos los todos entre el último marcado (ancla) y
+ * el pulsado, en el orden en que se muestran. Si el ancla ya no está
+ * visible, solo se añade el pulsado.
+ *
+ * @param {Array} selectedIds - IDs seleccionados
+ * @param {Array} orderedIds - IDs en el orden mostrado
+ * @param {number|string|null} anchorId - Último todo marcado
+ * @param {number|string} id - Todo pulsado
+ * @returns {Array} - Nueva selección
+ */
+export const selectRange = (selectedIds, orderedIds, anchorId, id) => {
+  const from = orderedIds.indexOf(anchorId);
+  const to = orderedIds.indexOf(id);
+  if (from === -1 || to === -1) {
+    return selectedIds.includes(id) ? selectedIds : [...selectedIds, id];
+  }
+  const range = orderedIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+  return [...new Set([...selectedIds, ...range])];
+};
+
+/**
+ * 🛠️ APLICAR UN CAMBIO EN BLOQUE A UN TODO
+ *
+ * Completar un todo recurrente lo deja sin regla: la serie continúa en la
+ * siguiente ocurrencia, que crea quien ejecuta la acción (igual que el toggle).
+ *
+ * @param {Object} todo - Todo original
+ * @param {Object} change - Cambio {type, value}
+ * @param {string} change.type - 'complete', 'reopen', 'priority', 'addTag', 'removeTag' o 'move'
+ * @param {*} change.value - Prioridad, etiqueta o ID de lista según el tipo
+ * @returns {Object|null} - Todo modificado, o null si el cambio no le afecta
+ *
+ * @example
+ * applyBulkChange({ priority: 'low', ... }, { type: 'priority', value: 'high' })
+ * // { priority: 'high', ... }
+ */
+export const applyBulkChange = (todo, { type, value }) => {
+  switch (type) {
+    case 'complete':
+      return todo.completed ? null : { ...todo, completed: true, recurrence: null };
+    case 'reopen':
+      return todo.completed ? { ...todo, completed: false } : null;
+    case 'priority':
+      return todo.priority === value ? null : { ...todo, priority: value };
+    case 'addTag': {
+      const tag = normalizeTag(value);
+      if (!tag || todo.tags.includes(tag)) return null;
+      if (todo.tags.length >= MAX_TAGS) {
+        throw new Error(`Ya tiene el máximo de ${MAX_TAGS} etiquetas`);
+      }
+      return { ...todo, tags: [...todo.tags, tag] };
+    }
+    case 'removeTag':
+      return todo.tags.includes(value) ? { ...todo, tags: todo.tags.filter(tag => tag !== value) } : null;
+    case 'move':
+      return todo.listId === value ? null : { ...todo, listId: value };
+    default:
+      throw new Error(`Acción en bloque desconocida: ${type}`);
+  }
+};
+
+/**
+ * 🚦 EJECUTAR CON CONCURRENCIA LIMITADA
+ *
+ * Procesa los elementos con como mucho `limit` operaciones a la vez. Un
+ * fallo no detiene al resto: el resultado tiene el mismo formato que
+ * Promise.allSettled, en el mismo orden que `items`.
+ *
+ * @param {Array} items - Elementos a procesar
+ * @param {number} limit - Operaciones simultáneas como máximo
+ * @param {Function} worker - Función async (item) => resultado
+ * @returns {Promise<Array<Object>>} - [{status: 'fulfilled', value} | {status: 'rejected', reason}]
+ */
+export const runWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index]) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+};
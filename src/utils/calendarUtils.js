@@ -0,0 +1,133 @@
+/**
+ * 📆 UTILIDADES PARA EL CALENDARIO
+ *
+ * El calendario coloca cada todo en el día de su fecha límite (en hora
+ * local), con vista mensual o semanal. Las semanas empiezan el lunes, como
+ * en isDueThisWeek.
+ *
+ * Funcionalidades:
+ * - Días a mostrar en la vista de mes o de semana
+ * - Navegación al periodo anterior o siguiente y título del periodo
+ * - Todos agrupados por día de vencimiento
+ * - Nueva fecha límite al mover un todo a otro día
+ */
+
+import {
+  format,
+  addDays,
+  addWeeks,
+  addMonths,
+  startOfMonth,
+  endOfMonth,
+  startOfWeek,
+  endOfWeek,
+  eachDayOfInterval,
+  parseISO,
+} from 'date-fns';
+import { es } from 'date-fns/locale';
+import { parseAPIDate, formatTimeFromAPI, combineDateAndTime } from './dateUtils';
+
+/** Vistas del calendario, compatibles con Select */
+export const CALENDAR_MODES = [
+  { value: 'month', label: 'Mes' },
+  { value: 'week', label: 'Semana' },
+];
+
+/** Cabeceras de los días de la semana (de lunes a domingo) */
+export const WEEKDAY_LABELS = ['Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb', 'Dom'];
+
+/** Opciones de date-fns para que la semana empiece el lunes */
+const WEEK_OPTIONS = { weekStartsOn: 1 };
+
+/**
+ * 🔑 CLAVE DE UN DÍA
+ *
+ * @param {Date} date - Día
+ * @returns {string} - Día en formato YYYY-MM-DD (el de los inputs de fecha)
+ */
+export const toDayKey = (date) => format(date, 'yyyy-MM-dd');
+
+/**
+ * 🗓️ DÍAS DEL CALENDARIO
+ *
+ * La vista de mes incluye semanas completas, con los días del mes anterior
+ * y siguiente necesarios para completarlas.
+ *
+ * @param {Date} anchor - Cualquier día del periodo a mostrar
+ * @param {string} mode - 'month' o 'week'
+ * @returns {Array<Date>} - Días a mostrar, en múltiplos de 7
+ */
+export const getCalendarDays = (anchor, mode) => {
+  const start = startOfWeek(mode === 'week' ? anchor : startOfMonth(anchor), WEEK_OPTIONS);
+  const end = endOfWeek(mode === 'week' ? anchor : endOfMonth(anchor), WEEK_OPTIONS);
+  return eachDayOfInterval({ start, end });
+};
+
+/**
+ * ⏭️ PERIODO ANTERIOR O SIGUIENTE
+ *
+ * @param {Date} anchor - Día de referencia del periodo actual
+ * @param {string} mode - 'month' o 'week'
+ * @param {number} step - -1 para el anterior, 1 para el siguiente
+ * @returns {Date} - Día de referencia del nuevo periodo
+ */
+export const shiftCalendarDate = (anchor, mode, step) => {
+  return mode === 'week' ? addWeeks(anchor, step) : addMonths(anchor, step);
+};
+
+/**
+ * 🏷️ TÍTULO DEL PERIODO
+ *
+ * @param {Date} anchor - Día de referencia del periodo
+ * @param {string} mode - 'month' o 'week'
+ * @returns {string} - "Octubre 2026" o "19 oct – 25 oct 2026"
+ */
+export const getCalendarTitle = (anchor, mode) => {
+  if (mode === 'week') {
+    const start = startOfWeek(anchor, WEEK_OPTIONS);
+    return `${format(start, 'd MMM', { locale: es })} – ${format(addDays(start, 6), 'd MMM yyyy', { locale: es })}`;
+  }
+  const title = format(anchor, 'LLLL yyyy', { locale: es });
+  return title.charAt(0).toUpperCase() + title.slice(1);
+};
+
+/**
+ * 📥 AGRUPAR TODOS POR DÍA DE VENCIMIENTO
+ *
+ * @param {Array<Object>} todos - Todos (los que no tienen fecha límite se ignoran)
+ * @returns {Object} - Todos por clave de día {"2026-10-19": [todo, ...]}
+ */
+export const groupTodosByDay = (todos) => {
+  return todos.reduce((groups, todo) => {
+    if (!todo.dueDate) return groups;
+    const key = toDayKey(parseAPIDate(todo.dueDate));
+    groups[key] = [...(groups[key] || []), todo];
+    return groups;
+  }, {});
+};
+
+/**
+ * 🔀 FECHA LÍMITE AL MOVER UN TODO A OTRO DÍA
+ *
+ * Conserva la hora si el todo la tenía; si no, vence al final del nuevo día.
+ *
+ * @param {Object} todo - Todo movido {dueDate, hasDueTime}
+ * @param {string} dayKey - Día de destino (YYYY-MM-DD)
+ * @returns {Date} - Nueva fecha límite
+ *
+ * @example
+ * getRescheduledDueDate({ dueDate: '2026-10-19T15:30:00Z', hasDueTime: true }, '2026-10-21')
+ * // 21/10/2026 a la misma hora local
+ */
+export const getRescheduledDueDate = (todo, dayKey) => {
+  return combineDateAndTime(dayKey, todo.hasDueTime ? formatTimeFromAPI(todo.dueDate) : '');
+};
+
+/**
+ * ↔️ DÍA A UNA DISTANCIA DE OTRO
+ *
+ * @param {string} dayKey - Día de partida (YYYY-MM-DD)
+ * @param {number} days - Días a sumar (negativo para restar)
+ * @returns {string} - Clave del nuevo día
+ */
+export const shiftDayKey = (dayKey, days) => toDayKey(addDays(parseISO(dayKey), days));
@@ -11,9 +11,19 @@
  * - Validación de fechas vencidas
  * - Clases CSS dinámicas según estado de fecha
  * - Conversión entre formatos de API y frontend
+ * - Combinación de fecha y hora de los inputs HTML
+ * - Detección de vencimiento hoy / esta semana / en los próximos días
  */
 
-import { format, formatDistance, parseISO } from 'date-fns';
+import { 
+  format, 
+  formatDistance, 
+  parseISO, 
+  isToday, 
+  isThisWeek, 
+  endOfDay,
+  addDays
+} from 'date-fns';
 import { es } from 'date-fns/locale';
 
 /**
@@ -164,7 +174,7 @@ export const formatRelativeDateFromAPI = (date) => {
  */
 export const isOverdue = (dueDate) => {
   if (!dueDate) return false;
-  return new Date(dueDate) < new Date();
+  return parseAPIDate(dueDate) < new Date();
 };
 
 /**
@@ -194,7 +204,7 @@ export const getDueDateClass = (dueDate, completed = false) => {
   if (completed || !dueDate) return ''; // Sin color especial si está completado o no hay fecha
   
   const now = new Date();
-  const due = new Date(dueDate);
+  const due = parseAPIDate(dueDate);
   const diffInHours = (due.getTime() - now.getTime()) / (1000 * 60 * 60);
   
   if (diffInHours < 0) return 'text-red-600';    // Vencido (rojo)
@@ -237,5 +247,135 @@ export const formatDateForAPI = (date) => {
  */
 export const formatDateFromAPI = (dateString) => {
   if (!dateString) return null;
-  return dateString.split('T')[0]; // Tomar solo la parte de fecha antes de 'T'
+  if (!dateString.includes('T')) return dateString; // Ya viene como YYYY-MM-DD
+  // Usar la fecha local para que un vencimiento a las 23:59 no salte al día siguiente
+  return format(parseAPIDate(dateString), 'yyyy-MM-dd');
+};
+
+/**
+ * 🕐 EXTRAER HORA DESDE LA API
+ * 
+ * Convierte una fecha ISO de FastAPI al formato que esperan los inputs de hora HTML
+ * 
+ * @param {string} dateString - Fecha ISO de la API
+ * @returns {string} - Hora local en formato HH:mm o string vacío si no hay fecha
+ * 
+ * @example
+ * formatTimeFromAPI('2025-09-24T15:30:00Z') // "17:30" (en UTC+2)
+ * formatTimeFromAPI(null) // ""
+ */
+export const formatTimeFromAPI = (dateString) => {
+  if (!dateString) return '';
+  return format(parseAPIDate(dateString), 'HH:mm');
+};
+
+/**
+ * 🌍 INTERPRETAR FECHA DE LA API
+ * 
+ * FastAPI puede devolver fechas UTC sin sufijo 'Z'. Esta función las
+ * interpreta siempre como UTC y devuelve un objeto Date.
+ * 
+ * @param {Date|string} date - Fecha desde la API
+ * @returns {Date|null} - Objeto Date o null si no hay fecha
+ * 
+ * @example
+ * parseAPIDate('2025-09-24T10:00:00')  // Date en 10:00 UTC
+ * parseAPIDate('2025-09-24T10:00:00Z') // Date en 10:00 UTC
+ */
+export const parseAPIDate = (date) => {
+  if (!date) return null;
+  if (date instanceof Date) return date;
+  const hasTimezone = /(Z|[+-]\d{2}:?\d{2})$/.test(date);
+  return new Date(date.includes('T') && !hasTimezone ? `${date}Z` : date);
+};
+
+/**
+ * 🧩 COMBINAR FECHA Y HORA DE LOS INPUTS
+ * 
+ * Une los valores de un input date y un input time en un Date local.
+ * Si no hay hora, el vencimiento es el final del día (23:59:59).
+ * 
+ * @param {string} date - Fecha en formato YYYY-MM-DD
+ * @param {string} time - Hora opcional en formato HH:mm
+ * @returns {Date|null} - Fecha combinada o null si no hay fecha
+ * 
+ * @example
+ * combineDateAndTime('2025-09-24', '17:30') // 24/09/2025 17:30 local
+ * combineDateAndTime('2025-09-24', '')      // 24/09/2025 23:59:59 local
+ * combineDateAndTime('', '17:30')           // null
+ */
+export const combineDateAndTime = (date, time) => {
+  if (!date) return null;
+  if (time) return parseISO(`${date}T${time}`);
+  return endOfDay(parseISO(date));
+};
+
+/**
+ * 📆 FORMATEAR FECHA LÍMITE
+ * 
+ * @param {Date|string} dueDate - Fecha límite del todo
+ * @param {boolean} hasTime - Si la fecha límite incluye una hora concreta
+ * @returns {string} - "24/09/2025" o "24/09/2025 17:30"
+ */
+export const formatDueDate = (dueDate, hasTime = false) => {
+  if (!dueDate) return '';
+  const dateObj = parseAPIDate(dueDate);
+  return hasTime ? formatDateTime(dateObj) : formatDate(dateObj);
+};
+
+/**
+ * 📍 VERIFICAR SI VENCE HOY
+ * 
+ * @param {Date|string} dueDate - Fecha límite a verificar
+ * @returns {boolean} - true si la fecha límite cae en el día actual
+ */
+export const isDueToday = (dueDate) => {
+  if (!dueDate) return false;
+  return isToday(parseAPIDate(dueDate));
+};
+
+/**
+ * 🗓️ VERIFICAR SI VENCE ESTA SEMANA
+ * 
+ * La semana empieza el lunes, como en el calendario español.
+ * 
+ * @param {Date|string} dueDate - Fecha límite a verificar
+ * @returns {boolean} - true si la fecha límite cae en la semana actual
+ */
+export const isDueThisWeek = (dueDate) => {
+  return isInThisWeek(dueDate);
+};
+
+/**
+ * 📅 VERIFICAR SI UNA FECHA CAE EN LA SEMANA ACTUAL
+ * 
+ * Como isDueThisWeek, para cualquier fecha (p. ej. la de completado).
+ * 
+ * @param {Date|string} date - Fecha a verificar
+ * @returns {boolean} - true si la fecha cae entre el lunes y el domingo actuales
+ */
+export const isInThisWeek = (date) => {
+  if (!date) return false;
+  return isThisWeek(parseAPIDate(date), { weekStartsOn: 1 });
+};
+
+/**
+ * 🔜 VERIFICAR SI VENCE EN LOS PRÓXIMOS DÍAS
+ * 
+ * Desde ahora hasta el final del día dentro de `days` días. Lo ya vencido
+ * no cuenta (ver isOverdue).
+ * 
+ * @param {Date|string} dueDate - Fecha límite a verificar
+ * @param {number} days - Días hacia delante (0 = solo lo que queda de hoy)
+ * @returns {boolean} - true si vence en ese plazo
+ * 
+ * @example
+ * isDueWithinDays('2025-09-30T10:00:00Z', 7) // true (si hoy es 24/09/2025)
+ * isDueWithinDays('2025-09-23T10:00:00Z', 7) // false (ya vencido)
+ */
+export const isDueWithinDays = (dueDate, days) => {
+  if (!dueDate) return false;
+  const now = new Date();
+  const due = parseAPIDate(dueDate);
+  return due >= now && due <= endOfDay(addDays(now, days));
 };
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * 🔗 UTILIDADES PARA DEPENDENCIAS ENTRE TODOS
+ *
+ * Un todo puede declarar los todos que lo bloquean mediante `blockedBy`
+ * (array de IDs). Un todo está bloqueado mientras alguno de ellos siga
+ * pendiente. Los bloqueadores eliminados se ignoran.
+ *
+ * Funcionalidades:
+ * - Normalización de la lista de bloqueadores
+ * - Bloqueadores pendientes de un todo
+ * - Detección de ciclos (A bloquea a B y B bloquea a A)
+ */
+
+/** Máximo de bloqueadores por todo */
+export const MAX_BLOCKERS = 20;
+
+/**
+ * 🛡️ NORMALIZAR BLOQUEADORES
+ *
+ * @param {Array} blockedBy - IDs recibidos (los backends sin soporte devuelven undefined)
+ * @param {number|string} ownId - ID del propio todo, que nunca puede bloquearse a sí mismo
+ * @returns {Array} - IDs sin duplicados ni valores vacíos
+ */
+export const normalizeDependencies = (blockedBy, ownId = null) => {
+  if (!Array.isArray(blockedBy)) return [];
+  return [...new Set(blockedBy)]
+    .filter(id => id !== null && id !== undefined && id !== '' && id !== ownId)
+    .slice(0, MAX_BLOCKERS);
+};
+
+/**
+ * ⛔ BLOQUEADORES PENDIENTES DE UN TODO
+ *
+ * @param {Object} todo - Todo en formato del frontend
+ * @param {Array} allTodos - Todos los todos
+ * @returns {Array<Object>} - Todos que lo bloquean y siguen pendientes
+ */
+export const getPendingBlockers = (todo, allTodos) => {
+  const blockedBy = normalizeDependencies(todo.blockedBy, todo.id);
+  if (blockedBy.length === 0) return [];
+  return allTodos.filter(other => blockedBy.includes(other.id) && !other.completed);
+};
+
+/**
+ * 🔄 BUSCAR UN CICLO DE DEPENDENCIAS
+ *
+ * Comprueba si asignar `blockedBy` al todo `todoId` crearía un ciclo, es
+ * decir, si desde alguno de sus bloqueadores se puede volver a él siguiendo
+ * las dependencias existentes.
+ *
+ * @param {number|string|null} todoId - ID del todo (null para uno nuevo, que no puede formar ciclos)
+ * @param {Array} blockedBy - Bloqueadores propuestos
+ * @param {Array} allTodos - Todos los todos
+ * @returns {Array<Object>|null} - Todos que forman el ciclo (empezando y terminando en el propio todo) o null
+ *
+ * @example
+ * // B está bloqueado por A; proponer que A esté bloqueado por B
+ * findDependencyCycle(a.id, [b.id], [a, b]) // [a, b, a]
+ */
+export const findDependencyCycle = (todoId, blockedBy, allTodos) => {
+  if (todoId === null || todoId === undefined) return null;
+
+  const byId = new Map(allTodos.map(todo => [todo.id, todo]));
+  const visited = new Set();
+
+  /**
+   * Recorrido en profundidad desde `id`; devuelve el camino hasta todoId
+   */
+  const visit = (id, path) => {
+    if (id === todoId) return path;
+    if (visited.has(id)) return null;
+    visited.add(id);
+
+    const todo = byId.get(id);
+    if (!todo) return null;
+    for (const next of normalizeDependencies(todo.blockedBy, todo.id)) {
+      const cycle = visit(next, [...path, next]);
+      if (cycle) return cycle;
+    }
+    return null;
+  };
+
+  for (const blockerId of normalizeDependencies(blockedBy, todoId)) {
+    const cycle = visit(blockerId, [todoId, blockerId]);
+    if (cycle) {
+      // Sustituir los IDs por los todos (o un marcador si no se encuentran)
+      return cycle.map(id => byId.get(id) || { id, title: `#${id}` });
+    }
+  }
+  return null;
+};
+
+/**
+ * ♻️ QUITAR LAS DEPENDENCIAS QUE CERRARÍAN UN CICLO
+ *
+ * Los todos de la papelera no cuentan al buscar ciclos, así que mientras
+ * uno está en ella otro puede pasar a depender de él. Al restaurarlo se
+ * quitan los bloqueadores que volverían a formar un ciclo.
+ *
+ * @param {Object} todo - Todo a restaurar
+ * @param {Array} allTodos - Todos fuera de la papelera
+ * @returns {Object} - {blockedBy: bloqueadores que se conservan, cycles: ciclos evitados}
+ *
+ * @example
+ * // A (en la papelera) bloqueado por B; después B pasó a estar bloqueado por A
+ * removeCyclicDependencies(a, [b]) // { blockedBy: [], cycles: [[a, b, a]] }
+ */
+export const removeCyclicDependencies = (todo, allTodos) => {
+  const graph = [...allTodos.filter(other => other.id !== todo.id), todo];
+  const cycles = [];
+  const blockedBy = normalizeDependencies(todo.blockedBy, todo.id).filter(blockerId => {
+    const cycle = findDependencyCycle(todo.id, [blockerId], graph);
+    if (cycle) cycles.push(cycle);
+    return !cycle;
+  });
+  return { blockedBy, cycles };
+};
+
+/**
+ * 🗣️ DESCRIBIR UN CICLO DE DEPENDENCIAS
+ *
+ * @param {Array<Object>} cycle - Todos del ciclo (resultado de findDependencyCycle)
+ * @returns {string} - Mensaje de error legible
+ *
+ * @example
+ * describeDependencyCycle([a, b, a])
+ * // 'Dependencia circular: "A" → "B" → "A"'
+ */
+export const describeDependencyCycle = (cycle) => {
+  return `Dependencia circular: ${cycle.map(todo => `"${todo.title}"`).join(' → ')}`;
+};
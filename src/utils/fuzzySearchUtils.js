@@ -0,0 +1,278 @@
+/**
+ * 🧠 BÚSQUEDA APROXIMADA
+ *
+ * Coincidencias sin tildes ni mayúsculas y tolerantes a erratas, con una
+ * puntuación para ordenar por relevancia y los fragmentos a resaltar. La
+ * usa el lenguaje de búsqueda (ver searchQueryUtils) para las palabras
+ * sueltas; las frases entre comillas solo ignoran tildes y mayúsculas.
+ *
+ * Erratas admitidas según la longitud de la palabra buscada: ninguna hasta
+ * 3 letras, 1 hasta 6 y 2 a partir de 7 (letras cambiadas, de más, de menos
+ * o intercambiadas). Una palabra también coincide con el principio de otra
+ * más larga ("reunon" encuentra "reuniones").
+ *
+ * @example
+ * findMatch(foldText('Reunión con el equipo'), foldText('reunion'))
+ * // { start: 0, end: 7, score: 1 }
+ * findMatch(foldText('Reunión con el equipo'), foldText('reunoin'))
+ * // { start: 0, end: 7, score: 0.4 }
+ */
+
+/** Puntuación de cada tipo de coincidencia (de 0 a 1) */
+const SCORES = {
+  word: 1,       // Palabra completa
+  wordStart: 0.85, // Principio de una palabra
+  inside: 0.6,   // Dentro de una palabra
+  fuzzy: 0.5,    // Con erratas (se resta FUZZY_PENALTY por errata)
+};
+
+/** Puntuación que se resta por cada errata */
+const FUZZY_PENALTY = 0.1;
+
+/** Clases de Tailwind de los fragmentos resaltados (HighlightedText y Markdown) */
+export const HIGHLIGHT_CLASSES = 'bg-yellow-100 text-inherit rounded-sm';
+
+/** Palabras (letras y números) de un texto ya normalizado */
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/** Si un carácter forma parte de una palabra */
+const isWordChar = (char) => Boolean(char) && /[\p{L}\p{N}]/u.test(char);
+
+/** Caracteres no ASCII ya normalizados (pocos distintos: á, é, ñ...) */
+const foldedChars = new Map();
+
+/**
+ * Normalizar un carácter no ASCII
+ *
+ * @param {string} char - Carácter original
+ * @returns {string} - Carácter en minúsculas y sin tilde (o el original si
+ *   al normalizarlo cambiaría de longitud)
+ */
+const foldChar = (char) => {
+  let folded = foldedChars.get(char);
+  if (folded === undefined) {
+    const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    folded = base.length === 1 ? base : char;
+    foldedChars.set(char, folded);
+  }
+  return folded;
+};
+
+/**
+ * 🔡 NORMALIZAR UN TEXTO PARA COMPARAR
+ *
+ * Minúsculas y sin tildes, carácter a carácter para que cada posición del
+ * resultado corresponda a la misma del original (y se pueda resaltar).
+ *
+ * @param {string} text - Texto original
+ * @returns {string} - Texto normalizado de la misma longitud ("Reunión" → "reunion")
+ */
+export const foldText = (text = '') => {
+  // Las letras ASCII solo pasan a minúsculas; el resto se normaliza una a una
+  return text.replace(/[A-Z]/g, char => char.toLowerCase()).replace(/[\u0080-\uffff]/g, foldChar);
+};
+
+/**
+ * ✍️ ERRATAS ADMITIDAS
+ *
+ * @param {number} length - Longitud de la palabra buscada
+ * @returns {number} - Máximo de erratas (0, 1 o 2)
+ */
+const getMaxTypos = (length) => {
+  if (length <= 3) return 0;
+  return length <= 6 ? 1 : 2;
+};
+
+/**
+ * 📏 DISTANCIAS A CADA PRINCIPIO DE UNA PALABRA
+ *
+ * Una sola pasada de la matriz de distancias da la distancia de `term` a
+ * todos los principios de `word` (la última fila).
+ *
+ * @param {string} term - Palabra buscada
+ * @param {string} word - Palabra del texto
+ * @param {number} max - Distancia máxima que interesa
+ * @returns {Array<number>|null} - distances[n] = distancia a word.slice(0, n),
+ *   o null si todas superan `max`
+ */
+const prefixEditDistances = (term, word, max) => {
+  let previousRow = null;
+  let row = Array.from({ length: word.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= term.length; i += 1) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= word.length; j += 1) {
+      const cost = term[i - 1] === word[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && j > 1 && term[i - 1] === word[j - 2] && term[i - 2] === word[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return null;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row;
+};
+
+/** Términos con erratas recientes y, por cada uno, el resultado por palabra */
+const fuzzyWordCache = new Map();
+
+/** Términos que se recuerdan en fuzzyWordCache */
+const FUZZY_CACHE_TERMS = 8;
+
+/**
+ * 🔀 MEJOR COINCIDENCIA CON ERRATAS EN UNA PALABRA
+ *
+ * Compara el término con la palabra entera y con sus principios al menos
+ * tan largos como el término y que acaben en su misma letra (para palabras
+ * más largas que empiezan parecido). Así "tema" no encuentra "temprano"
+ * (ni por "tem" ni por "temp"), pero "reunon" sí encuentra "reuniones". El
+ * resultado se recuerda por palabra: los textos repiten mucho vocabulario.
+ *
+ * @param {string} term - Palabra buscada
+ * @param {string} word - Palabra del texto
+ * @param {number} maxTypos - Erratas admitidas
+ * @returns {Object|null} - {distance, length} o null si no se parecen
+ */
+const matchWord = (term, word, maxTypos) => {
+  let cache = fuzzyWordCache.get(term);
+  if (!cache) {
+    if (fuzzyWordCache.size >= FUZZY_CACHE_TERMS) {
+      fuzzyWordCache.delete(fuzzyWordCache.keys().next().value);
+    }
+    cache = new Map();
+    fuzzyWordCache.set(term, cache);
+  }
+  if (cache.has(word)) return cache.get(word);
+
+  let best = null;
+  // Los principios más largos que term.length + maxTypos nunca se parecen lo bastante
+  const distances = word.length >= term.length - maxTypos
+    ? prefixEditDistances(term, word.slice(0, term.length + maxTypos), maxTypos)
+    : null;
+  if (distances) {
+    // La palabra entera (aunque sea más corta que el término) o sus principios de term.length letras o más
+    const firstLength = Math.min(word.length, term.length);
+    for (let length = firstLength; length < distances.length; length += 1) {
+      if (length < word.length && word[length - 1] !== term[term.length - 1]) continue;
+      const distance = distances[length];
+      // Con la misma distancia se prefiere el principio más largo (o la palabra entera)
+      if (distance <= maxTypos && (!best || distance <= best.distance)) {
+        best = { distance, length };
+      }
+    }
+  }
+  cache.set(word, best);
+  return best;
+};
+
+/**
+ * 🎯 COINCIDENCIAS EXACTAS (SIN TILDES) DE UN TÉRMINO
+ *
+ * @param {string} folded - Texto normalizado con foldText
+ * @param {string} term - Término normalizado con foldText
+ * @returns {Array<Object>} - [{start, end, score}] en orden de aparición
+ */
+const findExactMatches = (folded, term) => {
+  const matches = [];
+  let start = folded.indexOf(term);
+  while (start !== -1) {
+    const end = start + term.length;
+    const atWordStart = !isWordChar(folded[start - 1]);
+    const atWordEnd = !isWordChar(folded[end]);
+    let score = SCORES.inside;
+    if (atWordStart) score = atWordEnd ? SCORES.word : SCORES.wordStart;
+    matches.push({ start, end, score });
+    start = folded.indexOf(term, end);
+  }
+  return matches;
+};
+
+/**
+ * 🔀 COINCIDENCIAS CON ERRATAS DE UNA PALABRA
+ *
+ * Compara el término con cada palabra del texto (ver matchWord).
+ *
+ * @param {string} folded - Texto normalizado con foldText
+ * @param {string} term - Palabra normalizada con foldText
+ * @returns {Array<Object>} - [{start, end, score}] en orden de aparición
+ */
+const findFuzzyMatches = (folded, term) => {
+  const maxTypos = getMaxTypos(term.length);
+  if (maxTypos === 0) return [];
+
+  const matches = [];
+  for (const { 0: word, index } of folded.matchAll(WORD_PATTERN)) {
+    const best = matchWord(term, word, maxTypos);
+    if (best) {
+      matches.push({
+        start: index,
+        end: index + best.length,
+        score: SCORES.fuzzy - best.distance * FUZZY_PENALTY,
+      });
+    }
+  }
+  return matches;
+};
+
+/**
+ * 🔎 TODAS LAS COINCIDENCIAS DE UN TÉRMINO EN UN TEXTO
+ *
+ * Si el término aparece tal cual (sin tildes) no se buscan erratas.
+ *
+ * @param {string} folded - Texto normalizado con foldText
+ * @param {string} term - Término normalizado con foldText
+ * @param {Object} options - Opciones
+ * @param {boolean} options.fuzzy - Si se admiten erratas (default: true)
+ * @returns {Array<Object>} - [{start, end, score}]
+ */
+export const findMatches = (folded, term, { fuzzy = true } = {}) => {
+  if (!term || !folded) return [];
+  const exact = findExactMatches(folded, term);
+  if (exact.length > 0 || !fuzzy || /\s/.test(term)) return exact;
+  return findFuzzyMatches(folded, term);
+};
+
+/**
+ * 🥇 MEJOR COINCIDENCIA DE UN TÉRMINO EN UN TEXTO
+ *
+ * @param {string} folded - Texto normalizado con foldText
+ * @param {string} term - Término normalizado con foldText
+ * @param {Object} options - Opciones (ver findMatches)
+ * @returns {Object|null} - {start, end, score} o null si no aparece
+ */
+export const findMatch = (folded, term, options) => {
+  return findMatches(folded, term, options)
+    .reduce((best, match) => (!best || match.score > best.score ? match : best), null);
+};
+
+/**
+ * 🖍️ FRAGMENTOS A RESALTAR
+ *
+ * @param {string} text - Texto original
+ * @param {Array<Object>} terms - Términos {value, fuzzy} (value ya en minúsculas)
+ * @returns {Array<Object>} - Rangos [{start, end}] ordenados y sin solaparse
+ */
+export const getHighlightRanges = (text, terms) => {
+  if (!text || terms.length === 0) return [];
+  const folded = foldText(text);
+
+  const ranges = terms
+    .flatMap(term => findMatches(folded, foldText(term.value), { fuzzy: term.fuzzy }))
+    .sort((a, b) => a.start - b.start);
+
+  // Unir los rangos que se solapan o se tocan
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ start: range.start, end: range.end });
+    }
+    return merged;
+  }, []);
+};
@@ -1,2 +1,21 @@
 export * from './dateUtils';
-export * from './todoUtils';
\ No newline at end of file
+export * from './todoUtils';
+export * from './recurrenceUtils';
+export * from './reminderUtils';
+export * from './activityUtils';
+export * from './dependencyUtils';
+export * from './timeTrackingUtils';
+export * from './markdownUtils';
+export * from './quickAddUtils';
+export * from './templateUtils';
+export * from './trashUtils';
+export * from './bulkUtils';
+export * from './orderUtils';
+export * from './boardUtils';
+export * from './calendarUtils';
+export * from './smartListUtils';
+export * from './statsUtils';
+export * from './streakUtils';
+export * from './savedViewUtils';
+export * from './searchQueryUtils';
+export * from './fuzzySearchUtils';
\ No newline at end of file
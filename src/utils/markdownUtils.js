@@ -0,0 +1,126 @@
+/**
+ * ✍️ UTILIDADES PARA DESCRIPCIONES EN MARKDOWN
+ *
+ * Las descripciones de los todos se escriben en Markdown (con las
+ * extensiones de GitHub: listas de tareas, tablas, tachado y enlaces
+ * automáticos). Estas funciones cubren la parte que no depende de React.
+ *
+ * Funcionalidades:
+ * - Filtrado de URLs de enlaces (solo http, https y mailto)
+ * - Formatos de la barra de herramientas del editor aplicados a la selección
+ */
+
+/** Longitud máxima de la descripción (la misma que valida el backend) */
+export const MAX_DESCRIPTION_LENGTH = 1024;
+
+/** Protocolos permitidos en los enlaces */
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+/**
+ * 🛡️ FILTRAR URL DE UN ENLACE
+ *
+ * Las descripciones llegan de la API, así que cualquier enlace se trata
+ * como no confiable: se descartan `javascript:`, `data:`, rutas relativas, etc.
+ *
+ * @param {string} url - URL escrita en el Markdown
+ * @returns {string} - La URL si es segura o string vacío
+ *
+ * @example
+ * sanitizeUrl('https://example.com')  // "https://example.com"
+ * sanitizeUrl('javascript:alert(1)')  // ""
+ */
+export const sanitizeUrl = (url) => {
+  if (!url) return '';
+  try {
+    const parsed = new URL(String(url).trim());
+    return SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : '';
+  } catch {
+    return ''; // No es una URL absoluta
+  }
+};
+
+/**
+ * 🧰 FORMATOS DE LA BARRA DE HERRAMIENTAS
+ *
+ * - inline: rodea la selección con `before` y `after`
+ * - line: añade `prefix` al inicio de cada línea seleccionada
+ * - block: rodea las líneas seleccionadas con `before` y `after` en líneas propias
+ */
+export const MARKDOWN_FORMATS = {
+  bold: { type: 'inline', before: '**', after: '**', placeholder: 'texto en negrita', label: 'Negrita', shortcut: 'b' },
+  italic: { type: 'inline', before: '_', after: '_', placeholder: 'texto en cursiva', label: 'Cursiva', shortcut: 'i' },
+  strike: { type: 'inline', before: '~~', after: '~~', placeholder: 'texto tachado', label: 'Tachado' },
+  code: { type: 'inline', before: '`', after: '`', placeholder: 'código', label: 'Código' },
+  link: { type: 'inline', before: '[', after: '](https://)', placeholder: 'texto del enlace', label: 'Enlace', shortcut: 'k' },
+  bulletList: { type: 'line', prefix: '- ', label: 'Lista' },
+  numberedList: { type: 'line', prefix: '1. ', label: 'Lista numerada' },
+  taskList: { type: 'line', prefix: '- [ ] ', label: 'Lista de tareas' },
+  quote: { type: 'line', prefix: '> ', label: 'Cita' },
+  codeBlock: { type: 'block', before: '```', after: '```', placeholder: 'código', label: 'Bloque de código' },
+};
+
+/**
+ * ✨ APLICAR UN FORMATO A LA SELECCIÓN
+ *
+ * @param {string} value - Texto completo del editor
+ * @param {number} selectionStart - Inicio de la selección
+ * @param {number} selectionEnd - Fin de la selección
+ * @param {string} formatName - Clave de MARKDOWN_FORMATS
+ * @returns {Object} - {value, selectionStart, selectionEnd} con el texto resultante
+ *   y la selección que debe quedar marcada
+ *
+ * @example
+ * applyMarkdownFormat('hola mundo', 5, 10, 'bold')
+ * // { value: 'hola **mundo**', selectionStart: 7, selectionEnd: 12 }
+ */
+export const applyMarkdownFormat = (value, selectionStart, selectionEnd, formatName) => {
+  const format = MARKDOWN_FORMATS[formatName];
+  if (!format) return { value, selectionStart, selectionEnd };
+
+  const before = value.slice(0, selectionStart);
+  const selected = value.slice(selectionStart, selectionEnd);
+  const after = value.slice(selectionEnd);
+
+  if (format.type === 'inline') {
+    const text = selected || format.placeholder;
+    const start = before.length + format.before.length;
+    return {
+      value: `${before}${format.before}${text}${format.after}${after}`,
+      selectionStart: start,
+      selectionEnd: start + text.length,
+    };
+  }
+
+  // Los formatos de línea y bloque trabajan con líneas completas
+  const lineStart = before.lastIndexOf('\n') + 1;
+  const nextBreak = value.indexOf('\n', selectionEnd);
+  const lineEnd = nextBreak === -1 ? value.length : nextBreak;
+  const head = value.slice(0, lineStart);
+  const lines = value.slice(lineStart, lineEnd);
+  const tail = value.slice(lineEnd);
+
+  if (format.type === 'line') {
+    const prefixed = lines
+      .split('\n')
+      .map((line, index) => {
+        // Numerar las listas numeradas (1., 2., 3. ...)
+        const prefix = formatName === 'numberedList' ? `${index + 1}. ` : format.prefix;
+        return `${prefix}${line}`;
+      })
+      .join('\n');
+    return {
+      value: `${head}${prefixed}${tail}`,
+      selectionStart: head.length,
+      selectionEnd: head.length + prefixed.length,
+    };
+  }
+
+  // Bloque: las marcas van en líneas propias alrededor de las líneas seleccionadas
+  const text = lines || format.placeholder;
+  const start = head.length + format.before.length + 1;
+  return {
+    value: `${head}${format.before}\n${text}\n${format.after}${tail}`,
+    selectionStart: start,
+    selectionEnd: start + text.length,
+  };
+};
@@ -0,0 +1,86 @@
+/**
+ * ↕️ UTILIDADES PARA EL ORDEN MANUAL
+ *
+ * Cada todo guarda una posición numérica (campo extendido `position`). Al
+ * mover un todo solo cambia la suya: pasa a la media de sus nuevos vecinos,
+ * así que normalmente basta con una petición. Si los vecinos no tienen
+ * posición (la primera vez) o ya no cabe un número entre ellos, se
+ * renumera la lista entera, incluidos los todos que oculte un filtro (si
+ * no, quedarían intercalados con los renumerados al quitar el filtro).
+ *
+ * Funcionalidades:
+ * - Mover un elemento dentro de un array
+ * - Calcular las posiciones a guardar tras mover un todo
+ */
+
+/** Separación entre posiciones al renumerar */
+export const POSITION_STEP = 1000;
+
+/** Hueco mínimo entre vecinos para seguir usando la media */
+const MIN_POSITION_GAP = 1e-6;
+
+/**
+ * 🔀 MOVER UN ELEMENTO DE UN ARRAY
+ *
+ * @param {Array} items - Array original (no se modifica)
+ * @param {number} fromIndex - Índice actual del elemento
+ * @param {number} toIndex - Índice de destino
+ * @returns {Array} - Nuevo array con el elemento movido
+ *
+ * @example
+ * moveItem(['a', 'b', 'c'], 0, 2) // ['b', 'c', 'a']
+ */
+export const moveItem = (items, fromIndex, toIndex) => {
+  const result = [...items];
+  const [item] = result.splice(fromIndex, 1);
+  result.splice(toIndex, 0, item);
+  return result;
+};
+
+/**
+ * 📐 POSICIONES A GUARDAR TRAS MOVER UN TODO
+ *
+ * Los índices son de la lista visible; al renumerar, el todo se coloca en
+ * la lista completa justo detrás de su nuevo vecino visible anterior (o
+ * delante del siguiente si pasa a ser el primero).
+ *
+ * @param {Array<Object>} orderedTodos - Todos visibles en el orden manual actual
+ * @param {number} fromIndex - Índice actual del todo movido
+ * @param {number} toIndex - Índice de destino
+ * @param {Array<Object>} allTodos - Todos de la lista sin filtrar, en orden manual (default: orderedTodos)
+ * @returns {Array<Object>} - Cambios [{id, position}] (vacío si no se movió)
+ *
+ * @example
+ * computeReorder([{ id: 1, position: 1000 }, { id: 2, position: 2000 }, { id: 3, position: 3000 }], 2, 0)
+ * // [{ id: 3, position: 0 }]
+ */
+export const computeReorder = (orderedTodos, fromIndex, toIndex, allTodos = orderedTodos) => {
+  if (fromIndex === toIndex) return [];
+
+  const moved = moveItem(orderedTodos, fromIndex, toIndex);
+  const item = moved[toIndex];
+  const before = moved[toIndex - 1];
+  const after = moved[toIndex + 1];
+  const hasPosition = todo => !todo || Number.isFinite(todo.position);
+
+  // 🎯 Caso normal: solo cambia la posición del todo movido
+  if (hasPosition(before) && hasPosition(after)) {
+    if (!before) return [{ id: item.id, position: after.position - POSITION_STEP }];
+    if (!after) return [{ id: item.id, position: before.position + POSITION_STEP }];
+    if (after.position - before.position > MIN_POSITION_GAP) {
+      return [{ id: item.id, position: (before.position + after.position) / 2 }];
+    }
+  }
+
+  // 🔢 Renumerar la lista completa: solo se guardan las posiciones que cambian
+  const rest = allTodos.filter(todo => todo.id !== item.id);
+  const insertAt = before
+    ? rest.findIndex(todo => todo.id === before.id) + 1
+    : Math.max(rest.findIndex(todo => todo.id === after?.id), 0);
+  const renumbered = [...rest.slice(0, insertAt), item, ...rest.slice(insertAt)];
+
+  return renumbered
+    .map((todo, index) => ({ id: todo.id, position: (index + 1) * POSITION_STEP, previous: todo.position }))
+    .filter(update => update.position !== update.previous)
+    .map(({ id, position }) => ({ id, position }));
+};
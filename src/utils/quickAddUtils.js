@@ -0,0 +1,357 @@
+/**
+ * ⚡ INTÉRPRETE DE LA BARRA DE ALTA RÁPIDA
+ *
+ * Convierte una frase en español o inglés en los campos de un todo nuevo.
+ * No depende de React ni de servicios, así que se puede probar por separado.
+ *
+ * Sintaxis reconocida:
+ * - Etiquetas: #ventas #cliente-x
+ * - Prioridad: !alta !media !baja (o !high !medium !low, !1 !2 !3)
+ * - Día: hoy, mañana, pasado mañana, lunes ... domingo (el próximo),
+ *   en 3 días, en 2 semanas, la semana que viene, 25/12, 25/12/2026,
+ *   2026-12-25, 25 de diciembre; y en inglés today, tomorrow, monday,
+ *   next week, in 3 days, dec 25, december 25
+ * - Hora: 17:00, 5pm, 5:30pm, 17h, a las 17, at 5, mediodía / noon
+ * - Plantilla: /nombre-corto al principio (ver buildQuickAddTodo)
+ *
+ * Las palabras de enlace (para, el, a las, at, on, by...) se quitan solo
+ * cuando acompañan a una fecha u hora, así "llamar a Ana" conserva la "a".
+ *
+ * @example
+ * parseQuickAdd('llamar a Ana mañana 17:00 #ventas !alta')
+ * // {
+ * //   title: 'llamar a Ana',
+ * //   dueDate: <mañana a las 17:00>,
+ * //   hasDueTime: true,
+ * //   tags: ['ventas'],
+ * //   priority: 'high',
+ * //   matches: [{ type: 'tag', text: '#ventas' }, ...]
+ * // }
+ */
+
+import { addDays, addWeeks, addMonths, endOfDay, startOfDay, set } from 'date-fns';
+import { normalizeTag } from './todoUtils';
+import { instantiateTemplate } from './templateUtils';
+
+/** Máximo de etiquetas (el mismo que valida el formulario) */
+const MAX_TAGS = 10;
+
+/** Prioridad por cada palabra aceptada tras "!" */
+const PRIORITY_WORDS = {
+  alta: 'high', high: 'high', 1: 'high',
+  media: 'medium', medium: 'medium', 2: 'medium',
+  baja: 'low', low: 'low', 3: 'low',
+};
+
+/** Día de la semana (0 = domingo) por nombre, en español e inglés */
+const WEEKDAYS = {
+  domingo: 0, lunes: 1, martes: 2, miercoles: 3, jueves: 4, viernes: 5, sabado: 6,
+  sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6,
+};
+
+/** Mes (0 = enero) por nombre completo o abreviado, en español e inglés */
+const MONTHS = {
+  enero: 0, febrero: 1, marzo: 2, abril: 3, mayo: 4, junio: 5, julio: 6,
+  agosto: 7, septiembre: 8, setiembre: 8, octubre: 9, noviembre: 10, diciembre: 11,
+  january: 0, february: 1, march: 2, april: 3, may: 4, june: 5, july: 6,
+  august: 7, september: 8, october: 9, november: 10, december: 11,
+  ene: 0, jan: 0, feb: 1, mar: 2, abr: 3, apr: 3, jun: 5, jul: 6,
+  ago: 7, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dic: 11, dec: 11,
+};
+
+/** Unidades de los plazos relativos ("en 3 días", "in 2 weeks") */
+const UNITS = {
+  dia: addDays, dias: addDays, day: addDays, days: addDays,
+  semana: addWeeks, semanas: addWeeks, week: addWeeks, weeks: addWeeks,
+  mes: addMonths, meses: addMonths, month: addMonths, months: addMonths,
+};
+
+/**
+ * Quitar tildes y pasar a minúsculas para buscar en los diccionarios
+ *
+ * @param {string} word - Palabra escrita por el usuario
+ * @returns {string} - Palabra normalizada ("Miércoles" → "miercoles")
+ */
+const normalizeWord = (word) => word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// 🧩 PIEZAS DE LAS EXPRESIONES REGULARES
+const WEEKDAY_NAMES = 'lunes|martes|mi[eé]rcoles|jueves|viernes|s[aá]bado|domingo|monday|tuesday|wednesday|thursday|friday|saturday|sunday';
+const MONTH_NAMES = Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|');
+const UNIT_NAMES = 'd[ií]as?|days?|semanas?|weeks?|mes(?:es)?|months?';
+const DATE_PREFIX = '(?:(?:para|by|due|on)\\s+)?(?:(?:el|la|the)\\s+)?';
+
+/**
+ * Expresión para un fragmento rodeado de espacios o de los bordes del texto
+ *
+ * @param {string} pattern - Patrón del fragmento
+ * @returns {RegExp} - Expresión sin distinguir mayúsculas
+ */
+const phrase = (pattern) => new RegExp(`(^|\\s)(?:${pattern})(?=$|[\\s,.;])`, 'i');
+
+/**
+ * 📆 REGLAS DE FECHA
+ *
+ * Cada regla devuelve el día (a las 00:00) a partir de la coincidencia, o
+ * null si la coincidencia no es una fecha válida (p. ej. 31/02).
+ */
+const DATE_RULES = [
+  {
+    regex: phrase(`${DATE_PREFIX}(?:pasado\\s+ma[nñ]ana|day\\s+after\\s+tomorrow)`),
+    toDate: (match, today) => addDays(today, 2),
+  },
+  {
+    // "la mañana" ("por la mañana", "de la mañana") es un momento del día, no mañana
+    regex: phrase(`(?:(?:para|by|due|on)\\s+)?(?<!(?:^|\\s)la\\s+)(?:ma[nñ]ana|tomorrow)`),
+    toDate: (match, today) => addDays(today, 1),
+  },
+  {
+    regex: phrase(`${DATE_PREFIX}(?:hoy|today|tonight|esta\\s+noche)`),
+    toDate: (match, today) => today,
+  },
+  {
+    // "en 3 días", "in 2 weeks", "en una semana", "in a month"
+    regex: phrase(`(?:en|in)\\s+(\\d{1,3}|una?|an?)\\s+(${UNIT_NAMES})`),
+    toDate: (match, today) => {
+      const amount = /^\d+$/.test(match[2]) ? Number(match[2]) : 1;
+      return UNITS[normalizeWord(match[3])](today, amount);
+    },
+  },
+  {
+    // Semana siguiente: el lunes que viene
+    regex: phrase(`${DATE_PREFIX}(?:(?:la\\s+)?semana\\s+que\\s+viene|(?:la\\s+)?pr[oó]xima\\s+semana|next\\s+week)`),
+    toDate: (match, today) => addDays(today, ((8 - today.getDay()) % 7) || 7),
+  },
+  {
+    // Día de la semana: siempre el próximo (hoy no cuenta; para hoy se usa "hoy")
+    regex: phrase(`${DATE_PREFIX}(?:(?:este|esta|this|next|pr[oó]ximo)\\s+)?(${WEEKDAY_NAMES})`),
+    toDate: (match, today) => {
+      const weekday = WEEKDAYS[normalizeWord(match[2])];
+      return addDays(today, ((weekday - today.getDay() + 7) % 7) || 7);
+    },
+  },
+  {
+    // ISO: 2026-12-25
+    regex: phrase(`${DATE_PREFIX}(\\d{4})-(\\d{1,2})-(\\d{1,2})`),
+    toDate: (match) => buildDate(Number(match[2]), Number(match[3]) - 1, Number(match[4])),
+  },
+  {
+    // Día/mes(/año): 25/12, 25/12/2026, 25-12-26
+    regex: phrase(`${DATE_PREFIX}(\\d{1,2})[/-](\\d{1,2})(?:[/-](\\d{2}|\\d{4}))?`),
+    toDate: (match, today) => buildDate(parseYear(match[4]), Number(match[3]) - 1, Number(match[2]), today),
+  },
+  {
+    // "25 de diciembre", "25 dec", "25 de diciembre de 2026"
+    regex: phrase(`${DATE_PREFIX}(\\d{1,2})\\s+(?:de\\s+)?(${MONTH_NAMES})\\.?(?:\\s+(?:de\\s+)?(\\d{4}))?`),
+    toDate: (match, today) => buildDate(parseYear(match[4]), MONTHS[normalizeWord(match[3])], Number(match[2]), today),
+  },
+  {
+    // "dec 25", "december 25, 2026", "diciembre 25"
+    regex: phrase(`${DATE_PREFIX}(${MONTH_NAMES})\\.?\\s+(\\d{1,2})(?:,?\\s+(\\d{4}))?`),
+    toDate: (match, today) => buildDate(parseYear(match[4]), MONTHS[normalizeWord(match[2])], Number(match[3]), today),
+  },
+];
+
+/**
+ * ⏰ REGLAS DE HORA
+ *
+ * Un número suelto ("comprar 3 manzanas") no es una hora: hace falta ":mm",
+ * am/pm, el sufijo "h" o las palabras "a las" / "at".
+ */
+const TIME_RULES = [
+  {
+    regex: phrase('(?:(?:a|at)\\s+)?(?:mediod[ií]a|noon)'),
+    toTime: () => ({ hours: 12, minutes: 0 }),
+  },
+  {
+    // "a las 17", "a la 1:30", "at 5pm"
+    regex: phrase('(?:a\\s+las?|at)\\s+(\\d{1,2})(?::(\\d{2}))?\\s*(am|pm|h)?'),
+    toTime: (match) => buildTime(match[2], match[3], match[4]),
+  },
+  {
+    // "17:00", "5:30pm"
+    regex: phrase('(\\d{1,2}):(\\d{2})\\s*(am|pm|h)?'),
+    toTime: (match) => buildTime(match[2], match[3], match[4]),
+  },
+  {
+    // "5pm", "17h"
+    regex: phrase('(\\d{1,2})\\s*(am|pm|h)'),
+    toTime: (match) => buildTime(match[2], undefined, match[3]),
+  },
+];
+
+/**
+ * Año de una fecha escrita ("26" → 2026); undefined si no se indicó
+ */
+const parseYear = (year) => {
+  if (!year) return undefined;
+  return year.length === 2 ? 2000 + Number(year) : Number(year);
+};
+
+/**
+ * 📆 CONSTRUIR UNA FECHA VÁLIDA
+ *
+ * Sin año, se usa el actual o el siguiente si la fecha ya pasó.
+ *
+ * @param {number|undefined} year - Año (undefined si no se indicó)
+ * @param {number} month - Mes (0 = enero)
+ * @param {number} day - Día del mes
+ * @param {Date} today - Hoy a las 00:00 (para elegir el año)
+ * @returns {Date|null} - Fecha a las 00:00 o null si no existe (p. ej. 31/02)
+ */
+const buildDate = (year, month, day, today) => {
+  const resolvedYear = year ?? today.getFullYear();
+  const date = new Date(resolvedYear, month, day);
+  if (date.getMonth() !== month || date.getDate() !== day) return null;
+  if (year === undefined && date < today) {
+    return buildDate(resolvedYear + 1, month, day, today);
+  }
+  return date;
+};
+
+/**
+ * ⏰ CONSTRUIR UNA HORA VÁLIDA
+ *
+ * @param {string} hours - Horas escritas
+ * @param {string} minutes - Minutos escritos (opcional)
+ * @param {string} suffix - 'am', 'pm', 'h' o undefined
+ * @returns {Object|null} - {hours, minutes} o null si no es una hora válida
+ */
+const buildTime = (hours, minutes = '0', suffix = '') => {
+  let h = Number(hours);
+  const m = Number(minutes);
+  const period = suffix.toLowerCase();
+
+  if (period === 'am' || period === 'pm') {
+    if (h < 1 || h > 12) return null;
+    h = (h % 12) + (period === 'pm' ? 12 : 0);
+  }
+  if (h > 23 || m > 59) return null;
+  return { hours: h, minutes: m };
+};
+
+/**
+ * ✂️ EXTRAER LA PRIMERA COINCIDENCIA VÁLIDA DE UNA LISTA DE REGLAS
+ *
+ * @param {string} text - Texto restante
+ * @param {Array} rules - Reglas {regex, toDate|toTime}
+ * @param {Function} convert - (rule, match) => valor o null
+ * @returns {Object|null} - {value, text: fragmento, rest: texto sin el fragmento}
+ */
+const extractFirst = (text, rules, convert) => {
+  for (const rule of rules) {
+    const match = text.match(rule.regex);
+    if (!match) continue;
+    const value = convert(rule, match);
+    if (value === null || value === undefined) continue;
+    return {
+      value,
+      text: match[0].trim(),
+      rest: `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`,
+    };
+  }
+  return null;
+};
+
+/**
+ * ⚡ INTERPRETAR UNA FRASE DE ALTA RÁPIDA
+ *
+ * @param {string} input - Texto escrito por el usuario
+ * @param {Date} now - Momento de referencia (default: ahora)
+ * @returns {Object} - {title, dueDate, hasDueTime, tags, priority, matches}
+ *   - dueDate: Date o null (fin del día si no se indicó hora)
+ *   - priority: 'high' | 'medium' | 'low' o null si no se indicó
+ *   - matches: fragmentos reconocidos [{type: 'date'|'time'|'tag'|'priority', text}]
+ */
+export const parseQuickAdd = (input, now = new Date()) => {
+  let text = ` ${input || ''} `;
+  const matches = [];
+  const tags = [];
+  let priority = null;
+
+  // 🏷️ ETIQUETAS (#ventas)
+  text = text.replace(/(^|\s)#([^\s#!,;]+)/g, (fragment, space, rawTag) => {
+    const tag = normalizeTag(rawTag);
+    if (tag && !tags.includes(tag) && tags.length < MAX_TAGS) tags.push(tag);
+    matches.push({ type: 'tag', text: `#${rawTag}` });
+    return space;
+  });
+
+  // 🎯 PRIORIDAD (!alta); la última escrita es la que cuenta
+  text = text.replace(/(^|\s)!(\S+)(?=\s|$)/g, (fragment, space, word) => {
+    const value = PRIORITY_WORDS[normalizeWord(word)];
+    if (!value) return fragment; // "!importante" se queda en el título
+    priority = value;
+    matches.push({ type: 'priority', text: `!${word}` });
+    return space;
+  });
+
+  // 📆 FECHA Y ⏰ HORA
+  const today = startOfDay(now);
+  const date = extractFirst(text, DATE_RULES, (rule, match) => rule.toDate(match, today));
+  if (date) {
+    text = date.rest;
+    matches.push({ type: 'date', text: date.text });
+  }
+  const time = extractFirst(text, TIME_RULES, (rule, match) => rule.toTime(match));
+  if (time) {
+    text = time.rest;
+    matches.push({ type: 'time', text: time.text });
+  }
+
+  let dueDate = null;
+  if (time) {
+    dueDate = set(date ? date.value : today, { ...time.value, seconds: 0, milliseconds: 0 });
+    // Solo hora y ya pasada: se entiende mañana
+    if (!date && dueDate <= now) dueDate = addDays(dueDate, 1);
+  } else if (date) {
+    dueDate = endOfDay(date.value); // Sin hora, vence al final del día (como en el formulario)
+  }
+
+  // 📝 TÍTULO: lo que queda, sin espacios repetidos ni puntuación suelta al final
+  const title = text.replace(/\s+/g, ' ').trim().replace(/[\s,;]+$/, '');
+
+  return {
+    title,
+    dueDate,
+    hasDueTime: Boolean(time),
+    tags,
+    priority,
+    matches,
+  };
+};
+
+/**
+ * 🆕 DATOS DEL TODO A CREAR DESDE EL ALTA RÁPIDA
+ *
+ * Con plantilla, su contenido es la base: el texto escrito rellena el
+ * marcador {{texto}} (o se añade al final del título si no lo tiene) y la
+ * fecha, la prioridad y las etiquetas escritas tienen preferencia.
+ *
+ * @param {Object} parsed - Resultado de parseQuickAdd
+ * @param {Object|null} template - Plantilla invocada con "/nombre" (o null)
+ * @param {Date} now - Momento de referencia (default: ahora)
+ * @returns {Object} - Datos para createTodo
+ */
+export const buildQuickAddTodo = (parsed, template = null, now = new Date()) => {
+  if (!template) {
+    return {
+      title: parsed.title,
+      description: '',
+      priority: parsed.priority || 'medium',
+      dueDate: parsed.dueDate,
+      hasDueTime: parsed.hasDueTime,
+      tags: parsed.tags,
+    };
+  }
+
+  const base = instantiateTemplate(template, now, { texto: parsed.title });
+  const usesText = /\{\{\s*texto\s*\}\}/i.test(template.title);
+  return {
+    ...base,
+    title: !usesText && parsed.title ? `${base.title} ${parsed.title}` : base.title,
+    priority: parsed.priority || base.priority,
+    dueDate: parsed.dueDate || base.dueDate,
+    hasDueTime: parsed.dueDate ? parsed.hasDueTime : base.hasDueTime,
+    tags: [...new Set([...base.tags, ...parsed.tags])].slice(0, MAX_TAGS),
+  };
+};
@@ -0,0 +1,268 @@
+/**
+ * 🔁 UTILIDADES PARA TODOS RECURRENTES
+ *
+ * Este archivo contiene las funciones para trabajar con reglas de recurrencia
+ * al estilo RRULE (simplificado). Una regla tiene la forma:
+ *
+ * {
+ *   freq: 'daily' | 'weekly' | 'monthly', // Frecuencia base
+ *   interval: number,                      // Cada cuántas unidades (1 = todas)
+ *   weekdays: number[],                    // Solo weekly: días (0 = domingo ... 6 = sábado)
+ *   monthDay: number,                      // Solo monthly: día del mes (1-31)
+ * }
+ *
+ * Funcionalidades:
+ * - Presets de recurrencia para el formulario
+ * - Cálculo de la siguiente ocurrencia
+ * - Descripción legible en español ("cada lunes")
+ * - Generación del siguiente todo al completar uno recurrente
+ */
+
+import {
+  addDays,
+  addWeeks,
+  addMonths,
+  startOfWeek,
+  startOfDay,
+  endOfDay,
+  getDaysInMonth,
+  setDate
+} from 'date-fns';
+import { parseAPIDate } from './dateUtils';
+import { createSubtask } from './todoUtils';
+
+/**
+ * 📅 NOMBRES DE LOS DÍAS DE LA SEMANA
+ *
+ * Indexados como Date.getDay(): 0 = domingo ... 6 = sábado
+ */
+export const WEEKDAY_NAMES = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+/**
+ * 📅 DÍAS LABORABLES (lunes a viernes)
+ */
+export const WORKING_WEEKDAYS = [1, 2, 3, 4, 5];
+
+/**
+ * 📋 PRESETS DE RECURRENCIA PARA SELECTS
+ *
+ * Formato {value, label} compatible con el componente Select
+ */
+export const RECURRENCE_PRESET_OPTIONS = [
+  { value: 'none', label: 'No se repite' },
+  { value: 'daily', label: 'Cada día' },
+  { value: 'weekdays', label: 'De lunes a viernes' },
+  { value: 'weekly', label: 'Semanal (elegir días)' },
+  { value: 'monthly', label: 'Mensual (día del mes)' },
+  { value: 'custom', label: 'Personalizado...' },
+];
+
+/**
+ * 📋 UNIDADES PARA EL INTERVALO PERSONALIZADO
+ */
+export const RECURRENCE_FREQ_OPTIONS = [
+  { value: 'daily', label: 'días' },
+  { value: 'weekly', label: 'semanas' },
+  { value: 'monthly', label: 'meses' },
+];
+
+/**
+ * 🛡️ NORMALIZAR REGLA DE RECURRENCIA
+ *
+ * Devuelve una regla válida o null. Los backends sin soporte de recurrencia
+ * devuelven undefined/null: en ese caso el todo no se repite.
+ *
+ * @param {Object|null} rule - Regla recibida
+ * @returns {Object|null} - Regla normalizada o null si no es válida
+ *
+ * @example
+ * normalizeRecurrence({ freq: 'weekly', weekdays: [3, 1] })
+ * // { freq: 'weekly', interval: 1, weekdays: [1, 3] }
+ */
+export const normalizeRecurrence = (rule) => {
+  if (!rule || !['daily', 'weekly', 'monthly'].includes(rule.freq)) return null;
+
+  const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+
+  if (rule.freq === 'weekly') {
+    const weekdays = [...new Set(rule.weekdays || [])]
+      .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+      .sort((a, b) => a - b);
+    if (weekdays.length === 0) return null;
+    return { freq: 'weekly', interval, weekdays };
+  }
+
+  if (rule.freq === 'monthly') {
+    const monthDay = Math.min(31, Math.max(1, parseInt(rule.monthDay, 10) || 1));
+    return { freq: 'monthly', interval, monthDay };
+  }
+
+  return { freq: 'daily', interval };
+};
+
+/**
+ * 🎛️ OBTENER PRESET DE UNA REGLA
+ *
+ * Determina qué opción del formulario corresponde a una regla.
+ *
+ * @param {Object|null} rule - Regla de recurrencia
+ * @returns {string} - Valor de RECURRENCE_PRESET_OPTIONS
+ */
+export const getRecurrencePreset = (rule) => {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized) return 'none';
+  if (normalized.interval !== 1) return 'custom';
+  if (normalized.freq === 'weekly' && normalized.weekdays.join() === WORKING_WEEKDAYS.join()) {
+    return 'weekdays';
+  }
+  return normalized.freq;
+};
+
+/**
+ * ⏭️ CALCULAR SIGUIENTE OCURRENCIA
+ *
+ * Calcula la fecha de la siguiente ocurrencia estrictamente posterior a
+ * `fromDate`, conservando la hora del día.
+ *
+ * @param {Object} rule - Regla de recurrencia
+ * @param {Date|string} fromDate - Fecha de la ocurrencia actual
+ * @returns {Date|null} - Siguiente fecha o null si la regla no es válida
+ *
+ * @example
+ * // Lunes 6/10/2025 10:00, regla "cada lunes y miércoles"
+ * getNextOccurrence({ freq: 'weekly', weekdays: [1, 3] }, new Date(2025, 9, 6, 10))
+ * // Miércoles 8/10/2025 10:00
+ *
+ * // 31/01/2025, regla "cada mes el día 31"
+ * getNextOccurrence({ freq: 'monthly', monthDay: 31 }, new Date(2025, 0, 31))
+ * // 28/02/2025 (último día si el mes es más corto)
+ *
+ * // 05/01/2025, regla "cada mes el día 15"
+ * getNextOccurrence({ freq: 'monthly', monthDay: 15 }, new Date(2025, 0, 5))
+ * // 15/01/2025 (el día aún no ha pasado este mes)
+ */
+export const getNextOccurrence = (rule, fromDate) => {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized) return null;
+
+  const from = parseAPIDate(fromDate);
+  const { freq, interval } = normalized;
+
+  if (freq === 'daily') {
+    return addDays(from, interval);
+  }
+
+  if (freq === 'weekly') {
+    // Días seleccionados que quedan en la semana actual (lunes a domingo)
+    const weekStart = startOfWeek(from, { weekStartsOn: 1 });
+    const toWeekOffset = (day) => (day + 6) % 7; // lunes = 0 ... domingo = 6
+    const currentOffset = toWeekOffset(from.getDay());
+    const offsets = normalized.weekdays.map(toWeekOffset).sort((a, b) => a - b);
+
+    const laterThisWeek = offsets.find(offset => offset > currentOffset);
+    if (laterThisWeek !== undefined) {
+      return addDays(from, laterThisWeek - currentOffset);
+    }
+
+    // Primer día seleccionado de la semana que toque según el intervalo
+    const targetWeekStart = addWeeks(weekStart, interval);
+    const target = addDays(targetWeekStart, offsets[0]);
+    target.setHours(from.getHours(), from.getMinutes(), from.getSeconds(), from.getMilliseconds());
+    return target;
+  }
+
+  // monthly: el día del mes si aún queda en el mes actual
+  const laterThisMonth = setDate(from, Math.min(normalized.monthDay, getDaysInMonth(from)));
+  if (laterThisMonth > from) {
+    return laterThisMonth;
+  }
+
+  // Mismo día del mes que toque según el intervalo (o el último si el mes es más corto)
+  const targetMonth = addMonths(setDate(from, 1), interval);
+  return setDate(targetMonth, Math.min(normalized.monthDay, getDaysInMonth(targetMonth)));
+};
+
+/**
+ * 🗣️ DESCRIBIR REGLA EN ESPAÑOL
+ *
+ * @param {Object|null} rule - Regla de recurrencia
+ * @returns {string} - Descripción legible o string vacío si no se repite
+ *
+ * @example
+ * describeRecurrence({ freq: 'daily', interval: 1 })                  // "cada día"
+ * describeRecurrence({ freq: 'weekly', interval: 1, weekdays: [1] })  // "cada lunes"
+ * describeRecurrence({ freq: 'weekly', interval: 1, weekdays: [1, 2, 3, 4, 5] }) // "de lunes a viernes"
+ * describeRecurrence({ freq: 'weekly', interval: 2, weekdays: [1, 3] }) // "cada 2 semanas: lunes y miércoles"
+ * describeRecurrence({ freq: 'monthly', interval: 1, monthDay: 15 })  // "cada mes el día 15"
+ */
+export const describeRecurrence = (rule) => {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized) return '';
+
+  const { freq, interval } = normalized;
+
+  if (freq === 'daily') {
+    return interval === 1 ? 'cada día' : `cada ${interval} días`;
+  }
+
+  if (freq === 'weekly') {
+    if (interval === 1 && normalized.weekdays.join() === WORKING_WEEKDAYS.join()) {
+      return 'de lunes a viernes';
+    }
+    // Ordenar empezando por el lunes para la descripción
+    const names = [...normalized.weekdays]
+      .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+      .map(day => WEEKDAY_NAMES[day]);
+    const dayList = names.length > 1
+      ? `${names.slice(0, -1).join(', ')} y ${names[names.length - 1]}`
+      : names[0];
+    return interval === 1 ? `cada ${dayList}` : `cada ${interval} semanas: ${dayList}`;
+  }
+
+  const every = interval === 1 ? 'cada mes' : `cada ${interval} meses`;
+  return `${every} el día ${normalized.monthDay}`;
+};
+
+/**
+ * 🆕 CONSTRUIR LA SIGUIENTE OCURRENCIA DE UN TODO
+ *
+ * Genera los datos del todo que sustituye a uno recurrente cuando se completa:
+ * mismo contenido, subtareas reiniciadas y fecha límite en la siguiente
+ * ocurrencia. Si el todo iba atrasado, se salta a la primera ocurrencia
+ * a partir de hoy para no generar todos ya vencidos.
+ *
+ * @param {Object} todo - Todo recurrente en formato del frontend
+ * @param {Date} now - Momento actual (inyectable para pruebas)
+ * @returns {Object|null} - Datos para createTodo o null si no es recurrente
+ */
+export const buildNextOccurrence = (todo, now = new Date()) => {
+  const rule = normalizeRecurrence(todo.recurrence);
+  if (!rule) return null;
+
+  // Sin fecha límite, la serie parte del momento en que se completa
+  let nextDate = getNextOccurrence(rule, todo.dueDate || now);
+  while (nextDate < startOfDay(now)) {
+    nextDate = getNextOccurrence(rule, nextDate);
+  }
+
+  // Sin hora concreta, el vencimiento es el final del día (como en el formulario)
+  const hasDueTime = Boolean(todo.dueDate && todo.hasDueTime);
+  if (!hasDueTime) {
+    nextDate = endOfDay(nextDate);
+  }
+
+  return {
+    title: todo.title,
+    description: todo.description,
+    priority: todo.priority,
+    dueDate: nextDate,
+    hasDueTime,
+    tags: todo.tags,
+    subtasks: (todo.subtasks || []).map(subtask => createSubtask(subtask.title)),
+    autoComplete: todo.autoComplete,
+    recurrence: rule,
+    reminders: todo.reminders,
+    listId: todo.listId,
+    blockedBy: todo.blockedBy,
+  };
+};
@@ -0,0 +1,139 @@
+/**
+ * 🔔 UTILIDADES PARA RECORDATORIOS
+ *
+ * Un recordatorio es un desplazamiento en minutos antes de la fecha límite
+ * del todo (0 = a la hora del vencimiento). Cada todo guarda un array de
+ * desplazamientos, p. ej. [15, 1440] = "15 min antes" y "1 día antes".
+ *
+ * Los todos sin hora concreta vencen al final del día; para que sus
+ * recordatorios sean útiles se calculan desde las 9:00 del día de vencimiento.
+ *
+ * Funcionalidades:
+ * - Opciones de recordatorio para el formulario
+ * - Normalización y descripción legible en español
+ * - Cálculo del momento de aviso de cada recordatorio
+ * - Selección de los recordatorios pendientes de avisar
+ */
+
+import { setHours, startOfDay, subMinutes } from 'date-fns';
+import { parseAPIDate } from './dateUtils';
+
+/** Máximo de recordatorios por todo */
+export const MAX_REMINDERS = 5;
+
+/** Hora de referencia (9:00) para los todos que vencen sin hora concreta */
+export const ALL_DAY_REMINDER_HOUR = 9;
+
+/**
+ * 📋 OPCIONES DE RECORDATORIO PARA SELECTS
+ *
+ * Formato {value, label} compatible con el componente Select (minutos antes)
+ */
+export const REMINDER_OPTIONS = [
+  { value: 0, label: 'A la hora del vencimiento' },
+  { value: 5, label: '5 min antes' },
+  { value: 15, label: '15 min antes' },
+  { value: 30, label: '30 min antes' },
+  { value: 60, label: '1 hora antes' },
+  { value: 120, label: '2 horas antes' },
+  { value: 1440, label: '1 día antes' },
+  { value: 2880, label: '2 días antes' },
+  { value: 10080, label: '1 semana antes' },
+];
+
+/**
+ * 📋 OPCIONES DE POSPONER (minutos)
+ */
+export const SNOOZE_OPTIONS = [
+  { value: 5, label: '5 min' },
+  { value: 15, label: '15 min' },
+  { value: 60, label: '1 hora' },
+];
+
+/**
+ * 🛡️ NORMALIZAR RECORDATORIOS
+ *
+ * Devuelve los desplazamientos válidos, sin duplicados y ordenados de menor
+ * a mayor. Los backends sin soporte de recordatorios devuelven undefined/null.
+ *
+ * @param {Array<number>} reminders - Desplazamientos recibidos
+ * @returns {Array<number>} - Desplazamientos normalizados
+ *
+ * @example
+ * normalizeReminders([1440, '15', 15, -3]) // [15, 1440]
+ */
+export const normalizeReminders = (reminders) => {
+  if (!Array.isArray(reminders)) return [];
+  const offsets = reminders
+    .map(offset => parseInt(offset, 10))
+    .filter(offset => Number.isInteger(offset) && offset >= 0);
+  return [...new Set(offsets)].sort((a, b) => a - b).slice(0, MAX_REMINDERS);
+};
+
+/**
+ * 🗣️ DESCRIBIR UN RECORDATORIO
+ *
+ * @param {number} offset - Minutos antes del vencimiento
+ * @returns {string} - Descripción legible
+ *
+ * @example
+ * describeReminder(15)   // "15 min antes"
+ * describeReminder(90)   // "90 min antes"
+ * describeReminder(4320) // "3 días antes"
+ */
+export const describeReminder = (offset) => {
+  const option = REMINDER_OPTIONS.find(current => current.value === offset);
+  if (option) return option.label;
+  if (offset % 1440 === 0) return `${offset / 1440} días antes`;
+  if (offset % 60 === 0) return `${offset / 60} horas antes`;
+  return `${offset} min antes`;
+};
+
+/**
+ * ⏰ MOMENTO DE REFERENCIA DEL VENCIMIENTO
+ *
+ * @param {Object} todo - Todo en formato del frontend
+ * @returns {Date|null} - Fecha límite o las 9:00 del día si no tiene hora
+ */
+export const getReminderReference = (todo) => {
+  if (!todo.dueDate) return null;
+  const dueDate = parseAPIDate(todo.dueDate);
+  return todo.hasDueTime ? dueDate : setHours(startOfDay(dueDate), ALL_DAY_REMINDER_HOUR);
+};
+
+/**
+ * 🔑 CLAVE ÚNICA DE UN RECORDATORIO
+ *
+ * Incluye la fecha límite: si el todo se reprograma, el recordatorio vuelve
+ * a estar pendiente aunque ya se hubiera avisado.
+ *
+ * @param {Object} todo - Todo en formato del frontend
+ * @param {number} offset - Minutos antes del vencimiento
+ * @returns {string} - Clave del recordatorio
+ */
+export const getReminderKey = (todo, offset) => {
+  return `${todo.id}:${offset}:${parseAPIDate(todo.dueDate).getTime()}`;
+};
+
+/**
+ * 📋 PROGRAMAR RECORDATORIOS
+ *
+ * Calcula todos los avisos de los todos pendientes con fecha límite.
+ *
+ * @param {Array} todos - Todos en formato del frontend
+ * @returns {Array<Object>} - Avisos {key, todo, offset, fireAt} ordenados por fireAt
+ */
+export const getScheduledReminders = (todos) => {
+  return todos
+    .filter(todo => !todo.completed && todo.dueDate)
+    .flatMap(todo => {
+      const reference = getReminderReference(todo);
+      return normalizeReminders(todo.reminders).map(offset => ({
+        key: getReminderKey(todo, offset),
+        todo,
+        offset,
+        fireAt: subMinutes(reference, offset),
+      }));
+    })
+    .sort((a, b) => a.fireAt - b.fireAt);
+};
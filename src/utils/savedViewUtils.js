@@ -0,0 +1,123 @@
+/**
+ * 🔖 UTILIDADES PARA LAS VISTAS GUARDADAS
+ *
+ * Una vista guardada es una combinación de filtros, ordenamiento, vista
+ * (lista, tablero o calendario) y agrupación del tablero. Se representa
+ * como la query string de su URL, así que el mismo texto sirve para
+ * guardarla, compararla con la vista actual y compartirla como enlace.
+ *
+ * Parámetros de la URL (los valores por defecto se omiten):
+ * - status, q, priority, tag (uno por etiqueta), sort
+ * - view ('list', 'board' o 'calendar') y group (solo en el tablero)
+ *
+ * @example
+ * serializeViewQuery({ filters: { status: 'pending', tags: ['backend'] }, view: 'list' });
+ * // 'status=pending&tag=backend&view=list'
+ */
+
+import { STATUS_FILTER_OPTIONS, PRIORITY_OPTIONS, SORT_OPTIONS, normalizeTag } from './todoUtils';
+import { VIEW_MODES, BOARD_GROUPINGS } from './boardUtils';
+
+/** Filtros sin aplicar (los de "Limpiar") */
+export const DEFAULT_FILTERS = {
+  status: 'all',
+  search: '',
+  priority: 'all',
+  tags: [],
+  sortBy: 'default',
+};
+
+/** Nombre de cada vista de la página */
+const VIEW_MODE_LABELS = {
+  list: 'Lista',
+  board: 'Tablero',
+  calendar: 'Calendario',
+};
+
+/** Parámetros de la URL que describen una vista */
+const VIEW_PARAMS = ['status', 'q', 'priority', 'tag', 'sort', 'view', 'group'];
+
+/**
+ * 🔗 QUERY STRING DE UNA VISTA
+ *
+ * @param {Object} options - Vista a serializar
+ * @param {Object} options.filters - Filtros {status, search, priority, tags, sortBy}
+ * @param {string} options.view - 'list', 'board' o 'calendar'
+ * @param {string} options.groupBy - Agrupación del tablero
+ * @returns {string} - Query string sin "?" (orden de parámetros estable)
+ */
+export const serializeViewQuery = ({ filters = {}, view = 'list', groupBy = 'status' }) => {
+  const params = new URLSearchParams();
+  const { status, search, priority, tags, sortBy } = { ...DEFAULT_FILTERS, ...filters };
+
+  if (status !== DEFAULT_FILTERS.status) params.set('status', status);
+  if (search.trim()) params.set('q', search.trim());
+  if (priority !== DEFAULT_FILTERS.priority) params.set('priority', priority);
+  [...tags].sort().forEach(tag => params.append('tag', tag));
+  if (sortBy !== DEFAULT_FILTERS.sortBy) params.set('sort', sortBy);
+  params.set('view', view);
+  if (view === 'board') params.set('group', groupBy);
+
+  return params.toString();
+};
+
+/**
+ * 📖 LEER UNA VISTA DE LA QUERY STRING
+ *
+ * Los valores desconocidos se ignoran (se usa el valor por defecto).
+ *
+ * @param {string} query - Query string (con o sin "?")
+ * @returns {Object|null} - {filters, view, groupBy} (view y groupBy pueden ser null),
+ *   o null si la URL no describe ninguna vista
+ */
+export const parseViewQuery = (query) => {
+  const params = new URLSearchParams(query);
+  if (!VIEW_PARAMS.some(param => params.has(param))) return null;
+
+  // Valor del parámetro si es una de las opciones válidas
+  const pick = (param, values, fallback) => (
+    values.includes(params.get(param)) ? params.get(param) : fallback
+  );
+
+  return {
+    filters: {
+      status: pick('status', STATUS_FILTER_OPTIONS.map(option => option.value), DEFAULT_FILTERS.status),
+      search: params.get('q') || '',
+      priority: pick('priority', PRIORITY_OPTIONS.map(option => option.value), DEFAULT_FILTERS.priority),
+      tags: [...new Set(params.getAll('tag').map(normalizeTag).filter(Boolean))],
+      sortBy: pick('sort', SORT_OPTIONS.map(option => option.value), DEFAULT_FILTERS.sortBy),
+    },
+    view: pick('view', VIEW_MODES, null),
+    groupBy: pick('group', BOARD_GROUPINGS.map(option => option.value), null),
+  };
+};
+
+/**
+ * 🗣️ DESCRIBIR UNA VISTA
+ *
+ * @param {string} query - Query string de la vista
+ * @returns {string} - Resumen legible, p. ej. "Pendientes · #backend · Tablero por prioridad"
+ */
+export const describeViewQuery = (query) => {
+  const parsed = parseViewQuery(query);
+  if (!parsed) return 'Sin filtros';
+
+  const { filters, view, groupBy } = parsed;
+  const labelOf = (options, value) => options.find(option => option.value === value)?.label;
+  const parts = [];
+
+  if (filters.status !== DEFAULT_FILTERS.status) parts.push(labelOf(STATUS_FILTER_OPTIONS, filters.status));
+  if (filters.search) parts.push(`"${filters.search}"`);
+  if (filters.priority !== DEFAULT_FILTERS.priority) {
+    parts.push(`Prioridad ${labelOf(PRIORITY_OPTIONS, filters.priority).toLowerCase()}`);
+  }
+  filters.tags.forEach(tag => parts.push(`#${tag}`));
+  if (filters.sortBy !== DEFAULT_FILTERS.sortBy) parts.push(`Ordenar: ${labelOf(SORT_OPTIONS, filters.sortBy)}`);
+  if (view === 'board' && groupBy) {
+    parts.push(`Tablero por ${labelOf(BOARD_GROUPINGS, groupBy).toLowerCase()}`);
+  } else if (view && view !== 'list') {
+    parts.push(VIEW_MODE_LABELS[view]);
+  }
+
+  return parts.length > 0 ? parts.join(' · ') : 'Sin filtros';
+};
@@ -0,0 +1,522 @@
+/**
+ * 🔎 LENGUAJE DE BÚSQUEDA
+ *
+ * Intérprete del cuadro de búsqueda de TodoFilters. No depende de React ni
+ * de servicios, así que se puede probar por separado.
+ *
+ * Sintaxis (los términos se combinan con "y"):
+ * - Palabras sueltas: deben aparecer en el título, la descripción o las
+ *   etiquetas; se admiten erratas (ver fuzzySearchUtils)
+ * - "frase exacta": la frase tal cual, entre comillas
+ * - estado:pendiente | completado | vencido
+ * - prioridad:alta | media | baja
+ * - tag:backend (o etiqueta:backend)
+ * - vence:2026-11-01, vence:<2026-11-01, vence:>=hoy (también <=, >, mañana,
+ *   ayer) y vence:ninguna para los todos sin fecha límite
+ * - -término: excluye lo que cumpla el término (-tag:backend, -"frase", -palabra)
+ *
+ * Los nombres de campo y los valores admiten también sus equivalentes en
+ * inglés (status:pending, priority:high, due:<today) y se escriben con o
+ * sin tildes. El texto buscado tampoco distingue tildes ni mayúsculas
+ * ("reunion" encuentra "Reunión"). Los términos con errores se ignoran al
+ * filtrar y se informan con su posición para marcarlos en el campo.
+ *
+ * @example
+ * parseSearchQuery('estado:pendiente tag:backend vence:<2026-11-01 "frase exacta" -excluir')
+ * // {
+ * //   terms: [
+ * //     { type: 'status', value: 'pending', negated: false, start: 0, end: 16 },
+ * //     { type: 'tag', value: 'backend', ... },
+ * //     { type: 'due', operator: '<', value: '2026-11-01', ... },
+ * //     { type: 'phrase', value: 'frase exacta', ... },
+ * //     { type: 'text', value: 'excluir', negated: true, ... },
+ * //   ],
+ * //   errors: [],
+ * // }
+ */
+
+import { addDays, isValid, parse } from 'date-fns';
+import { normalizeTag } from './todoUtils';
+import { parseAPIDate, isOverdue } from './dateUtils';
+import { toDayKey } from './calendarUtils';
+import { foldText, findMatch } from './fuzzySearchUtils';
+
+/** Número máximo de sugerencias del autocompletado */
+const MAX_SUGGESTIONS = 8;
+
+/**
+ * 🧾 CAMPOS DEL LENGUAJE
+ *
+ * `values` son los valores fijos que acepta cada campo (las etiquetas se
+ * sugieren a partir de las existentes). `words` traduce lo escrito, sin
+ * tildes, al valor interno.
+ */
+export const SEARCH_FIELDS = [
+  {
+    name: 'estado',
+    type: 'status',
+    aliases: ['status'],
+    description: 'Pendiente, completado o vencido',
+    values: ['pendiente', 'completado', 'vencido'],
+    words: {
+      pendiente: 'pending', pendientes: 'pending', pending: 'pending',
+      completado: 'completed', completados: 'completed', hecho: 'completed', completed: 'completed', done: 'completed',
+      vencido: 'overdue', vencidos: 'overdue', overdue: 'overdue',
+    },
+  },
+  {
+    name: 'prioridad',
+    type: 'priority',
+    aliases: ['priority'],
+    description: 'Alta, media o baja',
+    values: ['alta', 'media', 'baja'],
+    words: {
+      alta: 'high', high: 'high',
+      media: 'medium', medium: 'medium',
+      baja: 'low', low: 'low',
+    },
+  },
+  {
+    name: 'tag',
+    type: 'tag',
+    aliases: ['etiqueta'],
+    description: 'Tiene la etiqueta',
+    values: [],
+  },
+  {
+    name: 'vence',
+    type: 'due',
+    aliases: ['due'],
+    description: 'Fecha límite: 2026-11-01, <hoy, >=mañana o ninguna',
+    values: ['hoy', 'mañana', 'ayer', 'ninguna'],
+  },
+];
+
+/** Comparadores de vence:, del más largo al más corto */
+const DUE_OPERATORS = ['<=', '>=', '<', '>', '='];
+
+/** Días relativos a hoy que admite vence: */
+const RELATIVE_DAYS = {
+  hoy: 0, today: 0,
+  manana: 1, tomorrow: 1,
+  ayer: -1, yesterday: -1,
+};
+
+/** Palabras de vence: para los todos sin fecha límite */
+const NO_DUE_WORDS = ['ninguna', 'ninguno', 'sin', 'no', 'none'];
+
+/**
+ * Quitar tildes y pasar a minúsculas para comparar nombres y valores
+ *
+ * @param {string} word - Texto escrito por el usuario
+ * @returns {string} - Texto normalizado ("Mañana" → "manana")
+ */
+const normalizeWord = (word) => word.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+/**
+ * Campo por su nombre o alias
+ *
+ * @param {string} name - Nombre escrito (con o sin tildes)
+ * @returns {Object|undefined} - Campo de SEARCH_FIELDS
+ */
+const findField = (name) => {
+  const normalized = normalizeWord(name);
+  return SEARCH_FIELDS.find(field => field.name === normalized || field.aliases.includes(normalized));
+};
+
+/**
+ * 📅 INTERPRETAR EL VALOR DE vence:
+ *
+ * @param {string} raw - Valor escrito tras "vence:"
+ * @param {Date} now - Fecha de referencia para hoy, mañana y ayer
+ * @returns {Object} - {operator, value} (value: 'yyyy-MM-dd' o 'none') o {error}
+ */
+const parseDueValue = (raw, now) => {
+  const operator = DUE_OPERATORS.find(op => raw.startsWith(op)) || '=';
+  const rest = normalizeWord(raw.slice(operator === '=' && !raw.startsWith('=') ? 0 : operator.length));
+
+  if (NO_DUE_WORDS.includes(rest)) {
+    return operator === '='
+      ? { operator, value: 'none' }
+      : { error: `"${rest}" no se puede comparar: usa vence:ninguna` };
+  }
+  if (rest in RELATIVE_DAYS) {
+    return { operator, value: toDayKey(addDays(now, RELATIVE_DAYS[rest])) };
+  }
+  const date = parse(rest, 'yyyy-MM-dd', now);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(rest) && isValid(date)) {
+    return { operator, value: rest };
+  }
+  return { error: `Fecha no válida "${rest}": usa AAAA-MM-DD, hoy, mañana, ayer o ninguna` };
+};
+
+/**
+ * 🧩 INTERPRETAR UN TÉRMINO campo:valor
+ *
+ * @param {Object} field - Campo de SEARCH_FIELDS
+ * @param {string} raw - Valor escrito
+ * @param {Date} now - Fecha de referencia
+ * @returns {Object} - Datos del término ({type, value, ...}) o {error}
+ */
+const parseFieldValue = (field, raw, now) => {
+  if (!raw) {
+    return { error: `Falta el valor de "${field.name}:"` };
+  }
+  switch (field.type) {
+    case 'tag': {
+      const tag = normalizeTag(raw);
+      return tag ? { type: 'tag', value: tag } : { error: 'Falta el nombre de la etiqueta' };
+    }
+    case 'due': {
+      const due = parseDueValue(raw, now);
+      return due.error ? due : { type: 'due', ...due };
+    }
+    default: {
+      const value = field.words[normalizeWord(raw)];
+      return value
+        ? { type: field.type, value }
+        : { error: `Valor no válido "${raw}" para ${field.name}: usa ${field.values.join(', ')}` };
+    }
+  }
+};
+
+/**
+ * 🔎 INTERPRETAR UNA CONSULTA
+ *
+ * @param {string} input - Texto del cuadro de búsqueda
+ * @param {Date} now - Fecha de referencia para hoy, mañana y ayer (default: ahora)
+ * @returns {Object} - {terms, errors}; cada término y cada error llevan
+ *   `start` y `end` (posiciones en el texto) y los errores un `message`
+ */
+export const parseSearchQuery = (input = '', now = new Date()) => {
+  const terms = [];
+  const errors = [];
+  let index = 0;
+
+  while (index < input.length) {
+    // Saltar espacios entre términos
+    if (/\s/.test(input[index])) {
+      index += 1;
+      continue;
+    }
+
+    const start = index;
+    const negated = input[index] === '-';
+    if (negated) index += 1;
+
+    // "frase exacta"
+    if (input[index] === '"') {
+      const close = input.indexOf('"', index + 1);
+      if (close === -1) {
+        errors.push({ message: 'Faltan las comillas de cierre', start, end: input.length });
+        break;
+      }
+      const phrase = input.slice(index + 1, close).trim();
+      index = close + 1;
+      if (phrase) {
+        terms.push({ type: 'phrase', value: phrase.toLowerCase(), negated, start, end: index });
+      } else {
+        errors.push({ message: 'La frase entre comillas está vacía', start, end: index });
+      }
+      continue;
+    }
+
+    // Palabra o campo:valor (hasta el siguiente espacio)
+    while (index < input.length && !/\s/.test(input[index])) index += 1;
+    const word = input.slice(negated ? start + 1 : start, index);
+
+    if (!word) {
+      errors.push({ message: 'Falta el término a excluir tras "-"', start, end: index });
+      continue;
+    }
+
+    const colon = word.indexOf(':');
+    if (colon <= 0) {
+      terms.push({ type: 'text', value: word.toLowerCase(), negated, start, end: index });
+      continue;
+    }
+
+    const fieldName = word.slice(0, colon);
+    const field = findField(fieldName);
+    if (!field) {
+      errors.push({
+        message: `Campo desconocido "${fieldName}": usa ${SEARCH_FIELDS.map(f => f.name).join(', ')} (o pon el texto entre comillas)`,
+        start,
+        end: index,
+      });
+      continue;
+    }
+
+    const parsed = parseFieldValue(field, word.slice(colon + 1), now);
+    if (parsed.error) {
+      errors.push({ message: parsed.error, start, end: index });
+    } else {
+      terms.push({ ...parsed, negated, start, end: index });
+    }
+  }
+
+  return { terms, errors };
+};
+
+/**
+ * ⚖️ PESO DE CADA CAMPO EN LA RELEVANCIA
+ *
+ * Una coincidencia en el título cuenta más que en una etiqueta, y esta más
+ * que en la descripción.
+ */
+const FIELD_WEIGHTS = { title: 3, tags: 2, description: 1 };
+
+/**
+ * Textos normalizados de cada todo (con foldText), calculados una sola vez
+ * por objeto: los todos se sustituyen al editarse, así que no caducan.
+ */
+const foldedTodos = new WeakMap();
+
+/**
+ * 🔡 TEXTOS NORMALIZADOS DE UN TODO
+ *
+ * @param {Object} todo - Todo {title, description, tags}
+ * @returns {Object} - {title, description, tags} sin tildes y en minúsculas
+ */
+const getFoldedTodo = (todo) => {
+  let folded = foldedTodos.get(todo);
+  if (!folded) {
+    folded = {
+      title: foldText(todo.title),
+      description: foldText(todo.description || ''),
+      tags: foldText((todo.tags || []).join(' ')),
+    };
+    foldedTodos.set(todo, folded);
+  }
+  return folded;
+};
+
+/**
+ * 🏅 PUNTUACIÓN DE UN TÉRMINO DE TEXTO
+ *
+ * Las palabras sueltas se buscan primero tal cual (sin tildes) en título,
+ * etiquetas y descripción, y solo si no aparecen en ninguno se admiten
+ * erratas. Las frases y las palabras excluidas (-palabra) no admiten
+ * erratas, para no descartar todos por parecido.
+ *
+ * @param {Object} todo - Todo a comprobar
+ * @param {Object} term - Término 'text' o 'phrase'
+ * @returns {number} - Puntuación (0 si no aparece)
+ */
+const scoreTextTerm = (todo, term) => {
+  const folded = getFoldedTodo(todo);
+  const value = foldText(term.value);
+  const fields = term.type === 'phrase' || term.negated
+    ? ['title', 'description']
+    : ['title', 'tags', 'description'];
+
+  const scoreFields = (fuzzy) => fields.reduce((best, field) => {
+    const match = findMatch(folded[field], value, { fuzzy });
+    return match ? Math.max(best, match.score * FIELD_WEIGHTS[field]) : best;
+  }, 0);
+
+  const exact = scoreFields(false);
+  if (exact > 0 || term.type === 'phrase' || term.negated) return exact;
+  return scoreFields(true);
+};
+
+/**
+ * ✅ COMPROBAR UN TÉRMINO (sin tener en cuenta la negación)
+ *
+ * @param {Object} todo - Todo a comprobar
+ * @param {Object} term - Término de parseSearchQuery
+ * @returns {boolean} - true si el todo cumple el término
+ */
+const matchesTerm = (todo, term) => {
+  switch (term.type) {
+    case 'text':
+    case 'phrase':
+      return scoreTextTerm(todo, term) > 0;
+    case 'status':
+      if (term.value === 'completed') return todo.completed;
+      if (term.value === 'overdue') return !todo.completed && isOverdue(todo.dueDate);
+      return !todo.completed;
+    case 'priority':
+      return todo.priority === term.value;
+    case 'tag':
+      return todo.tags.includes(term.value);
+    case 'due': {
+      if (term.value === 'none') return !todo.dueDate;
+      if (!todo.dueDate) return false;
+      const day = toDayKey(parseAPIDate(todo.dueDate));
+      switch (term.operator) {
+        case '<': return day < term.value;
+        case '<=': return day <= term.value;
+        case '>': return day > term.value;
+        case '>=': return day >= term.value;
+        default: return day === term.value;
+      }
+    }
+    default:
+      return true;
+  }
+};
+
+/**
+ * 🏅 PUNTUACIÓN DE UN TODO PARA LA CONSULTA
+ *
+ * Suma la puntuación de los términos de texto (palabra completa > principio
+ * de palabra > dentro de una palabra > con erratas, y título > etiquetas >
+ * descripción). Los demás términos solo filtran.
+ *
+ * @param {Object} todo - Todo {title, description, completed, priority, tags, dueDate}
+ * @param {Array<Object>} terms - Términos de parseSearchQuery
+ * @returns {number|null} - Puntuación, o null si no cumple la consulta
+ */
+export const scoreSearchQuery = (todo, terms) => {
+  let score = 0;
+  for (const term of terms) {
+    if ((term.type === 'text' || term.type === 'phrase') && !term.negated) {
+      const termScore = scoreTextTerm(todo, term);
+      if (termScore === 0) return null;
+      score += termScore;
+    } else if (matchesTerm(todo, term) === term.negated) {
+      return null;
+    }
+  }
+  return score;
+};
+
+/**
+ * 🔍 COMPROBAR SI UN TODO CUMPLE LA CONSULTA
+ *
+ * @param {Object} todo - Todo {title, description, completed, priority, tags, dueDate}
+ * @param {Array<Object>} terms - Términos de parseSearchQuery
+ * @returns {boolean} - true si cumple todos los términos
+ */
+export const matchesSearchQuery = (todo, terms) => {
+  return scoreSearchQuery(todo, terms) !== null;
+};
+
+/**
+ * 🥇 FILTRAR Y ORDENAR POR RELEVANCIA
+ *
+ * Los todos con la misma puntuación conservan su orden. Sin términos de
+ * texto, solo filtra.
+ *
+ * @param {Array<Object>} todos - Todos a filtrar
+ * @param {Array<Object>} terms - Términos de parseSearchQuery
+ * @returns {Array<Object>} - Todos que cumplen la consulta, los más relevantes primero
+ */
+export const rankBySearchQuery = (todos, terms) => {
+  if (terms.length === 0) return todos;
+  return todos
+    .map(todo => ({ todo, score: scoreSearchQuery(todo, terms) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map(({ todo }) => todo);
+};
+
+/**
+ * 🖍️ TÉRMINOS A RESALTAR
+ *
+ * @param {Array<Object>} terms - Términos de parseSearchQuery
+ * @returns {Array<Object>} - [{value, fuzzy}] de las palabras y frases no excluidas
+ */
+export const getHighlightTerms = (terms) => {
+  return terms
+    .filter(term => (term.type === 'text' || term.type === 'phrase') && !term.negated)
+    .map(term => ({ value: term.value, fuzzy: term.type === 'text' }));
+};
+
+/**
+ * 🌐 CONSULTA EQUIVALENTE PARA EL SERVIDOR
+ *
+ * Parámetros de GET /todos para un backend que filtre:
+ * - q (texto o frase), status, priority, tag: repetibles
+ * - exclude_q, exclude_status, exclude_priority, exclude_tag: sus negaciones
+ * - due_on, due_lt, due_lte, due_gt, due_gte (AAAA-MM-DD) y due=none
+ *
+ * Las comparaciones de fecha negadas no tienen parámetro y se omiten: el
+ * cliente vuelve a aplicar la consulta completa sobre lo que devuelva el
+ * servidor, así que el resultado es el mismo.
+ *
+ * @param {Array<Object>} terms - Términos de parseSearchQuery
+ * @returns {URLSearchParams} - Parámetros (toString() da la query string)
+ */
+export const toServerQuery = (terms) => {
+  const params = new URLSearchParams();
+  const dueParams = { '=': 'due_on', '<': 'due_lt', '<=': 'due_lte', '>': 'due_gt', '>=': 'due_gte' };
+
+  terms.forEach(term => {
+    if (term.type === 'due') {
+      if (term.negated) return;
+      if (term.value === 'none') params.append('due', 'none');
+      else params.append(dueParams[term.operator], term.value);
+      return;
+    }
+    const name = term.type === 'text' || term.type === 'phrase' ? 'q' : term.type;
+    params.append(term.negated ? `exclude_${name}` : name, term.value);
+  });
+
+  return params;
+};
+
+/**
+ * 💡 SUGERENCIAS DEL AUTOCOMPLETADO
+ *
+ * Según el término en el que está el cursor: nombres de campo mientras se
+ * escribe una palabra, o valores tras "campo:". Cada sugerencia indica el
+ * texto que sustituye al término entero (se conserva el "-" y el comparador).
+ *
+ * @param {string} input - Texto del cuadro de búsqueda
+ * @param {number} cursor - Posición del cursor
+ * @param {Array<string>} tags - Etiquetas existentes para tag:
+ * @returns {Object} - {start, end, items: [{value, label, description}]}
+ */
+export const getSearchSuggestions = (input, cursor, tags = []) => {
+  // Límites del término bajo el cursor
+  const before = input.slice(0, cursor);
+  const start = before.search(/\S*$/);
+  const afterMatch = input.slice(cursor).match(/^\S*/);
+  const end = cursor + afterMatch[0].length;
+  const empty = { start, end, items: [] };
+
+  const token = input.slice(start, cursor);
+  const prefix = token.startsWith('-') ? '-' : '';
+  const body = token.slice(prefix.length);
+
+  // Dentro de una frase entre comillas no se sugiere nada
+  if (body.startsWith('"') || (before.match(/"/g) || []).length % 2 === 1) return empty;
+
+  const colon = body.indexOf(':');
+
+  // 🧾 NOMBRES DE CAMPO
+  if (colon === -1) {
+    const typed = normalizeWord(body);
+    const items = SEARCH_FIELDS
+      .filter(field => field.name.startsWith(typed) || field.aliases.some(alias => alias.startsWith(typed)))
+      .filter(field => `${field.name}:` !== body)
+      .map(field => ({ value: `${prefix}${field.name}:`, label: `${field.name}:`, description: field.description }));
+    return { start, end, items };
+  }
+
+  // 🎯 VALORES DEL CAMPO
+  const field = findField(body.slice(0, colon));
+  if (!field) return empty;
+
+  let typedValue = body.slice(colon + 1);
+  let operator = '';
+  if (field.type === 'due') {
+    operator = DUE_OPERATORS.find(op => typedValue.startsWith(op)) || '';
+    typedValue = typedValue.slice(operator.length);
+  }
+
+  const candidates = field.type === 'tag' ? tags : field.values;
+  const typed = normalizeWord(typedValue);
+  const items = candidates
+    .filter(value => normalizeWord(value).startsWith(typed) && value !== typedValue)
+    .filter(value => !(operator && NO_DUE_WORDS.includes(normalizeWord(value))))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(value => ({
+      value: `${prefix}${field.name}:${operator}${value} `,
+      label: `${field.name}:${operator}${value}`,
+      description: field.type === 'tag' ? 'Etiqueta' : field.description,
+    }));
+  return { start, end, items };
+};
@@ -0,0 +1,75 @@
+/**
+ * ✨ UTILIDADES PARA LAS LISTAS INTELIGENTES
+ *
+ * Las listas inteligentes no guardan todos: reúnen los de todas las listas
+ * según su fecha límite y su estado. Cada una tiene su URL (/smart/:id).
+ *
+ * Funcionalidades:
+ * - Definición de las listas inteligentes disponibles
+ * - Comprobar si un todo pertenece a una lista inteligente
+ * - Recuentos de todas las listas inteligentes de una vez
+ */
+
+import { isOverdue, isDueToday, isDueWithinDays, isInThisWeek } from './dateUtils';
+
+/** Días hacia delante de "Próximos 7 días" */
+export const UPCOMING_DAYS = 7;
+
+/** Listas inteligentes, en el orden de la barra lateral */
+export const SMART_LISTS = [
+  { id: 'today', name: 'Hoy' },
+  { id: 'upcoming', name: `Próximos ${UPCOMING_DAYS} días` },
+  { id: 'overdue', name: 'Vencidos' },
+  { id: 'no-date', name: 'Sin fecha' },
+  { id: 'completed-week', name: 'Completados esta semana' },
+];
+
+/**
+ * 🔍 OBTENER UNA LISTA INTELIGENTE
+ *
+ * @param {string} id - ID de la lista inteligente
+ * @returns {Object|null} - Lista {id, name} o null si no existe
+ */
+export const getSmartList = (id) => SMART_LISTS.find(smartList => smartList.id === id) || null;
+
+/**
+ * ✅ ¿EL TODO PERTENECE A LA LISTA INTELIGENTE?
+ *
+ * Salvo "Completados esta semana", solo incluyen todos pendientes.
+ *
+ * @param {Object} todo - Todo a comprobar
+ * @param {string} id - ID de la lista inteligente
+ * @returns {boolean} - true si el todo aparece en ella
+ *
+ * @example
+ * matchesSmartList({ completed: false, dueDate: null }, 'no-date') // true
+ */
+export const matchesSmartList = (todo, id) => {
+  switch (id) {
+    case 'today':
+      return !todo.completed && isDueToday(todo.dueDate);
+    case 'upcoming':
+      return !todo.completed && isDueWithinDays(todo.dueDate, UPCOMING_DAYS);
+    case 'overdue':
+      return !todo.completed && isOverdue(todo.dueDate);
+    case 'no-date':
+      return !todo.completed && !todo.dueDate;
+    case 'completed-week':
+      return todo.completed && isInThisWeek(todo.completedAt);
+    default:
+      return false;
+  }
+};
+
+/**
+ * 🔢 RECUENTOS DE LAS LISTAS INTELIGENTES
+ *
+ * @param {Array<Object>} todos - Todos de todas las listas (sin la papelera)
+ * @returns {Object} - Mapa {id: número de todos}
+ */
+export const getSmartListCounts = (todos) => {
+  return SMART_LISTS.reduce((counts, smartList) => {
+    counts[smartList.id] = todos.filter(todo => matchesSmartList(todo, smartList.id)).length;
+    return counts;
+  }, {});
+};
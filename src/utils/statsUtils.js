@@ -0,0 +1,149 @@
+/**
+ * 📈 UTILIDADES PARA LAS ESTADÍSTICAS
+ *
+ * Cálculos de la página de estadísticas sobre todos los todos (de todas
+ * las listas, sin la papelera), no solo sobre la página mostrada.
+ *
+ * Funcionalidades:
+ * - Totales y porcentaje de completados
+ * - Creados y completados por semana
+ * - Tiempo medio hasta completar
+ * - Desglose por prioridad y por etiqueta
+ */
+
+import { startOfWeek, addWeeks, differenceInCalendarWeeks, format } from 'date-fns';
+import { es } from 'date-fns/locale';
+import { parseAPIDate, isOverdue } from './dateUtils';
+import { PRIORITY_OPTIONS } from './todoUtils';
+
+/** Semanas que muestra el gráfico de actividad */
+export const STATS_WEEKS = 8;
+
+/** Etiquetas que muestra el desglose por etiqueta */
+export const STATS_TOP_TAGS = 8;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * 🔢 TOTALES
+ *
+ * @param {Array<Object>} todos - Todos a contar
+ * @returns {Object} - {total, completed, pending, overdue, completionRate} (rate de 0 a 100)
+ */
+export const getTodoTotals = (todos) => {
+  const completed = todos.filter(todo => todo.completed).length;
+  return {
+    total: todos.length,
+    completed,
+    pending: todos.length - completed,
+    overdue: todos.filter(todo => !todo.completed && isOverdue(todo.dueDate)).length,
+    completionRate: todos.length > 0 ? Math.round((completed / todos.length) * 100) : 0,
+  };
+};
+
+/**
+ * 📅 CREADOS Y COMPLETADOS POR SEMANA
+ *
+ * Las semanas empiezan el lunes; la última es la actual.
+ *
+ * @param {Array<Object>} todos - Todos {createdAt, completedAt}
+ * @param {number} weeks - Número de semanas (default: STATS_WEEKS)
+ * @param {Date} now - Fecha de referencia (default: ahora)
+ * @returns {Array<Object>} - [{start, label, created, completed}] de la más antigua a la actual
+ */
+export const getWeeklyActivity = (todos, weeks = STATS_WEEKS, now = new Date()) => {
+  const firstWeek = addWeeks(startOfWeek(now, { weekStartsOn: 1 }), -(weeks - 1));
+  const buckets = Array.from({ length: weeks }, (_, index) => {
+    const start = addWeeks(firstWeek, index);
+    return { start, label: format(start, 'd MMM', { locale: es }), created: 0, completed: 0 };
+  });
+
+  // Índice de la semana de una fecha, o -1 si queda fuera del rango
+  const weekIndex = (date) => {
+    if (!date) return -1;
+    const index = differenceInCalendarWeeks(parseAPIDate(date), firstWeek, { weekStartsOn: 1 });
+    return index >= 0 && index < weeks ? index : -1;
+  };
+
+  todos.forEach(todo => {
+    const created = weekIndex(todo.createdAt);
+    if (created !== -1) buckets[created].created += 1;
+    const completed = todo.completed ? weekIndex(todo.completedAt) : -1;
+    if (completed !== -1) buckets[completed].completed += 1;
+  });
+  return buckets;
+};
+
+/**
+ * ⏳ TIEMPO MEDIO HASTA COMPLETAR
+ *
+ * Desde la creación hasta el momento de completado (o la última
+ * modificación en los completados antes de guardar esa fecha).
+ *
+ * @param {Array<Object>} todos - Todos {completed, createdAt, completedAt}
+ * @returns {number|null} - Milisegundos, o null si no hay completados con fechas
+ */
+export const getAverageCompletionTime = (todos) => {
+  const durations = todos
+    .filter(todo => todo.completed && todo.createdAt && todo.completedAt)
+    .map(todo => parseAPIDate(todo.completedAt) - parseAPIDate(todo.createdAt))
+    .filter(duration => duration >= 0);
+  if (durations.length === 0) return null;
+  return durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+};
+
+/**
+ * 🗣️ FORMATEAR UN TIEMPO LARGO
+ *
+ * @param {number|null} ms - Duración en milisegundos
+ * @returns {string} - "3 d 4 h", "5 h", "< 1 h" o "—" si no hay dato
+ */
+export const formatLongDuration = (ms) => {
+  if (ms === null || ms === undefined) return '—';
+  const days = Math.floor(ms / DAY);
+  const hours = Math.floor((ms % DAY) / HOUR);
+  if (days > 0) return hours > 0 ? `${days} d ${hours} h` : `${days} d`;
+  return hours > 0 ? `${hours} h` : '< 1 h';
+};
+
+/**
+ * 🎯 DESGLOSE POR PRIORIDAD
+ *
+ * @param {Array<Object>} todos - Todos a desglosar
+ * @returns {Array<Object>} - [{key, label, total, completed}] en el orden de PRIORITY_OPTIONS
+ */
+export const getPriorityBreakdown = (todos) => {
+  return PRIORITY_OPTIONS.map(option => {
+    const matching = todos.filter(todo => todo.priority === option.value);
+    return {
+      key: option.value,
+      label: option.label,
+      total: matching.length,
+      completed: matching.filter(todo => todo.completed).length,
+    };
+  });
+};
+
+/**
+ * 🏷️ DESGLOSE POR ETIQUETA
+ *
+ * Un todo con varias etiquetas cuenta en cada una.
+ *
+ * @param {Array<Object>} todos - Todos a desglosar
+ * @param {number} limit - Máximo de etiquetas (las más usadas; default: STATS_TOP_TAGS)
+ * @returns {Array<Object>} - [{key, label, total, completed}] de más a menos todos
+ */
+export const getTagBreakdown = (todos, limit = STATS_TOP_TAGS) => {
+  const byTag = {};
+  todos.forEach(todo => {
+    todo.tags.forEach(tag => {
+      byTag[tag] = byTag[tag] || { key: tag, label: `#${tag}`, total: 0, completed: 0 };
+      byTag[tag].total += 1;
+      if (todo.completed) byTag[tag].completed += 1;
+    });
+  });
+  return Object.values(byTag)
+    .sort((a, b) => b.total - a.total || a.key.localeCompare(b.key))
+    .slice(0, limit);
+};
@@ -0,0 +1,127 @@
+/**
+ * 🔥 UTILIDADES PARA RACHAS Y MAPA DE ACTIVIDAD
+ *
+ * Trabajan sobre el registro de completados de streakService
+ * ([{todoId, at}]) agrupado por día local.
+ *
+ * Funcionalidades:
+ * - Completados por día
+ * - Racha actual y racha más larga (días seguidos con algún completado)
+ * - Semanas del mapa de actividad anual y su nivel de color
+ * - Validación del objetivo diario
+ */
+
+import { addDays, addWeeks, startOfWeek, parseISO, differenceInCalendarDays } from 'date-fns';
+import { parseAPIDate } from './dateUtils';
+import { toDayKey } from './calendarUtils';
+
+/** Semanas del mapa de actividad (un año) */
+export const HEATMAP_WEEKS = 53;
+
+/** Días que se conservan en el registro de completados */
+export const COMPLETION_LOG_DAYS = HEATMAP_WEEKS * 7;
+
+/** Objetivo diario máximo */
+export const MAX_DAILY_GOAL = 100;
+
+/**
+ * 📅 COMPLETADOS POR DÍA
+ *
+ * @param {Array<Object>} completions - Registro [{todoId, at}]
+ * @returns {Object} - Mapa {"2026-10-19": número de completados}
+ */
+export const getCompletionsByDay = (completions) => {
+  return completions.reduce((counts, completion) => {
+    const key = toDayKey(parseAPIDate(completion.at));
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+};
+
+/**
+ * 🔥 RACHA ACTUAL
+ *
+ * Días seguidos con algún completado hasta hoy. Si hoy aún no hay
+ * ninguno, la racha sigue viva y se cuenta hasta ayer.
+ *
+ * @param {Object} countsByDay - Completados por día (ver getCompletionsByDay)
+ * @param {Date} today - Día de referencia (default: hoy)
+ * @returns {number} - Días de la racha
+ */
+export const getCurrentStreak = (countsByDay, today = new Date()) => {
+  let day = countsByDay[toDayKey(today)] ? today : addDays(today, -1);
+  let streak = 0;
+  while (countsByDay[toDayKey(day)]) {
+    streak += 1;
+    day = addDays(day, -1);
+  }
+  return streak;
+};
+
+/**
+ * 🏆 RACHA MÁS LARGA
+ *
+ * @param {Object} countsByDay - Completados por día
+ * @returns {number} - Máximo de días seguidos con algún completado
+ */
+export const getLongestStreak = (countsByDay) => {
+  const days = Object.keys(countsByDay).filter(key => countsByDay[key] > 0).sort();
+  let longest = 0;
+  let current = 0;
+  days.forEach((key, index) => {
+    const consecutive = index > 0 && differenceInCalendarDays(parseISO(key), parseISO(days[index - 1])) === 1;
+    current = consecutive ? current + 1 : 1;
+    longest = Math.max(longest, current);
+  });
+  return longest;
+};
+
+/**
+ * 🗓️ SEMANAS DEL MAPA DE ACTIVIDAD
+ *
+ * Columnas de lunes a domingo que terminan en la semana actual; los días
+ * posteriores a hoy se marcan como futuros.
+ *
+ * @param {Object} countsByDay - Completados por día
+ * @param {Date} today - Día de referencia (default: hoy)
+ * @param {number} weeks - Número de semanas (default: HEATMAP_WEEKS)
+ * @returns {Array<Array<Object>>} - Semanas de 7 días {key, date, count, future}
+ */
+export const getHeatmapWeeks = (countsByDay, today = new Date(), weeks = HEATMAP_WEEKS) => {
+  const todayKey = toDayKey(today);
+  const firstMonday = addWeeks(startOfWeek(today, { weekStartsOn: 1 }), -(weeks - 1));
+  return Array.from({ length: weeks }, (_, week) => (
+    Array.from({ length: 7 }, (_, weekday) => {
+      const date = addDays(firstMonday, week * 7 + weekday);
+      const key = toDayKey(date);
+      return { key, date, count: countsByDay[key] || 0, future: key > todayKey };
+    })
+  ));
+};
+
+/**
+ * 🎨 NIVEL DE COLOR DE UN DÍA
+ *
+ * @param {number} count - Completados del día
+ * @param {number} max - Máximo de completados en un día del periodo
+ * @returns {number} - Nivel de 0 (ninguno) a 4 (el máximo)
+ */
+export const getHeatmapLevel = (count, max) => {
+  if (count <= 0 || max <= 0) return 0;
+  return Math.max(1, Math.ceil((count / max) * 4));
+};
+
+/**
+ * ✅ VALIDAR EL OBJETIVO DIARIO
+ *
+ * @param {number|null} goal - Todos a completar al día (null = sin objetivo)
+ * @returns {number|null} - Objetivo válido
+ * @throws {Error} - Si no es un entero entre 1 y MAX_DAILY_GOAL
+ */
+export const validateDailyGoal = (goal) => {
+  if (goal === null) return null;
+  if (!Number.isInteger(goal) || goal < 1 || goal > MAX_DAILY_GOAL) {
+    throw new Error(`El objetivo diario debe ser un número entre 1 y ${MAX_DAILY_GOAL}`);
+  }
+  return goal;
+};
@@ -0,0 +1,236 @@
+/**
+ * 📑 UTILIDADES PARA PLANTILLAS DE TODOS
+ *
+ * Una plantilla guarda el contenido de un todo para crear otros iguales:
+ * título, descripción, etiquetas, prioridad, subtareas y el plazo hasta la
+ * fecha límite (en días desde la creación, con o sin hora). Al usarla, la
+ * fecha límite se calcula desde el día actual.
+ *
+ * Los textos admiten marcadores que se rellenan al crear el todo:
+ * - {{fecha}}: fecha de hoy (19/10/2026)
+ * - {{hora}}: hora actual (17:30)
+ * - {{dia}}: día de la semana (lunes)
+ * - {{semana}}: número de semana del año
+ * - {{mes}}: nombre del mes (octubre)
+ * - {{año}} o {{anio}}: año (2026)
+ * - {{texto}}: texto escrito tras el nombre de la plantilla en el alta rápida
+ *
+ * Los marcadores desconocidos se dejan tal cual.
+ */
+
+import { addDays, differenceInCalendarDays, endOfDay, format, getISOWeek, set, startOfDay } from 'date-fns';
+import { es } from 'date-fns/locale';
+import { createSubtask, normalizePriority, normalizeTag } from './todoUtils';
+import { parseAPIDate } from './dateUtils';
+
+/** Longitud máxima del nombre de una plantilla */
+export const MAX_TEMPLATE_NAME_LENGTH = 50;
+
+/** Marcadores disponibles con su descripción (para la ayuda de la interfaz) */
+export const TEMPLATE_PLACEHOLDERS = [
+  { key: 'fecha', label: 'fecha de hoy' },
+  { key: 'hora', label: 'hora actual' },
+  { key: 'dia', label: 'día de la semana' },
+  { key: 'semana', label: 'número de semana' },
+  { key: 'mes', label: 'mes' },
+  { key: 'año', label: 'año' },
+  { key: 'texto', label: 'texto del alta rápida' },
+];
+
+/**
+ * 🔤 NOMBRE CORTO DE UNA PLANTILLA
+ *
+ * Se usa para invocarla desde el alta rápida ("/revision-semanal").
+ *
+ * @param {string} name - Nombre de la plantilla
+ * @returns {string} - Nombre sin acentos, en minúsculas y con guiones
+ *
+ * @example
+ * getTemplateSlug('Revisión semanal') // "revision-semanal"
+ */
+export const getTemplateSlug = (name) => (name || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9ñ]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * 🧩 RELLENAR MARCADORES
+ *
+ * @param {string} text - Texto con marcadores {{...}}
+ * @param {Date} now - Momento actual (inyectable para pruebas)
+ * @param {Object} extra - Valores adicionales, p. ej. {texto: 'Ana'}
+ * @returns {string} - Texto con los marcadores sustituidos
+ *
+ * @example
+ * fillTemplatePlaceholders('Informe {{fecha}}', new Date(2026, 9, 19))
+ * // "Informe 19/10/2026"
+ */
+export const fillTemplatePlaceholders = (text, now = new Date(), extra = {}) => {
+  if (!text) return '';
+  const values = {
+    fecha: format(now, 'dd/MM/yyyy'),
+    hora: format(now, 'HH:mm'),
+    dia: format(now, 'EEEE', { locale: es }),
+    semana: String(getISOWeek(now)),
+    mes: format(now, 'LLLL', { locale: es }),
+    año: format(now, 'yyyy'),
+    anio: format(now, 'yyyy'),
+    ...extra,
+  };
+  return text.replace(/\{\{\s*([\wñ]+)\s*\}\}/gi, (placeholder, key) => {
+    const value = values[key.toLowerCase()];
+    return value === undefined ? placeholder : value;
+  });
+};
+
+/**
+ * 📐 PLAZO RELATIVO DE LA FECHA LÍMITE DE UN TODO
+ *
+ * @param {Object} todo - Todo en formato del frontend
+ * @returns {Object|null} - {days, time} con los días desde la creación y la
+ *   hora "HH:mm" (null si el vencimiento es al final del día), o null sin fecha
+ */
+const getDueOffset = (todo) => {
+  const dueDate = parseAPIDate(todo.dueDate);
+  if (!dueDate) return null;
+  const reference = parseAPIDate(todo.createdAt) || new Date();
+  return {
+    days: Math.max(0, differenceInCalendarDays(dueDate, reference)),
+    time: todo.hasDueTime ? format(dueDate, 'HH:mm') : null,
+  };
+};
+
+/**
+ * 📑 CREAR PLANTILLA A PARTIR DE UN TODO
+ *
+ * Las subtareas se guardan solo por título (se crean sin completar).
+ *
+ * @param {Object} todo - Todo en formato del frontend
+ * @param {string} name - Nombre de la plantilla (el título del todo por defecto)
+ * @returns {Object} - Datos de la plantilla sin ID
+ */
+export const createTemplateFromTodo = (todo, name = todo.title) => ({
+  name,
+  title: todo.title,
+  description: todo.description || '',
+  priority: normalizePriority(todo.priority),
+  tags: todo.tags || [],
+  subtasks: (todo.subtasks || []).map(subtask => subtask.title),
+  dueOffset: getDueOffset(todo),
+});
+
+/**
+ * 🛡️ NORMALIZAR UNA PLANTILLA GUARDADA
+ *
+ * @param {Object} template - Plantilla leída de localStorage
+ * @returns {Object} - Plantilla con todos sus campos válidos
+ */
+export const normalizeTemplate = (template) => {
+  const offset = template.dueOffset;
+  const validOffset = offset && Number.isInteger(offset.days) && offset.days >= 0;
+  return {
+    id: template.id,
+    name: template.name,
+    title: template.title || '',
+    description: template.description || '',
+    priority: normalizePriority(template.priority),
+    tags: (template.tags || []).map(normalizeTag).filter(Boolean),
+    subtasks: (template.subtasks || []).filter(title => typeof title === 'string' && title.trim()),
+    dueOffset: validOffset
+      ? { days: offset.days, time: /^\d{2}:\d{2}$/.test(offset.time || '') ? offset.time : null }
+      : null,
+  };
+};
+
+/**
+ * 🆕 CREAR LOS DATOS DE UN TODO A PARTIR DE UNA PLANTILLA
+ *
+ * @param {Object} template - Plantilla
+ * @param {Date} now - Momento actual (inyectable para pruebas)
+ * @param {Object} extra - Valores adicionales para los marcadores
+ * @returns {Object} - Datos para createTodo
+ *
+ * @example
+ * instantiateTemplate({ title: 'Informe {{fecha}}', dueOffset: { days: 2, time: '10:00' }, ... })
+ * // { title: 'Informe 19/10/2026', dueDate: <21/10/2026 10:00>, hasDueTime: true, ... }
+ */
+export const instantiateTemplate = (template, now = new Date(), extra = {}) => {
+  const fill = (text) => fillTemplatePlaceholders(text, now, extra).replace(/[ \t]+/g, ' ').trim();
+  const { dueOffset } = normalizeTemplate(template);
+
+  let dueDate = null;
+  if (dueOffset) {
+    const day = addDays(startOfDay(now), dueOffset.days);
+    if (dueOffset.time) {
+      const [hours, minutes] = dueOffset.time.split(':').map(Number);
+      dueDate = set(day, { hours, minutes });
+    } else {
+      dueDate = endOfDay(day); // Sin hora concreta, vence al final del día
+    }
+  }
+
+  return {
+    title: fill(template.title),
+    description: fillTemplatePlaceholders(template.description, now, extra),
+    priority: normalizePriority(template.priority),
+    dueDate,
+    hasDueTime: Boolean(dueOffset?.time),
+    tags: [...(template.tags || [])],
+    subtasks: (template.subtasks || []).map(title => createSubtask(fill(title))),
+  };
+};
+
+/**
+ * 📝 DESCRIBIR EL PLAZO DE UNA PLANTILLA
+ *
+ * @param {Object|null} dueOffset - Plazo {days, time}
+ * @returns {string} - "Sin fecha límite", "Vence el mismo día", "Vence a los 3 días, 17:00"
+ */
+export const describeDueOffset = (dueOffset) => {
+  if (!dueOffset) return 'Sin fecha límite';
+  const { days, time } = dueOffset;
+  const when = days === 0
+    ? 'Vence el mismo día'
+    : days === 1 ? 'Vence al día siguiente' : `Vence a los ${days} días`;
+  return time ? `${when}, ${time}` : when;
+};
+
+/**
+ * ⚡ PLANTILLA INVOCADA DESDE EL ALTA RÁPIDA
+ *
+ * El texto empieza por "/" seguido del nombre corto de la plantilla (o el
+ * comienzo de un único nombre corto): "/revision mañana #equipo".
+ *
+ * @param {string} text - Texto escrito en la barra de alta rápida
+ * @param {Array<Object>} templates - Plantillas disponibles
+ * @returns {Object|null} - {template, rest} con el texto restante, o null
+ */
+export const matchTemplateCommand = (text, templates) => {
+  const match = /^\s*\/(\S+)(?:\s+|$)/.exec(text || '');
+  if (!match) return null;
+
+  const query = getTemplateSlug(match[1]);
+  if (!query) return null;
+  const exact = templates.find(template => getTemplateSlug(template.name) === query);
+  const candidates = exact ? [exact] : templates.filter(template => getTemplateSlug(template.name).startsWith(query));
+  if (candidates.length !== 1) return null;
+
+  return { template: candidates[0], rest: text.slice(match[0].length) };
+};
+
+/**
+ * 💡 SUGERENCIAS DE PLANTILLAS MIENTRAS SE ESCRIBE "/..."
+ *
+ * @param {string} text - Texto escrito en la barra de alta rápida
+ * @param {Array<Object>} templates - Plantillas disponibles
+ * @returns {Array<Object>} - Plantillas cuyo nombre corto empieza por lo escrito
+ *   (vacío si el texto no es un comando o ya tiene más palabras)
+ */
+export const getTemplateSuggestions = (text, templates) => {
+  const match = /^\s*\/(\S*)$/.exec(text || '');
+  if (!match) return [];
+  const query = getTemplateSlug(match[1]);
+  return templates.filter(template => getTemplateSlug(template.name).startsWith(query));
+};
@@ -0,0 +1,183 @@
+/**
+ * ⏱️ UTILIDADES PARA EL REGISTRO DE TIEMPO
+ *
+ * Cada todo acumula entradas de tiempo con la forma:
+ *
+ * {
+ *   id: string,
+ *   todoId: number|string,
+ *   start: string,        // ISO 8601 UTC
+ *   end: string | null,   // null mientras el temporizador está en marcha
+ *   note: string,         // Nota opcional (p. ej. qué se facturó)
+ * }
+ *
+ * Funcionalidades:
+ * - Duración de una entrada (también de la que está en marcha)
+ * - Totales por todo y por día (las entradas que cruzan la medianoche se reparten)
+ * - Formateo de duraciones ("1 h 05 min") y de cronómetros ("1:05:09")
+ * - Conversión entre entradas y los inputs datetime-local
+ * - Validación de entradas editadas a mano
+ */
+
+import { format, startOfDay, addDays } from 'date-fns';
+
+/** Longitud máxima de la nota de una entrada */
+export const MAX_TIME_NOTE_LENGTH = 200;
+
+/** Milisegundos de un minuto */
+const MINUTE = 60 * 1000;
+
+/**
+ * ⏲️ DURACIÓN DE UNA ENTRADA
+ *
+ * @param {Object} entry - Entrada de tiempo
+ * @param {number} now - Marca de tiempo actual (para la entrada en marcha)
+ * @returns {number} - Duración en milisegundos (nunca negativa)
+ */
+export const getEntryDuration = (entry, now = Date.now()) => {
+  const start = new Date(entry.start).getTime();
+  const end = entry.end ? new Date(entry.end).getTime() : now;
+  return Math.max(0, end - start);
+};
+
+/**
+ * 📋 TIEMPO TOTAL POR TODO
+ *
+ * @param {Array} entries - Entradas de tiempo
+ * @param {number} now - Marca de tiempo actual (para la entrada en marcha)
+ * @returns {Object} - Milisegundos por ID de todo
+ *
+ * @example
+ * getTrackedTimeByTodo([{ todoId: 1, start: '...T10:00', end: '...T11:30' }])
+ * // { 1: 5400000 }
+ */
+export const getTrackedTimeByTodo = (entries, now = Date.now()) => {
+  return entries.reduce((totals, entry) => {
+    totals[entry.todoId] = (totals[entry.todoId] || 0) + getEntryDuration(entry, now);
+    return totals;
+  }, {});
+};
+
+/**
+ * 📆 TIEMPO TOTAL POR DÍA
+ *
+ * Reparte cada entrada entre los días (locales) que abarca, así una sesión
+ * de 23:00 a 01:00 suma una hora a cada día.
+ *
+ * @param {Array} entries - Entradas de tiempo
+ * @param {number} now - Marca de tiempo actual (para la entrada en marcha)
+ * @returns {Array<Object>} - Días {date: 'yyyy-MM-dd', total} del más reciente al más antiguo
+ */
+export const getDailyTotals = (entries, now = Date.now()) => {
+  const totals = {};
+
+  entries.forEach(entry => {
+    let cursor = new Date(entry.start).getTime();
+    const end = cursor + getEntryDuration(entry, now);
+
+    while (cursor < end) {
+      const nextDay = addDays(startOfDay(cursor), 1).getTime();
+      const sliceEnd = Math.min(end, nextDay);
+      const date = format(cursor, 'yyyy-MM-dd');
+      totals[date] = (totals[date] || 0) + (sliceEnd - cursor);
+      cursor = sliceEnd;
+    }
+  });
+
+  return Object.entries(totals)
+    .map(([date, total]) => ({ date, total }))
+    .sort((a, b) => b.date.localeCompare(a.date));
+};
+
+/**
+ * 🗣️ FORMATEAR DURACIÓN
+ *
+ * @param {number} ms - Duración en milisegundos
+ * @returns {string} - Duración legible redondeada a minutos
+ *
+ * @example
+ * formatDuration(65 * 60 * 1000) // "1 h 05 min"
+ * formatDuration(25 * 60 * 1000) // "25 min"
+ * formatDuration(20 * 1000)      // "< 1 min"
+ */
+export const formatDuration = (ms) => {
+  const totalMinutes = Math.floor(ms / MINUTE);
+  if (ms > 0 && totalMinutes === 0) return '< 1 min';
+
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours === 0) return `${minutes} min`;
+  return `${hours} h ${String(minutes).padStart(2, '0')} min`;
+};
+
+/**
+ * ⏱️ FORMATEAR CRONÓMETRO
+ *
+ * @param {number} ms - Tiempo transcurrido en milisegundos
+ * @returns {string} - "m:ss" o "h:mm:ss"
+ *
+ * @example
+ * formatElapsed(9 * 1000)                  // "0:09"
+ * formatElapsed((3600 + 5 * 60 + 9) * 1000) // "1:05:09"
+ */
+export const formatElapsed = (ms) => {
+  const totalSeconds = Math.floor(Math.max(0, ms) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  if (hours === 0) return `${minutes}:${seconds}`;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`;
+};
+
+/**
+ * 📥 FECHA PARA UN INPUT DATETIME-LOCAL
+ *
+ * @param {string|null} date - Fecha ISO
+ * @returns {string} - "yyyy-MM-ddTHH:mm" en hora local o string vacío
+ */
+export const toDateTimeInputValue = (date) => {
+  if (!date) return '';
+  return format(new Date(date), "yyyy-MM-dd'T'HH:mm");
+};
+
+/**
+ * 📤 FECHA DESDE UN INPUT DATETIME-LOCAL
+ *
+ * @param {string} value - "yyyy-MM-ddTHH:mm" en hora local
+ * @returns {string|null} - Fecha ISO UTC o null si está vacío o no es válido
+ */
+export const fromDateTimeInputValue = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * ✅ VALIDAR UNA ENTRADA DE TIEMPO
+ *
+ * @param {Object} entry - Entrada {start, end, note}
+ * @param {Object} options - Opciones
+ * @param {boolean} options.allowRunning - Si se admite una entrada sin fin (en marcha)
+ * @returns {string|null} - Mensaje de error o null si es válida
+ */
+export const validateTimeEntry = ({ start, end, note = '' }, { allowRunning = false } = {}) => {
+  if (!start || Number.isNaN(new Date(start).getTime())) {
+    return 'Indica la hora de inicio';
+  }
+  if ((note || '').length > MAX_TIME_NOTE_LENGTH) {
+    return `La nota no puede exceder ${MAX_TIME_NOTE_LENGTH} caracteres`;
+  }
+  if (!end) {
+    return allowRunning ? null : 'Indica la hora de fin';
+  }
+  if (Number.isNaN(new Date(end).getTime())) {
+    return 'La hora de fin no es válida';
+  }
+  if (new Date(end) <= new Date(start)) {
+    return 'La hora de fin debe ser posterior a la de inicio';
+  }
+  if (new Date(end).getTime() > Date.now() + MINUTE) {
+    return 'No se puede registrar tiempo en el futuro';
+  }
+  return null;
+};
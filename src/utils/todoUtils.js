@@ -6,12 +6,68 @@
  * ayudan con la presentación visual y el procesamiento de datos.
  * 
  * Funcionalidades:
+ * - Catálogo de prioridades y etiquetas en español
  * - Colores dinámicos según prioridad
  * - Íconos para diferentes prioridades
  * - Ordenamiento por prioridad y estado
- * - Filtrado de todos por estado
+ * - Filtrado de todos por estado y fecha límite
+ * - Etiquetas: normalización, colores y filtrado
+ * - Subtareas: creación y progreso
  */
 
+import { isOverdue, isDueToday, isDueThisWeek, parseAPIDate } from './dateUtils';
+
+/**
+ * 🎯 PRIORIDADES DISPONIBLES
+ * 
+ * Valores de prioridad aceptados, ordenados de mayor a menor importancia.
+ */
+export const PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * 📋 OPCIONES DE PRIORIDAD PARA SELECTS
+ * 
+ * Formato {value, label} compatible con el componente Select
+ */
+export const PRIORITY_OPTIONS = [
+  { value: 'high', label: 'Alta' },
+  { value: 'medium', label: 'Media' },
+  { value: 'low', label: 'Baja' },
+];
+
+/**
+ * 🏷️ OBTENER ETIQUETA DE PRIORIDAD
+ * 
+ * @param {string} priority - Nivel de prioridad ('high', 'medium', 'low')
+ * @returns {string} - Etiqueta en español ("Alta", "Media", "Baja")
+ * 
+ * @example
+ * getPriorityLabel('high')  // "Alta"
+ * getPriorityLabel('other') // "Media"
+ */
+export const getPriorityLabel = (priority) => {
+  const option = PRIORITY_OPTIONS.find(opt => opt.value === normalizePriority(priority));
+  return option.label;
+};
+
+/**
+ * 🛡️ NORMALIZAR PRIORIDAD
+ * 
+ * Garantiza un valor de prioridad válido. Los backends que no soportan
+ * prioridad devuelven undefined o null: en ese caso se usa 'medium'.
+ * 
+ * @param {string} priority - Prioridad recibida (posiblemente vacía o inválida)
+ * @returns {string} - Prioridad válida ('high', 'medium', 'low')
+ * 
+ * @example
+ * normalizePriority('high')    // "high"
+ * normalizePriority(undefined) // "medium"
+ * normalizePriority('urgent')  // "medium"
+ */
+export const normalizePriority = (priority) => {
+  return PRIORITIES.includes(priority) ? priority : 'medium';
+};
+
 /**
  * 🎨 OBTENER COLOR DE PRIORIDAD
  * 
@@ -100,18 +156,104 @@ export const sortTodosByPriority = (todos) => {
     }
     
     // Dentro del mismo estado, ordenar por prioridad (alta a baja)
-    return priorityOrder[b.priority] - priorityOrder[a.priority];
+    // Prioridades desconocidas se tratan como media
+    return (priorityOrder[b.priority] || 2) - (priorityOrder[a.priority] || 2);
+  });
+};
+
+/**
+ * 📆 ORDENAR TODOS POR FECHA LÍMITE
+ * 
+ * Ordena de la fecha límite más próxima a la más lejana.
+ * Los todos sin fecha límite van al final. No modifica el array original.
+ * 
+ * @param {Array} todos - Array de objetos todo a ordenar
+ * @returns {Array} - Nueva array de todos ordenada
+ */
+export const sortTodosByDueDate = (todos) => {
+  return [...todos].sort((a, b) => {
+    if (!a.dueDate && !b.dueDate) return 0;
+    if (!a.dueDate) return 1;  // Sin fecha al final
+    if (!b.dueDate) return -1;
+    return parseAPIDate(a.dueDate) - parseAPIDate(b.dueDate);
   });
 };
 
+/**
+ * ↕️ ORDENAR TODOS POR POSICIÓN MANUAL
+ * 
+ * Ordena por la posición elegida arrastrando. Los todos sin posición (p. ej.
+ * recién creados) van al final, en el orden de la API. No modifica el array original.
+ * 
+ * @param {Array} todos - Array de objetos todo a ordenar
+ * @returns {Array} - Nueva array de todos ordenada
+ */
+export const sortTodosByPosition = (todos) => {
+  return [...todos].sort((a, b) => {
+    const aHasPosition = Number.isFinite(a.position);
+    const bHasPosition = Number.isFinite(b.position);
+    if (!aHasPosition && !bHasPosition) return 0;
+    if (!aHasPosition) return 1;  // Sin posición al final
+    if (!bHasPosition) return -1;
+    return a.position - b.position;
+  });
+};
+
+/**
+ * 🔃 OPCIONES DE ORDENAMIENTO
+ * 
+ * Modos de ordenamiento disponibles para la lista, compatibles con Select
+ */
+export const SORT_OPTIONS = [
+  { value: 'default', label: 'Orden original' }, // Orden de la API (por relevancia al buscar)
+  { value: 'priority', label: 'Prioridad' },     // Alta > Media > Baja
+  { value: 'dueDate', label: 'Fecha límite' },   // Vencimiento más próximo primero
+  { value: 'manual', label: 'Orden manual' },    // Arrastrando los todos
+];
+
+/**
+ * 🔃 ORDENAR TODOS SEGÚN EL MODO SELECCIONADO
+ * 
+ * @param {Array} todos - Array de objetos todo a ordenar
+ * @param {string} sortBy - Modo de ordenamiento (ver SORT_OPTIONS)
+ * @returns {Array} - Nueva array ordenada (o la original si no aplica)
+ */
+export const sortTodos = (todos, sortBy) => {
+  switch (sortBy) {
+    case 'priority':
+      return sortTodosByPriority(todos);
+    case 'dueDate':
+      return sortTodosByDueDate(todos);
+    case 'manual':
+      return sortTodosByPosition(todos);
+    default:
+      return todos; // Mantener el orden de la API
+  }
+};
+
+/**
+ * 📋 OPCIONES DE FILTRADO POR ESTADO
+ * 
+ * Estados de completado o de fecha límite (vencidos, hoy, esta semana)
+ * disponibles para filtrar, compatibles con Select
+ */
+export const STATUS_FILTER_OPTIONS = [
+  { value: 'all', label: 'Todos' },            // Mostrar todos los todos
+  { value: 'pending', label: 'Pendientes' },   // Solo todos sin completar
+  { value: 'completed', label: 'Completados' }, // Solo todos completados
+  { value: 'overdue', label: 'Vencidos' },      // Pendientes con fecha límite pasada
+  { value: 'today', label: 'Vencen hoy' },      // Pendientes que vencen hoy
+  { value: 'week', label: 'Vencen esta semana' }, // Pendientes que vencen esta semana
+];
+
 /**
  * 🔍 FILTRAR TODOS POR ESTADO
  * 
- * Filtra un array de todos basándose en su estado de completado.
- * Útil para mostrar solo todos completados, pendientes, o todos.
+ * Filtra un array de todos basándose en su estado de completado o en su
+ * fecha límite. Los filtros por fecha solo incluyen todos pendientes.
  * 
  * @param {Array} todos - Array de objetos todo a filtrar
- * @param {string} filter - Tipo de filtro ('completed', 'pending', 'all')
+ * @param {string} filter - Tipo de filtro ('completed', 'pending', 'overdue', 'today', 'week', 'all')
  * @returns {Array} - Array filtrada de todos
  * 
  * @example
@@ -131,7 +273,183 @@ export const filterTodos = (todos, filter) => {
       return todos.filter(todo => todo.completed);   // Solo todos completados
     case 'pending':
       return todos.filter(todo => !todo.completed);  // Solo todos pendientes
+    case 'overdue':
+      return todos.filter(todo => !todo.completed && isOverdue(todo.dueDate));     // Vencidos
+    case 'today':
+      return todos.filter(todo => !todo.completed && isDueToday(todo.dueDate));    // Vencen hoy
+    case 'week':
+      return todos.filter(todo => !todo.completed && isDueThisWeek(todo.dueDate)); // Vencen esta semana
     default:
       return todos; // Devolver todos sin filtrar
   }
-};
\ No newline at end of file
+};
+
+/**
+ * 🎯 FILTRAR TODOS POR PRIORIDAD
+ * 
+ * @param {Array} todos - Array de objetos todo a filtrar
+ * @param {string} priority - Prioridad a conservar ('high', 'medium', 'low' o 'all')
+ * @returns {Array} - Array filtrada de todos
+ * 
+ * @example
+ * filterTodosByPriority(todos, 'high'); // Solo todos de prioridad alta
+ * filterTodosByPriority(todos, 'all');  // Todos sin filtrar
+ */
+export const filterTodosByPriority = (todos, priority) => {
+  if (!priority || priority === 'all') return todos;
+  return todos.filter(todo => todo.priority === priority);
+};
+
+
+/**
+ * 🏷️ COLORES DISPONIBLES PARA ETIQUETAS
+ * 
+ * Clases de Tailwind escritas de forma literal para que el purge de CSS
+ * las conserve. Las claves son los nombres de color que se persisten.
+ */
+export const TAG_COLORS = {
+  gray: 'bg-gray-100 text-gray-800 border-gray-200',
+  red: 'bg-red-100 text-red-800 border-red-200',
+  orange: 'bg-orange-100 text-orange-800 border-orange-200',
+  yellow: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+  green: 'bg-green-100 text-green-800 border-green-200',
+  teal: 'bg-teal-100 text-teal-800 border-teal-200',
+  blue: 'bg-blue-100 text-blue-800 border-blue-200',
+  indigo: 'bg-indigo-100 text-indigo-800 border-indigo-200',
+  purple: 'bg-purple-100 text-purple-800 border-purple-200',
+  pink: 'bg-pink-100 text-pink-800 border-pink-200',
+};
+
+/**
+ * 🎨 OBTENER CLASES CSS DE UN COLOR DE ETIQUETA
+ * 
+ * @param {string} color - Nombre del color (ver TAG_COLORS)
+ * @returns {string} - Clases CSS de Tailwind (gris si el color no existe)
+ * 
+ * @example
+ * getTagColorClasses('blue') // "bg-blue-100 text-blue-800 border-blue-200"
+ */
+export const getTagColorClasses = (color) => {
+  return TAG_COLORS[color] || TAG_COLORS.gray;
+};
+
+/**
+ * 🎨 COLOR POR DEFECTO DE UNA ETIQUETA
+ * 
+ * Calcula un color estable a partir del nombre, para que una etiqueta
+ * nueva tenga siempre el mismo color aunque no se haya personalizado.
+ * 
+ * @param {string} tag - Nombre de la etiqueta
+ * @returns {string} - Nombre de color (clave de TAG_COLORS)
+ */
+export const getDefaultTagColor = (tag) => {
+  const colors = Object.keys(TAG_COLORS).filter(color => color !== 'gray');
+  const hash = [...tag].reduce((acc, char) => (acc * 31 + char.charCodeAt(0)) >>> 0, 0);
+  return colors[hash % colors.length];
+};
+
+/**
+ * 🧹 NORMALIZAR NOMBRE DE ETIQUETA
+ * 
+ * Elimina el prefijo '#', espacios sobrantes y convierte los espacios
+ * internos en guiones.
+ * 
+ * @param {string} tag - Texto introducido por el usuario
+ * @returns {string} - Nombre de etiqueta normalizado (vacío si no es válido)
+ * 
+ * @example
+ * normalizeTag('  #cliente X ') // "cliente-X"
+ */
+export const normalizeTag = (tag) => {
+  if (!tag) return '';
+  return tag.trim().replace(/^#+/, '').replace(/\s+/g, '-');
+};
+
+/**
+ * 📚 OBTENER ETIQUETAS ÚNICAS
+ * 
+ * @param {Array} todos - Array de objetos todo
+ * @returns {Array<string>} - Etiquetas usadas, sin duplicados y ordenadas
+ */
+export const getUniqueTags = (todos) => {
+  const tags = new Set();
+  todos.forEach(todo => (todo.tags || []).forEach(tag => tags.add(tag)));
+  return [...tags].sort((a, b) => a.localeCompare(b, 'es'));
+};
+
+/**
+ * 🏷️ FILTRAR TODOS POR ETIQUETAS
+ * 
+ * Conserva los todos que tienen TODAS las etiquetas seleccionadas.
+ * 
+ * @param {Array} todos - Array de objetos todo a filtrar
+ * @param {Array<string>} tags - Etiquetas seleccionadas (vacío = sin filtro)
+ * @returns {Array} - Array filtrada de todos
+ * 
+ * @example
+ * filterTodosByTags(todos, ['backend', 'urgente']); // Con ambas etiquetas
+ */
+export const filterTodosByTags = (todos, tags) => {
+  if (!tags || tags.length === 0) return todos;
+  return todos.filter(todo => tags.every(tag => (todo.tags || []).includes(tag)));
+};
+
+/**
+ * 🆔 GENERAR ID LOCAL
+ * 
+ * Genera un identificador único para elementos creados en el frontend
+ * (subtareas, entradas de historial, etc.).
+ * 
+ * @returns {string} - Identificador único
+ */
+export const generateId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
+};
+
+/**
+ * ☑️ CREAR SUBTAREA
+ * 
+ * @param {string} title - Título de la subtarea
+ * @returns {Object} - Subtarea {id, title, completed}
+ * 
+ * @example
+ * createSubtask('Escribir tests') // { id: '...', title: 'Escribir tests', completed: false }
+ */
+export const createSubtask = (title) => ({
+  id: generateId(),
+  title: title.trim(),
+  completed: false,
+});
+
+/**
+ * 📊 CALCULAR PROGRESO DE SUBTAREAS
+ * 
+ * @param {Array} subtasks - Subtareas del todo
+ * @returns {Object} - {done, total, percent}
+ * 
+ * @example
+ * getSubtaskProgress([{ completed: true }, { completed: false }])
+ * // { done: 1, total: 2, percent: 50 }
+ */
+export const getSubtaskProgress = (subtasks = []) => {
+  const total = subtasks.length;
+  const done = subtasks.filter(subtask => subtask.completed).length;
+  return {
+    done,
+    total,
+    percent: total === 0 ? 0 : Math.round((done / total) * 100),
+  };
+};
+
+/**
+ * ✅ VERIFICAR SI TODAS LAS SUBTAREAS ESTÁN COMPLETADAS
+ * 
+ * @param {Array} subtasks - Subtareas del todo
+ * @returns {boolean} - true si hay al menos una subtarea y todas están completadas
+ */
+export const areAllSubtasksDone = (subtasks = []) => {
+  return subtasks.length > 0 && subtasks.every(subtask => subtask.completed);
+};
@@ -0,0 +1,73 @@
+/**
+ * 🗑️ UTILIDADES PARA LA PAPELERA
+ *
+ * Eliminar un todo lo marca como eliminado (campos extendidos `deleted` y
+ * `deleted_at`) en lugar de borrarlo: queda en la papelera, desde donde se
+ * puede restaurar o eliminar definitivamente. Pasado el plazo configurado,
+ * los todos de la papelera se eliminan definitivamente de forma automática.
+ *
+ * Funcionalidades:
+ * - Opciones de plazo de vaciado automático
+ * - Fecha de eliminación definitiva de un todo de la papelera
+ * - Todos cuyo plazo ya venció
+ */
+
+import { addDays, differenceInCalendarDays } from 'date-fns';
+import { parseAPIDate } from './dateUtils';
+
+/** Días que un todo permanece en la papelera por defecto */
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/** Opciones de vaciado automático (0 = nunca) */
+export const TRASH_RETENTION_OPTIONS = [
+  { value: 7, label: 'Tras 7 días' },
+  { value: 14, label: 'Tras 14 días' },
+  { value: 30, label: 'Tras 30 días' },
+  { value: 90, label: 'Tras 90 días' },
+  { value: 0, label: 'Nunca' },
+];
+
+/**
+ * 📅 FECHA DE ELIMINACIÓN DEFINITIVA
+ *
+ * @param {Object} todo - Todo de la papelera (con deletedAt)
+ * @param {number} retentionDays - Días de permanencia (0 = nunca se vacía)
+ * @returns {Date|null} - Momento en que se eliminará, o null si no caduca
+ */
+export const getPurgeDate = (todo, retentionDays) => {
+  const deletedAt = parseAPIDate(todo.deletedAt);
+  if (!deletedAt || !retentionDays) return null;
+  return addDays(deletedAt, retentionDays);
+};
+
+/**
+ * ⌛ TODOS DE LA PAPELERA CON EL PLAZO VENCIDO
+ *
+ * @param {Array<Object>} todos - Todos de la papelera
+ * @param {number} retentionDays - Días de permanencia (0 = nunca se vacía)
+ * @param {Date} now - Momento actual (inyectable para pruebas)
+ * @returns {Array<Object>} - Todos que deben eliminarse definitivamente
+ */
+export const getExpiredTrashedTodos = (todos, retentionDays, now = new Date()) => {
+  return todos.filter(todo => {
+    const purgeDate = getPurgeDate(todo, retentionDays);
+    return purgeDate !== null && purgeDate <= now;
+  });
+};
+
+/**
+ * 📝 DESCRIBIR CUÁNDO SE ELIMINARÁ DEFINITIVAMENTE
+ *
+ * @param {Object} todo - Todo de la papelera
+ * @param {number} retentionDays - Días de permanencia (0 = nunca se vacía)
+ * @param {Date} now - Momento actual (inyectable para pruebas)
+ * @returns {string|null} - "Se eliminará en 3 días", "Se eliminará hoy" o null
+ */
+export const describePurgeDate = (todo, retentionDays, now = new Date()) => {
+  const purgeDate = getPurgeDate(todo, retentionDays);
+  if (!purgeDate) return null;
+  const days = differenceInCalendarDays(purgeDate, now);
+  if (days <= 0) return 'Se eliminará hoy';
+  if (days === 1) return 'Se eliminará mañana';
+  return `Se eliminará en ${days} días`;
+};